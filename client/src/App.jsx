@@ -4,6 +4,23 @@ import {
   fetchDevices,
   fetchCurrentTraffic,
   fetchAllHealth,
+  triggerScan,
+  cancelScan,
+  fetchSecurityEvents,
+  updateDeviceMetadata,
+  updateDeviceProbe,
+  updateDeviceParent,
+  fetchDependencySuggestions,
+  deleteDevice,
+  fetchArchivedDevices,
+  unarchiveDevice,
+  approveDevice,
+  ignoreDevice,
+  fetchPaths,
+  addPathTarget,
+  removePathTarget,
+  fetchWanStatus,
+  fetchWanOutages,
 } from './services/ApiService';
 import Dashboard from './components/Dashboard';
 import ErrorMessage from './components/ErrorMessage';
@@ -27,6 +44,19 @@ function App() {
   const [error, setError] = useState(null);
   /** @type {[boolean, Function]} */
   const [isLoading, setIsLoading] = useState(true);
+  /** @type {[any, Function]} */
+  const [scanProgress, setScanProgress] = useState(null);
+  /** @type {[Array<any>, Function]} */
+  const [securityEvents, setSecurityEvents] = useState([]);
+  // Archived devices (null until the archived view is first opened)
+  const [archivedDevices, setArchivedDevices] = useState(null);
+  /** @type {[Array<any>, Function]} */
+  const [dependencySuggestions, setDependencySuggestions] = useState([]);
+  /** @type {[Array<any>, Function]} */
+  const [paths, setPaths] = useState([]);
+  // Internet status (null until loaded, or if WAN monitoring is off) and the outages of the last week
+  const [wan, setWan] = useState(null);
+  const [wanOutages, setWanOutages] = useState(null);
 
   // Polling fallback
   /** @type {React.MutableRefObject<NodeJS.Timeout | null>} */
@@ -43,14 +73,16 @@ function App() {
       setError(null);
 
       // Fetch all initial data in parallel
-      const [devicesData, trafficData, healthData] = await Promise.all([
+      const [devicesData, trafficData, healthData, eventsData] = await Promise.all([
         fetchDevices(),
         fetchCurrentTraffic(),
         fetchAllHealth(),
+        fetchSecurityEvents(),
       ]);
 
       setDevices(devicesData);
       setTrafficStats(trafficData);
+      setSecurityEvents(eventsData);
       
       // Convert health data object to Map
       const healthMap = new Map(Object.entries(healthData));
@@ -92,14 +124,16 @@ function App() {
     // Poll every 5 seconds
     pollingIntervalRef.current = setInterval(async () => {
       try {
-        const [devicesData, trafficData, healthData] = await Promise.all([
+        const [devicesData, trafficData, healthData, eventsData] = await Promise.all([
           fetchDevices(),
           fetchCurrentTraffic(),
           fetchAllHealth(),
+          fetchSecurityEvents(),
         ]);
 
         setDevices(devicesData);
         setTrafficStats(trafficData);
+        setSecurityEvents(eventsData);
         
         const healthMap = new Map(Object.entries(healthData));
         setHealthMetrics(healthMap);
@@ -155,11 +189,13 @@ function App() {
       startPolling();
     };
 
-    // Handle device discovered events
+    // Handle device discovered and IP changed events
     const handleDeviceDiscovered = ({ device }) => {
       setDevices(prevDevices => {
-        // Check if device already exists
-        const existingIndex = prevDevices.findIndex(d => d.ipAddress === device.ipAddress);
+        // Check if device already exists (devices keep their ID when their IP address changes)
+        const existingIndex = prevDevices.findIndex(d => (
+          device.id ? d.id === device.id : d.ipAddress === device.ipAddress
+        ));
         if (existingIndex >= 0) {
           // Update existing device
           const newDevices = [...prevDevices];
@@ -172,6 +208,11 @@ function App() {
       });
     };
 
+    // Handle deleted and archived devices
+    const handleDeviceRemoved = ({ deviceId }) => {
+      setDevices(prevDevices => prevDevices.filter(device => device.id !== deviceId));
+    };
+
     // Handle device status changes
     const handleDeviceStatus = ({ ipAddress, status }) => {
       setDevices(prevDevices => {
@@ -181,6 +222,9 @@ function App() {
               ...device,
               isActive: status.isOnline,
               lastSeen: status.lastChecked,
+              isFlapping: Boolean(status.isFlapping),
+              isUnreachable: Boolean(status.isUnreachable),
+              inMaintenance: Boolean(status.inMaintenance),
             };
           }
           return device;
@@ -188,6 +232,27 @@ function App() {
       });
     };
 
+    // Handle devices starting or stopping to flap; their status changes are held back meanwhile
+    const handleDeviceFlapping = ({ ipAddress, status }) => {
+      setDevices(prevDevices => prevDevices.map(device => (
+        device.ipAddress === ipAddress ? { ...device, isFlapping: status.isFlapping } : device
+      )));
+    };
+
+    // Handle devices that are down because the device they are reached through is
+    const handleDeviceUnreachable = ({ ipAddress, status }) => {
+      setDevices(prevDevices => prevDevices.map(device => (
+        device.ipAddress === ipAddress ? { ...device, isUnreachable: status.isUnreachable } : device
+      )));
+    };
+
+    // Handle devices entering or leaving a maintenance window; their status changes are held back meanwhile
+    const handleDeviceMaintenance = ({ ipAddress, status }) => {
+      setDevices(prevDevices => prevDevices.map(device => (
+        device.ipAddress === ipAddress ? { ...device, inMaintenance: status.inMaintenance } : device
+      )));
+    };
+
     // Handle traffic updates
     const handleTrafficUpdate = ({ stats }) => {
       setTrafficStats(stats);
@@ -209,15 +274,54 @@ function App() {
       fetchDevices().then(setDevices).catch(console.error);
     };
 
+    // Handle scan progress events
+    const handleScanProgress = ({ scan }) => {
+      setScanProgress(prevScan => {
+        // Keep showing the running scan while another one is only queued behind it
+        if (prevScan && prevScan.id !== scan.id &&
+            prevScan.status === 'running' && scan.status === 'queued') {
+          return prevScan;
+        }
+        return scan;
+      });
+    };
+
+    // Handle security events (new and changed devices)
+    const handleSecurityEvent = ({ event }) => {
+      setSecurityEvents(prevEvents => [event, ...prevEvents].slice(0, 50));
+    };
+
+    // Handle new traces of path targets
+    const handlePathUpdate = ({ target, path }) => {
+      setPaths(prevPaths => prevPaths.map(entry => (
+        entry.target === target ? { ...entry, path } : entry
+      )));
+    };
+
+    // Handle each round of internet connectivity checks
+    const handleWanUpdate = ({ wan: update }) => {
+      setWan(update);
+    };
+
     // Subscribe to all events
     webSocketService.subscribe('connection:status', handleConnectionStatus);
     webSocketService.subscribe('connection:error', handleConnectionError);
     webSocketService.subscribe('connection:failed', handleConnectionFailed);
     webSocketService.subscribe('device:discovered', handleDeviceDiscovered);
+    webSocketService.subscribe('device:ipChanged', handleDeviceDiscovered);
+    webSocketService.subscribe('device:updated', handleDeviceDiscovered);
+    webSocketService.subscribe('device:removed', handleDeviceRemoved);
     webSocketService.subscribe('device:status', handleDeviceStatus);
+    webSocketService.subscribe('device:flapping', handleDeviceFlapping);
+    webSocketService.subscribe('device:unreachable', handleDeviceUnreachable);
+    webSocketService.subscribe('device:maintenance', handleDeviceMaintenance);
     webSocketService.subscribe('traffic:update', handleTrafficUpdate);
     webSocketService.subscribe('health:update', handleHealthUpdate);
     webSocketService.subscribe('scan:complete', handleScanComplete);
+    webSocketService.subscribe('scan:progress', handleScanProgress);
+    webSocketService.subscribe('security:event', handleSecurityEvent);
+    webSocketService.subscribe('path:update', handlePathUpdate);
+    webSocketService.subscribe('wan:update', handleWanUpdate);
 
     // Cleanup on unmount
     return () => {
@@ -225,10 +329,20 @@ function App() {
       webSocketService.unsubscribe('connection:error', handleConnectionError);
       webSocketService.unsubscribe('connection:failed', handleConnectionFailed);
       webSocketService.unsubscribe('device:discovered', handleDeviceDiscovered);
+      webSocketService.unsubscribe('device:ipChanged', handleDeviceDiscovered);
+      webSocketService.unsubscribe('device:updated', handleDeviceDiscovered);
+      webSocketService.unsubscribe('device:removed', handleDeviceRemoved);
       webSocketService.unsubscribe('device:status', handleDeviceStatus);
+      webSocketService.unsubscribe('device:flapping', handleDeviceFlapping);
+      webSocketService.unsubscribe('device:unreachable', handleDeviceUnreachable);
+      webSocketService.unsubscribe('device:maintenance', handleDeviceMaintenance);
       webSocketService.unsubscribe('traffic:update', handleTrafficUpdate);
       webSocketService.unsubscribe('health:update', handleHealthUpdate);
       webSocketService.unsubscribe('scan:complete', handleScanComplete);
+      webSocketService.unsubscribe('scan:progress', handleScanProgress);
+      webSocketService.unsubscribe('security:event', handleSecurityEvent);
+      webSocketService.unsubscribe('path:update', handlePathUpdate);
+      webSocketService.unsubscribe('wan:update', handleWanUpdate);
       
       webSocketService.disconnect();
       stopPolling();
@@ -242,6 +356,182 @@ function App() {
     loadInitialData();
   }, [loadInitialData]);
 
+  /**
+   * Load the suggested parents once; the dashboard works without them
+   */
+  useEffect(() => {
+    fetchDependencySuggestions()
+      .then(setDependencySuggestions)
+      .catch(err => console.error('Failed to load dependency suggestions:', err));
+  }, []);
+
+  /**
+   * Load the path monitoring targets once; new traces arrive over the WebSocket
+   */
+  useEffect(() => {
+    fetchPaths()
+      .then(setPaths)
+      .catch(err => console.error('Failed to load path targets:', err));
+  }, []);
+
+  /**
+   * Load the internet status once; later rounds of checks arrive over the WebSocket
+   */
+  useEffect(() => {
+    fetchWanStatus()
+      .then(setWan)
+      .catch(err => console.error('Failed to load internet status:', err));
+  }, []);
+
+  const wanStatus = wan ? wan.status : null;
+
+  /**
+   * Load the internet outages of the last week, and again whenever the internet status changes
+   */
+  useEffect(() => {
+    if (!wanStatus) {
+      return;
+    }
+    fetchWanOutages('7d')
+      .then(setWanOutages)
+      .catch(err => console.error('Failed to load internet outages:', err));
+  }, [wanStatus]);
+
+  /**
+   * Start a network scan using the server's configured ranges
+   */
+  const handleStartScan = useCallback(async () => {
+    try {
+      const result = await triggerScan();
+      if (result.scan) {
+        setScanProgress(result.scan);
+      }
+    } catch (err) {
+      console.error('Failed to start scan:', err);
+      setError(err.response?.data?.message || 'Failed to start network scan');
+    }
+  }, []);
+
+  /**
+   * Cancel a queued or running scan
+   */
+  const handleCancelScan = useCallback(async (scanId) => {
+    try {
+      const scan = await cancelScan(scanId);
+      setScanProgress(scan);
+    } catch (err) {
+      console.error('Failed to cancel scan:', err);
+    }
+  }, []);
+
+  /**
+   * Put a device on the known devices allowlist as approved or ignored
+   */
+  const handleReviewDevice = useCallback(async (deviceId, approval) => {
+    try {
+      await (approval === 'approved' ? approveDevice(deviceId) : ignoreDevice(deviceId));
+      setDevices(prevDevices => prevDevices.map(device => (
+        device.id === deviceId ? { ...device, approval } : device
+      )));
+    } catch (err) {
+      console.error('Failed to update known devices:', err);
+      setError(err.response?.data?.message || 'Failed to update known devices');
+    }
+  }, []);
+
+  /**
+   * Save the name, type, tags and notes of a device.
+   * Errors are passed on so the details panel can show them next to the form.
+   */
+  const handleUpdateDevice = useCallback(async (deviceId, changes) => {
+    const updated = await updateDeviceMetadata(deviceId, changes);
+    setDevices(prevDevices => prevDevices.map(device => (
+      device.id === updated.id ? updated : device
+    )));
+  }, []);
+
+  /**
+   * Change how a device's status is checked; errors are shown by the form
+   */
+  const handleUpdateProbe = useCallback(async (deviceId, probe) => {
+    const updated = await updateDeviceProbe(deviceId, probe);
+    setDevices(prevDevices => prevDevices.map(device => (
+      device.id === updated.id ? updated : device
+    )));
+  }, []);
+
+  /**
+   * Change the device a device is reached through; errors are shown by the form
+   */
+  const handleUpdateParent = useCallback(async (deviceId, parentId) => {
+    const updated = await updateDeviceParent(deviceId, parentId);
+    setDevices(prevDevices => prevDevices.map(device => (
+      device.id === updated.id ? updated : device
+    )));
+    setDependencySuggestions(prev => prev.filter(suggestion => suggestion.deviceId !== updated.id));
+  }, []);
+
+  /**
+   * Forget a device; it disappears from the device list and the archive
+   */
+  const handleDeleteDevice = useCallback(async (deviceId) => {
+    try {
+      await deleteDevice(deviceId);
+      setDevices(prevDevices => prevDevices.filter(device => device.id !== deviceId));
+      setArchivedDevices(prevArchived => prevArchived && prevArchived.filter(device => device.id !== deviceId));
+    } catch (err) {
+      console.error('Failed to delete device:', err);
+      setError(err.response?.data?.message || 'Failed to delete device');
+    }
+  }, []);
+
+  /**
+   * Load the devices archived because they were not seen for a long time
+   */
+  const handleLoadArchivedDevices = useCallback(async () => {
+    try {
+      setArchivedDevices(await fetchArchivedDevices());
+    } catch (err) {
+      console.error('Failed to load archived devices:', err);
+      setError(err.response?.data?.message || 'Failed to load archived devices');
+    }
+  }, []);
+
+  /**
+   * Move an archived device back to the device list
+   */
+  const handleUnarchiveDevice = useCallback(async (deviceId) => {
+    try {
+      const device = await unarchiveDevice(deviceId);
+      setArchivedDevices(prevArchived => prevArchived && prevArchived.filter(d => d.id !== deviceId));
+      setDevices(prevDevices => [...prevDevices.filter(d => d.id !== deviceId), device]);
+    } catch (err) {
+      console.error('Failed to restore device:', err);
+      setError(err.response?.data?.message || 'Failed to restore device');
+    }
+  }, []);
+
+  /**
+   * Start tracing the path to a target; errors are shown by the form
+   */
+  const handleAddPathTarget = useCallback(async (target, protocol) => {
+    const entry = await addPathTarget(target, protocol);
+    setPaths(prevPaths => [...prevPaths.filter(p => p.target !== entry.target), entry]);
+  }, []);
+
+  /**
+   * Stop tracing the path to a target
+   */
+  const handleRemovePathTarget = useCallback(async (target) => {
+    try {
+      await removePathTarget(target);
+      setPaths(prevPaths => prevPaths.filter(p => p.target !== target));
+    } catch (err) {
+      console.error('Failed to remove path target:', err);
+      setError(err.response?.data?.message || 'Failed to remove path target');
+    }
+  }, []);
+
   // Render loading state
   if (isLoading && !error) {
     return (
@@ -333,6 +623,25 @@ function App() {
           devices={devices}
           trafficStats={trafficStats}
           healthMetrics={healthMetrics}
+          scanProgress={scanProgress}
+          onStartScan={handleStartScan}
+          onCancelScan={handleCancelScan}
+          securityEvents={securityEvents}
+          onApproveDevice={(deviceId) => handleReviewDevice(deviceId, 'approved')}
+          onIgnoreDevice={(deviceId) => handleReviewDevice(deviceId, 'ignored')}
+          onUpdateDevice={handleUpdateDevice}
+          onUpdateProbe={handleUpdateProbe}
+          onUpdateParent={handleUpdateParent}
+          dependencySuggestions={dependencySuggestions}
+          onDeleteDevice={handleDeleteDevice}
+          archivedDevices={archivedDevices}
+          onLoadArchivedDevices={handleLoadArchivedDevices}
+          onUnarchiveDevice={handleUnarchiveDevice}
+          paths={paths}
+          onAddPathTarget={handleAddPathTarget}
+          onRemovePathTarget={handleRemovePathTarget}
+          wan={wan}
+          wanOutages={wanOutages}
         />
       </main>
     </div>
@@ -0,0 +1,63 @@
+import React from 'react';
+
+/**
+ * ArchivedDevices component - Lists devices archived because they were not seen for a long time,
+ * with actions to bring them back or forget them
+ *
+ * @param {Object} props
+ * @param {Array|null} props.devices - Archived devices, or null while loading
+ * @param {Function} [props.onRestore] - Callback to move a device back to the device list, receives the device ID
+ * @param {Function} [props.onDelete] - Callback to forget a device, receives the device ID
+ */
+function ArchivedDevices({ devices, onRestore, onDelete }) {
+  if (devices === null) {
+    return <p className="text-sm text-gray-500">Loading archived devices...</p>;
+  }
+
+  if (devices.length === 0) {
+    return <p className="text-sm text-gray-500">No archived devices</p>;
+  }
+
+  /**
+   * Format timestamp for display
+   */
+  const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : 'Never');
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {devices.map((device) => (
+        <li key={device.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+          <div className="min-w-0">
+            <span className="text-sm text-gray-900">
+              {device.metadata?.name || device.friendlyName || (device.hostname !== 'unknown' && device.hostname) || device.ipAddress}
+            </span>
+            <span className="ml-2 text-xs text-gray-500 font-mono">{device.macAddress}</span>
+            <div className="text-xs text-gray-400">
+              Last seen {formatDate(device.lastSeen)} at {device.ipAddress}
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            {onRestore && (
+              <button
+                onClick={() => onRestore(device.id)}
+                className="px-2 py-0.5 text-xs rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+              >
+                Restore
+              </button>
+            )}
+            {onDelete && (
+              <button
+                onClick={() => window.confirm('Delete this device and its history?') && onDelete(device.id)}
+                className="px-2 py-0.5 text-xs rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default ArchivedDevices;
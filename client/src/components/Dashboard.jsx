@@ -2,6 +2,13 @@ import { useState } from 'react';
 import DeviceList from './DeviceList';
 import TrafficGraph from './TrafficGraph';
 import HealthStatusPanel from './HealthStatusPanel';
+import ScanProgress from './ScanProgress';
+import SecurityEvents from './SecurityEvents';
+import DeviceDetails from './DeviceDetails';
+import HealthHistoryGraph from './HealthHistoryGraph';
+import PathMonitor from './PathMonitor';
+import ArchivedDevices from './ArchivedDevices';
+import WanStatusCard from './WanStatusCard';
 
 /**
  * Dashboard component - Main layout for network monitoring interface
@@ -11,17 +18,72 @@ import HealthStatusPanel from './HealthStatusPanel';
  * @param {Array} props.devices - List of discovered network devices
  * @param {Object} props.trafficStats - Current traffic statistics
  * @param {Map<string, Object>} props.healthMetrics - Health metrics for all devices
+ * @param {Object|null} [props.scanProgress] - Latest scan job progress
+ * @param {Function} [props.onStartScan] - Callback to start a network scan
+ * @param {Function} [props.onCancelScan] - Callback to cancel a network scan
+ * @param {Array} [props.securityEvents] - Recent security events, newest first
+ * @param {Function} [props.onApproveDevice] - Callback to approve a device, receives the device ID
+ * @param {Function} [props.onIgnoreDevice] - Callback to ignore a device, receives the device ID
+ * @param {Function} [props.onUpdateDevice] - Callback to save device metadata, receives the device ID and the changes
+ * @param {Function} [props.onUpdateProbe] - Callback to change how a device's status is checked, receives the device ID and the probe
+ * @param {Function} [props.onUpdateParent] - Callback to change the device a device is reached through, receives the device ID and the parent ID
+ * @param {Array} [props.dependencySuggestions] - Suggested parents: { deviceId, parentId, reason }
+ * @param {Function} [props.onDeleteDevice] - Callback to forget a device, receives the device ID
+ * @param {Array|null} [props.archivedDevices] - Archived devices, null until loaded
+ * @param {Function} [props.onLoadArchivedDevices] - Callback to load the archived devices
+ * @param {Function} [props.onUnarchiveDevice] - Callback to restore an archived device, receives the device ID
+ * @param {Array} [props.paths] - Path monitoring targets with their last trace
+ * @param {Function} [props.onAddPathTarget] - Callback to trace the path to a target, receives the target and protocol
+ * @param {Function} [props.onRemovePathTarget] - Callback to stop tracing a target, receives the target
+ * @param {Object|null} [props.wan] - Internet status, null if WAN monitoring is off
+ * @param {Object|null} [props.wanOutages] - Internet outages of the last week, null until loaded
  */
-function Dashboard({ devices, trafficStats, healthMetrics }) {
-  const [selectedDevice, setSelectedDevice] = useState(null);
+function Dashboard({
+  devices,
+  trafficStats,
+  healthMetrics,
+  scanProgress = null,
+  onStartScan,
+  onCancelScan,
+  securityEvents = [],
+  onApproveDevice,
+  onIgnoreDevice,
+  onUpdateDevice,
+  onUpdateProbe,
+  onUpdateParent,
+  dependencySuggestions = [],
+  onDeleteDevice,
+  archivedDevices = null,
+  onLoadArchivedDevices,
+  onUnarchiveDevice,
+  paths = [],
+  onAddPathTarget,
+  onRemovePathTarget,
+  wan = null,
+  wanOutages = null
+}) {
+  const [selectedDeviceId, setSelectedDeviceId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Look the device up on every render so the panel follows live updates
+  const selectedDevice = devices.find(device => (device.id || device.ipAddress) === selectedDeviceId) || null;
 
   /**
-   * Handle device click to view details
+   * Handle device click to view details; clicking the selected device again closes them
    */
   const handleDeviceClick = (device) => {
-    setSelectedDevice(device);
-    // TODO: Show device details modal or panel
-    console.log('Device clicked:', device);
+    const id = device.id || device.ipAddress;
+    setSelectedDeviceId(prevId => (prevId === id ? null : id));
+  };
+
+  /**
+   * Show or hide the archived devices, reloading them each time they are shown
+   */
+  const handleToggleArchived = () => {
+    if (!showArchived && onLoadArchivedDevices) {
+      onLoadArchivedDevices();
+    }
+    setShowArchived(!showArchived);
   };
   return (
     <div className="space-y-6">
@@ -29,19 +91,78 @@ function Dashboard({ devices, trafficStats, healthMetrics }) {
       <NetworkOverview 
         devices={devices}
         trafficStats={trafficStats}
+        wan={wan}
+        wanOutages={wanOutages}
       />
 
       {/* Main Grid Layout - Responsive for desktop, tablet, and mobile */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Security Events Container */}
+        <div className="lg:col-span-2">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold mb-4">Security Events</h2>
+            <SecurityEvents
+              events={securityEvents}
+              devices={devices}
+              onApprove={onApproveDevice}
+              onIgnore={onIgnoreDevice}
+            />
+          </div>
+        </div>
+
         {/* Device List Container */}
         <div className="lg:col-span-2">
           <div className="bg-white rounded-lg shadow p-6">
-            <h2 className="text-xl font-semibold mb-4">Devices</h2>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="text-xl font-semibold">Devices</h2>
+              <ScanProgress
+                scan={scanProgress}
+                onStartScan={onStartScan}
+                onCancelScan={onCancelScan}
+              />
+            </div>
             <DeviceList 
               devices={devices}
               healthMetrics={healthMetrics}
               onDeviceClick={handleDeviceClick}
             />
+            {selectedDevice && (
+              <div className="mt-4">
+                <DeviceDetails
+                  device={selectedDevice}
+                  onSave={onUpdateDevice}
+                  onSaveProbe={onUpdateProbe}
+                  onSaveParent={onUpdateParent}
+                  devices={devices}
+                  parentSuggestion={dependencySuggestions.find(s => s.deviceId === selectedDevice.id) || null}
+                  onDelete={onDeleteDevice && ((deviceId) => {
+                    setSelectedDeviceId(null);
+                    onDeleteDevice(deviceId);
+                  })}
+                  onClose={() => setSelectedDeviceId(null)}
+                />
+                <div className="mt-4 border border-gray-200 rounded-lg p-4">
+                  <HealthHistoryGraph deviceId={selectedDevice.id} />
+                </div>
+              </div>
+            )}
+            <div className="mt-4 border-t border-gray-200 pt-4">
+              <button
+                onClick={handleToggleArchived}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                {showArchived ? 'Hide archived devices' : 'Show archived devices'}
+              </button>
+              {showArchived && (
+                <div className="mt-2">
+                  <ArchivedDevices
+                    devices={archivedDevices}
+                    onRestore={onUnarchiveDevice}
+                    onDelete={onDeleteDevice}
+                  />
+                </div>
+              )}
+            </div>
           </div>
         </div>
 
@@ -63,6 +184,19 @@ function Dashboard({ devices, trafficStats, healthMetrics }) {
             />
           </div>
         </div>
+
+        {/* Path Monitoring Container */}
+        <div className="lg:col-span-2">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold mb-4">Network Paths</h2>
+            <PathMonitor
+              paths={paths}
+              devices={devices}
+              onAdd={onAddPathTarget}
+              onRemove={onRemovePathTarget}
+            />
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -70,13 +204,15 @@ function Dashboard({ devices, trafficStats, healthMetrics }) {
 
 /**
  * NetworkOverview component - Displays summary statistics
- * Shows device counts and traffic summary in a responsive grid
+ * Shows the internet status as a banner, and device counts and traffic summary in a responsive grid
  * 
  * @param {Object} props
  * @param {Array} props.devices - List of discovered network devices
  * @param {Object} props.trafficStats - Current traffic statistics
+ * @param {Object|null} [props.wan] - Internet status, null if WAN monitoring is off
+ * @param {Object|null} [props.wanOutages] - Internet outages of the last week, null until loaded
  */
-function NetworkOverview({ devices, trafficStats }) {
+function NetworkOverview({ devices, trafficStats, wan = null, wanOutages = null }) {
   const totalDevices = devices.length;
   const onlineDevices = devices.filter(d => d.isActive).length;
   const offlineDevices = totalDevices - onlineDevices;
@@ -96,6 +232,12 @@ function NetworkOverview({ devices, trafficStats }) {
   return (
     <div className="bg-white rounded-lg shadow p-6">
       <h2 className="text-xl font-semibold mb-4">Network Overview</h2>
+
+      {wan && (
+        <div className="mb-4">
+          <WanStatusCard wan={wan} outages={wanOutages} />
+        </div>
+      )}
       
       {/* Responsive grid: 1 column on mobile, 2 on tablet, 4 on desktop */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
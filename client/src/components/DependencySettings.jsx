@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Name shown for a device in the parent list
+ * @param {Object} device - Device
+ * @returns {string} Display name with the IP address
+ */
+const deviceLabel = (device) => {
+  const name = device.metadata?.name || device.friendlyName ||
+    (device.hostname && device.hostname !== 'unknown' ? device.hostname : null);
+  return name ? `${name} (${device.ipAddress})` : device.ipAddress;
+};
+
+/**
+ * DependencySettings component - Form choosing the device a device is reached through,
+ * such as the switch or access point it is connected to. While the parent is down the
+ * device is shown as unreachable and its status changes are held back.
+ *
+ * @param {Object} props
+ * @param {string} props.deviceId - ID of the device, resets the form when it changes
+ * @param {string|null} [props.parentId] - Current parent, null or missing for none
+ * @param {Array} props.devices - Devices that can be picked as parent
+ * @param {Object|null} [props.suggestion] - Suggested parent: { parentId, reason }
+ * @param {Function} props.onSave - Callback to save the parent, receives its ID or null; may return a promise
+ */
+function DependencySettings({ deviceId, parentId, devices, suggestion, onSave }) {
+  const [selected, setSelected] = useState(parentId || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  // Start over when another device is selected
+  useEffect(() => {
+    setSelected(parentId || '');
+    setSaveError(null);
+  }, [deviceId]);
+
+  const candidates = devices.filter(device => device.id && device.id !== deviceId);
+  const suggested = suggestion && !parentId ? candidates.find(device => device.id === suggestion.parentId) : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setSaveError(null);
+
+    try {
+      await onSave(selected || null);
+    } catch (err) {
+      setSaveError(err.response?.data?.message || 'Failed to save dependency');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <h4 className="text-sm font-semibold text-gray-900">Dependency</h4>
+      <label className="block text-sm text-gray-700">
+        Depends on
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Nothing (reached directly)</option>
+          {candidates.map(device => (
+            <option key={device.id} value={device.id}>{deviceLabel(device)}</option>
+          ))}
+        </select>
+      </label>
+
+      {suggested && selected !== suggested.id && (
+        <p className="text-sm text-gray-600">
+          Suggested: {suggestion.reason}{' '}
+          <button type="button" onClick={() => setSelected(suggested.id)} className="text-blue-600 hover:underline">
+            Use suggestion
+          </button>
+        </p>
+      )}
+
+      {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="px-4 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+      >
+        {isSaving ? 'Saving...' : 'Save dependency'}
+      </button>
+    </form>
+  );
+}
+
+export default DependencySettings;
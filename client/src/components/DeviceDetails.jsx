@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import DeviceTypeIcon, { DEVICE_TYPES } from './DeviceTypeIcon';
+import ProbeSettings from './ProbeSettings';
+import DependencySettings from './DependencySettings';
+
+/**
+ * Turn a device's metadata into form values
+ * @param {Object} device - Device
+ * @returns {Object} Form values
+ */
+const toForm = (device) => {
+  const metadata = device.metadata || {};
+  return {
+    name: metadata.name || '',
+    type: metadata.type || '',
+    tags: (metadata.tags || []).join(', '),
+    owner: metadata.owner || '',
+    location: metadata.location || '',
+    notes: metadata.notes || '',
+  };
+};
+
+/**
+ * DeviceDetails component - Panel showing what was discovered about a device,
+ * with a form to edit its name, type, tags, owner, location and notes
+ *
+ * @param {Object} props
+ * @param {Object} props.device - Device to show
+ * @param {Function} [props.onSave] - Callback to save metadata, receives the device ID and the
+ *   changed fields; may return a promise
+ * @param {Function} [props.onSaveProbe] - Callback to change how the device's status is checked, receives
+ *   the device ID and the probe configuration; may return a promise
+ * @param {Function} [props.onSaveParent] - Callback to change the device this device is reached through,
+ *   receives the device ID and the parent ID (null for none); may return a promise
+ * @param {Array} [props.devices] - Devices that can be picked as parent
+ * @param {Object|null} [props.parentSuggestion] - Suggested parent: { parentId, reason }
+ * @param {Function} [props.onDelete] - Callback to forget the device, receives the device ID
+ * @param {Function} [props.onClose] - Callback to close the panel
+ */
+function DeviceDetails({ device, onSave, onSaveProbe, onSaveParent, devices = [], parentSuggestion = null, onDelete, onClose }) {
+  const [form, setForm] = useState(() => toForm(device));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  // Start over when another device is selected
+  useEffect(() => {
+    setForm(toForm(device));
+    setSaveError(null);
+  }, [device.id]);
+
+  const handleChange = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  /**
+   * Save the form; empty fields clear the metadata
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setSaveError(null);
+
+    try {
+      await onSave(device.id, {
+        name: form.name,
+        type: form.type || null,
+        tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        owner: form.owner,
+        location: form.location,
+        notes: form.notes,
+      });
+    } catch (err) {
+      setSaveError(err.response?.data?.message || 'Failed to save device details');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Forget the device after asking; its history is deleted with it
+   */
+  const handleDelete = () => {
+    if (window.confirm('Delete this device and its history? It will show up as a new device if it is seen again.')) {
+      onDelete(device.id);
+    }
+  };
+
+  const facts = [
+    ['IP address', device.ipAddress],
+    ['MAC address', device.macAddress],
+    ['Hostname', device.hostname],
+    ['Advertised name', device.friendlyName],
+    ['Vendor', device.vendor],
+    ['Model', device.model],
+    ['First seen', device.firstSeen && new Date(device.firstSeen).toLocaleString()],
+    ['Last seen', device.lastSeen && new Date(device.lastSeen).toLocaleString()],
+  ].filter(([, value]) => value && value !== 'unknown' && value !== 'Unknown');
+
+  const inputClass = 'w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-start justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">
+          <DeviceTypeIcon type={device.metadata?.type} />
+          {device.metadata?.name || device.friendlyName || device.hostname || device.ipAddress}
+        </h3>
+        {onClose && (
+          <button
+            onClick={onClose}
+            aria-label="Close device details"
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Discovered facts */}
+        <dl className="grid grid-cols-3 gap-x-2 gap-y-1 text-sm self-start">
+          {facts.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="col-span-2 text-gray-900 break-all">{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+
+        {/* User metadata */}
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="block text-sm text-gray-700">
+              Name
+              <input type="text" value={form.name} onChange={handleChange('name')} maxLength={100} className={inputClass} />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Type
+              <select value={form.type} onChange={handleChange('type')} className={inputClass}>
+                <option value="">Not set</option>
+                {DEVICE_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.icon} {type.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm text-gray-700">
+              Owner
+              <input type="text" value={form.owner} onChange={handleChange('owner')} maxLength={100} className={inputClass} />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Location
+              <input type="text" value={form.location} onChange={handleChange('location')} maxLength={100} className={inputClass} />
+            </label>
+          </div>
+          <label className="block text-sm text-gray-700">
+            Tags (comma-separated)
+            <input type="text" value={form.tags} onChange={handleChange('tags')} className={inputClass} />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Notes
+            <textarea value={form.notes} onChange={handleChange('notes')} maxLength={2000} rows={3} className={inputClass} />
+          </label>
+
+          {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+
+          <div className="flex items-center justify-between">
+            {onSave && (
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            )}
+            {onDelete && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="px-4 py-1.5 text-sm rounded-md text-red-600 hover:bg-red-50 transition-colors"
+              >
+                Delete device
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      {onSaveProbe && (
+        <div className="mt-4 border-t border-gray-200 pt-4">
+          <ProbeSettings
+            deviceId={device.id}
+            probe={device.probe}
+            onSave={(probe) => onSaveProbe(device.id, probe)}
+          />
+        </div>
+      )}
+
+      {onSaveParent && (
+        <div className="mt-4 border-t border-gray-200 pt-4">
+          <DependencySettings
+            deviceId={device.id}
+            parentId={device.parentId}
+            devices={devices}
+            suggestion={parentSuggestion}
+            onSave={(parentId) => onSaveParent(device.id, parentId)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeviceDetails;
@@ -1,8 +1,42 @@
 import { useState, useMemo } from 'react';
+import DeviceTypeIcon from './DeviceTypeIcon';
+
+/**
+ * Name shown for a device: the name set by the user, else the advertised name or hostname
+ * @param {Object} device - Device
+ * @returns {string} Display name
+ */
+const displayName = (device) => device.metadata?.name || device.friendlyName || device.hostname || 'unknown';
+
+/**
+ * Check whether every word of a search query occurs in the device's addresses, names or metadata
+ * @param {Object} device - Device
+ * @param {string} query - Search query
+ * @returns {boolean}
+ */
+const matchesQuery = (device, query) => {
+  const metadata = device.metadata || {};
+  const haystack = [
+    device.ipAddress,
+    device.macAddress,
+    device.hostname,
+    device.friendlyName,
+    device.model,
+    device.vendor,
+    metadata.name,
+    metadata.notes,
+    metadata.owner,
+    metadata.location,
+    metadata.type,
+    ...(metadata.tags || []),
+  ].filter(Boolean).join('\n').toLowerCase();
+
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+};
 
 /**
  * DeviceList component - Displays a table of discovered network devices
- * Features: sortable columns, status filtering, responsive design, click handlers
+ * Features: sortable columns, status filtering, search, responsive design, click handlers
  * 
  * @param {Object} props
  * @param {Array} props.devices - List of discovered network devices
@@ -13,6 +47,7 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
   const [sortColumn, setSortColumn] = useState('ipAddress');
   const [sortDirection, setSortDirection] = useState('asc');
   const [statusFilter, setStatusFilter] = useState('all'); // 'all', 'online', 'offline'
+  const [searchQuery, setSearchQuery] = useState('');
 
   /**
    * Handle column header click for sorting
@@ -60,6 +95,11 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
       filtered = devices.filter(d => !d.isActive);
     }
 
+    // Filter by search query (addresses, names, vendor, tags, owner, location, notes)
+    if (searchQuery.trim()) {
+      filtered = filtered.filter(d => matchesQuery(d, searchQuery));
+    }
+
     // Sort devices
     const sorted = [...filtered].sort((a, b) => {
       let aValue, bValue;
@@ -75,8 +115,8 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
           bValue = b.macAddress || '';
           break;
         case 'hostname':
-          aValue = a.hostname || 'unknown';
-          bValue = b.hostname || 'unknown';
+          aValue = displayName(a).toLowerCase();
+          bValue = displayName(b).toLowerCase();
           break;
         case 'status':
           aValue = a.isActive ? 1 : 0;
@@ -109,7 +149,7 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
     });
 
     return sorted;
-  }, [devices, healthMetrics, sortColumn, sortDirection, statusFilter]);
+  }, [devices, healthMetrics, sortColumn, sortDirection, statusFilter, searchQuery]);
 
   /**
    * Render sort indicator icon
@@ -141,7 +181,43 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
   /**
    * Render status indicator
    */
-  const StatusIndicator = ({ isActive }) => {
+  const StatusIndicator = ({ isActive, isFlapping, isUnreachable, inMaintenance }) => {
+    if (inMaintenance) {
+      return (
+        <span
+          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+          title="In a maintenance window; status changes are held back until it ends"
+        >
+          <span className="w-2 h-2 mr-1.5 rounded-full bg-blue-400"></span>
+          Maintenance
+        </span>
+      );
+    }
+
+    if (!isActive && isUnreachable) {
+      return (
+        <span
+          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700"
+          title="The device it is reached through is down; status changes are held back until it recovers"
+        >
+          <span className="w-2 h-2 mr-1.5 rounded-full bg-gray-400"></span>
+          Unreachable
+        </span>
+      );
+    }
+
+    if (isFlapping) {
+      return (
+        <span
+          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800"
+          title="Going on and offline repeatedly; status changes are held back until it settles"
+        >
+          <span className="w-2 h-2 mr-1.5 rounded-full bg-yellow-400"></span>
+          Flapping
+        </span>
+      );
+    }
+
     if (isActive) {
       return (
         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
@@ -207,6 +283,14 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
         >
           Offline ({devices.filter(d => !d.isActive).length})
         </button>
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="Search name, address, tag, owner..."
+          aria-label="Search devices"
+          className="ml-auto w-full sm:w-64 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
       </div>
 
       {/* Responsive Table Container */}
@@ -242,7 +326,7 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
                 className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100 select-none"
               >
                 <div className="flex items-center space-x-1">
-                  <span>Hostname</span>
+                  <span>Name</span>
                   <SortIcon column="hostname" />
                 </div>
               </th>
@@ -290,21 +374,46 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
                   <SortIcon column="packetLoss" />
                 </div>
               </th>
+
+              {/* Services Column - Hidden on mobile */}
+              <th className="hidden xl:table-cell px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Services
+              </th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {filteredAndSortedDevices.map((device) => {
               const health = healthMetrics?.get(device.ipAddress);
+              const previousIps = (device.ipHistory || [])
+                .map(entry => entry.ipAddress)
+                .filter(ip => ip !== device.ipAddress);
+              const name = displayName(device);
+              const secondaryNames = [device.friendlyName, device.hostname !== 'unknown' ? device.hostname : null, device.model]
+                .filter(value => value && value !== name);
+              const tags = device.metadata?.tags || [];
               
               return (
                 <tr
-                  key={device.ipAddress}
+                  key={device.id || device.ipAddress}
                   onClick={() => onDeviceClick && onDeviceClick(device)}
                   className="hover:bg-gray-50 cursor-pointer transition-colors"
                 >
                   {/* IP Address */}
                   <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
                     {device.ipAddress}
+                    {device.approval === 'pending' && (
+                      <span
+                        className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800"
+                        title="Not on the known devices list"
+                      >
+                        New
+                      </span>
+                    )}
+                    {previousIps.length > 0 && (
+                      <div className="text-xs font-normal text-gray-400" title={previousIps.join(', ')}>
+                        was {previousIps[previousIps.length - 1]}
+                      </div>
+                    )}
                   </td>
 
                   {/* MAC Address - Hidden on mobile */}
@@ -312,14 +421,29 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
                     {device.macAddress || 'N/A'}
                   </td>
 
-                  {/* Hostname */}
+                  {/* Name: user-set name, else advertised name or hostname */}
                   <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                    {device.hostname || 'unknown'}
+                    <DeviceTypeIcon type={device.metadata?.type} />
+                    {displayName(device)}
+                    {secondaryNames.length > 0 && (
+                      <div className="text-xs text-gray-400">
+                        {secondaryNames.join(' • ')}
+                      </div>
+                    )}
+                    {tags.length > 0 && (
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {tags.map(tag => (
+                          <span key={tag} className="px-1.5 py-0.5 rounded text-xs bg-gray-100 text-gray-700">
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </td>
 
                   {/* Status */}
                   <td className="px-4 py-3 whitespace-nowrap">
-                    <StatusIndicator isActive={device.isActive} />
+                    <StatusIndicator isActive={device.isActive} isFlapping={device.isFlapping} isUnreachable={device.isUnreachable} inMaintenance={device.inMaintenance} />
                   </td>
 
                   {/* Last Seen - Hidden on mobile */}
@@ -340,6 +464,18 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
                       ? `${health.packetLoss.toFixed(1)}%`
                       : 'N/A'}
                   </td>
+
+                  {/* Services - Hidden on mobile */}
+                  <td
+                    className="hidden xl:table-cell px-4 py-3 text-sm text-gray-500"
+                    title={(device.services || [])
+                      .map(service => [`${service.port}/${service.protocol}`, service.product, service.title].filter(Boolean).join(' '))
+                      .join('\n')}
+                  >
+                    {device.services && device.services.length > 0
+                      ? device.services.map(service => `${service.port} ${service.name}`).join(', ')
+                      : 'N/A'}
+                  </td>
                 </tr>
               );
             })}
@@ -350,7 +486,7 @@ function DeviceList({ devices, healthMetrics, onDeviceClick }) {
       {/* No results message */}
       {filteredAndSortedDevices.length === 0 && devices.length > 0 && (
         <div className="text-center py-8">
-          <p className="text-sm text-gray-500">No devices match the selected filter.</p>
+          <p className="text-sm text-gray-500">No devices match the selected filter or search.</p>
         </div>
       )}
     </div>
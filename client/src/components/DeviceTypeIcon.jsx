@@ -0,0 +1,43 @@
+import React from 'react';
+
+/** Device types users can pick, in the order shown; must match DEVICE_TYPES on the server */
+export const DEVICE_TYPES = [
+  { value: 'computer', label: 'Computer', icon: '🖥️' },
+  { value: 'laptop', label: 'Laptop', icon: '💻' },
+  { value: 'phone', label: 'Phone', icon: '📱' },
+  { value: 'tablet', label: 'Tablet', icon: '📲' },
+  { value: 'server', label: 'Server', icon: '🗄️' },
+  { value: 'nas', label: 'NAS', icon: '💾' },
+  { value: 'router', label: 'Router', icon: '📡' },
+  { value: 'switch', label: 'Switch', icon: '🔀' },
+  { value: 'access-point', label: 'Access point', icon: '📶' },
+  { value: 'printer', label: 'Printer', icon: '🖨️' },
+  { value: 'camera', label: 'Camera', icon: '📷' },
+  { value: 'tv', label: 'TV', icon: '📺' },
+  { value: 'speaker', label: 'Speaker', icon: '🔊' },
+  { value: 'game-console', label: 'Game console', icon: '🎮' },
+  { value: 'iot', label: 'Smart home', icon: '💡' },
+  { value: 'other', label: 'Other', icon: '🔌' },
+];
+
+/**
+ * DeviceTypeIcon component - Icon for the device type set by the user
+ * Renders nothing if the device has no type
+ *
+ * @param {Object} props
+ * @param {string|null} [props.type] - Device type
+ */
+function DeviceTypeIcon({ type }) {
+  const deviceType = DEVICE_TYPES.find(t => t.value === type);
+  if (!deviceType) {
+    return null;
+  }
+
+  return (
+    <span role="img" aria-label={deviceType.label} title={deviceType.label} className="mr-1.5">
+      {deviceType.icon}
+    </span>
+  );
+}
+
+export default DeviceTypeIcon;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { fetchDeviceHealthHistory } from '../services/ApiService';
+import TimeRangeSelector, { TIME_RANGES } from './TimeRangeSelector';
+
+/**
+ * Metrics charted, each with the average as a line and the minimum to maximum as a band
+ */
+const CHARTS = [
+  { key: 'latency', label: 'Latency', unit: 'ms', color: '#3b82f6' },
+  { key: 'jitter', label: 'Jitter', unit: 'ms', color: '#8b5cf6' },
+  { key: 'packetLoss', label: 'Packet loss', unit: '%', color: '#ef4444' },
+];
+
+/**
+ * Format timestamp for chart display
+ * @param {string|number} timestamp - Timestamp to format
+ * @returns {string} - Formatted time string
+ */
+const formatTime = (timestamp) => {
+  return new Date(timestamp).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+};
+
+/**
+ * Turn history points into chart rows: for each metric its average and its [min, max] range,
+ * null where no measurement got a reply so the chart shows a gap
+ * @param {Array} points - Points from the health history API
+ * @returns {Array<Object>} Chart rows
+ */
+export const toChartData = (points) => points.map(point => {
+  const row = { timestamp: point.timestamp, samples: point.samples };
+  for (const { key } of CHARTS) {
+    const summary = point[key];
+    row[`${key}Avg`] = summary ? summary.avg : null;
+    row[`${key}Range`] = summary ? [summary.min, summary.max] : null;
+  }
+  return row;
+});
+
+/**
+ * Tooltip of one chart
+ * @param {Object} props
+ * @param {boolean} props.active - Whether tooltip is active
+ * @param {Array} props.payload - Data payload for tooltip
+ * @param {Object} props.chart - Chart from CHARTS
+ */
+const HistoryTooltip = ({ active, payload, chart }) => {
+  if (!active || !payload || !payload.length) {
+    return null;
+  }
+
+  const data = payload[0].payload;
+  const range = data[`${chart.key}Range`];
+  return (
+    <div className="bg-white p-3 border border-gray-300 rounded shadow-lg text-sm">
+      <p className="font-semibold text-gray-700 mb-1">{new Date(data.timestamp).toLocaleString()}</p>
+      {range ? (
+        <p style={{ color: chart.color }}>
+          {chart.label}: {data[`${chart.key}Avg`].toFixed(1)} {chart.unit} avg
+          ({range[0].toFixed(1)}–{range[1].toFixed(1)})
+        </p>
+      ) : (
+        <p className="text-gray-500">No replies</p>
+      )}
+      <p className="text-gray-500">{data.samples} measurement{data.samples === 1 ? '' : 's'}</p>
+    </div>
+  );
+};
+
+/**
+ * HealthHistoryGraph Component
+ * Charts the latency, jitter and packet loss of a device over time, as recorded by health monitoring
+ *
+ * @param {Object} props
+ * @param {string} props.deviceId - Device ID or IP address
+ */
+function HealthHistoryGraph({ deviceId }) {
+  const [selectedRange, setSelectedRange] = useState('1h');
+  /** @type {[Array<any>, Function]} */
+  const [points, setPoints] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  /** @type {[string | null, Function]} */
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the history of the selected time range
+   */
+  const loadHistory = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const endTime = Date.now();
+      const startTime = endTime - TIME_RANGES[selectedRange].ms;
+
+      const history = await fetchDeviceHealthHistory(deviceId, startTime, endTime);
+      setPoints(history.points);
+    } catch (err) {
+      console.error('Failed to load health history:', err);
+      setError('Failed to load health history');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load data when the device or time range changes, and refresh it every minute
+   */
+  useEffect(() => {
+    loadHistory();
+
+    const interval = setInterval(loadHistory, 60000);
+
+    return () => clearInterval(interval);
+  }, [deviceId, selectedRange]);
+
+  const chartData = useMemo(() => toChartData(points), [points]);
+
+  let content;
+  if (isLoading && points.length === 0) {
+    content = <p className="py-8 text-center text-sm text-gray-500">Loading health history...</p>;
+  } else if (error && points.length === 0) {
+    content = (
+      <div className="py-8 text-center">
+        <p className="text-sm text-gray-600">{error}</p>
+        <button
+          onClick={loadHistory}
+          className="mt-3 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  } else if (points.length === 0) {
+    content = <p className="py-8 text-center text-sm text-gray-600">No health measurements in this range</p>;
+  } else {
+    content = CHARTS.map(chart => (
+      <div key={chart.key}>
+        <p className="text-sm font-medium text-gray-700">{chart.label} ({chart.unit})</p>
+        <div className="w-full" style={{ height: '160px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartData} margin={{ top: 5, right: 30, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="timestamp" tickFormatter={formatTime} stroke="#6b7280" style={{ fontSize: '12px' }} />
+              <YAxis
+                stroke="#6b7280"
+                style={{ fontSize: '12px' }}
+                domain={chart.key === 'packetLoss' ? [0, 100] : [0, 'auto']}
+              />
+              <Tooltip content={<HistoryTooltip chart={chart} />} />
+              <Area
+                type="monotone"
+                dataKey={`${chart.key}Range`}
+                stroke="none"
+                fill={chart.color}
+                fillOpacity={0.15}
+                connectNulls={false}
+                isAnimationActive={false}
+              />
+              <Line
+                type="monotone"
+                dataKey={`${chart.key}Avg`}
+                stroke={chart.color}
+                strokeWidth={2}
+                dot={false}
+                connectNulls={false}
+                isAnimationActive={false}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    ));
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="text-sm font-semibold text-gray-900">Health history</h4>
+        <TimeRangeSelector selectedRange={selectedRange} onChange={setSelectedRange} />
+      </div>
+      {content}
+    </div>
+  );
+}
+
+export default HealthHistoryGraph;
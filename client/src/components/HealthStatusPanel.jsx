@@ -22,6 +22,17 @@ const getHealthStatusColor = (health) => {
   return 'green';
 };
 
+/**
+ * Describe the anomalies of a device for a tooltip
+ * @param {Array} anomalies - Anomalies from the health metrics
+ * @returns {string} One line per anomaly, with the usual value
+ */
+const describeAnomalies = (anomalies) => anomalies.map(anomaly => {
+  const unit = anomaly.metric === 'latency' ? 'ms' : '%';
+  const name = anomaly.metric === 'latency' ? 'Latency' : 'Packet loss';
+  return `${name} ${anomaly.value.toFixed(1)}${unit}, usually ${anomaly.expected.toFixed(1)}${unit} (${anomaly.severity})`;
+}).join('\n');
+
 /**
  * Mini sparkline chart component for latency trends
  * @param {Object} props
@@ -220,7 +231,7 @@ function HealthStatusPanel({ healthMetrics, devices }) {
 
           return (
             <div
-              key={device.ipAddress}
+              key={device.id || device.ipAddress}
               className={`p-4 rounded-lg border transition-all ${
                 device.health?.isDegraded
                   ? 'bg-red-50 border-red-200 shadow-sm'
@@ -238,6 +249,14 @@ function HealthStatusPanel({ healthMetrics, devices }) {
                       color={statusColor} 
                       isDegraded={device.health?.isDegraded || false}
                     />
+                    {health?.anomalies?.length > 0 && (
+                      <span
+                        className="px-2 py-0.5 text-xs font-medium rounded-full bg-purple-100 text-purple-800"
+                        title={describeAnomalies(health.anomalies)}
+                      >
+                        Unusual
+                      </span>
+                    )}
                   </div>
                   
                   <p className="text-xs text-gray-500 mb-3">
@@ -280,7 +299,7 @@ function HealthStatusPanel({ healthMetrics, devices }) {
 
                       {/* Jitter */}
                       <div>
-                        <p className="text-xs text-gray-600 mb-1">Jitter</p>
+                        <p className="text-xs text-gray-600 mb-1" title="Mean latency difference of consecutive replies">Jitter</p>
                         <p className="text-lg font-semibold text-gray-700">
                           {health.jitter !== undefined ? `${health.jitter.toFixed(1)} ms` : 'N/A'}
                         </p>
@@ -292,6 +311,11 @@ function HealthStatusPanel({ healthMetrics, devices }) {
                         <p className="text-sm text-gray-700">
                           {health.minLatency.toFixed(1)} - {health.maxLatency.toFixed(1)} ms
                         </p>
+                        {health.p95Latency !== undefined && health.p95Latency >= 0 && (
+                          <p className="text-xs text-gray-500" title="Median, 95th and 99th percentile latency">
+                            p50 {health.medianLatency.toFixed(1)} • p95 {health.p95Latency.toFixed(1)} • p99 {health.p99Latency.toFixed(1)} ms
+                          </p>
+                        )}
                       </div>
                     </div>
                   ) : (
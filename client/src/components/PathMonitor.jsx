@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+
+/**
+ * Format a round-trip time
+ * @param {number} ms - Milliseconds, -1 without answers
+ * @returns {string}
+ */
+const formatLatency = (ms) => (ms < 0 ? '—' : `${ms.toFixed(1)} ms`);
+
+/**
+ * Describe how a route changed
+ * @param {Array} changes - Changed hops: { ttl, from, to }
+ * @returns {string}
+ */
+const describeChanges = (changes) => changes
+  .map(change => `hop ${change.ttl}: ${change.from || 'none'} → ${change.to || 'none'}`)
+  .join(', ');
+
+/**
+ * PathMonitor component - Traceroutes to chosen targets, hop by hop with the latency and loss of
+ * each (MTR-style), to find where on the way to a host latency or loss starts
+ *
+ * @param {Object} props
+ * @param {Array} props.paths - Path targets: { target, protocol, path }, path null before the first trace
+ * @param {Array} [props.devices] - Known devices, used to name the hops
+ * @param {Function} [props.onAdd] - Callback to add a target, receives the target and protocol; may
+ *   return a promise
+ * @param {Function} [props.onRemove] - Callback to remove a target, receives the target
+ */
+function PathMonitor({ paths, devices = [], onAdd, onRemove }) {
+  const [target, setTarget] = useState('');
+  const [protocol, setProtocol] = useState('udp');
+  const [isAdding, setIsAdding] = useState(false);
+  const [addError, setAddError] = useState(null);
+
+  const deviceNames = new Map(devices.map(device => [
+    device.ipAddress,
+    device.metadata?.name || device.friendlyName || (device.hostname !== 'unknown' ? device.hostname : null),
+  ]));
+
+  /**
+   * Add the target typed in
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsAdding(true);
+    setAddError(null);
+
+    try {
+      await onAdd(target.trim(), protocol);
+      setTarget('');
+    } catch (err) {
+      setAddError(err.response?.data?.message || 'Failed to add path target');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-4">
+      {onAdd && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+          <label className="block text-sm text-gray-700">
+            Target
+            <input
+              type="text"
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              placeholder="8.8.8.8"
+              className={`block ${inputClass}`}
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Probes
+            <select value={protocol} onChange={(e) => setProtocol(e.target.value)} className={`block ${inputClass}`}>
+              <option value="udp">UDP</option>
+              <option value="icmp">ICMP</option>
+            </select>
+          </label>
+          <button
+            type="submit"
+            disabled={isAdding || !target.trim()}
+            className="px-4 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {isAdding ? 'Adding...' : 'Trace'}
+          </button>
+          {addError && <p className="w-full text-sm text-red-600">{addError}</p>}
+        </form>
+      )}
+
+      {paths.length === 0 ? (
+        <p className="text-sm text-gray-500">No paths monitored</p>
+      ) : (
+        paths.map(({ target: pathTarget, protocol: pathProtocol, path }) => (
+          <div key={pathTarget} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <div className="flex items-center space-x-2">
+                <span className="font-medium text-gray-900">{pathTarget}</span>
+                <span className="text-xs text-gray-500 uppercase">{pathProtocol}</span>
+                {path && (
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    path.reachedTarget ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                  }`}>
+                    {path.reachedTarget ? 'Reached' : 'Not reached'}
+                  </span>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                {path && (
+                  <span className="text-xs text-gray-400">Traced {new Date(path.lastUpdated).toLocaleString()}</span>
+                )}
+                {onRemove && (
+                  <button
+                    onClick={() => onRemove(pathTarget)}
+                    aria-label={`Stop tracing ${pathTarget}`}
+                    className="px-2 py-0.5 text-xs rounded-md text-red-600 hover:bg-red-50 transition-colors"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {path?.lastChange && (
+              <p className="text-sm text-yellow-700 mb-2">
+                Route changed {new Date(path.lastChange.at).toLocaleString()}: {describeChanges(path.lastChange.changes)}
+              </p>
+            )}
+
+            {!path ? (
+              <p className="text-sm text-gray-500">Tracing...</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="font-medium py-1">Hop</th>
+                    <th className="font-medium py-1">Address</th>
+                    <th className="font-medium py-1 text-right">Loss</th>
+                    <th className="font-medium py-1 text-right">Avg</th>
+                    <th className="font-medium py-1 text-right">Best</th>
+                    <th className="font-medium py-1 text-right">Worst</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {path.hops.map(hop => (
+                    <tr key={hop.ttl} className="border-t border-gray-100">
+                      <td className="py-1 text-gray-500">{hop.ttl}</td>
+                      <td className="py-1 text-gray-900">
+                        {hop.address || '???'}
+                        {deviceNames.get(hop.address) && (
+                          <span className="ml-2 text-gray-500">{deviceNames.get(hop.address)}</span>
+                        )}
+                      </td>
+                      <td className={`py-1 text-right ${hop.address && hop.loss > 0 ? 'text-red-600 font-medium' : 'text-gray-700'}`}>
+                        {hop.loss.toFixed(0)}%
+                      </td>
+                      <td className="py-1 text-right text-gray-700">{formatLatency(hop.latency)}</td>
+                      <td className="py-1 text-right text-gray-700">{formatLatency(hop.minLatency)}</td>
+                      <td className="py-1 text-right text-gray-700">{formatLatency(hop.maxLatency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default PathMonitor;
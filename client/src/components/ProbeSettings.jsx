@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+
+/** Probe types users can pick; must match PROBE_TYPES on the server */
+const PROBE_TYPES = [
+  { value: 'icmp', label: 'Ping (ICMP)' },
+  { value: 'tcp', label: 'TCP port' },
+  { value: 'http', label: 'Web page (HTTP/HTTPS)' },
+  { value: 'dns', label: 'DNS query' },
+];
+
+/** DNS record types a DNS probe can ask for */
+const RECORD_TYPES = ['A', 'AAAA', 'PTR', 'CNAME', 'MX', 'TXT', 'SRV', 'NS'];
+
+/**
+ * Turn a probe configuration into form values
+ * @param {Object|null} probe - Probe configuration, null for the default ping
+ * @returns {Object} Form values
+ */
+const toForm = (probe) => ({
+  type: probe?.type || 'icmp',
+  port: probe?.port ? String(probe.port) : '',
+  https: Boolean(probe?.https),
+  path: probe?.path || '/',
+  expectedStatus: (probe?.expectedStatus || []).join(', '),
+  keyword: probe?.keyword || '',
+  name: probe?.name || '',
+  recordType: probe?.recordType || 'A',
+  timeout: String(probe?.timeout || 2000),
+});
+
+/**
+ * Turn form values into the probe configuration sent to the server; empty optional fields are left out
+ * @param {Object} form - Form values
+ * @returns {Object} Probe configuration
+ */
+const toProbe = (form) => {
+  const probe = { type: form.type, timeout: Number(form.timeout) };
+
+  if (form.type === 'tcp') {
+    probe.port = Number(form.port);
+  } else if (form.type === 'http') {
+    probe.https = form.https;
+    if (form.port) probe.port = Number(form.port);
+    probe.path = form.path || '/';
+    probe.expectedStatus = form.expectedStatus.split(',').map(code => code.trim()).filter(Boolean).map(Number);
+    probe.keyword = form.keyword || null;
+  } else if (form.type === 'dns') {
+    probe.name = form.name;
+    probe.recordType = form.recordType;
+    if (form.port) probe.port = Number(form.port);
+  }
+
+  return probe;
+};
+
+/**
+ * ProbeSettings component - Form choosing how the status of a device is checked:
+ * ping, a TCP connection, a web page or a DNS query
+ *
+ * @param {Object} props
+ * @param {string} props.deviceId - ID of the device, resets the form when it changes
+ * @param {Object|null} [props.probe] - Current probe configuration, null or missing for ping
+ * @param {Function} props.onSave - Callback to save the configuration, receives the probe; may return a promise
+ */
+function ProbeSettings({ deviceId, probe, onSave }) {
+  const [form, setForm] = useState(() => toForm(probe));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  // Start over when another device is selected
+  useEffect(() => {
+    setForm(toForm(probe));
+    setSaveError(null);
+  }, [deviceId]);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setSaveError(null);
+
+    try {
+      await onSave(toProbe(form));
+    } catch (err) {
+      setSaveError(err.response?.data?.message || 'Failed to save status check');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <h4 className="text-sm font-semibold text-gray-900">Status check</h4>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="block text-sm text-gray-700">
+          Check with
+          <select value={form.type} onChange={handleChange('type')} className={inputClass}>
+            {PROBE_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </label>
+        {form.type !== 'icmp' && (
+          <label className="block text-sm text-gray-700">
+            Port
+            <input
+              type="number"
+              min={1}
+              max={65535}
+              value={form.port}
+              onChange={handleChange('port')}
+              placeholder={form.type === 'http' ? (form.https ? '443' : '80') : form.type === 'dns' ? '53' : ''}
+              required={form.type === 'tcp'}
+              className={inputClass}
+            />
+          </label>
+        )}
+        <label className="block text-sm text-gray-700">
+          Timeout (ms)
+          <input type="number" min={100} max={30000} value={form.timeout} onChange={handleChange('timeout')} className={inputClass} />
+        </label>
+      </div>
+
+      {form.type === 'http' && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <label className="block text-sm text-gray-700">
+            Path
+            <input type="text" value={form.path} onChange={handleChange('path')} className={inputClass} />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Expected status codes
+            <input type="text" value={form.expectedStatus} onChange={handleChange('expectedStatus')} placeholder="Any below 400" className={inputClass} />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Page must contain
+            <input type="text" value={form.keyword} onChange={handleChange('keyword')} className={inputClass} />
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={form.https} onChange={handleChange('https')} />
+            <span>Use HTTPS</span>
+          </label>
+        </div>
+      )}
+
+      {form.type === 'dns' && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <label className="block text-sm text-gray-700 sm:col-span-2">
+            Name to resolve
+            <input type="text" value={form.name} onChange={handleChange('name')} required className={inputClass} />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Record type
+            <select value={form.recordType} onChange={handleChange('recordType')} className={inputClass}>
+              {RECORD_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="px-4 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+      >
+        {isSaving ? 'Saving...' : 'Save status check'}
+      </button>
+    </form>
+  );
+}
+
+export default ProbeSettings;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+/**
+ * ScanProgress component - Shows the state of the current network scan
+ * Renders a scan button when idle and a progress bar with cancel button while scanning
+ *
+ * @param {Object} props
+ * @param {Object|null} props.scan - Latest scan job received from the server
+ * @param {Function} [props.onStartScan] - Callback to start a new scan
+ * @param {Function} [props.onCancelScan] - Callback to cancel the scan, receives the scan ID
+ */
+function ScanProgress({ scan, onStartScan, onCancelScan }) {
+  const isActive = scan && (scan.status === 'queued' || scan.status === 'running');
+
+  if (!isActive) {
+    return (
+      <div className="flex items-center space-x-3">
+        {scan && scan.status !== 'completed' && (
+          <span className="text-sm text-gray-500">Last scan {scan.status}</span>
+        )}
+        {onStartScan && (
+          <button
+            onClick={onStartScan}
+            className="px-3 py-1 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          >
+            Scan Network
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  const percent = scan.total > 0 ? Math.round((scan.probed / scan.total) * 100) : 0;
+
+  return (
+    <div className="flex items-center space-x-3 w-full sm:w-auto">
+      <div className="flex-1 sm:w-64">
+        <div className="flex justify-between text-xs text-gray-600 mb-1">
+          <span>
+            {scan.status === 'queued'
+              ? 'Scan queued'
+              : `Scanning ${scan.probed}/${scan.total} hosts`}
+          </span>
+          <span>{scan.found} found</span>
+        </div>
+        <div
+          className="w-full bg-gray-200 rounded-full h-2"
+          role="progressbar"
+          aria-valuenow={percent}
+          aria-valuemin={0}
+          aria-valuemax={100}
+        >
+          <div
+            className="bg-blue-600 h-2 rounded-full transition-all"
+            style={{ width: `${percent}%` }}
+          ></div>
+        </div>
+      </div>
+      {onCancelScan && (
+        <button
+          onClick={() => onCancelScan(scan.id)}
+          className="px-3 py-1 text-sm rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ScanProgress;
@@ -0,0 +1,93 @@
+import React from 'react';
+
+/** Badge colors by event severity */
+const SEVERITY_STYLES = {
+  critical: 'bg-red-100 text-red-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  info: 'bg-blue-100 text-blue-800',
+};
+
+/** Labels by event type */
+const TYPE_LABELS = {
+  newDevice: 'New device',
+  deviceChanged: 'Changed',
+  arpConflict: 'ARP conflict',
+};
+
+/**
+ * SecurityEvents component - Lists recent security events
+ * Events about devices that were never reviewed offer approve and ignore actions
+ *
+ * @param {Object} props
+ * @param {Array} props.events - Security events, newest first
+ * @param {Array} props.devices - Known devices, used to look up each device's allowlist status
+ * @param {Function} [props.onApprove] - Callback to approve a device, receives the device ID
+ * @param {Function} [props.onIgnore] - Callback to ignore a device, receives the device ID
+ * @param {number} [props.maxEvents=10] - Number of events to show
+ */
+function SecurityEvents({ events, devices, onApprove, onIgnore, maxEvents = 10 }) {
+  const approvals = new Map(devices.map(device => [device.id, device.approval]));
+  const pendingCount = devices.filter(device => device.approval === 'pending').length;
+
+  /**
+   * Format timestamp for display
+   */
+  const formatTimestamp = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleString();
+  };
+
+  return (
+    <div>
+      {pendingCount > 0 && (
+        <p className="text-sm text-gray-600 mb-3">
+          {pendingCount} {pendingCount === 1 ? 'device has' : 'devices have'} not been reviewed yet
+        </p>
+      )}
+
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500">No security events</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {events.slice(0, maxEvents).map((event) => {
+            // Devices without a MAC address cannot be put on the allowlist; conflicts are not about one device
+            const canReview = event.type !== 'arpConflict' &&
+              approvals.get(event.deviceId) === 'pending' && !event.deviceId.startsWith('ip-');
+
+            return (
+              <li key={event.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SEVERITY_STYLES[event.severity] || SEVERITY_STYLES.info}`}>
+                    {TYPE_LABELS[event.type] || event.type}
+                  </span>
+                  <span className="text-sm text-gray-900 truncate">{event.message}</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs text-gray-400">{formatTimestamp(event.timestamp)}</span>
+                  {canReview && onApprove && (
+                    <button
+                      onClick={() => onApprove(event.deviceId)}
+                      className="px-2 py-0.5 text-xs rounded-md bg-green-600 text-white hover:bg-green-700 transition-colors"
+                    >
+                      Approve
+                    </button>
+                  )}
+                  {canReview && onIgnore && (
+                    <button
+                      onClick={() => onIgnore(event.deviceId)}
+                      className="px-2 py-0.5 text-xs rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+                    >
+                      Ignore
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SecurityEvents;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+/**
+ * Time ranges charts can show, in milliseconds
+ */
+export const TIME_RANGES = {
+  '1h': { label: '1 Hour', ms: 60 * 60 * 1000 },
+  '6h': { label: '6 Hours', ms: 6 * 60 * 60 * 1000 },
+  '24h': { label: '24 Hours', ms: 24 * 60 * 60 * 1000 },
+};
+
+/**
+ * TimeRangeSelector component - Buttons to pick the time range of a chart
+ *
+ * @param {Object} props
+ * @param {string} props.selectedRange - Key of the selected range in TIME_RANGES
+ * @param {Function} props.onChange - Callback when a range is picked, receives its key
+ */
+function TimeRangeSelector({ selectedRange, onChange }) {
+  return (
+    <div className="flex space-x-2">
+      {Object.entries(TIME_RANGES).map(([key, { label }]) => (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          className={`px-4 py-2 rounded text-sm font-medium transition-colors ${
+            selectedRange === key
+              ? 'bg-blue-600 text-white'
+              : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TimeRangeSelector;
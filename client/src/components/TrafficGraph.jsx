@@ -1,6 +1,7 @@
 import { useState, useEffect, useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { fetchTrafficHistory } from '../services/ApiService';
+import TimeRangeSelector, { TIME_RANGES } from './TimeRangeSelector';
 
 /**
  * Format bytes to human-readable format (KB/MB/GB)
@@ -66,13 +67,6 @@ const CustomTooltip = ({ active, payload }) => {
  * @param {Object} props.trafficStats - Current traffic statistics (for real-time updates)
  */
 function TrafficGraph({ trafficStats }) {
-  // Time range options in milliseconds
-  const TIME_RANGES = {
-    '1h': { label: '1 Hour', ms: 60 * 60 * 1000 },
-    '6h': { label: '6 Hours', ms: 6 * 60 * 60 * 1000 },
-    '24h': { label: '24 Hours', ms: 24 * 60 * 60 * 1000 },
-  };
-
   const [selectedRange, setSelectedRange] = useState('1h');
   /** @type {[Array<any>, Function]} */
   const [historicalData, setHistoricalData] = useState([]);
@@ -227,21 +221,7 @@ function TrafficGraph({ trafficStats }) {
     <div className="space-y-4">
       {/* Time Range Selector */}
       <div className="flex items-center justify-between">
-        <div className="flex space-x-2">
-          {Object.entries(TIME_RANGES).map(([key, { label }]) => (
-            <button
-              key={key}
-              onClick={() => setSelectedRange(key)}
-              className={`px-4 py-2 rounded text-sm font-medium transition-colors ${
-                selectedRange === key
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-              }`}
-            >
-              {label}
-            </button>
-          ))}
-        </div>
+        <TimeRangeSelector selectedRange={selectedRange} onChange={setSelectedRange} />
 
         {/* Current Stats Display */}
         {trafficStats && (
@@ -0,0 +1,108 @@
+import React from 'react';
+
+/**
+ * Title and colors of each internet status
+ */
+const STATUS_STYLES = {
+  up: { title: 'Internet up', className: 'bg-green-50 border-green-200 text-green-800', dot: 'bg-green-500' },
+  degraded: { title: 'Internet degraded', className: 'bg-yellow-50 border-yellow-200 text-yellow-800', dot: 'bg-yellow-500' },
+  down: { title: 'Internet down', className: 'bg-red-50 border-red-200 text-red-800', dot: 'bg-red-500' },
+  unknown: { title: 'Checking internet connectivity...', className: 'bg-gray-50 border-gray-200 text-gray-700', dot: 'bg-gray-400' },
+};
+
+/**
+ * Names of the kinds of checks
+ */
+const CHECK_KINDS = {
+  gateway: 'Gateway',
+  dns: 'DNS',
+  target: 'Target',
+};
+
+/**
+ * Format a duration
+ * @param {number} ms - Milliseconds
+ * @returns {string} - e.g. "45s", "12m", "3h 5m"
+ */
+export const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+};
+
+/**
+ * WanStatusCard component - Banner with the internet status, the result of each gateway, DNS
+ * resolver and external target check, and the internet outages of the last week
+ *
+ * @param {Object} props
+ * @param {Object} props.wan - Internet status: { status, reason, since, outageStart, checks }
+ * @param {Object|null} [props.outages] - Outages of the last week: { outageCount, downtime, outages }, null until loaded
+ */
+function WanStatusCard({ wan, outages = null }) {
+  const style = STATUS_STYLES[wan.status] || STATUS_STYLES.unknown;
+  const recentOutages = outages ? outages.outages.slice(-3).reverse() : [];
+
+  return (
+    <div className={`border rounded-lg p-4 ${style.className}`} role="status">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <span className={`w-3 h-3 rounded-full ${style.dot}`} />
+          <span className="text-lg font-semibold">{style.title}</span>
+          {wan.status !== 'unknown' && wan.since && (
+            <span className="text-sm opacity-75">since {new Date(wan.since).toLocaleString()}</span>
+          )}
+        </div>
+        {outages && (
+          <span className="text-sm">
+            {outages.outageCount === 0
+              ? 'No outages in the last 7 days'
+              : `${outages.outageCount} ${outages.outageCount === 1 ? 'outage' : 'outages'} in the last 7 days, ${formatDuration(outages.downtime)} down`}
+          </span>
+        )}
+      </div>
+
+      {wan.reason && <p className="mt-1 text-sm">{wan.reason}</p>}
+
+      {wan.checks.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2">
+          {wan.checks.map(check => (
+            <li
+              key={`${check.kind}-${check.target}`}
+              className="flex items-center space-x-1 px-2 py-1 bg-white bg-opacity-60 rounded text-xs text-gray-700"
+              title={check.detail || undefined}
+            >
+              <span className={`w-2 h-2 rounded-full ${
+                check.isOnline === null ? 'bg-gray-400' : check.isOnline ? 'bg-green-500' : 'bg-red-500'
+              }`} />
+              <span className="font-medium">{CHECK_KINDS[check.kind]}</span>
+              <span>{check.target}</span>
+              {check.isOnline === true && <span className="text-gray-500">{check.responseTime.toFixed(1)} ms</span>}
+              {check.isOnline === false && <span className="text-red-600">{check.detail || 'failed'}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {recentOutages.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs">
+          {recentOutages.map(outage => (
+            <li key={outage.start}>
+              {new Date(outage.start).toLocaleString()}
+              {' — '}
+              {outage.end ? formatDuration(outage.duration) : 'ongoing'}
+              {outage.cause && <span className="opacity-75"> ({outage.cause})</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default WanStatusCard;
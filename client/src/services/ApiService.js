@@ -81,6 +81,34 @@ export const triggerScan = async () => {
   });
 };
 
+/**
+ * Fetch progress of a scan job
+ * @param {string} scanId - Scan job ID
+ * @returns {Promise<Object>} - Scan job object with status, total, probed and found
+ */
+export const fetchScan = async (scanId) => {
+  if (!scanId) {
+    throw new Error('Scan ID is required');
+  }
+  return withRetry(async () => {
+    const response = await apiClient.get(`/scans/${scanId}`);
+    return response.data;
+  });
+};
+
+/**
+ * Cancel a queued or running scan job
+ * @param {string} scanId - Scan job ID
+ * @returns {Promise<Object>} - The cancelled scan job
+ */
+export const cancelScan = async (scanId) => {
+  if (!scanId) {
+    throw new Error('Scan ID is required');
+  }
+  const response = await apiClient.delete(`/scans/${scanId}`);
+  return response.data;
+};
+
 /**
  * Fetch current status of a specific device
  * @param {string} ip - IP address of the device
@@ -111,6 +139,135 @@ export const fetchDeviceHealth = async (ip) => {
   });
 };
 
+/**
+ * Edit the user metadata of a device
+ * @param {string} id - Device ID or IP address
+ * @param {Object} changes - Any of name, tags, notes, owner, location, type (null clears a field)
+ * @returns {Promise<Object>} - The updated device
+ */
+export const updateDeviceMetadata = async (id, changes) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.patch(`/devices/${id}`, changes);
+  return response.data;
+};
+
+/**
+ * Choose how the status of a device is checked
+ * @param {string} id - Device ID or IP address
+ * @param {Object} probe - Probe configuration: type ("icmp", "tcp", "http" or "dns"), timeout and the
+ *   fields of the type (tcp: port; http: port, https, path, expectedStatus, keyword; dns: name, recordType, port)
+ * @returns {Promise<Object>} - The updated device
+ */
+export const updateDeviceProbe = async (id, probe) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.put(`/devices/${id}/probe`, probe);
+  return response.data;
+};
+
+/**
+ * Set the device a device is reached through; while the parent is down the device is unreachable
+ * @param {string} id - Device ID or IP address
+ * @param {string|null} parentId - ID of the parent device, or null to remove the parent
+ * @returns {Promise<Object>} - The updated device
+ */
+export const updateDeviceParent = async (id, parentId) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.put(`/devices/${id}/parent`, { parentId });
+  return response.data;
+};
+
+/**
+ * Fetch suggested parents (the default gateway) for devices that have none
+ * @returns {Promise<Array>} - Suggestions: { deviceId, parentId, reason }
+ */
+export const fetchDependencySuggestions = async () => {
+  return withRetry(async () => {
+    const response = await apiClient.get('/dependencies/suggestions');
+    return response.data;
+  });
+};
+
+/**
+ * Forget a device and delete its history
+ * @param {string} id - Device ID or IP address
+ * @returns {Promise<Object>} - { status: 'deleted', device }
+ */
+export const deleteDevice = async (id) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.delete(`/devices/${id}`);
+  return response.data;
+};
+
+/**
+ * Fetch devices archived because they were not seen for a long time
+ * @returns {Promise<Array>} - Archived devices
+ */
+export const fetchArchivedDevices = async () => {
+  return withRetry(async () => {
+    const response = await apiClient.get('/devices', { params: { archived: true } });
+    return response.data;
+  });
+};
+
+/**
+ * Bring an archived device back to the device list
+ * @param {string} id - Device ID or IP address
+ * @returns {Promise<Object>} - The device
+ */
+export const unarchiveDevice = async (id) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.post(`/devices/${id}/unarchive`);
+  return response.data;
+};
+
+/**
+ * Add a device to the known devices allowlist
+ * @param {string} id - Device ID or IP address
+ * @returns {Promise<Object>} - The allowlist entry
+ */
+export const approveDevice = async (id) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.post(`/devices/${id}/approve`);
+  return response.data;
+};
+
+/**
+ * Ignore a device so it raises no security events
+ * @param {string} id - Device ID or IP address
+ * @returns {Promise<Object>} - The allowlist entry
+ */
+export const ignoreDevice = async (id) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+  const response = await apiClient.post(`/devices/${id}/ignore`);
+  return response.data;
+};
+
+/**
+ * Fetch the most recent security events
+ * @param {number} [limit=50] - Maximum number of events
+ * @returns {Promise<Array>} - Security events, newest first
+ */
+export const fetchSecurityEvents = async (limit = 50) => {
+  return withRetry(async () => {
+    const response = await apiClient.get('/security/events', { params: { limit } });
+    return response.data;
+  });
+};
+
 /**
  * Fetch current traffic statistics
  * @returns {Promise<Object>} - Current traffic stats object
@@ -145,6 +302,82 @@ export const fetchTrafficHistory = async (start, end) => {
   });
 };
 
+/**
+ * Fetch the health history of a device, downsampled by the server
+ * @param {string} id - Device ID or IP address
+ * @param {Date|number} start - Start of the range
+ * @param {Date|number} end - End of the range
+ * @returns {Promise<Object>} - History with points: { timestamp, samples, latency, jitter, packetLoss },
+ *   each metric given as { min, avg, max }
+ */
+export const fetchDeviceHealthHistory = async (id, start, end) => {
+  if (!id) {
+    throw new Error('Device ID is required');
+  }
+
+  return withRetry(async () => {
+    const response = await apiClient.get(`/devices/${id}/health/history`, {
+      params: { start: new Date(start).toISOString(), end: new Date(end).toISOString() }
+    });
+    return response.data;
+  });
+};
+
+/**
+ * Fetch the path monitoring targets with their last traceroute
+ * @returns {Promise<Array>} - Targets: { target, protocol, path }, path null before the first trace
+ */
+export const fetchPaths = async () => {
+  return withRetry(async () => {
+    const response = await apiClient.get('/paths');
+    return response.data;
+  });
+};
+
+/**
+ * Start tracing the path to a target
+ * @param {string} target - IPv4 address or host name
+ * @param {string} [protocol='udp'] - Probe packets: "udp" or "icmp"
+ * @returns {Promise<Object>} - The new target: { target, protocol, path: null }
+ */
+export const addPathTarget = async (target, protocol = 'udp') => {
+  const response = await apiClient.post('/paths', { target, protocol });
+  return response.data;
+};
+
+/**
+ * Stop tracing the path to a target
+ * @param {string} target - Target
+ * @returns {Promise<Object>} - { status: 'deleted', target }
+ */
+export const removePathTarget = async (target) => {
+  const response = await apiClient.delete(`/paths/${target}`);
+  return response.data;
+};
+
+/**
+ * Fetch the internet status with the last gateway, DNS resolver and external target checks
+ * @returns {Promise<Object>} - { status, reason, since, lastChecked, outageStart, checks }
+ */
+export const fetchWanStatus = async () => {
+  return withRetry(async () => {
+    const response = await apiClient.get('/wan');
+    return response.data;
+  });
+};
+
+/**
+ * Fetch the internet outages of a period
+ * @param {string} [range='7d'] - Period ending now (e.g. 24h, 7d)
+ * @returns {Promise<Object>} - { start, end, downtime, outageCount, isDown, outages }
+ */
+export const fetchWanOutages = async (range = '7d') => {
+  return withRetry(async () => {
+    const response = await apiClient.get('/wan/outages', { params: { range } });
+    return response.data;
+  });
+};
+
 /**
  * Fetch health metrics for all devices
  * @returns {Promise<Object>} - Map of IP addresses to health metrics
@@ -173,10 +406,26 @@ export { apiClient };
 export default {
   fetchDevices,
   triggerScan,
+  fetchScan,
+  cancelScan,
   fetchDeviceStatus,
   fetchDeviceHealth,
+  updateDeviceMetadata,
+  updateDeviceProbe,
+  deleteDevice,
+  fetchArchivedDevices,
+  unarchiveDevice,
+  approveDevice,
+  ignoreDevice,
+  fetchSecurityEvents,
   fetchCurrentTraffic,
   fetchTrafficHistory,
+  fetchDeviceHealthHistory,
+  fetchPaths,
+  addPathTarget,
+  removePathTarget,
+  fetchWanStatus,
+  fetchWanOutages,
   fetchAllHealth,
   fetchSystemInfo,
 };
@@ -269,10 +269,23 @@ class WebSocketService {
   _isServerSubscriptionEvent(event) {
     const serverEvents = [
       'device:discovered',
+      'device:ipChanged',
+      'security:event',
+      'device:updated',
+      'device:removed',
+      'device:flapping',
+      'device:unreachable',
+      'device:maintenance',
       'device:status',
       'traffic:update',
       'health:update',
-      'scan:complete'
+      'health:anomaly',
+      'path:update',
+      'path:changed',
+      'wan:update',
+      'dns:alert',
+      'scan:complete',
+      'scan:progress'
     ];
     return serverEvents.includes(event);
   }
@@ -284,10 +297,23 @@ class WebSocketService {
   _getSubscriptionEventName(event) {
     const mapping = {
       'device:discovered': 'subscribe:devices',
+      'device:ipChanged': 'subscribe:devices',
+      'security:event': 'subscribe:devices',
+      'device:updated': 'subscribe:devices',
+      'device:removed': 'subscribe:devices',
+      'device:flapping': 'subscribe:devices',
+      'device:unreachable': 'subscribe:devices',
+      'device:maintenance': 'subscribe:devices',
       'device:status': 'subscribe:devices',
       'traffic:update': 'subscribe:traffic',
       'health:update': 'subscribe:health',
-      'scan:complete': 'subscribe:devices'
+      'health:anomaly': 'subscribe:health',
+      'path:update': 'subscribe:health',
+      'path:changed': 'subscribe:health',
+      'wan:update': 'subscribe:health',
+      'dns:alert': 'subscribe:health',
+      'scan:complete': 'subscribe:devices',
+      'scan:progress': 'subscribe:devices'
     };
     return mapping[event];
   }
@@ -299,10 +325,23 @@ class WebSocketService {
   _getUnsubscriptionEventName(event) {
     const mapping = {
       'device:discovered': 'unsubscribe:devices',
+      'device:ipChanged': 'unsubscribe:devices',
+      'security:event': 'unsubscribe:devices',
+      'device:updated': 'unsubscribe:devices',
+      'device:removed': 'unsubscribe:devices',
+      'device:flapping': 'unsubscribe:devices',
+      'device:unreachable': 'unsubscribe:devices',
+      'device:maintenance': 'unsubscribe:devices',
       'device:status': 'unsubscribe:devices',
       'traffic:update': 'unsubscribe:traffic',
       'health:update': 'unsubscribe:health',
-      'scan:complete': 'unsubscribe:devices'
+      'health:anomaly': 'unsubscribe:health',
+      'path:update': 'unsubscribe:health',
+      'path:changed': 'unsubscribe:health',
+      'wan:update': 'unsubscribe:health',
+      'dns:alert': 'unsubscribe:health',
+      'scan:complete': 'unsubscribe:devices',
+      'scan:progress': 'unsubscribe:devices'
     };
     return mapping[event];
   }
@@ -316,10 +355,23 @@ class WebSocketService {
 
     const serverEvents = [
       'device:discovered',
+      'device:ipChanged',
+      'security:event',
+      'device:updated',
+      'device:removed',
+      'device:flapping',
+      'device:unreachable',
+      'device:maintenance',
       'device:status',
       'traffic:update',
       'health:update',
-      'scan:complete'
+      'health:anomaly',
+      'path:update',
+      'path:changed',
+      'wan:update',
+      'dns:alert',
+      'scan:complete',
+      'scan:progress'
     ];
 
     serverEvents.forEach(event => {
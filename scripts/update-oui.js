@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * OUI Update Script
+ * Refreshes the MAC vendor registry from locally downloaded IEEE registry files
+ *
+ * Usage: npm run oui:update -- <oui.csv> [mam.csv] [oui36.csv]
+ * Files are available from https://standards-oui.ieee.org/ (MA-L, MA-M and MA-S CSV exports)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Load environment variables
+require('dotenv').config();
+
+const VendorLookup = require('../server/components/VendorLookup');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(require('os').homedir(), '.network-monitor');
+const files = process.argv.slice(2);
+
+console.log('Network Monitor - OUI Registry Update');
+console.log('=====================================');
+console.log(`Data directory: ${DATA_DIR}`);
+console.log('');
+
+if (files.length === 0) {
+  console.error('Usage: npm run oui:update -- <oui.csv> [mam.csv] [oui36.csv]');
+  process.exit(1);
+}
+
+(async () => {
+  try {
+    const contents = files.map(file => {
+      console.log(`Reading ${file}`);
+      return fs.readFileSync(file, 'utf8');
+    });
+
+    const vendorLookup = new VendorLookup({ dataDir: DATA_DIR });
+    const { imported, total } = await vendorLookup.importRegistry(contents);
+
+    console.log('');
+    console.log(`✓ Imported ${imported} assignments (${total} total) into ${vendorLookup.overridePath}`);
+    console.log('Restart the server to apply the refreshed registry.');
+  } catch (error) {
+    console.error('Error updating OUI registry:', error.message);
+    process.exit(1);
+  }
+})();
@@ -7,6 +7,15 @@ const express = require('express');
 const path = require('path');
 const os = require('os');
 const WebSocket = require('ws');
+const { expandRanges } = require('../utils/ipRange');
+const { DEVICE_TYPES, validateMetadataPatch, matchesSearch } = require('../utils/deviceMetadata');
+const { validateProbeConfig } = require('../utils/probeConfig');
+const { parseReportRange, computeUptime } = require('../utils/uptime');
+const { validateParentId, wouldCreateLoop, suggestParents } = require('../utils/dependencies');
+const { validateProfileId } = require('../utils/monitoringProfiles');
+const { parseHistoryQuery, downsampleHealth } = require('../utils/healthHistory');
+const { validatePathTarget } = require('../utils/traceroute');
+const { summarizeDnsResults } = require('../utils/dnsMonitor');
 
 /**
  * Create and configure the Express REST API server
@@ -16,8 +25,17 @@ const WebSocket = require('ws');
  * @param {Object} components.trafficAnalyzer - TrafficAnalyzer instance
  * @param {Object} components.healthMonitor - HealthMonitor instance
  * @param {Object} components.dataStore - DataStore instance
+ * @param {Object} [components.vendorLookup] - VendorLookup instance
+ * @param {Object} [components.securityMonitor] - SecurityMonitor instance
+ * @param {Object} [components.maintenanceCalendar] - MaintenanceCalendar instance
+ * @param {Object} [components.monitoringProfiles] - MonitoringProfiles instance
+ * @param {Object} [components.wanMonitor] - WanMonitor instance
+ * @param {Object} [components.dnsMonitor] - DnsMonitor instance
  * @param {Object} options - Server options
  * @param {number} [options.port=3000] - Port to listen on
+ * @param {string|string[]} [options.subnet="192.168.1"] - Default ranges for scans without a body
+ * @param {string|string[]} [options.exclude] - Default ranges excluded from scans
+ * @param {string[]} [options.gateways] - Default gateway addresses, suggested as the parent of other devices
  * @returns {Object} Express app and server control functions
  */
 function createServer(components, options = {}) {
@@ -26,10 +44,19 @@ function createServer(components, options = {}) {
     statusMonitor,
     trafficAnalyzer,
     healthMonitor,
-    dataStore
+    dataStore,
+    vendorLookup,
+    securityMonitor,
+    maintenanceCalendar,
+    monitoringProfiles,
+    wanMonitor,
+    dnsMonitor
   } = components;
 
   const port = options.port || 3000;
+  const defaultSubnet = options.subnet || '192.168.1';
+  const defaultExclude = options.exclude || [];
+  const gateways = options.gateways || [];
   const app = express();
 
   // Middleware
@@ -50,172 +77,1758 @@ function createServer(components, options = {}) {
 
   /**
    * GET /api/devices
-   * Returns all discovered devices
+   * Returns all discovered devices, or only the archived ones with archived=true
+   * Query (optional): q (words matched against addresses, names, vendor and user metadata),
+   * tag, type (device type), archived
    */
   app.get('/api/devices', async (req, res, next) => {
     try {
+      const { q, tag, type, archived } = req.query;
+      if ([q, tag, type, archived].some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'q, tag, type and archived must be given once',
+          example: { q: 'printer office', tag: 'iot', type: 'printer' }
+        });
+      }
+      if (archived !== undefined && archived !== 'true' && archived !== 'false') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'archived must be true or false',
+          example: { archived: 'true' }
+        });
+      }
+      if (type && !DEVICE_TYPES.includes(type)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `type must be one of ${DEVICE_TYPES.join(', ')}`,
+          example: { type: 'printer' }
+        });
+      }
+
+      const devices = await dataStore.getAllDevices();
+      const showArchived = archived === 'true';
+      res.json(devices
+        .filter(device => Boolean(device.archivedAt) === showArchived)
+        .filter(device => matchesSearch(device, { query: q, tag, type }))
+        .map(withApproval));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/devices/scan
+   * Trigger a new network scan
+   * Body (optional): subnet (CIDR, prefix or list of them), exclude (ranges to skip)
+   */
+  app.post('/api/devices/scan', async (req, res, next) => {
+    try {
+      const subnet = req.body.subnet || defaultSubnet;
+      const exclude = req.body.exclude || defaultExclude;
+
+      let hostCount;
+      try {
+        hostCount = expandRanges(subnet, exclude).length;
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { subnet: ['10.0.0.0/22', '192.168.20.0/24'], exclude: ['10.0.1.0/28'] }
+        });
+      }
+
+      let job;
+      try {
+        job = deviceScanner.startScan(subnet, { exclude });
+      } catch (scanError) {
+        if (scanError.statusCode === 409) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: scanError.message,
+            activeScan: scanError.activeScan
+          });
+        }
+        throw scanError;
+      }
+
+      res.json({
+        status: 'started',
+        scanId: job.id,
+        scan: job,
+        hostCount,
+        estimatedTime: deviceScanner.estimateScanTime(hostCount)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/scans
+   * List recent and pending scan jobs
+   */
+  app.get('/api/scans', (req, res, next) => {
+    try {
+      res.json(deviceScanner.getScanJobs());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/scans/:id
+   * Get progress of a scan job
+   */
+  app.get('/api/scans/:id', (req, res, next) => {
+    try {
+      const job = deviceScanner.getScanJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Scan not found',
+          message: `No scan job with ID ${req.params.id}`
+        });
+      }
+
+      res.json(job);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/scans/:id
+   * Cancel a queued or running scan job
+   */
+  app.delete('/api/scans/:id', (req, res, next) => {
+    try {
+      let job;
+      try {
+        job = deviceScanner.cancelScan(req.params.id);
+      } catch (cancelError) {
+        if (cancelError.statusCode === 409) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: cancelError.message
+          });
+        }
+        throw cancelError;
+      }
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Scan not found',
+          message: `No scan job with ID ${req.params.id}`
+        });
+      }
+
+      res.json(job);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Resolve a device ID or IP address from a route parameter to the device's current IP address
+   * @param {string} idOrIp - Stable device ID or IP address
+   * @returns {Promise<string>} IP address (the parameter itself if no device matches)
+   */
+  async function resolveDeviceIp(idOrIp) {
+    const device = await dataStore.getDevice(idOrIp);
+    return device ? device.ipAddress : idOrIp;
+  }
+
+  /**
+   * Get the addresses a device used and when, so its history can be followed across address changes:
+   * each address from when it was first seen until the next one was
+   * @param {Object} device - Device
+   * @returns {Array<{ipAddress: string, from: number, to: number}>} Addresses and their periods (ms since epoch)
+   */
+  function addressPeriods(device) {
+    const history = device.ipHistory && device.ipHistory.length > 0 ? device.ipHistory : [{ ipAddress: device.ipAddress }];
+
+    return history.map((entry, i) => ({
+      ipAddress: entry.ipAddress,
+      from: i === 0 ? -Infinity : new Date(entry.firstSeen).getTime(),
+      to: i === history.length - 1 ? Infinity : new Date(history[i + 1].firstSeen).getTime()
+    }));
+  }
+
+  /**
+   * Add the allowlist status to a device sent to clients
+   * @param {Object} device - Device
+   * @returns {Object} Device with approval ("approved", "ignored" or "pending")
+   */
+  function withApproval(device) {
+    return securityMonitor ? { ...device, approval: securityMonitor.getApproval(device.id) } : device;
+  }
+
+  /**
+   * Respond with 503 if security monitoring is not enabled
+   * @param {Object} res - Express response
+   * @returns {boolean} True if a response was sent
+   */
+  function securityUnavailable(res) {
+    if (securityMonitor) {
+      return false;
+    }
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Security monitoring is not enabled'
+    });
+    return true;
+  }
+
+  /**
+   * Respond with 503 if WAN monitoring is not enabled
+   * @param {Object} res - Express response
+   * @returns {boolean} True if a response was sent
+   */
+  function wanUnavailable(res) {
+    if (wanMonitor) {
+      return false;
+    }
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'WAN monitoring is not enabled'
+    });
+    return true;
+  }
+
+  /**
+   * Respond with 503 if DNS monitoring is not enabled
+   * @param {Object} res - Express response
+   * @returns {boolean} True if a response was sent
+   */
+  function dnsUnavailable(res) {
+    if (dnsMonitor) {
+      return false;
+    }
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'DNS monitoring is not enabled'
+    });
+    return true;
+  }
+
+  /**
+   * Build a handler that puts a device on the allowlist with the given status
+   * @param {'approved'|'ignored'} status - Allowlist status
+   * @returns {Function} Express handler
+   */
+  function reviewDevice(status) {
+    return async (req, res, next) => {
+      try {
+        if (securityUnavailable(res)) {
+          return;
+        }
+
+        const device = await dataStore.getDevice(req.params.id);
+        if (!device) {
+          return res.status(404).json({
+            error: 'Device not found',
+            message: `No device with ID or IP address ${req.params.id}`
+          });
+        }
+
+        const note = req.body && req.body.note;
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'note must be a string',
+            example: { note: 'Office printer' }
+          });
+        }
+
+        let entry;
+        try {
+          entry = securityMonitor.setApproval(device, status, note);
+        } catch (approvalError) {
+          if (approvalError.statusCode === 400) {
+            return res.status(400).json({
+              error: 'Bad Request',
+              message: approvalError.message
+            });
+          }
+          throw approvalError;
+        }
+
+        await dataStore.saveKnownDevice(entry);
+        res.json(entry);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * POST /api/devices/:id/approve
+   * Add a device to the known devices allowlist
+   * Body (optional): note
+   */
+  app.post('/api/devices/:id/approve', reviewDevice('approved'));
+
+  /**
+   * POST /api/devices/:id/ignore
+   * Ignore a device: it stays off the allowlist's alerts and raises no security events
+   * Body (optional): note
+   */
+  app.post('/api/devices/:id/ignore', reviewDevice('ignored'));
+
+  /**
+   * GET /api/devices/:id
+   * Get a device, including its IP address history
+   * :id accepts the stable device ID or the current IP address
+   */
+  app.get('/api/devices/:id', async (req, res, next) => {
+    try {
+      const device = await dataStore.getDevice(req.params.id);
+
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      res.json(withApproval(device));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PATCH /api/devices/:id
+   * Edit the user metadata of a device; it is kept across rescans
+   * :id accepts the stable device ID or the current IP address
+   * Body: any of name, tags, notes, owner, location, type (null clears a field)
+   */
+  app.patch('/api/devices/:id', async (req, res, next) => {
+    try {
+      let changes;
+      try {
+        changes = validateMetadataPatch(req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { name: 'Living room TV', tags: ['media'], location: 'Living room', type: 'tv' }
+        });
+      }
+
+      const device = await dataStore.updateDeviceMetadata(req.params.id, changes);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      deviceScanner.setMetadata(device.id, device.metadata);
+      // Profiles apply by tag
+      if (changes.tags !== undefined) {
+        refreshProfiles();
+      }
+
+      const updated = withApproval(device);
+      broadcast('devices', {
+        type: 'device:updated',
+        device: updated,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PUT /api/devices/:id/probe
+   * Choose how the device's status is checked; it is kept across rescans and restarts
+   * :id accepts the stable device ID or the current IP address
+   * Body: type ("icmp", "tcp", "http" or "dns"), timeout (ms) and the fields of the probe type:
+   *   tcp: port; http: port, https, path, expectedStatus, keyword; dns: name, recordType, port
+   */
+  app.put('/api/devices/:id/probe', async (req, res, next) => {
+    try {
+      let probe;
+      try {
+        probe = validateProbeConfig(req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { type: 'http', port: 8080, path: '/health', expectedStatus: [200], keyword: 'ok' }
+        });
+      }
+
+      const device = await dataStore.updateDeviceProbe(req.params.id, probe);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      deviceScanner.setProbe(device.id, probe);
+      if (!device.archivedAt) {
+        statusMonitor.setProbe(device.ipAddress, probe);
+      }
+
+      const updated = withApproval(device);
+      broadcast('devices', {
+        type: 'device:updated',
+        device: updated,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PUT /api/devices/:id/parent
+   * Set the device this device is reached through (e.g., the switch it is plugged into). While the
+   * parent is down the device is reported unreachable instead of offline.
+   * :id accepts the stable device ID or the current IP address
+   * Body: parentId (device ID, or null to remove the parent)
+   */
+  app.put('/api/devices/:id/parent', async (req, res, next) => {
+    try {
+      let parentId;
+      try {
+        parentId = validateParentId(req.body ? req.body.parentId : undefined);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { parentId: 'mac-b827eb123456' }
+        });
+      }
+
+      const child = await dataStore.getDevice(req.params.id);
+      if (!child) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      if (parentId !== null) {
+        const parent = await dataStore.getDevice(parentId);
+        if (!parent || parent.id !== parentId) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `No device with ID ${parentId}`,
+            example: { parentId: 'mac-b827eb123456' }
+          });
+        }
+        if (wouldCreateLoop(await dataStore.getAllDevices(), child.id, parentId)) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: `${parentId} already depends on ${child.id}`
+          });
+        }
+      }
+
+      const device = await dataStore.updateDeviceParent(child.id, parentId);
+      deviceScanner.setParent(device.id, parentId);
+      if (!device.archivedAt) {
+        statusMonitor.setParent(device.ipAddress, parentId);
+      }
+
+      const updated = withApproval(device);
+      broadcast('devices', {
+        type: 'device:updated',
+        device: updated,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PUT /api/devices/:id/profile
+   * Assign a monitoring profile to the device; it replaces the profile of the device's tags
+   * :id accepts the stable device ID or the current IP address
+   * Body: profileId (profile ID, or null to go back to the profile of the device's tags)
+   */
+  app.put('/api/devices/:id/profile', async (req, res, next) => {
+    try {
+      if (profilesUnavailable(res)) {
+        return;
+      }
+
+      let profileId;
+      try {
+        profileId = validateProfileId(req.body ? req.body.profileId : undefined);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { profileId: '3f0c9a52-8d1e-4b7a-9c55-0e2f4a6b8d10' }
+        });
+      }
+
+      if (profileId !== null && !monitoringProfiles.getProfile(profileId)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `No monitoring profile with ID ${profileId}`,
+          example: { profileId: '3f0c9a52-8d1e-4b7a-9c55-0e2f4a6b8d10' }
+        });
+      }
+
+      const device = await dataStore.updateDeviceProfile(req.params.id, profileId);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      deviceScanner.setProfile(device.id, profileId);
+      refreshProfiles();
+
+      const updated = withApproval(device);
+      broadcast('devices', {
+        type: 'device:updated',
+        device: updated,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/dependencies/suggestions
+   * Suggest the default gateway as the parent of the devices that have none
+   */
+  app.get('/api/dependencies/suggestions', async (req, res, next) => {
+    try {
+      res.json(suggestParents(await dataStore.getAllDevices(), gateways));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/devices/:id
+   * Forget a device: stop monitoring it and delete it with its health history, outages, security
+   * events and allowlist entry. If it shows up again it is treated as a new device. Devices that
+   * depended on it no longer have a parent.
+   * :id accepts the stable device ID or the current IP address
+   */
+  app.delete('/api/devices/:id', async (req, res, next) => {
+    try {
+      const device = await dataStore.getDevice(req.params.id);
+
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      // Monitors of the device are stopped by the deviceRemoved handler
+      deviceScanner.removeDevice(device.id, 'deleted');
+      if (securityMonitor) {
+        securityMonitor.forget(device.id);
+      }
+      const children = (await dataStore.getAllDevices()).filter(d => d.parentId === device.id);
+      await dataStore.purgeDevice(device.id);
+
+      // Devices that depended on it no longer have a parent
+      for (const child of children) {
+        deviceScanner.setParent(child.id, null);
+        statusMonitor.setParent(child.ipAddress, null);
+      }
+
+      res.json({ status: 'deleted', device });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/devices/:id/unarchive
+   * Bring an archived device back to the device list
+   * :id accepts the stable device ID or the current IP address
+   */
+  app.post('/api/devices/:id/unarchive', async (req, res, next) => {
+    try {
+      const archived = await dataStore.getDevice(req.params.id);
+
+      if (!archived) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+      if (!archived.archivedAt) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Device ${archived.id} is not archived`
+        });
+      }
+
+      const device = await dataStore.unarchiveDevice(archived.id);
+      deviceScanner.restoreDevices([device]);
+
+      // Monitors are keyed by address: only monitor the device if it holds its address now
+      const holder = deviceScanner.findDeviceByIp(device.ipAddress);
+      if (holder && holder.id === device.id) {
+        statusMonitor.startMonitoring(holder);
+        healthMonitor.startMonitoring(holder.ipAddress);
+      }
+
+      const restored = withApproval(device);
+      broadcast('devices', {
+        type: 'device:updated',
+        device: restored,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json(restored);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/devices/:id/status
+   * Get current status of a specific device
+   * :id accepts the stable device ID or the current IP address
+   */
+  app.get('/api/devices/:id/status', async (req, res, next) => {
+    try {
+      const ipAddress = await resolveDeviceIp(req.params.id);
+      const statuses = statusMonitor.getDeviceStatuses();
+      const status = statuses.get(ipAddress);
+
+      if (!status) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No status information available for device ${ipAddress}`,
+          availableDevices: Array.from(statuses.keys())
+        });
+      }
+
+      res.json(status);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/devices/:id/health
+   * Get health metrics for a specific device, with what its baseline expects at this time of day
+   * (null while a baseline is still learning)
+   * :id accepts the stable device ID or the current IP address
+   */
+  app.get('/api/devices/:id/health', async (req, res, next) => {
+    try {
+      const ipAddress = await resolveDeviceIp(req.params.id);
+      const metrics = healthMonitor.getHealthMetrics(ipAddress);
+
+      if (!metrics) {
+        const allMetrics = healthMonitor.getAllHealthMetrics();
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No health metrics available for device ${ipAddress}`,
+          availableDevices: Array.from(allMetrics.keys())
+        });
+      }
+
+      res.json({ ...metrics, baseline: healthMonitor.getBaseline(ipAddress) || null });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/devices/:id/health/history
+   * Get the recorded health of a device downsampled for charts: minimum, average and maximum
+   * latency, jitter and packet loss per time bucket, across the addresses the device used
+   * :id accepts the stable device ID or an IP address
+   * Query (optional): start, end (ISO 8601; default the last 24 hours), resolution (e.g. 30s, 5m, 1h;
+   * default auto)
+   */
+  app.get('/api/devices/:id/health/history', async (req, res, next) => {
+    try {
+      let query;
+      try {
+        query = parseHistoryQuery(req.query);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: '/api/devices/192.168.1.20/health/history?start=2024-01-15T00:00:00Z&end=2024-01-15T23:59:59Z&resolution=5m'
+        });
+      }
+
+      const device = await dataStore.getDevice(req.params.id);
+      const periods = device ? addressPeriods(device) : [{ ipAddress: req.params.id, from: -Infinity, to: Infinity }];
+
+      const metrics = [];
+      for (const period of periods) {
+        const recorded = await dataStore.getHealthMetrics(period.ipAddress, query.start, query.end);
+        metrics.push(...recorded.filter(metric => {
+          const time = metric.lastUpdated.getTime();
+          return time >= period.from && time < period.to;
+        }));
+      }
+
+      if (!device && metrics.length === 0 && !healthMonitor.getHealthMetrics(req.params.id)) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      res.json({
+        id: device ? device.id : null,
+        ipAddress: device ? device.ipAddress : req.params.id,
+        start: query.start,
+        end: query.end,
+        resolution: query.resolution,
+        points: downsampleHealth(metrics, query)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/devices/:id/services
+   * Get the open TCP ports and services found by the service scan
+   * :id accepts the stable device ID or the current IP address
+   */
+  app.get('/api/devices/:id/services', async (req, res, next) => {
+    try {
+      const device = await dataStore.getDevice(req.params.id);
+
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      res.json({
+        id: device.id,
+        ipAddress: device.ipAddress,
+        enabled: Boolean(deviceScanner.serviceScanner),
+        openPorts: device.openPorts || [],
+        services: device.services || [],
+        advertisedServices: device.advertisedServices || [],
+        scannedAt: device.servicesScannedAt || null
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/devices/:id/uptime
+   * Get the uptime, outages, MTTR and MTBF of a device over a period. Time in maintenance windows
+   * is left out and listed as maintenance.
+   * :id accepts the stable device ID or the current IP address
+   * Query (optional): range (e.g. 24h, 30d; default 30d), month (YYYY-MM, UTC) or start and end (ISO 8601)
+   */
+  app.get('/api/devices/:id/uptime', async (req, res, next) => {
+    try {
+      let period;
+      try {
+        period = parseReportRange(req.query);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { range: '30d' }
+        });
+      }
+
+      const device = await dataStore.getDevice(req.params.id);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `No device with ID or IP address ${req.params.id}`
+        });
+      }
+
+      const outages = await dataStore.getOutages(device.id, period.start, period.end);
+      const maintenance = maintenancePeriods(device, period);
+      const report = computeUptime(outages, { ...period, monitoredSince: device.firstSeen, excluded: maintenance });
+
+      res.json({
+        id: device.id,
+        ipAddress: device.ipAddress,
+        ...report,
+        outages: outages.map(outage => ({
+          start: outage.start,
+          end: outage.end,
+          ipAddress: outage.ipAddress,
+          duration: (outage.end ? outage.end.getTime() : Date.now()) - outage.start.getTime()
+        })),
+        maintenance
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/reports/sla
+   * Availability report of the fleet: uptime, outages, MTTR and MTBF of every device that is not
+   * archived, and whether it met the availability target; time in maintenance windows is left out
+   * Query (optional): range, month or start and end as for /api/devices/:id/uptime, tag (only
+   * devices with this tag), target (availability target in percent, default 99.9)
+   */
+  app.get('/api/reports/sla', async (req, res, next) => {
+    try {
+      const { tag, target } = req.query;
+      let period;
+      try {
+        period = parseReportRange(req.query);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { month: '2024-01', tag: 'critical', target: '99.9' }
+        });
+      }
+      if ([tag, target].some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'tag and target must be given once',
+          example: { month: '2024-01', tag: 'critical', target: '99.9' }
+        });
+      }
+      const targetPercent = target === undefined ? 99.9 : Number(target);
+      if (target === '' || !Number.isFinite(targetPercent) || targetPercent < 0 || targetPercent > 100) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'target must be a percentage between 0 and 100',
+          example: { month: '2024-01', tag: 'critical', target: '99.9' }
+        });
+      }
+
+      const devices = (await dataStore.getAllDevices())
+        .filter(device => !device.archivedAt)
+        .filter(device => matchesSearch(device, { tag }));
+
+      const rows = [];
+      for (const device of devices) {
+        const outages = await dataStore.getOutages(device.id, period.start, period.end);
+        const report = computeUptime(outages, {
+          ...period,
+          monitoredSince: device.firstSeen,
+          excluded: maintenancePeriods(device, period)
+        });
+        rows.push({
+          id: device.id,
+          name: (device.metadata && device.metadata.name) || device.hostname || null,
+          ipAddress: device.ipAddress,
+          uptimePercent: report.uptimePercent,
+          downtime: report.downtime,
+          outageCount: report.outageCount,
+          mttr: report.mttr,
+          mtbf: report.mtbf,
+          isDown: report.isDown,
+          meetsTarget: report.uptimePercent === null ? null : report.uptimePercent >= targetPercent
+        });
+      }
+
+      // Worst availability first; devices not known during the period last
+      rows.sort((a, b) => (a.uptimePercent === null ? Infinity : a.uptimePercent) -
+        (b.uptimePercent === null ? Infinity : b.uptimePercent));
+
+      const reported = rows.filter(row => row.uptimePercent !== null);
+      res.json({
+        start: period.start,
+        end: period.end,
+        target: targetPercent,
+        summary: {
+          devices: rows.length,
+          meetingTarget: reported.filter(row => row.meetsTarget).length,
+          missingTarget: reported.filter(row => !row.meetsTarget).length,
+          averageUptime: reported.length > 0
+            ? Math.round(reported.reduce((sum, row) => sum + row.uptimePercent, 0) / reported.length * 1000) / 1000
+            : null,
+          downtime: rows.reduce((sum, row) => sum + row.downtime, 0),
+          outageCount: rows.reduce((sum, row) => sum + row.outageCount, 0)
+        },
+        devices: rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/traffic/current
+   * Get current traffic statistics
+   */
+  app.get('/api/traffic/current', (req, res, next) => {
+    try {
+      const stats = trafficAnalyzer.getCurrentStats();
+
+      if (!stats) {
+        return res.json({
+          message: 'Traffic monitoring not yet initialized',
+          timestamp: new Date(),
+          bytesReceived: 0,
+          bytesSent: 0,
+          bytesReceivedPerSec: 0,
+          bytesSentPerSec: 0,
+          packetsReceived: 0,
+          packetsSent: 0
+        });
+      }
+
+      res.json(stats);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/traffic/history
+   * Get historical traffic data
+   * Query parameters: start (ISO timestamp), end (ISO timestamp)
+   */
+  app.get('/api/traffic/history', async (req, res, next) => {
+    try {
+      const { start, end } = req.query;
+
+      if (!start || !end) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Both start and end query parameters are required',
+          example: '/api/traffic/history?start=2024-01-15T00:00:00Z&end=2024-01-15T23:59:59Z'
+        });
+      }
+
+      const startTime = new Date(start);
+      const endTime = new Date(end);
+
+      if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid date format. Use ISO 8601 format (e.g., 2024-01-15T00:00:00Z)'
+        });
+      }
+
+      const historicalStats = trafficAnalyzer.getHistoricalStats(startTime, endTime);
+      res.json(historicalStats);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/health/all
+   * Get health metrics for all devices
+   */
+  app.get('/api/health/all', (req, res, next) => {
+    try {
+      const allMetrics = healthMonitor.getAllHealthMetrics();
+      
+      // Convert Map to object for JSON serialization
+      const metricsObject = {};
+      for (const [ip, metrics] of allMetrics.entries()) {
+        metricsObject[ip] = metrics;
+      }
+
+      res.json(metricsObject);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/vendors
+   * Get vendor registry statistics
+   */
+  app.get('/api/vendors', (req, res, next) => {
+    try {
+      if (!vendorLookup) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Vendor lookup is not enabled'
+        });
+      }
+
+      res.json(vendorLookup.getStats());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/vendors/:mac
+   * Look up the vendor of a MAC address
+   */
+  app.get('/api/vendors/:mac', (req, res, next) => {
+    try {
+      if (!vendorLookup) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Vendor lookup is not enabled'
+        });
+      }
+
+      const hex = req.params.mac.replace(/[:\-.]/g, '');
+      if (!/^[0-9a-fA-F]{12}$/.test(hex)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid MAC address',
+          example: '/api/vendors/B8:27:EB:12:34:56'
+        });
+      }
+
+      res.json({ macAddress: req.params.mac, ...vendorLookup.lookup(req.params.mac) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/vendors/update
+   * Refresh the vendor registry from an uploaded IEEE CSV (oui.csv, mam.csv, oui36.csv)
+   * Body: raw file contents (text/csv or text/plain)
+   */
+  app.post('/api/vendors/update', express.text({ type: ['text/*'], limit: '20mb' }), async (req, res, next) => {
+    try {
+      if (!vendorLookup) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Vendor lookup is not enabled'
+        });
+      }
+
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Request body must contain registry data sent as text/csv or text/plain'
+        });
+      }
+
+      let summary;
+      try {
+        summary = await vendorLookup.importRegistry(req.body);
+      } catch (importError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: importError.message
+        });
+      }
+
+      // Apply the refreshed registry to known devices
+      const updatedDevices = deviceScanner.refreshVendors();
+      for (const device of updatedDevices) {
+        await dataStore.saveDevice(device);
+      }
+
+      res.json({
+        ...summary,
+        updatedDevices: updatedDevices.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Get the maintenance periods of a device within a report period
+   * @param {Object} device - Device
+   * @param {{start: Date, end: Date}} period - Report period
+   * @returns {Array<{start: Date, end: Date}>} Periods, clipped to the report period
+   */
+  function maintenancePeriods(device, period) {
+    return maintenanceCalendar ? maintenanceCalendar.getMaintenancePeriods(device, period.start, period.end) : [];
+  }
+
+  /**
+   * Respond with 503 if maintenance windows are not available
+   * @param {import('express').Response} res - Response
+   * @returns {boolean} True if a response was sent
+   */
+  function maintenanceUnavailable(res) {
+    if (maintenanceCalendar) {
+      return false;
+    }
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Maintenance windows are not enabled'
+    });
+    return true;
+  }
+
+  /** Example maintenance window for 400 responses */
+  const MAINTENANCE_EXAMPLE = { name: 'Lab shutdown', scope: 'tag', tag: 'lab', mode: 'pause', schedule: '0 22 * * mon-fri', duration: 600 };
+
+  /**
+   * Save a maintenance window given in a request body: a device given by IP address is stored by
+   * its device ID, and the window is added or, with an ID, replaced
+   * @param {import('express').Request} req - Request
+   * @param {import('express').Response} res - Response
+   * @param {string} [id] - ID of the window to replace
+   * @returns {Promise<Object|null|undefined>} Saved window, null if there is no window with the ID,
+   *   or undefined if a 400 response was sent
+   */
+  async function saveMaintenanceWindow(req, res, id) {
+    let input = req.body;
+    if (input && input.scope === 'device' && typeof input.deviceId === 'string') {
+      const device = await dataStore.getDevice(input.deviceId.trim());
+      if (!device) {
+        res.status(400).json({
+          error: 'Bad Request',
+          message: `No device with ID or IP address ${input.deviceId}`,
+          example: MAINTENANCE_EXAMPLE
+        });
+        return undefined;
+      }
+      input = { ...input, deviceId: device.id };
+    }
+
+    let window;
+    try {
+      window = id === undefined ? maintenanceCalendar.addWindow(input) : maintenanceCalendar.updateWindow(id, input);
+    } catch (validationError) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message,
+        example: MAINTENANCE_EXAMPLE
+      });
+      return undefined;
+    }
+
+    if (window) {
+      await dataStore.saveMaintenanceWindow(window);
+    }
+    return window;
+  }
+
+  /**
+   * GET /api/maintenance
+   * Get all maintenance windows, with whether each is in effect now
+   */
+  app.get('/api/maintenance', (req, res, next) => {
+    try {
+      if (maintenanceUnavailable(res)) {
+        return;
+      }
+
+      const now = new Date();
+      res.json(maintenanceCalendar.getWindows().map(window => ({
+        ...window,
+        isActive: maintenanceCalendar.isActive(window, now)
+      })));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/maintenance
+   * Add a maintenance window
+   * Body: name, scope ("device" with deviceId, "tag" with tag, or "global"), mode ("pause" or
+   * "flag", default "flag"), and either start and end (ISO 8601) or schedule (cron, server local
+   * time) and duration (minutes)
+   */
+  app.post('/api/maintenance', async (req, res, next) => {
+    try {
+      if (maintenanceUnavailable(res)) {
+        return;
+      }
+
+      const window = await saveMaintenanceWindow(req, res);
+      if (window) {
+        res.status(201).json({ ...window, isActive: maintenanceCalendar.isActive(window) });
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/maintenance/:id
+   * Get a maintenance window
+   */
+  app.get('/api/maintenance/:id', (req, res, next) => {
+    try {
+      if (maintenanceUnavailable(res)) {
+        return;
+      }
+
+      const window = maintenanceCalendar.getWindow(req.params.id);
+      if (!window) {
+        return res.status(404).json({
+          error: 'Maintenance window not found',
+          message: `No maintenance window with ID ${req.params.id}`
+        });
+      }
+
+      res.json({ ...window, isActive: maintenanceCalendar.isActive(window) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PUT /api/maintenance/:id
+   * Replace a maintenance window
+   * Body: as for POST /api/maintenance
+   */
+  app.put('/api/maintenance/:id', async (req, res, next) => {
+    try {
+      if (maintenanceUnavailable(res)) {
+        return;
+      }
+
+      const window = await saveMaintenanceWindow(req, res, req.params.id);
+      if (window === null) {
+        return res.status(404).json({
+          error: 'Maintenance window not found',
+          message: `No maintenance window with ID ${req.params.id}`
+        });
+      }
+      if (window) {
+        res.json({ ...window, isActive: maintenanceCalendar.isActive(window) });
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/maintenance/:id
+   * Remove a maintenance window; devices in maintenance only because of it are checked as usual
+   * from their next check on
+   */
+  app.delete('/api/maintenance/:id', async (req, res, next) => {
+    try {
+      if (maintenanceUnavailable(res)) {
+        return;
+      }
+
+      const window = maintenanceCalendar.removeWindow(req.params.id);
+      if (!window) {
+        return res.status(404).json({
+          error: 'Maintenance window not found',
+          message: `No maintenance window with ID ${req.params.id}`
+        });
+      }
+
+      await dataStore.deleteMaintenanceWindow(window.id);
+      res.json(window);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Respond with 503 if monitoring profiles are not available
+   * @param {import('express').Response} res - Response
+   * @returns {boolean} True if a response was sent
+   */
+  function profilesUnavailable(res) {
+    if (monitoringProfiles) {
+      return false;
+    }
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Monitoring profiles are not enabled'
+    });
+    return true;
+  }
+
+  /**
+   * Have the monitors look up the profile of every device again, after profiles, assignments or
+   * tags changed
+   */
+  function refreshProfiles() {
+    if (!monitoringProfiles) {
+      return;
+    }
+    statusMonitor.refreshProfiles();
+    healthMonitor.refreshProfiles();
+  }
+
+  /** Example monitoring profile for 400 responses */
+  const PROFILE_EXAMPLE = {
+    name: 'Critical server',
+    tags: ['server'],
+    status: { checkInterval: 10000, failureThreshold: 2 },
+    health: { latencyThreshold: 50 }
+  };
+
+  /**
+   * GET /api/profiles
+   * Get all monitoring profiles, with the IDs of the devices assigned to each
+   */
+  app.get('/api/profiles', async (req, res, next) => {
+    try {
+      if (profilesUnavailable(res)) {
+        return;
+      }
+
       const devices = await dataStore.getAllDevices();
-      res.json(devices);
+      res.json(monitoringProfiles.getProfiles().map(profile => ({
+        ...profile,
+        deviceIds: devices.filter(device => device.profileId === profile.id).map(device => device.id)
+      })));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/profiles
+   * Add a monitoring profile. A device uses the profile assigned to it, or else the oldest profile
+   * applying to one of its tags; settings a profile leaves out (or sets to null) keep the default.
+   * Body: name, tags, status (enabled, checkInterval, failureThreshold, recoveryThreshold) and
+   * health (enabled, updateInterval, pingCount, latencyThreshold, packetLossThreshold)
+   */
+  app.post('/api/profiles', async (req, res, next) => {
+    try {
+      if (profilesUnavailable(res)) {
+        return;
+      }
+
+      let profile;
+      try {
+        profile = monitoringProfiles.addProfile(req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: PROFILE_EXAMPLE
+        });
+      }
+
+      await dataStore.saveMonitoringProfile(profile);
+      refreshProfiles();
+      res.status(201).json(profile);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/profiles/:id
+   * Get a monitoring profile
+   */
+  app.get('/api/profiles/:id', (req, res, next) => {
+    try {
+      if (profilesUnavailable(res)) {
+        return;
+      }
+
+      const profile = monitoringProfiles.getProfile(req.params.id);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Monitoring profile not found',
+          message: `No monitoring profile with ID ${req.params.id}`
+        });
+      }
+
+      res.json(profile);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PUT /api/profiles/:id
+   * Replace a monitoring profile; the monitors use the new settings right away
+   * Body: as for POST /api/profiles
+   */
+  app.put('/api/profiles/:id', async (req, res, next) => {
+    try {
+      if (profilesUnavailable(res)) {
+        return;
+      }
+
+      let profile;
+      try {
+        profile = monitoringProfiles.updateProfile(req.params.id, req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: PROFILE_EXAMPLE
+        });
+      }
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Monitoring profile not found',
+          message: `No monitoring profile with ID ${req.params.id}`
+        });
+      }
+
+      await dataStore.saveMonitoringProfile(profile);
+      refreshProfiles();
+      res.json(profile);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/profiles/:id
+   * Remove a monitoring profile. Devices it was assigned to go back to the profile of their tags.
+   */
+  app.delete('/api/profiles/:id', async (req, res, next) => {
+    try {
+      if (profilesUnavailable(res)) {
+        return;
+      }
+
+      const profile = monitoringProfiles.removeProfile(req.params.id);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Monitoring profile not found',
+          message: `No monitoring profile with ID ${req.params.id}`
+        });
+      }
+
+      await dataStore.deleteMonitoringProfile(profile.id);
+      const assigned = (await dataStore.getAllDevices()).filter(device => device.profileId === profile.id);
+      for (const device of assigned) {
+        await dataStore.updateDeviceProfile(device.id, null);
+        deviceScanner.setProfile(device.id, null);
+      }
+      refreshProfiles();
+
+      res.json(profile);
     } catch (error) {
       next(error);
     }
   });
 
   /**
-   * POST /api/devices/scan
-   * Trigger a new network scan
+   * GET /api/paths
+   * Get the path monitoring targets with their last trace (null until the first trace is done)
    */
-  app.post('/api/devices/scan', async (req, res, next) => {
+  app.get('/api/paths', (req, res, next) => {
     try {
-      // Start scan asynchronously
-      const subnet = req.body.subnet || '192.168.1';
-      
-      // Estimate time based on 254 devices with ~2 second timeout each
-      // With parallel scanning, should complete in ~60 seconds
-      const estimatedTime = 60000;
+      res.json(healthMonitor.getPaths());
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      // Trigger scan in background
-      setImmediate(async () => {
-        try {
-          await deviceScanner.scanNetwork(subnet);
-        } catch (error) {
-          console.error('Background scan error:', error);
-        }
-      });
+  /**
+   * POST /api/paths
+   * Start tracing the path to a target
+   * Body: target (IPv4 address or host name), protocol ("udp" or "icmp", default "udp")
+   */
+  app.post('/api/paths', async (req, res, next) => {
+    try {
+      let entry;
+      try {
+        entry = validatePathTarget(req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { target: '8.8.8.8', protocol: 'icmp' }
+        });
+      }
 
-      res.json({
-        status: 'started',
-        estimatedTime
-      });
+      if (healthMonitor.getPath(entry.target) !== undefined) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `The path to ${entry.target} is already monitored`
+        });
+      }
+
+      await dataStore.savePathTarget({ ...entry, addedAt: new Date().toISOString(), path: null });
+      healthMonitor.startPathMonitoring(entry.target, entry.protocol);
+      res.status(201).json({ ...entry, path: null });
     } catch (error) {
       next(error);
     }
   });
 
   /**
-   * GET /api/devices/:ip/status
-   * Get current status of a specific device
+   * GET /api/paths/:target
+   * Get the last trace of a path monitoring target
    */
-  app.get('/api/devices/:ip/status', async (req, res, next) => {
+  app.get('/api/paths/:target', (req, res, next) => {
     try {
-      const ipAddress = req.params.ip;
-      const statuses = statusMonitor.getDeviceStatuses();
-      const status = statuses.get(ipAddress);
-
-      if (!status) {
+      const target = req.params.target.toLowerCase();
+      const entry = healthMonitor.getPaths().find(p => p.target === target);
+      if (!entry) {
         return res.status(404).json({
-          error: 'Device not found',
-          message: `No status information available for device ${ipAddress}`,
-          availableDevices: Array.from(statuses.keys())
+          error: 'Path target not found',
+          message: `No path target ${target}`
         });
       }
 
-      res.json(status);
+      res.json(entry);
     } catch (error) {
       next(error);
     }
   });
 
   /**
-   * GET /api/devices/:ip/health
-   * Get health metrics for a specific device
+   * DELETE /api/paths/:target
+   * Stop tracing the path to a target
    */
-  app.get('/api/devices/:ip/health', async (req, res, next) => {
+  app.delete('/api/paths/:target', async (req, res, next) => {
     try {
-      const ipAddress = req.params.ip;
-      const metrics = healthMonitor.getHealthMetrics(ipAddress);
-
-      if (!metrics) {
-        const allMetrics = healthMonitor.getAllHealthMetrics();
+      const target = req.params.target.toLowerCase();
+      if (healthMonitor.getPath(target) === undefined) {
         return res.status(404).json({
-          error: 'Device not found',
-          message: `No health metrics available for device ${ipAddress}`,
-          availableDevices: Array.from(allMetrics.keys())
+          error: 'Path target not found',
+          message: `No path target ${target}`
         });
       }
 
-      res.json(metrics);
+      healthMonitor.stopPathMonitoring(target);
+      await dataStore.deletePathTarget(target);
+      res.json({ status: 'deleted', target });
     } catch (error) {
       next(error);
     }
   });
 
   /**
-   * GET /api/traffic/current
-   * Get current traffic statistics
+   * GET /api/wan
+   * Get the internet status (up, degraded, down or unknown) with the last result of the gateway,
+   * DNS resolver and external target checks
    */
-  app.get('/api/traffic/current', (req, res, next) => {
+  app.get('/api/wan', (req, res, next) => {
     try {
-      const stats = trafficAnalyzer.getCurrentStats();
+      if (wanUnavailable(res)) {
+        return;
+      }
 
-      if (!stats) {
-        return res.json({
-          message: 'Traffic monitoring not yet initialized',
-          timestamp: new Date(),
-          bytesReceived: 0,
-          bytesSent: 0,
-          bytesReceivedPerSec: 0,
-          bytesSentPerSec: 0,
-          packetsReceived: 0,
-          packetsSent: 0
+      res.json(wanMonitor.getStatus());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/wan/outages
+   * Get the internet outages over a period with the total downtime
+   * Query (optional): range (e.g. 24h, 30d; default 30d), month (YYYY-MM, UTC) or start and end (ISO 8601)
+   */
+  app.get('/api/wan/outages', async (req, res, next) => {
+    try {
+      if (wanUnavailable(res)) {
+        return;
+      }
+
+      let period;
+      try {
+        period = parseReportRange(req.query);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError.message,
+          example: { range: '7d' }
         });
       }
 
-      res.json(stats);
+      const outages = await dataStore.getWanOutages(period.start, period.end);
+      const report = computeUptime(outages, period);
+
+      res.json({
+        start: report.start,
+        end: report.end,
+        downtime: report.downtime,
+        outageCount: report.outageCount,
+        isDown: report.isDown,
+        outages: outages.map(outage => ({
+          start: outage.start,
+          end: outage.end,
+          cause: outage.cause,
+          duration: (outage.end ? outage.end.getTime() : Date.now()) - outage.start.getTime()
+        }))
+      });
     } catch (error) {
       next(error);
     }
   });
 
   /**
-   * GET /api/traffic/history
-   * Get historical traffic data
-   * Query parameters: start (ISO timestamp), end (ISO timestamp)
+   * GET /api/dns
+   * Get the last result of each monitored name against each resolver
    */
-  app.get('/api/traffic/history', async (req, res, next) => {
+  app.get('/api/dns', (req, res, next) => {
     try {
-      const { start, end } = req.query;
+      if (dnsUnavailable(res)) {
+        return;
+      }
 
-      if (!start || !end) {
+      res.json(dnsMonitor.getResults());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/dns/history
+   * Get the DNS query results over a period, oldest first, with a summary of each name and resolver
+   * Query (optional): name, resolver, range (e.g. 1h, 7d; default 24h), month (YYYY-MM, UTC) or
+   * start and end (ISO 8601)
+   */
+  app.get('/api/dns/history', async (req, res, next) => {
+    try {
+      if (dnsUnavailable(res)) {
+        return;
+      }
+
+      const { name, resolver, ...rangeQuery } = req.query;
+      let period;
+      try {
+        if ([name, resolver].some(value => value !== undefined && typeof value !== 'string')) {
+          throw new Error('name and resolver must be given once');
+        }
+        const hasRange = ['range', 'month', 'start', 'end'].some(key => rangeQuery[key] !== undefined);
+        period = parseReportRange(hasRange ? rangeQuery : { range: '24h' });
+      } catch (validationError) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Both start and end query parameters are required',
-          example: '/api/traffic/history?start=2024-01-15T00:00:00Z&end=2024-01-15T23:59:59Z'
+          message: validationError.message,
+          example: { name: 'example.com', resolver: '1.1.1.1', range: '24h' }
         });
       }
 
-      const startTime = new Date(start);
-      const endTime = new Date(end);
+      const results = await dataStore.getDnsResults({ name, resolver, start: period.start, end: period.end });
 
-      if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+      res.json({
+        start: period.start,
+        end: period.end,
+        summary: summarizeDnsResults(results),
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/dns/alerts
+   * Get the DNS alerts (timeouts, NXDOMAIN and other errors, changed answers), newest first
+   * Query parameters (optional): type, name, resolver, since (ISO timestamp), limit (default 100, max 1000)
+   */
+  app.get('/api/dns/alerts', async (req, res, next) => {
+    try {
+      if (dnsUnavailable(res)) {
+        return;
+      }
+
+      const { type, name, resolver, since } = req.query;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+      const sinceDate = since ? new Date(since) : null;
+
+      if (isNaN(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'limit must be a number between 1 and 1000',
+          example: '/api/dns/alerts?type=answersChanged&since=2024-01-15T00:00:00Z&limit=50'
+        });
+      }
+
+      if (sinceDate && isNaN(sinceDate.getTime())) {
         return res.status(400).json({
           error: 'Bad Request',
           message: 'Invalid date format. Use ISO 8601 format (e.g., 2024-01-15T00:00:00Z)'
         });
       }
 
-      const historicalStats = trafficAnalyzer.getHistoricalStats(startTime, endTime);
-      res.json(historicalStats);
+      const alerts = await dataStore.getDnsAlerts({ type, name, resolver, since: sinceDate, limit });
+      res.json(alerts);
     } catch (error) {
       next(error);
     }
   });
 
   /**
-   * GET /api/health/all
-   * Get health metrics for all devices
+   * GET /api/known-devices
+   * Get the known devices allowlist
    */
-  app.get('/api/health/all', (req, res, next) => {
+  app.get('/api/known-devices', (req, res, next) => {
     try {
-      const allMetrics = healthMonitor.getAllHealthMetrics();
-      
-      // Convert Map to object for JSON serialization
-      const metricsObject = {};
-      for (const [ip, metrics] of allMetrics.entries()) {
-        metricsObject[ip] = metrics;
+      if (securityUnavailable(res)) {
+        return;
       }
 
-      res.json(metricsObject);
+      res.json(securityMonitor.getKnownDevices());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/known-devices/:deviceId
+   * Remove a device from the allowlist so it is treated as never reviewed
+   */
+  app.delete('/api/known-devices/:deviceId', async (req, res, next) => {
+    try {
+      if (securityUnavailable(res)) {
+        return;
+      }
+
+      const entry = securityMonitor.forget(req.params.deviceId);
+      if (!entry) {
+        return res.status(404).json({
+          error: 'Device not found',
+          message: `Device ${req.params.deviceId} is not on the allowlist`
+        });
+      }
+
+      await dataStore.deleteKnownDevice(entry.deviceId);
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/security/events
+   * Get the security event log, newest first
+   * Query parameters (optional): type, deviceId, since (ISO timestamp), limit (default 100, max 1000)
+   */
+  app.get('/api/security/events', async (req, res, next) => {
+    try {
+      const { type, deviceId, since } = req.query;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+      const sinceDate = since ? new Date(since) : null;
+
+      if (isNaN(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'limit must be a number between 1 and 1000',
+          example: '/api/security/events?type=newDevice&since=2024-01-15T00:00:00Z&limit=50'
+        });
+      }
+
+      if (sinceDate && isNaN(sinceDate.getTime())) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid date format. Use ISO 8601 format (e.g., 2024-01-15T00:00:00Z)'
+        });
+      }
+
+      const events = await dataStore.getSecurityEvents({ type, deviceId, since: sinceDate, limit });
+      res.json(events);
     } catch (error) {
       next(error);
     }
@@ -248,6 +1861,20 @@ function createServer(components, options = {}) {
     }
   });
 
+  /**
+   * GET /api/system/monitoring
+   * Get status check scheduler metrics: monitored devices, queue depth, running checks and check lag
+   */
+  app.get('/api/system/monitoring', (req, res, next) => {
+    try {
+      res.json({
+        statusChecks: statusMonitor.getSchedulerMetrics()
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
   // ==================== Error Handling Middleware ====================
 
   /**
@@ -279,12 +1906,55 @@ function createServer(components, options = {}) {
       availableEndpoints: [
         'GET /api/devices',
         'POST /api/devices/scan',
-        'GET /api/devices/:ip/status',
-        'GET /api/devices/:ip/health',
+        'GET /api/scans',
+        'GET /api/scans/:id',
+        'DELETE /api/scans/:id',
+        'GET /api/devices/:id',
+        'PATCH /api/devices/:id',
+        'PUT /api/devices/:id/probe',
+        'PUT /api/devices/:id/parent',
+        'PUT /api/devices/:id/profile',
+        'DELETE /api/devices/:id',
+        'POST /api/devices/:id/unarchive',
+        'GET /api/devices/:id/status',
+        'GET /api/devices/:id/health',
+        'GET /api/devices/:id/health/history',
+        'GET /api/devices/:id/services',
+        'GET /api/devices/:id/uptime',
+        'POST /api/devices/:id/approve',
+        'POST /api/devices/:id/ignore',
+        'GET /api/dependencies/suggestions',
+        'GET /api/maintenance',
+        'POST /api/maintenance',
+        'GET /api/maintenance/:id',
+        'PUT /api/maintenance/:id',
+        'DELETE /api/maintenance/:id',
+        'GET /api/profiles',
+        'POST /api/profiles',
+        'GET /api/profiles/:id',
+        'PUT /api/profiles/:id',
+        'DELETE /api/profiles/:id',
+        'GET /api/paths',
+        'POST /api/paths',
+        'GET /api/paths/:target',
+        'DELETE /api/paths/:target',
+        'GET /api/wan',
+        'GET /api/wan/outages',
+        'GET /api/dns',
+        'GET /api/dns/history',
+        'GET /api/dns/alerts',
+        'GET /api/known-devices',
+        'DELETE /api/known-devices/:deviceId',
+        'GET /api/security/events',
+        'GET /api/reports/sla',
         'GET /api/traffic/current',
         'GET /api/traffic/history',
         'GET /api/health/all',
-        'GET /api/system/info'
+        'GET /api/vendors',
+        'GET /api/vendors/:mac',
+        'POST /api/vendors/update',
+        'GET /api/system/info',
+        'GET /api/system/monitoring'
       ]
     });
   });
@@ -469,7 +2139,26 @@ function createServer(components, options = {}) {
       deviceScanner.on('deviceDiscovered', (device) => {
         broadcast('devices', {
           type: 'device:discovered',
-          device,
+          device: withApproval(device),
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      deviceScanner.on('deviceIpChanged', (device, previousIp) => {
+        broadcast('devices', {
+          type: 'device:ipChanged',
+          device: withApproval(device),
+          previousIp,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      deviceScanner.on('deviceRemoved', (device, reason) => {
+        broadcast('devices', {
+          type: 'device:removed',
+          deviceId: device.id,
+          ipAddress: device.ipAddress,
+          reason,
           timestamp: new Date().toISOString()
         });
       });
@@ -481,6 +2170,25 @@ function createServer(components, options = {}) {
           timestamp: new Date().toISOString()
         });
       });
+
+      deviceScanner.on('scanProgress', (scan) => {
+        broadcast('devices', {
+          type: 'scan:progress',
+          scan,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    // Security Monitor events
+    if (securityMonitor && securityMonitor.on) {
+      securityMonitor.on('securityEvent', (event) => {
+        broadcast('devices', {
+          type: 'security:event',
+          event,
+          timestamp: new Date().toISOString()
+        });
+      });
     }
 
     // Status Monitor events
@@ -495,6 +2203,39 @@ function createServer(components, options = {}) {
       });
     }
 
+    if (statusMonitor && statusMonitor.onUnreachable) {
+      statusMonitor.onUnreachable((ipAddress, status) => {
+        broadcast('devices', {
+          type: 'device:unreachable',
+          ipAddress,
+          status,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    if (statusMonitor && statusMonitor.onMaintenance) {
+      statusMonitor.onMaintenance((ipAddress, status) => {
+        broadcast('devices', {
+          type: 'device:maintenance',
+          ipAddress,
+          status,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    if (statusMonitor && statusMonitor.onFlapping) {
+      statusMonitor.onFlapping((ipAddress, status) => {
+        broadcast('devices', {
+          type: 'device:flapping',
+          ipAddress,
+          status,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
     // Traffic Analyzer events
     if (trafficAnalyzer && trafficAnalyzer.onTrafficUpdate) {
       trafficAnalyzer.onTrafficUpdate((stats) => {
@@ -517,6 +2258,61 @@ function createServer(components, options = {}) {
         });
       });
     }
+
+    if (healthMonitor && healthMonitor.onPathUpdate) {
+      healthMonitor.onPathUpdate((target, path) => {
+        broadcast('health', {
+          type: 'path:update',
+          target,
+          path,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    if (healthMonitor && healthMonitor.onPathChanged) {
+      healthMonitor.onPathChanged((target, path, previousPath, changes) => {
+        broadcast('health', {
+          type: 'path:changed',
+          target,
+          changes,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    if (healthMonitor && healthMonitor.onAnomaly) {
+      healthMonitor.onAnomaly((ipAddress, anomaly) => {
+        broadcast('health', {
+          type: 'health:anomaly',
+          ipAddress,
+          anomaly,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    // WAN Monitor events
+    if (wanMonitor && wanMonitor.onUpdate) {
+      wanMonitor.onUpdate((wan) => {
+        broadcast('health', {
+          type: 'wan:update',
+          wan,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    // DNS Monitor events
+    if (dnsMonitor && dnsMonitor.onAlert) {
+      dnsMonitor.onAlert((alert) => {
+        broadcast('health', {
+          type: 'dns:alert',
+          alert,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
   }
 
   /**
@@ -0,0 +1,304 @@
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const { macToHex } = require('../utils/deviceId');
+
+/**
+ * @typedef {Object} ArpObservation
+ * @property {string} ipAddress - IP address
+ * @property {string} macAddress - MAC address that answered for it
+ * @property {string} source - Where the pair was learned ("arp-lookup", "arp-table", "arp-traffic")
+ * @property {Date} [timestamp] - When the pair was observed (default: now)
+ */
+
+/**
+ * @typedef {Object} ArpClaim
+ * @property {string} macAddress - MAC address, upper case
+ * @property {Date} firstSeen - First observation within the window
+ * @property {Date} lastSeen - Latest observation
+ * @property {number} count - Observations within the window
+ * @property {string[]} sources - Where the pair was learned
+ */
+
+/**
+ * @typedef {Object} ArpConflict
+ * @property {'duplicateIp'|'macFlapping'|'gatewayImpersonation'} kind - What was detected:
+ *   two MACs claiming one IP, one IP flipping back and forth between MACs, or a MAC other than the
+ *   gateway's own claiming the gateway's IP
+ * @property {string} ipAddress - Contested IP address
+ * @property {string[]} macAddresses - MAC addresses claiming it, most recent last
+ * @property {Object} evidence - Observations that led to the conflict
+ * @property {ArpClaim[]} evidence.claims - Who claimed the address within the window
+ * @property {number} evidence.changes - How often the answering MAC changed within the window
+ * @property {string|null} [evidence.expectedMac] - The gateway's own MAC (gatewayImpersonation only)
+ * @property {string[]} [evidence.otherIps] - Other addresses the impostor claims (gatewayImpersonation only)
+ * @property {Date} detectedAt - When the conflict was detected
+ */
+
+/**
+ * Format a MAC address as upper-case colon-separated octets
+ * @param {string} hex - 12 hex digits
+ * @returns {string} MAC address
+ */
+function formatMac(hex) {
+  return hex.toUpperCase().match(/.{2}/g).join(':');
+}
+
+/**
+ * ArpConflictDetector compares successive IP→MAC observations to spot ARP spoofing and address
+ * conflicts: an IP flipping between MACs, two MACs claiming one IP, and a foreign MAC claiming the
+ * gateway's IP. Conflicts are emitted as arpConflict events; a repeat of the same conflict is only
+ * reported again after the observation window has passed.
+ */
+class ArpConflictDetector extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.window=600000] - How long observations are remembered (ms)
+   * @param {number} [options.flapThreshold=4] - MAC changes within the window that count as flapping
+   * @param {string[]} [options.gateways=[]] - Gateway IP addresses
+   */
+  constructor(options = {}) {
+    super();
+
+    /** @type {number} How long observations are remembered (ms) */
+    this.window = options.window || 600000;
+
+    /** @type {number} MAC changes within the window that count as flapping */
+    this.flapThreshold = options.flapThreshold || 4;
+
+    /** @type {Set<string>} Gateway IP addresses */
+    this.gateways = new Set(options.gateways || []);
+
+    /** @type {Map<string, {claims: Map<string, ArpClaim>, lastMac: string|null, changes: number[]}>} Observations by IP */
+    this.addresses = new Map();
+
+    /** @type {Map<string, string>} The gateway's own MAC address by gateway IP */
+    this.gatewayMacs = new Map();
+
+    /** @type {Map<string, number>} When each conflict was last reported */
+    this.lastReported = new Map();
+  }
+
+  /**
+   * Set the gateway IP addresses
+   * @param {string[]} gateways - Gateway IP addresses
+   */
+  setGateways(gateways) {
+    this.gateways = new Set(gateways);
+  }
+
+  /**
+   * Record an IP→MAC observation and check it for conflicts
+   * @param {ArpObservation} observation - Observed pair
+   * @returns {ArpConflict[]} Conflicts reported for this observation
+   */
+  observe({ ipAddress, macAddress, source, timestamp = new Date() }) {
+    const hex = macToHex(macAddress);
+    if (!hex) {
+      return [];
+    }
+
+    const mac = formatMac(hex);
+    const now = timestamp.getTime();
+    const entry = this._prune(ipAddress, now);
+
+    const claim = entry.claims.get(mac) || { macAddress: mac, firstSeen: timestamp, lastSeen: timestamp, count: 0, sources: [] };
+    claim.lastSeen = timestamp;
+    claim.count++;
+    if (!claim.sources.includes(source)) {
+      claim.sources.push(source);
+    }
+    entry.claims.set(mac, claim);
+
+    if (entry.lastMac && entry.lastMac !== mac) {
+      entry.changes.push(now);
+    }
+    entry.lastMac = mac;
+
+    const conflicts = this.gateways.has(ipAddress)
+      ? this._checkGateway(ipAddress, mac, entry)
+      : this._checkAddress(ipAddress, entry);
+
+    return conflicts
+      .map(conflict => ({ ...conflict, detectedAt: timestamp }))
+      .filter(conflict => this._shouldReport(conflict, now))
+      .map(conflict => {
+        this.emit('arpConflict', conflict);
+        return conflict;
+      });
+  }
+
+  /**
+   * Look for several MACs claiming an ordinary address. A single change of MAC is what a DHCP
+   * server reassigning the address looks like; the address going back to an earlier MAC is not.
+   * @private
+   * @param {string} ipAddress - IP address
+   * @param {Object} entry - Observations of the address
+   * @returns {Array<Omit<ArpConflict, 'detectedAt'>>} Conflicts
+   */
+  _checkAddress(ipAddress, entry) {
+    if (entry.claims.size < 2 || entry.changes.length < 2) {
+      return [];
+    }
+
+    const conflict = {
+      ipAddress,
+      macAddresses: this._claimants(entry),
+      evidence: {
+        claims: this._evidence(entry),
+        changes: entry.changes.length
+      }
+    };
+
+    return entry.changes.length >= this.flapThreshold
+      ? [{ kind: 'macFlapping', ...conflict }]
+      : [{ kind: 'duplicateIp', ...conflict }];
+  }
+
+  /**
+   * Look for a MAC other than the gateway's own claiming the gateway's address
+   * @private
+   * @param {string} ipAddress - Gateway IP address
+   * @param {string} mac - MAC address just observed
+   * @param {Object} entry - Observations of the address
+   * @returns {Array<Omit<ArpConflict, 'detectedAt'>>} Conflicts
+   */
+  _checkGateway(ipAddress, mac, entry) {
+    const expectedMac = this.gatewayMacs.get(ipAddress);
+
+    // The first MAC seen is the gateway's; a replaced router takes over once the old one has gone quiet
+    if (!expectedMac || (expectedMac !== mac && !entry.claims.has(expectedMac))) {
+      this.gatewayMacs.set(ipAddress, mac);
+      return [];
+    }
+
+    if (entry.claims.size < 2) {
+      return [];
+    }
+
+    // Where else the impostor answers usually identifies the machine behind the attack
+    const impostors = this._claimants(entry).filter(claimant => claimant !== expectedMac);
+    const cutoff = entry.claims.get(mac).lastSeen.getTime() - this.window;
+    const otherIps = [];
+    for (const [otherIp, other] of this.addresses.entries()) {
+      const claimed = impostors.some(impostor => {
+        const claim = other.claims.get(impostor);
+        return claim && claim.lastSeen.getTime() >= cutoff;
+      });
+      if (otherIp !== ipAddress && claimed) {
+        otherIps.push(otherIp);
+      }
+    }
+
+    return [{
+      kind: 'gatewayImpersonation',
+      ipAddress,
+      macAddresses: this._claimants(entry),
+      evidence: {
+        claims: this._evidence(entry),
+        changes: entry.changes.length,
+        expectedMac,
+        otherIps
+      }
+    }];
+  }
+
+  /**
+   * Drop observations of an address that fell out of the window
+   * @private
+   * @param {string} ipAddress - IP address
+   * @param {number} now - Current time (ms)
+   * @returns {{claims: Map<string, ArpClaim>, lastMac: string|null, changes: number[]}} Observations of the address
+   */
+  _prune(ipAddress, now) {
+    const cutoff = now - this.window;
+    let entry = this.addresses.get(ipAddress);
+
+    if (!entry) {
+      entry = { claims: new Map(), lastMac: null, changes: [] };
+      this.addresses.set(ipAddress, entry);
+      return entry;
+    }
+
+    for (const [mac, claim] of entry.claims.entries()) {
+      if (claim.lastSeen.getTime() < cutoff) {
+        entry.claims.delete(mac);
+      }
+    }
+    entry.changes = entry.changes.filter(time => time >= cutoff);
+
+    return entry;
+  }
+
+  /**
+   * MAC addresses claiming an address, most recently seen last
+   * @private
+   * @param {Object} entry - Observations of the address
+   * @returns {string[]} MAC addresses
+   */
+  _claimants(entry) {
+    return Array.from(entry.claims.values())
+      .sort((a, b) => a.lastSeen.getTime() - b.lastSeen.getTime())
+      .map(claim => claim.macAddress);
+  }
+
+  /**
+   * Copy the claims of an address for a conflict report
+   * @private
+   * @param {Object} entry - Observations of the address
+   * @returns {ArpClaim[]} Claims, most recently seen last
+   */
+  _evidence(entry) {
+    return Array.from(entry.claims.values())
+      .sort((a, b) => a.lastSeen.getTime() - b.lastSeen.getTime())
+      .map(claim => ({ ...claim, sources: [...claim.sources] }));
+  }
+
+  /**
+   * Check whether a conflict was not already reported within the window
+   * @private
+   * @param {Omit<ArpConflict, 'detectedAt'>} conflict - Conflict
+   * @param {number} now - Current time (ms)
+   * @returns {boolean}
+   */
+  _shouldReport(conflict, now) {
+    const key = `${conflict.kind}|${conflict.ipAddress}|${[...conflict.macAddresses].sort().join(',')}`;
+    const last = this.lastReported.get(key);
+
+    if (last !== undefined && now - last < this.window) {
+      return false;
+    }
+
+    this.lastReported.set(key, now);
+    return true;
+  }
+
+  /**
+   * Read the default gateways from the kernel routing table
+   * @param {string} [routePath='/proc/net/route'] - Path of the kernel routing table
+   * @returns {Promise<string[]>} Gateway IP addresses (empty if the table can't be read)
+   */
+  static async readDefaultGateways(routePath = '/proc/net/route') {
+    let content;
+    try {
+      content = await fs.readFile(routePath, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const gateways = new Set();
+    for (const line of content.trim().split('\n').slice(1)) {
+      const [, destination, gateway] = line.trim().split(/\s+/);
+      if (destination !== '00000000' || !gateway || gateway === '00000000') {
+        continue;
+      }
+
+      // Addresses are stored as little-endian hex
+      const octets = gateway.match(/.{2}/g).map(byte => parseInt(byte, 16)).reverse();
+      gateways.add(octets.join('.'));
+    }
+
+    return Array.from(gateways);
+  }
+}
+
+module.exports = ArpConflictDetector;
@@ -0,0 +1,229 @@
+const { PriorityQueue } = require('../utils/priorityQueue');
+const { Semaphore } = require('../utils/semaphore');
+
+/** Number of recent checks the lag statistics cover */
+const LAG_SAMPLES = 100;
+
+/**
+ * @typedef {Object} ScheduledCheck
+ * @property {string} key - What to check (e.g., an IP address)
+ * @property {number} dueAt - When the check is due (ms since epoch)
+ * @property {number} sequence - Scheduling order, breaks ties between checks due at the same time
+ * @property {boolean} cancelled - Set when the check was cancelled or rescheduled
+ * @property {boolean} isDue - Set when the check is due and waits for a free slot
+ */
+
+/**
+ * @typedef {Object} SchedulerMetrics
+ * @property {number} queueDepth - Checks scheduled and not yet due
+ * @property {number} waiting - Checks that are due and wait for a free slot
+ * @property {number} running - Checks running now
+ * @property {number} concurrency - Maximum checks running at once
+ * @property {number} checksRun - Checks started since the scheduler was created
+ * @property {{last: number, average: number, max: number}} lag - How late checks started (ms) over
+ *   the last 100 checks; 0 before the first check
+ */
+
+/**
+ * CheckScheduler runs periodic checks from a single timer.
+ * Due checks are kept in a priority queue ordered by due time; one timer is armed for the
+ * earliest one, and a semaphore limits how many checks run at once. Checks that are due while
+ * all slots are busy wait in order and start late; that delay is reported as lag.
+ */
+class CheckScheduler {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {(key: string) => Promise<void>} options.run - Runs a check; it usually schedules the next one
+   * @param {number} [options.concurrency=10] - Maximum checks running at once
+   */
+  constructor(options) {
+    /** @type {(key: string) => Promise<void>} Runs a check */
+    this.run = options.run;
+
+    /** @type {number} Maximum checks running at once */
+    this.concurrency = options.concurrency || 10;
+
+    /** @type {PriorityQueue<ScheduledCheck>} Scheduled checks, earliest first */
+    this.queue = new PriorityQueue((a, b) => a.dueAt - b.dueAt || a.sequence - b.sequence);
+
+    /** @type {Map<string, ScheduledCheck>} Pending check of each key, queued or waiting for a slot */
+    this.pending = new Map();
+
+    /** @type {Semaphore} Slots for running checks */
+    this.semaphore = new Semaphore(this.concurrency);
+
+    /** @type {NodeJS.Timeout|null} Timer armed for the earliest check */
+    this.timer = null;
+
+    /** @type {number|null} When the armed timer fires (ms since epoch) */
+    this.timerDueAt = null;
+
+    /** @type {number} Checks running now */
+    this.running = 0;
+
+    /** @type {number} Checks started so far */
+    this.checksRun = 0;
+
+    /** @type {number} Scheduling counter */
+    this.sequence = 0;
+
+    /** @type {number[]} Lag of the most recent checks (ms), oldest first */
+    this.lagSamples = [];
+  }
+
+  /**
+   * Schedule a check, replacing any pending check of the same key
+   * @param {string} key - What to check
+   * @param {number} delay - Milliseconds from now
+   */
+  schedule(key, delay) {
+    this.cancel(key);
+
+    /** @type {ScheduledCheck} */
+    const check = { key, dueAt: Date.now() + Math.max(0, delay), sequence: this.sequence++, cancelled: false, isDue: false };
+    this.pending.set(key, check);
+    this.queue.push(check);
+    this._arm();
+  }
+
+  /**
+   * Cancel the pending check of a key; a check that is already running finishes
+   * @param {string} key - What to stop checking
+   */
+  cancel(key) {
+    const check = this.pending.get(key);
+    if (check) {
+      check.cancelled = true;
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Check whether a key has a pending check
+   * @param {string} key - Key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.pending.has(key);
+  }
+
+  /**
+   * Get queue depth, concurrency and lag statistics
+   * @returns {SchedulerMetrics}
+   */
+  getMetrics() {
+    const samples = this.lagSamples;
+    const total = samples.reduce((sum, lag) => sum + lag, 0);
+    const waiting = Array.from(this.pending.values()).filter(check => check.isDue).length;
+
+    return {
+      queueDepth: this.pending.size - waiting,
+      waiting,
+      running: this.running,
+      concurrency: this.concurrency,
+      checksRun: this.checksRun,
+      lag: {
+        last: samples.length > 0 ? samples[samples.length - 1] : 0,
+        average: samples.length > 0 ? Math.round(total / samples.length) : 0,
+        max: samples.length > 0 ? Math.max(...samples) : 0
+      }
+    };
+  }
+
+  /**
+   * Cancel all pending checks and the timer
+   */
+  stop() {
+    for (const key of Array.from(this.pending.keys())) {
+      this.cancel(key);
+    }
+    this.queue.clear();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.timerDueAt = null;
+  }
+
+  /**
+   * Arm the timer for the earliest pending check
+   * @private
+   */
+  _arm() {
+    // Drop cancelled checks from the front so the timer is not armed for them
+    while (this.queue.size > 0 && this.queue.peek().cancelled) {
+      this.queue.pop();
+    }
+
+    const next = this.queue.peek();
+    if (!next) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerDueAt = null;
+      return;
+    }
+
+    if (this.timer && this.timerDueAt <= next.dueAt) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timerDueAt = next.dueAt;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.timerDueAt = null;
+      this._dispatchDue();
+    }, Math.max(0, next.dueAt - Date.now()));
+  }
+
+  /**
+   * Start every check that is due and re-arm the timer
+   * @private
+   */
+  _dispatchDue() {
+    const now = Date.now();
+
+    while (this.queue.size > 0 && this.queue.peek().dueAt <= now) {
+      const check = this.queue.pop();
+      if (!check.cancelled) {
+        check.isDue = true;
+        this._runCheck(check);
+      }
+    }
+
+    this._arm();
+  }
+
+  /**
+   * Run a due check once a slot is free
+   * @private
+   * @param {ScheduledCheck} check - Check to run
+   */
+  async _runCheck(check) {
+    await this.semaphore.acquire();
+
+    // Cancelled or rescheduled while waiting for a slot
+    if (check.cancelled) {
+      this.semaphore.release();
+      return;
+    }
+
+    this.pending.delete(check.key);
+    this.running++;
+    this.checksRun++;
+    this.lagSamples.push(Math.max(0, Date.now() - check.dueAt));
+    if (this.lagSamples.length > LAG_SAMPLES) {
+      this.lagSamples.shift();
+    }
+
+    try {
+      await this.run(check.key);
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      console.error(`Error running check ${check.key}:`, err.message);
+    } finally {
+      this.running--;
+      this.semaphore.release();
+    }
+  }
+}
+
+module.exports = CheckScheduler;
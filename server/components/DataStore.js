@@ -1,6 +1,14 @@
 const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
+const { deviceIdFor, isFallbackId } = require('../utils/deviceId');
+const { emptyMetadata } = require('../utils/deviceMetadata');
+
+/** Most security events kept in the event log; older ones are dropped */
+const MAX_SECURITY_EVENTS = 5000;
+
+/** Most DNS alerts kept; older ones are dropped */
+const MAX_DNS_ALERTS = 5000;
 
 /**
  * DataStore class for persisting device information and historical data
@@ -14,7 +22,18 @@ class DataStore {
     this.data = {
       devices: [],
       trafficStats: [],
-      healthMetrics: []
+      healthMetrics: [],
+      knownDevices: [],
+      securityEvents: [],
+      outages: [],
+      maintenanceWindows: [],
+      monitoringSnapshots: [],
+      healthBaselines: [],
+      monitoringProfiles: [],
+      pathTargets: [],
+      wanOutages: [],
+      dnsResults: [],
+      dnsAlerts: []
     };
     this.initialized = false;
     this.writeQueue = Promise.resolve();
@@ -40,9 +59,20 @@ class DataStore {
         // Validate structure
         if (parsedData && typeof parsedData === 'object') {
           this.data = {
-            devices: parsedData.devices || [],
+            devices: DataStore._migrateDevices(parsedData.devices || []),
             trafficStats: parsedData.trafficStats || [],
-            healthMetrics: parsedData.healthMetrics || []
+            healthMetrics: parsedData.healthMetrics || [],
+            knownDevices: parsedData.knownDevices || [],
+            securityEvents: parsedData.securityEvents || [],
+            outages: parsedData.outages || [],
+            maintenanceWindows: parsedData.maintenanceWindows || [],
+            monitoringSnapshots: parsedData.monitoringSnapshots || [],
+            healthBaselines: parsedData.healthBaselines || [],
+            monitoringProfiles: parsedData.monitoringProfiles || [],
+            pathTargets: parsedData.pathTargets || [],
+            wanOutages: parsedData.wanOutages || [],
+            dnsResults: parsedData.dnsResults || [],
+            dnsAlerts: parsedData.dnsAlerts || []
           };
         }
       } catch (error) {
@@ -101,35 +131,161 @@ class DataStore {
   // ==================== Device CRUD Operations ====================
 
   /**
-   * Save a device to storage
+   * Save a device to storage, keyed by its stable ID (derived from the MAC address if missing).
+   * The user metadata, probe, parent and monitoring profile of a stored device are kept; they only
+   * change through updateDeviceMetadata, updateDeviceProbe, updateDeviceParent and updateDeviceProfile.
+   * Saving an archived device without archivedAt brings it back: it has been seen again.
    * @param {Object} device - Device object to save
    */
   async saveDevice(device) {
     await this._ensureInitialized();
 
-    const existingIndex = this.data.devices.findIndex(d => d.ipAddress === device.ipAddress);
+    const id = device.id || deviceIdFor(device.macAddress, device.ipAddress);
+    const existingIndex = this.data.devices.findIndex(d => d.id === id);
+    const placeholderId = deviceIdFor(null, device.ipAddress);
+    const placeholder = !isFallbackId(id) ? this.data.devices.find(d => d.id === placeholderId) : undefined;
 
     if (existingIndex >= 0) {
       // Update existing device
-      this.data.devices[existingIndex] = { ...this.data.devices[existingIndex], ...device };
+      const existing = this.data.devices[existingIndex];
+      const metadata = existing.metadata || device.metadata || emptyMetadata();
+      const probe = existing.probe !== undefined ? existing.probe : device.probe || null;
+      const parentId = existing.parentId !== undefined ? existing.parentId : device.parentId || null;
+      const profileId = existing.profileId !== undefined ? existing.profileId : device.profileId || null;
+      this.data.devices[existingIndex] = { ...existing, ...device, id, metadata, probe, parentId, profileId, archivedAt: device.archivedAt || null };
     } else {
-      // Add new device
-      this.data.devices.push(device);
+      // Add new device; metadata, probe, parent and profile given to the placeholder record carry over
+      const metadata = (placeholder && placeholder.metadata) || device.metadata || emptyMetadata();
+      const probe = (placeholder && placeholder.probe) || device.probe || null;
+      const parentId = (placeholder && placeholder.parentId) || device.parentId || null;
+      const profileId = (placeholder && placeholder.profileId) || device.profileId || null;
+      this.data.devices.push({ ...device, id, metadata, probe, parentId, profileId, archivedAt: device.archivedAt || null });
+    }
+
+    // Once the MAC address is known, the IP-based placeholder record is superseded
+    if (placeholder) {
+      this.data.devices = this.data.devices.filter(d => d !== placeholder);
     }
 
     await this._write();
   }
 
   /**
-   * Get a device by IP address
-   * @param {string} ipAddress - IP address of the device
+   * Change the user metadata of a device
+   * @param {string} idOrIp - Device ID or IP address of the device
+   * @param {Partial<import('../utils/deviceMetadata').DeviceMetadata>} changes - Validated fields to change
+   * @returns {Promise<Object|null>} Updated device, or null if not found
+   */
+  async updateDeviceMetadata(idOrIp, changes) {
+    await this._ensureInitialized();
+
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return null;
+    }
+
+    device.metadata = { ...emptyMetadata(), ...device.metadata, ...changes };
+    await this._write();
+
+    return device;
+  }
+
+  /**
+   * Change how StatusMonitor checks a device
+   * @param {string} idOrIp - Device ID or IP address of the device
+   * @param {import('../utils/probeConfig').ProbeConfig|null} probe - Validated probe configuration, or null for ICMP ping
+   * @returns {Promise<Object|null>} Updated device, or null if not found
+   */
+  async updateDeviceProbe(idOrIp, probe) {
+    await this._ensureInitialized();
+
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return null;
+    }
+
+    device.probe = probe;
+    await this._write();
+
+    return device;
+  }
+
+  /**
+   * Change the device a device depends on
+   * @param {string} idOrIp - Device ID or IP address of the device
+   * @param {string|null} parentId - ID of the parent device, or null for none
+   * @returns {Promise<Object|null>} Updated device, or null if not found
+   */
+  async updateDeviceParent(idOrIp, parentId) {
+    await this._ensureInitialized();
+
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return null;
+    }
+
+    device.parentId = parentId;
+    await this._write();
+
+    return device;
+  }
+
+  /**
+   * Change the monitoring profile assigned to a device
+   * @param {string} idOrIp - Device ID or IP address of the device
+   * @param {string|null} profileId - ID of the profile, or null for the profile of the device's tags
+   * @returns {Promise<Object|null>} Updated device, or null if not found
+   */
+  async updateDeviceProfile(idOrIp, profileId) {
+    await this._ensureInitialized();
+
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return null;
+    }
+
+    device.profileId = profileId;
+    await this._write();
+
+    return device;
+  }
+
+  /**
+   * Get a device by stable ID or IP address
+   * @param {string} idOrIp - Device ID or IP address of the device
    * @returns {Object|null} Device object or null if not found
    */
-  async getDevice(ipAddress) {
+  async getDevice(idOrIp) {
     await this._ensureInitialized();
 
-    const device = this.data.devices.find(d => d.ipAddress === ipAddress);
-    return device || null;
+    return this._findDevice(idOrIp);
+  }
+
+  /**
+   * Find a device by ID, falling back to the active, most recently seen device using the IP address
+   * @private
+   * @param {string} idOrIp - Device ID or IP address
+   * @returns {Object|null} Device object or null if not found
+   */
+  _findDevice(idOrIp) {
+    const byId = this.data.devices.find(d => d.id === idOrIp);
+    if (byId) {
+      return byId;
+    }
+
+    let match = null;
+    for (const device of this.data.devices) {
+      if (device.ipAddress !== idOrIp) {
+        continue;
+      }
+      if (!match ||
+          (device.isActive && !match.isActive) ||
+          (device.isActive === match.isActive && new Date(device.lastSeen) > new Date(match.lastSeen))) {
+        match = device;
+      }
+    }
+
+    return match;
   }
 
   /**
@@ -143,18 +299,96 @@ class DataStore {
   }
 
   /**
-   * Delete a device by IP address
-   * @param {string} ipAddress - IP address of the device to delete
+   * Delete a device by stable ID or IP address
+   * @param {string} idOrIp - Device ID or IP address of the device to delete
+   */
+  async deleteDevice(idOrIp) {
+    await this._ensureInitialized();
+
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return;
+    }
+
+    this.data.devices = this.data.devices.filter(d => d !== device);
+    await this._write();
+  }
+
+  /**
+   * Delete a device together with its history: health metrics of the addresses it used (unless
+   * another device uses them now), security events, outages and its allowlist entry.
+   * Devices that depended on it no longer have a parent.
+   * @param {string} idOrIp - Device ID or IP address of the device to delete
+   * @returns {Promise<Object|null>} Deleted device, or null if not found
+   */
+  async purgeDevice(idOrIp) {
+    await this._ensureInitialized();
+
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return null;
+    }
+
+    this.data.devices = this.data.devices.filter(d => d !== device);
+
+    const addresses = new Set([device.ipAddress, ...(device.ipHistory || []).map(entry => entry.ipAddress)]);
+    for (const other of this.data.devices) {
+      addresses.delete(other.ipAddress);
+    }
+    this.data.healthMetrics = this.data.healthMetrics.filter(metric => !addresses.has(metric.ipAddress));
+    this.data.securityEvents = this.data.securityEvents.filter(event => event.deviceId !== device.id);
+    this.data.knownDevices = this.data.knownDevices.filter(entry => entry.deviceId !== device.id);
+    this.data.outages = this.data.outages.filter(outage => outage.deviceId !== device.id);
+    for (const child of this.data.devices.filter(d => d.parentId === device.id)) {
+      child.parentId = null;
+    }
+
+    await this._write();
+    return device;
+  }
+
+  /**
+   * Archive the devices not seen since a given time
+   * @param {Date} unseenSince - Devices last seen before this time are archived
+   * @returns {Promise<Array>} Newly archived devices
+   */
+  async archiveDevices(unseenSince) {
+    await this._ensureInitialized();
+
+    const threshold = unseenSince instanceof Date ? unseenSince.getTime() : new Date(unseenSince).getTime();
+    const archivedAt = new Date().toISOString();
+
+    const stale = this.data.devices.filter(device => !device.archivedAt &&
+      device.lastSeen && new Date(device.lastSeen).getTime() < threshold);
+    for (const device of stale) {
+      device.archivedAt = archivedAt;
+      device.isActive = false;
+    }
+
+    if (stale.length > 0) {
+      await this._write();
+    }
+    return stale;
+  }
+
+  /**
+   * Take a device out of the archive
+   * @param {string} idOrIp - Device ID or IP address of the device
+   * @returns {Promise<Object|null>} The device, or null if not found
    */
-  async deleteDevice(ipAddress) {
+  async unarchiveDevice(idOrIp) {
     await this._ensureInitialized();
 
-    const initialLength = this.data.devices.length;
-    this.data.devices = this.data.devices.filter(d => d.ipAddress !== ipAddress);
+    const device = this._findDevice(idOrIp);
+    if (!device) {
+      return null;
+    }
 
-    if (this.data.devices.length < initialLength) {
+    if (device.archivedAt) {
+      device.archivedAt = null;
       await this._write();
     }
+    return device;
   }
 
   // ==================== Traffic Stats Operations ====================
@@ -238,6 +472,574 @@ class DataStore {
       }));
   }
 
+  /**
+   * Get the most recent health metrics of every device
+   * @returns {Promise<Array>} Latest metrics of each IP address
+   */
+  async getLatestHealthMetrics() {
+    await this._ensureInitialized();
+
+    const latest = new Map();
+    for (const metric of this.data.healthMetrics) {
+      const current = latest.get(metric.ipAddress);
+      if (!current || new Date(metric.lastUpdated).getTime() >= new Date(current.lastUpdated).getTime()) {
+        latest.set(metric.ipAddress, metric);
+      }
+    }
+
+    return Array.from(latest.values()).map(metric => ({
+      ...metric,
+      lastUpdated: new Date(metric.lastUpdated)
+    }));
+  }
+
+  // ==================== Monitoring Snapshot Operations ====================
+
+  /**
+   * Replace the saved monitoring state (status and backoff of every monitored device)
+   * @param {Array} snapshots - Monitoring snapshots
+   */
+  async saveMonitoringSnapshots(snapshots) {
+    await this._ensureInitialized();
+
+    this.data.monitoringSnapshots = snapshots.map(snapshot => ({ ...snapshot }));
+    await this._write();
+  }
+
+  /**
+   * Get the saved monitoring state
+   * @returns {Promise<Array>} Monitoring snapshots
+   */
+  async getMonitoringSnapshots() {
+    await this._ensureInitialized();
+    return this.data.monitoringSnapshots.map(snapshot => ({ ...snapshot }));
+  }
+
+  /**
+   * Replace the saved health baselines (what HealthMonitor has learned about every device)
+   * @param {Array} baselines - Baselines, each with the IP address it was learned for
+   */
+  async saveHealthBaselines(baselines) {
+    await this._ensureInitialized();
+
+    this.data.healthBaselines = baselines.map(baseline => ({ ...baseline }));
+    await this._write();
+  }
+
+  /**
+   * Get the saved health baselines
+   * @returns {Promise<Array>} Health baselines
+   */
+  async getHealthBaselines() {
+    await this._ensureInitialized();
+    return this.data.healthBaselines.map(baseline => ({ ...baseline }));
+  }
+
+  // ==================== Known Devices Operations ====================
+
+  /**
+   * Save an allowlist entry, keyed by device ID
+   * @param {Object} entry - Allowlist entry
+   */
+  async saveKnownDevice(entry) {
+    await this._ensureInitialized();
+
+    const record = {
+      ...entry,
+      updatedAt: entry.updatedAt instanceof Date ? entry.updatedAt.toISOString() : entry.updatedAt
+    };
+    const existingIndex = this.data.knownDevices.findIndex(d => d.deviceId === entry.deviceId);
+
+    if (existingIndex >= 0) {
+      this.data.knownDevices[existingIndex] = record;
+    } else {
+      this.data.knownDevices.push(record);
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Get all allowlist entries
+   * @returns {Array} Allowlist entries
+   */
+  async getKnownDevices() {
+    await this._ensureInitialized();
+    return [...this.data.knownDevices];
+  }
+
+  /**
+   * Remove an allowlist entry
+   * @param {string} deviceId - Device ID of the entry
+   */
+  async deleteKnownDevice(deviceId) {
+    await this._ensureInitialized();
+
+    const count = this.data.knownDevices.length;
+    this.data.knownDevices = this.data.knownDevices.filter(d => d.deviceId !== deviceId);
+
+    if (this.data.knownDevices.length < count) {
+      await this._write();
+    }
+  }
+
+  // ==================== Security Events Operations ====================
+
+  /**
+   * Append a security event to the event log
+   * @param {Object} event - Security event
+   */
+  async saveSecurityEvent(event) {
+    await this._ensureInitialized();
+
+    this.data.securityEvents.push({
+      ...event,
+      timestamp: event.timestamp instanceof Date ? event.timestamp.toISOString() : event.timestamp
+    });
+
+    if (this.data.securityEvents.length > MAX_SECURITY_EVENTS) {
+      this.data.securityEvents.splice(0, this.data.securityEvents.length - MAX_SECURITY_EVENTS);
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Get security events, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {string} [filter.type] - Only events of this type
+   * @param {string} [filter.deviceId] - Only events about this device
+   * @param {Date} [filter.since] - Only events raised at or after this time
+   * @param {number} [filter.limit=100] - Maximum number of events
+   * @returns {Array} Array of security events
+   */
+  async getSecurityEvents(filter = {}) {
+    await this._ensureInitialized();
+
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    const limit = filter.limit || 100;
+
+    return this.data.securityEvents
+      .filter(event => (!filter.type || event.type === filter.type) &&
+        (!filter.deviceId || event.deviceId === filter.deviceId) &&
+        (since === null || new Date(event.timestamp).getTime() >= since))
+      .reverse()
+      .slice(0, limit)
+      .map(event => ({
+        ...event,
+        timestamp: new Date(event.timestamp)
+      }));
+  }
+
+  // ==================== Outage Operations ====================
+
+  /**
+   * Record a confirmed online/offline transition of a device.
+   * Going offline opens an outage unless one is already open; coming back online closes it.
+   * @param {string} deviceId - Device ID
+   * @param {string} ipAddress - IP address the device was checked at
+   * @param {boolean} isOnline - New status
+   * @param {Date} [at] - When the transition happened (defaults to now)
+   * @returns {Promise<Object|null>} The outage opened or closed, or null if nothing changed
+   */
+  async recordStatusTransition(deviceId, ipAddress, isOnline, at = new Date()) {
+    await this._ensureInitialized();
+
+    const timestamp = at instanceof Date ? at.toISOString() : new Date(at).toISOString();
+    const open = this.data.outages.find(outage => outage.deviceId === deviceId && outage.end === null);
+
+    if (isOnline) {
+      if (!open) {
+        return null;
+      }
+      open.end = timestamp;
+      await this._write();
+      return { ...open };
+    }
+
+    if (open) {
+      return null;
+    }
+
+    const outage = {
+      id: `${deviceId}-${new Date(timestamp).getTime()}`,
+      deviceId,
+      ipAddress,
+      start: timestamp,
+      end: null
+    };
+    this.data.outages.push(outage);
+    await this._write();
+    return { ...outage };
+  }
+
+  /**
+   * Get the outages of a device that overlap a time range, oldest first
+   * @param {string} deviceId - Device ID
+   * @param {Date} [startTime] - Range start; outages that ended before it are left out
+   * @param {Date} [endTime] - Range end; outages that started after it are left out
+   * @returns {Promise<Array>} Outages with start and end as Dates; end is null while the device is still down
+   */
+  async getOutages(deviceId, startTime, endTime) {
+    await this._ensureInitialized();
+
+    const start = startTime ? new Date(startTime).getTime() : -Infinity;
+    const end = endTime ? new Date(endTime).getTime() : Infinity;
+
+    return this.data.outages
+      .filter(outage => outage.deviceId === deviceId &&
+        new Date(outage.start).getTime() <= end &&
+        (outage.end === null || new Date(outage.end).getTime() >= start))
+      .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
+      .map(outage => ({
+        ...outage,
+        start: new Date(outage.start),
+        end: outage.end === null ? null : new Date(outage.end)
+      }));
+  }
+
+  /**
+   * Remove device and internet outages that ended before a given time; open outages are kept
+   * @param {Date} olderThan - Date threshold for cleanup
+   */
+  async cleanupOutages(olderThan) {
+    await this._ensureInitialized();
+
+    const threshold = olderThan instanceof Date ? olderThan.getTime() : new Date(olderThan).getTime();
+    const count = this.data.outages.length + this.data.wanOutages.length;
+    const isKept = outage => outage.end === null || new Date(outage.end).getTime() >= threshold;
+    this.data.outages = this.data.outages.filter(isKept);
+    this.data.wanOutages = this.data.wanOutages.filter(isKept);
+
+    if (this.data.outages.length + this.data.wanOutages.length < count) {
+      await this._write();
+    }
+  }
+
+  // ==================== WAN Outage Operations ====================
+
+  /**
+   * Record a change of the internet status.
+   * Going down opens an outage unless one is already open; any other status closes it.
+   * @param {boolean} isDown - Whether the internet is down now
+   * @param {Date} [at] - When the change happened (defaults to now)
+   * @param {string|null} [cause] - Why the internet is down
+   * @returns {Promise<Object|null>} The outage opened or closed, or null if nothing changed
+   */
+  async recordWanTransition(isDown, at = new Date(), cause = null) {
+    await this._ensureInitialized();
+
+    const timestamp = at instanceof Date ? at.toISOString() : new Date(at).toISOString();
+    const open = this.data.wanOutages.find(outage => outage.end === null);
+
+    if (!isDown) {
+      if (!open) {
+        return null;
+      }
+      open.end = timestamp;
+      await this._write();
+      return { ...open };
+    }
+
+    if (open) {
+      return null;
+    }
+
+    const outage = {
+      id: `wan-${new Date(timestamp).getTime()}`,
+      start: timestamp,
+      end: null,
+      cause
+    };
+    this.data.wanOutages.push(outage);
+    await this._write();
+    return { ...outage };
+  }
+
+  /**
+   * Get the internet outages that overlap a time range, oldest first
+   * @param {Date} [startTime] - Range start; outages that ended before it are left out
+   * @param {Date} [endTime] - Range end; outages that started after it are left out
+   * @returns {Promise<Array>} Outages with start and end as Dates; end is null while the internet is still down
+   */
+  async getWanOutages(startTime, endTime) {
+    await this._ensureInitialized();
+
+    const start = startTime ? new Date(startTime).getTime() : -Infinity;
+    const end = endTime ? new Date(endTime).getTime() : Infinity;
+
+    return this.data.wanOutages
+      .filter(outage => new Date(outage.start).getTime() <= end &&
+        (outage.end === null || new Date(outage.end).getTime() >= start))
+      .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
+      .map(outage => ({
+        ...outage,
+        start: new Date(outage.start),
+        end: outage.end === null ? null : new Date(outage.end)
+      }));
+  }
+
+  // ==================== DNS Monitoring Operations ====================
+
+  /**
+   * Save the results of a round of DNS queries
+   * @param {Array} results - DNS query results
+   */
+  async saveDnsResults(results) {
+    await this._ensureInitialized();
+
+    for (const result of results) {
+      this.data.dnsResults.push({
+        ...result,
+        timestamp: result.timestamp instanceof Date ? result.timestamp.toISOString() : result.timestamp
+      });
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Get DNS query results, oldest first
+   * @param {Object} [filter] - Filter options
+   * @param {string} [filter.name] - Only queries of this name
+   * @param {string} [filter.resolver] - Only queries to this resolver
+   * @param {Date} [filter.start] - Only queries sent at or after this time
+   * @param {Date} [filter.end] - Only queries sent at or before this time
+   * @returns {Promise<Array>} DNS query results
+   */
+  async getDnsResults(filter = {}) {
+    await this._ensureInitialized();
+
+    const start = filter.start ? new Date(filter.start).getTime() : -Infinity;
+    const end = filter.end ? new Date(filter.end).getTime() : Infinity;
+
+    return this.data.dnsResults
+      .filter(result => {
+        const timestamp = new Date(result.timestamp).getTime();
+        return (!filter.name || result.name === filter.name) &&
+          (!filter.resolver || result.resolver === filter.resolver) &&
+          timestamp >= start && timestamp <= end;
+      })
+      .map(result => ({
+        ...result,
+        timestamp: new Date(result.timestamp)
+      }));
+  }
+
+  /**
+   * Append a DNS alert
+   * @param {Object} alert - DNS alert
+   */
+  async saveDnsAlert(alert) {
+    await this._ensureInitialized();
+
+    this.data.dnsAlerts.push({
+      ...alert,
+      timestamp: alert.timestamp instanceof Date ? alert.timestamp.toISOString() : alert.timestamp
+    });
+
+    if (this.data.dnsAlerts.length > MAX_DNS_ALERTS) {
+      this.data.dnsAlerts.splice(0, this.data.dnsAlerts.length - MAX_DNS_ALERTS);
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Get DNS alerts, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {string} [filter.type] - Only alerts of this type
+   * @param {string} [filter.name] - Only alerts about this name
+   * @param {string} [filter.resolver] - Only alerts about this resolver
+   * @param {Date} [filter.since] - Only alerts raised at or after this time
+   * @param {number} [filter.limit=100] - Maximum number of alerts
+   * @returns {Promise<Array>} DNS alerts
+   */
+  async getDnsAlerts(filter = {}) {
+    await this._ensureInitialized();
+
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    const limit = filter.limit || 100;
+
+    return this.data.dnsAlerts
+      .filter(alert => (!filter.type || alert.type === filter.type) &&
+        (!filter.name || alert.name === filter.name) &&
+        (!filter.resolver || alert.resolver === filter.resolver) &&
+        (since === null || new Date(alert.timestamp).getTime() >= since))
+      .reverse()
+      .slice(0, limit)
+      .map(alert => ({
+        ...alert,
+        timestamp: new Date(alert.timestamp)
+      }));
+  }
+
+  // ==================== Maintenance Window Operations ====================
+
+  /**
+   * Save a maintenance window, keyed by its ID
+   * @param {Object} window - Maintenance window
+   */
+  async saveMaintenanceWindow(window) {
+    await this._ensureInitialized();
+
+    const existingIndex = this.data.maintenanceWindows.findIndex(w => w.id === window.id);
+
+    if (existingIndex >= 0) {
+      this.data.maintenanceWindows[existingIndex] = { ...window };
+    } else {
+      this.data.maintenanceWindows.push({ ...window });
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Get all maintenance windows
+   * @returns {Promise<Array>} Maintenance windows, oldest first
+   */
+  async getMaintenanceWindows() {
+    await this._ensureInitialized();
+    return this.data.maintenanceWindows.map(window => ({ ...window }));
+  }
+
+  /**
+   * Remove a maintenance window
+   * @param {string} id - Window ID
+   */
+  async deleteMaintenanceWindow(id) {
+    await this._ensureInitialized();
+
+    const count = this.data.maintenanceWindows.length;
+    this.data.maintenanceWindows = this.data.maintenanceWindows.filter(w => w.id !== id);
+
+    if (this.data.maintenanceWindows.length < count) {
+      await this._write();
+    }
+  }
+
+  /**
+   * Remove one-off maintenance windows that ended before a given time; recurring windows are kept
+   * @param {Date} olderThan - Date threshold for cleanup
+   * @returns {Promise<Array>} Removed windows
+   */
+  async cleanupMaintenanceWindows(olderThan) {
+    await this._ensureInitialized();
+
+    const threshold = olderThan instanceof Date ? olderThan.getTime() : new Date(olderThan).getTime();
+    const removed = this.data.maintenanceWindows.filter(window =>
+      window.end !== null && new Date(window.end).getTime() < threshold);
+
+    if (removed.length > 0) {
+      this.data.maintenanceWindows = this.data.maintenanceWindows.filter(window => !removed.includes(window));
+      await this._write();
+    }
+    return removed;
+  }
+
+  // ==================== Monitoring Profile Operations ====================
+
+  /**
+   * Save a monitoring profile, keyed by its ID
+   * @param {Object} profile - Monitoring profile
+   */
+  async saveMonitoringProfile(profile) {
+    await this._ensureInitialized();
+
+    const existingIndex = this.data.monitoringProfiles.findIndex(p => p.id === profile.id);
+
+    if (existingIndex >= 0) {
+      this.data.monitoringProfiles[existingIndex] = { ...profile };
+    } else {
+      this.data.monitoringProfiles.push({ ...profile });
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Get all monitoring profiles
+   * @returns {Promise<Array>} Monitoring profiles, oldest first
+   */
+  async getMonitoringProfiles() {
+    await this._ensureInitialized();
+    return this.data.monitoringProfiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Remove a monitoring profile
+   * @param {string} id - Profile ID
+   */
+  async deleteMonitoringProfile(id) {
+    await this._ensureInitialized();
+
+    const count = this.data.monitoringProfiles.length;
+    this.data.monitoringProfiles = this.data.monitoringProfiles.filter(p => p.id !== id);
+
+    if (this.data.monitoringProfiles.length < count) {
+      await this._write();
+    }
+  }
+
+  // ==================== Path Target Operations ====================
+
+  /**
+   * Save a path monitoring target with its last trace, keyed by the target
+   * @param {Object} entry - Path target: target, protocol, addedAt, path
+   */
+  async savePathTarget(entry) {
+    await this._ensureInitialized();
+
+    const existingIndex = this.data.pathTargets.findIndex(t => t.target === entry.target);
+
+    if (existingIndex >= 0) {
+      this.data.pathTargets[existingIndex] = { ...entry };
+    } else {
+      this.data.pathTargets.push({ ...entry });
+    }
+
+    await this._write();
+  }
+
+  /**
+   * Save the last trace of a path monitoring target; nothing is saved for a target that was removed
+   * @param {string} target - Target
+   * @param {Object} path - Last trace
+   */
+  async updatePathTrace(target, path) {
+    await this._ensureInitialized();
+
+    const entry = this.data.pathTargets.find(t => t.target === target);
+    if (entry) {
+      entry.path = path;
+      await this._write();
+    }
+  }
+
+  /**
+   * Get all path monitoring targets
+   * @returns {Promise<Array>} Path targets, oldest first
+   */
+  async getPathTargets() {
+    await this._ensureInitialized();
+    return this.data.pathTargets.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Remove a path monitoring target
+   * @param {string} target - Target
+   */
+  async deletePathTarget(target) {
+    await this._ensureInitialized();
+
+    const count = this.data.pathTargets.length;
+    this.data.pathTargets = this.data.pathTargets.filter(t => t.target !== target);
+
+    if (this.data.pathTargets.length < count) {
+      await this._write();
+    }
+  }
+
   // ==================== Cleanup Operations ====================
 
   /**
@@ -263,13 +1065,70 @@ class DataStore {
       return timestamp >= threshold;
     });
 
+    // Clean up DNS query results
+    const initialDnsCount = this.data.dnsResults.length;
+    this.data.dnsResults = this.data.dnsResults.filter(result => {
+      const timestamp = new Date(result.timestamp).getTime();
+      return timestamp >= threshold;
+    });
+
     // Only write if data was actually removed
     if (this.data.trafficStats.length < initialTrafficCount || 
-        this.data.healthMetrics.length < initialHealthCount) {
+        this.data.healthMetrics.length < initialHealthCount ||
+        this.data.dnsResults.length < initialDnsCount) {
       await this._write();
     }
   }
 
+  // ==================== Migration ====================
+
+  /**
+   * Give devices persisted by older versions a stable ID and IP history.
+   * Older versions keyed devices by IP address, so a device that changed address was stored
+   * several times; those records are merged into one.
+   * @private
+   * @param {Array} devices - Persisted devices
+   * @returns {Array} Migrated devices
+   */
+  static _migrateDevices(devices) {
+    /** @type {Map<string, Array>} */
+    const byId = new Map();
+
+    for (const device of devices) {
+      const id = device.id || deviceIdFor(device.macAddress, device.ipAddress);
+      if (!byId.has(id)) {
+        byId.set(id, []);
+      }
+      byId.get(id).push(device);
+    }
+
+    const migrated = [];
+    for (const [id, records] of byId.entries()) {
+      if (records.length === 1 && records[0].id) {
+        migrated.push(records[0]);
+        continue;
+      }
+
+      // Oldest sighting first; the most recent record describes the device now
+      records.sort((a, b) => new Date(a.lastSeen).getTime() - new Date(b.lastSeen).getTime());
+      const latest = records[records.length - 1];
+      const firstSeen = records
+        .map(record => record.firstSeen)
+        .reduce((earliest, value) => (new Date(value) < new Date(earliest) ? value : earliest));
+
+      migrated.push({
+        ...latest,
+        id,
+        firstSeen,
+        ipHistory: records.flatMap(record => record.ipHistory && record.ipHistory.length > 0
+          ? record.ipHistory
+          : [{ ipAddress: record.ipAddress, firstSeen: record.firstSeen, lastSeen: record.lastSeen }])
+      });
+    }
+
+    return migrated;
+  }
+
   /**
    * Get the current database state (for testing/debugging)
    * @returns {Object} Current database data
@@ -1,373 +1,244 @@
 const arp = require('node-arp');
 const ping = require('ping');
-const dns = require('dns').promises;
 const { promisify } = require('util');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const { expandRanges } = require('../utils/ipRange');
+const { deviceIdFor, isFallbackId, macToHex } = require('../utils/deviceId');
+const VendorLookup = require('./VendorLookup');
+const NameResolver = require('./NameResolver');
 
 const arpGetMAC = promisify(arp.getMAC);
 
+/** Number of addresses kept in a device's IP history */
+const MAX_IP_HISTORY = 20;
+
+/**
+ * @typedef {Object} DeviceChange
+ * @property {'macAddress'|'vendor'|'hostname'|'openPorts'} field - Changed field
+ * @property {string|number[]} previous - Previous value
+ * @property {string|number[]} current - New value
+ */
+
+/**
+ * @typedef {Object} IpHistoryEntry
+ * @property {string} ipAddress - Address the device used
+ * @property {Date} firstSeen - When the device was first seen on this address
+ * @property {Date} lastSeen - When the device was last seen on this address
+ */
+
 /**
  * @typedef {Object} Device
- * @property {string} ipAddress - IP address (e.g., "192.168.1.100")
+ * @property {string} id - Stable ID derived from the MAC address ("mac-aabbccddeeff"),
+ *   or from the IP address ("ip-192.168.1.100") while the MAC is unknown
+ * @property {string} ipAddress - Current IP address (e.g., "192.168.1.100")
  * @property {string} macAddress - MAC address (e.g., "AA:BB:CC:DD:EE:FF")
  * @property {string} hostname - Hostname or "unknown"
+ * @property {string|null} friendlyName - Name advertised by the device (mDNS service instance, UPnP friendlyName)
+ * @property {string|null} model - Model advertised by the device
+ * @property {string|null} manufacturer - Manufacturer advertised by the device
+ * @property {string[]} advertisedServices - Advertised services (DNS-SD types such as "_ipp._tcp", UPnP URNs)
+ * @property {number[]} [openPorts] - Open TCP ports found by the service scan
+ * @property {import('./ServiceScanner').ServiceInfo[]} [services] - Services listening on the open ports
+ * @property {Date|null} [servicesScannedAt] - When the service scan last ran
  * @property {string} vendor - Vendor name from MAC lookup
+ * @property {boolean} isRandomizedMac - True if the MAC is locally administered (randomized)
  * @property {Date} firstSeen - When device was first discovered
  * @property {Date} lastSeen - Last successful connectivity check
  * @property {boolean} isActive - Current online/offline status
+ * @property {'icmp'|'arp-table'|'arp-traffic'} discoveryMethod - How the device was last seen
+ * @property {IpHistoryEntry[]} ipHistory - Addresses the device has used, oldest first
+ * @property {import('../utils/deviceMetadata').DeviceMetadata} [metadata] - Name, tags and notes set by users;
+ *   carried over unchanged by rescans
+ * @property {import('../utils/probeConfig').ProbeConfig|null} [probe] - How StatusMonitor checks the device,
+ *   set by users (null or missing: ICMP ping)
+ * @property {string|null} [parentId] - Device this device is reached through, set by users
+ * @property {string|null} [profileId] - Monitoring profile assigned by users (null or missing: the
+ *   profile of the device's tags, if any)
+ */
+
+/**
+ * @typedef {Object} DeviceNames
+ * @property {string} hostname - Hostname or "unknown"
+ * @property {string|null} friendlyName - Advertised friendly name
+ * @property {string|null} model - Advertised model
+ * @property {string|null} manufacturer - Advertised manufacturer
+ * @property {string[]} services - Advertised services
+ */
+
+/**
+ * @typedef {Object} ScanJob
+ * @property {string} id - Unique scan identifier
+ * @property {'queued'|'running'|'completed'|'cancelled'|'failed'} status - Current job state
+ * @property {string|string[]} subnet - Ranges being scanned
+ * @property {string|string[]} exclude - Ranges skipped
+ * @property {number} total - Number of hosts to probe
+ * @property {number} probed - Number of hosts probed so far
+ * @property {number} found - Number of responding devices found so far
+ * @property {Date} createdAt - When the job was submitted
+ * @property {Date|null} startedAt - When probing started
+ * @property {Date|null} completedAt - When the job finished, was cancelled or failed
+ * @property {string|null} error - Failure reason, if any
  */
 
 /**
  * DeviceScanner discovers devices on the local network using ARP scanning and ping sweeps
  */
 class DeviceScanner extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.concurrency=32] - Maximum hosts probed at the same time
+   * @param {'queue'|'reject'} [options.overlapPolicy='queue'] - What to do when a scan is requested while another is pending
+   * @param {number} [options.progressInterval=500] - Minimum time between scanProgress events (ms)
+   * @param {number} [options.maxScanHistory=20] - Number of finished scan jobs to keep
+   * @param {VendorLookup} [options.vendorLookup] - MAC vendor lookup service
+   * @param {NameResolver} [options.nameResolver] - Name resolution (reverse DNS, mDNS, NetBIOS, SSDP)
+   * @param {import('./ServiceScanner')|null} [options.serviceScanner=null] - TCP service scan step; disabled when not set
+   * @param {number} [options.serviceScanInterval=21600000] - Minimum time between service scans of a device (ms)
+   * @param {number} [options.neighborPollInterval=60000] - How often passive discovery reads the neighbor table (ms)
+   */
+  constructor(options = {}) {
     super();
-    /** @type {Map<string, Device>} */
+    /** @type {Map<string, Device>} Devices by stable ID */
     this.deviceCache = new Map();
     
-    // OUI database for MAC vendor lookup (subset of common vendors)
-    this.ouiDatabase = this._initializeOUIDatabase();
+    /** @type {number} Maximum hosts probed at the same time */
+    this.concurrency = options.concurrency || 32;
+    
+    /** @type {'queue'|'reject'} Policy for overlapping scan requests */
+    this.overlapPolicy = options.overlapPolicy || 'queue';
+    
+    /** @type {number} Minimum time between scanProgress events (ms) */
+    this.progressInterval = options.progressInterval !== undefined ? options.progressInterval : 500;
+    
+    /** @type {number} Number of finished scan jobs to keep */
+    this.maxScanHistory = options.maxScanHistory || 20;
+    
+    /** @type {Map<string, ScanJob>} Scan jobs by ID, in submission order */
+    this.scanJobs = new Map();
+    
+    /** @type {Map<string, Promise<Device[]>>} Completion promises for pending jobs */
+    this.scanCompletions = new Map();
+    
+    /** @type {Promise<any>} Tail of the scan queue; jobs run one at a time */
+    this.scanQueue = Promise.resolve();
+    
+    /** @type {VendorLookup} MAC vendor lookup service */
+    this.vendorLookup = options.vendorLookup || new VendorLookup();
+    
+    /** @type {NameResolver} Name resolution service */
+    this.nameResolver = options.nameResolver || new NameResolver();
+    
+    /** @type {import('./ServiceScanner')|null} TCP service scanner (null when disabled) */
+    this.serviceScanner = options.serviceScanner || null;
+    
+    /** @type {number} Minimum time between service scans of a device (ms) */
+    this.serviceScanInterval = options.serviceScanInterval !== undefined ? options.serviceScanInterval : 21600000;
+    
+    /** @type {number} How often passive discovery reads the neighbor table (ms) */
+    this.neighborPollInterval = options.neighborPollInterval || 60000;
   }
 
   /**
-   * Initialize OUI database with common MAC vendor prefixes
+   * Lookup vendor name from MAC address using the IEEE registry
    * @private
-   * @returns {Map<string, string>}
+   * @param {string} macAddress - MAC address
+   * @returns {string} Vendor name, "Locally Administered" or "Unknown"
    */
-  _initializeOUIDatabase() {
-    const oui = new Map();
-    
-    // Common vendor MAC prefixes (first 6 characters)
-    oui.set('00:50:56', 'VMware');
-    oui.set('00:0C:29', 'VMware');
-    oui.set('00:05:69', 'VMware');
-    oui.set('00:1C:42', 'Parallels');
-    oui.set('08:00:27', 'Oracle VirtualBox');
-    oui.set('52:54:00', 'QEMU/KVM');
-    oui.set('00:16:3E', 'Xen');
-    oui.set('00:03:FF', 'Microsoft');
-    oui.set('00:0D:3A', 'Microsoft');
-    oui.set('00:12:5A', 'Microsoft');
-    oui.set('00:15:5D', 'Microsoft Hyper-V');
-    oui.set('00:17:FA', 'Microsoft');
-    oui.set('00:50:F2', 'Microsoft');
-    oui.set('28:18:78', 'Microsoft');
-    oui.set('7C:1E:52', 'Microsoft');
-    oui.set('00:1B:21', 'Intel');
-    oui.set('00:1E:67', 'Intel');
-    oui.set('00:21:5C', 'Intel');
-    oui.set('00:23:15', 'Intel');
-    oui.set('00:24:D7', 'Intel');
-    oui.set('00:26:C6', 'Intel');
-    oui.set('00:27:0E', 'Intel');
-    oui.set('3C:A9:F4', 'Intel');
-    oui.set('00:03:93', 'Apple');
-    oui.set('00:05:02', 'Apple');
-    oui.set('00:0A:27', 'Apple');
-    oui.set('00:0A:95', 'Apple');
-    oui.set('00:0D:93', 'Apple');
-    oui.set('00:10:FA', 'Apple');
-    oui.set('00:11:24', 'Apple');
-    oui.set('00:14:51', 'Apple');
-    oui.set('00:16:CB', 'Apple');
-    oui.set('00:17:F2', 'Apple');
-    oui.set('00:19:E3', 'Apple');
-    oui.set('00:1B:63', 'Apple');
-    oui.set('00:1C:B3', 'Apple');
-    oui.set('00:1D:4F', 'Apple');
-    oui.set('00:1E:52', 'Apple');
-    oui.set('00:1E:C2', 'Apple');
-    oui.set('00:1F:5B', 'Apple');
-    oui.set('00:1F:F3', 'Apple');
-    oui.set('00:21:E9', 'Apple');
-    oui.set('00:22:41', 'Apple');
-    oui.set('00:23:12', 'Apple');
-    oui.set('00:23:32', 'Apple');
-    oui.set('00:23:6C', 'Apple');
-    oui.set('00:23:DF', 'Apple');
-    oui.set('00:24:36', 'Apple');
-    oui.set('00:25:00', 'Apple');
-    oui.set('00:25:4B', 'Apple');
-    oui.set('00:25:BC', 'Apple');
-    oui.set('00:26:08', 'Apple');
-    oui.set('00:26:4A', 'Apple');
-    oui.set('00:26:B0', 'Apple');
-    oui.set('00:26:BB', 'Apple');
-    oui.set('04:0C:CE', 'Apple');
-    oui.set('04:15:52', 'Apple');
-    oui.set('04:26:65', 'Apple');
-    oui.set('08:00:07', 'Apple');
-    oui.set('08:66:98', 'Apple');
-    oui.set('08:70:45', 'Apple');
-    oui.set('0C:3E:9F', 'Apple');
-    oui.set('0C:4D:E9', 'Apple');
-    oui.set('0C:74:C2', 'Apple');
-    oui.set('10:40:F3', 'Apple');
-    oui.set('10:9A:DD', 'Apple');
-    oui.set('10:DD:B1', 'Apple');
-    oui.set('14:10:9F', 'Apple');
-    oui.set('14:8F:C6', 'Apple');
-    oui.set('18:34:51', 'Apple');
-    oui.set('18:E7:F4', 'Apple');
-    oui.set('1C:AB:A7', 'Apple');
-    oui.set('20:C9:D0', 'Apple');
-    oui.set('24:A0:74', 'Apple');
-    oui.set('28:37:37', 'Apple');
-    oui.set('28:CF:DA', 'Apple');
-    oui.set('28:E1:4C', 'Apple');
-    oui.set('2C:B4:3A', 'Apple');
-    oui.set('30:90:AB', 'Apple');
-    oui.set('34:15:9E', 'Apple');
-    oui.set('34:36:3B', 'Apple');
-    oui.set('38:C9:86', 'Apple');
-    oui.set('3C:15:C2', 'Apple');
-    oui.set('40:30:04', 'Apple');
-    oui.set('40:A6:D9', 'Apple');
-    oui.set('44:2A:60', 'Apple');
-    oui.set('48:43:7C', 'Apple');
-    oui.set('48:74:6E', 'Apple');
-    oui.set('4C:57:CA', 'Apple');
-    oui.set('50:EA:D6', 'Apple');
-    oui.set('54:26:96', 'Apple');
-    oui.set('54:72:4F', 'Apple');
-    oui.set('58:55:CA', 'Apple');
-    oui.set('5C:59:48', 'Apple');
-    oui.set('5C:95:AE', 'Apple');
-    oui.set('60:03:08', 'Apple');
-    oui.set('60:33:4B', 'Apple');
-    oui.set('60:69:44', 'Apple');
-    oui.set('60:C5:47', 'Apple');
-    oui.set('60:F8:1D', 'Apple');
-    oui.set('60:FA:CD', 'Apple');
-    oui.set('64:20:0C', 'Apple');
-    oui.set('64:B9:E8', 'Apple');
-    oui.set('68:5B:35', 'Apple');
-    oui.set('68:96:7B', 'Apple');
-    oui.set('68:A8:6D', 'Apple');
-    oui.set('68:D9:3C', 'Apple');
-    oui.set('6C:3E:6D', 'Apple');
-    oui.set('6C:40:08', 'Apple');
-    oui.set('6C:70:9F', 'Apple');
-    oui.set('6C:94:66', 'Apple');
-    oui.set('70:11:24', 'Apple');
-    oui.set('70:56:81', 'Apple');
-    oui.set('70:CD:60', 'Apple');
-    oui.set('74:E1:B6', 'Apple');
-    oui.set('78:31:C1', 'Apple');
-    oui.set('78:67:D7', 'Apple');
-    oui.set('78:7B:8A', 'Apple');
-    oui.set('78:A3:E4', 'Apple');
-    oui.set('78:CA:39', 'Apple');
-    oui.set('7C:01:91', 'Apple');
-    oui.set('7C:11:BE', 'Apple');
-    oui.set('7C:6D:62', 'Apple');
-    oui.set('7C:C3:A1', 'Apple');
-    oui.set('7C:D1:C3', 'Apple');
-    oui.set('7C:F0:5F', 'Apple');
-    oui.set('80:49:71', 'Apple');
-    oui.set('80:92:9F', 'Apple');
-    oui.set('80:E6:50', 'Apple');
-    oui.set('84:38:35', 'Apple');
-    oui.set('84:85:06', 'Apple');
-    oui.set('84:89:AD', 'Apple');
-    oui.set('84:FC:FE', 'Apple');
-    oui.set('88:1F:A1', 'Apple');
-    oui.set('88:53:95', 'Apple');
-    oui.set('88:63:DF', 'Apple');
-    oui.set('88:66:5A', 'Apple');
-    oui.set('88:C6:63', 'Apple');
-    oui.set('8C:00:6D', 'Apple');
-    oui.set('8C:2D:AA', 'Apple');
-    oui.set('8C:58:77', 'Apple');
-    oui.set('8C:7C:92', 'Apple');
-    oui.set('8C:85:90', 'Apple');
-    oui.set('90:27:E4', 'Apple');
-    oui.set('90:72:40', 'Apple');
-    oui.set('90:84:0D', 'Apple');
-    oui.set('90:B0:ED', 'Apple');
-    oui.set('90:B9:31', 'Apple');
-    oui.set('94:E9:6A', 'Apple');
-    oui.set('98:03:D8', 'Apple');
-    oui.set('98:5A:EB', 'Apple');
-    oui.set('98:B8:E3', 'Apple');
-    oui.set('98:D6:BB', 'Apple');
-    oui.set('98:E0:D9', 'Apple');
-    oui.set('98:FE:94', 'Apple');
-    oui.set('9C:04:EB', 'Apple');
-    oui.set('9C:20:7B', 'Apple');
-    oui.set('9C:35:5B', 'Apple');
-    oui.set('9C:84:BF', 'Apple');
-    oui.set('9C:F3:87', 'Apple');
-    oui.set('A0:18:28', 'Apple');
-    oui.set('A0:99:9B', 'Apple');
-    oui.set('A4:5E:60', 'Apple');
-    oui.set('A4:67:06', 'Apple');
-    oui.set('A4:B1:97', 'Apple');
-    oui.set('A4:D1:8C', 'Apple');
-    oui.set('A8:20:66', 'Apple');
-    oui.set('A8:5B:78', 'Apple');
-    oui.set('A8:66:7F', 'Apple');
-    oui.set('A8:86:DD', 'Apple');
-    oui.set('A8:BB:CF', 'Apple');
-    oui.set('A8:FA:D8', 'Apple');
-    oui.set('AC:1F:74', 'Apple');
-    oui.set('AC:29:3A', 'Apple');
-    oui.set('AC:3C:0B', 'Apple');
-    oui.set('AC:61:EA', 'Apple');
-    oui.set('AC:87:A3', 'Apple');
-    oui.set('AC:BC:32', 'Apple');
-    oui.set('AC:CF:5C', 'Apple');
-    oui.set('AC:E4:B5', 'Apple');
-    oui.set('B0:34:95', 'Apple');
-    oui.set('B0:65:BD', 'Apple');
-    oui.set('B0:9F:BA', 'Apple');
-    oui.set('B4:18:D1', 'Apple');
-    oui.set('B4:8B:19', 'Apple');
-    oui.set('B4:F0:AB', 'Apple');
-    oui.set('B4:F6:1C', 'Apple');
-    oui.set('B8:09:8A', 'Apple');
-    oui.set('B8:17:C2', 'Apple');
-    oui.set('B8:41:A4', 'Apple');
-    oui.set('B8:53:AC', 'Apple');
-    oui.set('B8:63:4D', 'Apple');
-    oui.set('B8:78:2E', 'Apple');
-    oui.set('B8:C7:5D', 'Apple');
-    oui.set('B8:E8:56', 'Apple');
-    oui.set('B8:F6:B1', 'Apple');
-    oui.set('BC:3B:AF', 'Apple');
-    oui.set('BC:52:B7', 'Apple');
-    oui.set('BC:67:1C', 'Apple');
-    oui.set('BC:6C:21', 'Apple');
-    oui.set('BC:92:6B', 'Apple');
-    oui.set('BC:9F:EF', 'Apple');
-    oui.set('C0:1A:DA', 'Apple');
-    oui.set('C0:63:94', 'Apple');
-    oui.set('C0:84:7D', 'Apple');
-    oui.set('C0:9A:D0', 'Apple');
-    oui.set('C0:CC:F8', 'Apple');
-    oui.set('C0:CE:CD', 'Apple');
-    oui.set('C0:D0:12', 'Apple');
-    oui.set('C4:2C:03', 'Apple');
-    oui.set('C8:2A:14', 'Apple');
-    oui.set('C8:33:4B', 'Apple');
-    oui.set('C8:69:CD', 'Apple');
-    oui.set('C8:85:50', 'Apple');
-    oui.set('C8:B5:B7', 'Apple');
-    oui.set('C8:BC:C8', 'Apple');
-    oui.set('C8:E0:EB', 'Apple');
-    oui.set('CC:08:E0', 'Apple');
-    oui.set('CC:25:EF', 'Apple');
-    oui.set('CC:29:F5', 'Apple');
-    oui.set('CC:44:63', 'Apple');
-    oui.set('CC:78:5F', 'Apple');
-    oui.set('D0:03:4B', 'Apple');
-    oui.set('D0:23:DB', 'Apple');
-    oui.set('D0:25:98', 'Apple');
-    oui.set('D0:33:11', 'Apple');
-    oui.set('D0:4F:7E', 'Apple');
-    oui.set('D0:81:7A', 'Apple');
-    oui.set('D0:A6:37', 'Apple');
-    oui.set('D0:C5:F3', 'Apple');
-    oui.set('D0:D2:B0', 'Apple');
-    oui.set('D0:E1:40', 'Apple');
-    oui.set('D4:61:9D', 'Apple');
-    oui.set('D4:85:64', 'Apple');
-    oui.set('D4:90:9C', 'Apple');
-    oui.set('D4:9A:20', 'Apple');
-    oui.set('D4:A3:3D', 'Apple');
-    oui.set('D4:DC:CD', 'Apple');
-    oui.set('D4:F4:6F', 'Apple');
-    oui.set('D8:1D:72', 'Apple');
-    oui.set('D8:30:62', 'Apple');
-    oui.set('D8:96:95', 'Apple');
-    oui.set('D8:9E:3F', 'Apple');
-    oui.set('D8:A2:5E', 'Apple');
-    oui.set('D8:BB:2C', 'Apple');
-    oui.set('D8:CF:9C', 'Apple');
-    oui.set('DC:2B:2A', 'Apple');
-    oui.set('DC:2B:61', 'Apple');
-    oui.set('DC:37:18', 'Apple');
-    oui.set('DC:3D:24', 'Apple');
-    oui.set('DC:56:E7', 'Apple');
-    oui.set('DC:86:D8', 'Apple');
-    oui.set('DC:9B:9C', 'Apple');
-    oui.set('DC:A4:CA', 'Apple');
-    oui.set('DC:A9:04', 'Apple');
-    oui.set('E0:05:C5', 'Apple');
-    oui.set('E0:33:8E', 'Apple');
-    oui.set('E0:66:78', 'Apple');
-    oui.set('E0:AC:CB', 'Apple');
-    oui.set('E0:B5:2D', 'Apple');
-    oui.set('E0:B9:BA', 'Apple');
-    oui.set('E0:C7:67', 'Apple');
-    oui.set('E0:F5:C6', 'Apple');
-    oui.set('E0:F8:47', 'Apple');
-    oui.set('E4:25:E7', 'Apple');
-    oui.set('E4:8B:7F', 'Apple');
-    oui.set('E4:9A:79', 'Apple');
-    oui.set('E4:CE:8F', 'Apple');
-    oui.set('E8:04:0B', 'Apple');
-    oui.set('E8:06:88', 'Apple');
-    oui.set('E8:40:40', 'Apple');
-    oui.set('E8:80:2E', 'Apple');
-    oui.set('E8:B2:AC', 'Apple');
-    oui.set('EC:35:86', 'Apple');
-    oui.set('EC:85:2F', 'Apple');
-    oui.set('F0:18:98', 'Apple');
-    oui.set('F0:24:75', 'Apple');
-    oui.set('F0:98:9D', 'Apple');
-    oui.set('F0:B4:79', 'Apple');
-    oui.set('F0:C1:F1', 'Apple');
-    oui.set('F0:CB:A1', 'Apple');
-    oui.set('F0:D1:A9', 'Apple');
-    oui.set('F0:DB:E2', 'Apple');
-    oui.set('F0:DC:E2', 'Apple');
-    oui.set('F0:F6:1C', 'Apple');
-    oui.set('F4:0F:24', 'Apple');
-    oui.set('F4:1B:A1', 'Apple');
-    oui.set('F4:37:B7', 'Apple');
-    oui.set('F4:5C:89', 'Apple');
-    oui.set('F4:F1:5A', 'Apple');
-    oui.set('F4:F9:51', 'Apple');
-    oui.set('F8:1E:DF', 'Apple');
-    oui.set('F8:27:93', 'Apple');
-    oui.set('F8:95:C7', 'Apple');
-    oui.set('FC:25:3F', 'Apple');
-    oui.set('FC:E9:98', 'Apple');
-    oui.set('FC:FC:48', 'Apple');
-    
-    return oui;
+  _lookupVendor(macAddress) {
+    if (!macAddress || macAddress === 'unknown') {
+      return 'Unknown';
+    }
+    
+    return this.vendorLookup.lookup(macAddress).vendor;
   }
 
   /**
-   * Lookup vendor name from MAC address using OUI database
+   * Check whether a MAC address is locally administered (e.g., randomized by the OS)
    * @private
    * @param {string} macAddress - MAC address
-   * @returns {string} Vendor name or "Unknown"
+   * @returns {boolean}
    */
-  _lookupVendor(macAddress) {
+  _isRandomizedMac(macAddress) {
     if (!macAddress || macAddress === 'unknown') {
-      return 'Unknown';
+      return false;
+    }
+    
+    return this.vendorLookup.lookup(macAddress).isLocallyAdministered;
+  }
+
+  /**
+   * Re-resolve vendors of cached devices, e.g. after the vendor registry was refreshed
+   * @returns {Device[]} Devices whose vendor changed
+   */
+  refreshVendors() {
+    /** @type {Device[]} */
+    const changed = [];
+    
+    for (const device of this.deviceCache.values()) {
+      const vendor = this._lookupVendor(device.macAddress);
+      if (vendor !== device.vendor) {
+        device.vendor = vendor;
+        device.isRandomizedMac = this._isRandomizedMac(device.macAddress);
+        changed.push(device);
+      }
     }
     
-    // Extract first 8 characters (XX:XX:XX format)
-    const prefix = macAddress.substring(0, 8).toUpperCase();
-    return this.ouiDatabase.get(prefix) || 'Unknown';
+    return changed;
   }
 
   /**
-   * Perform reverse DNS lookup for hostname
+   * Resolve hostname, friendly name, model and services of a device
    * @private
    * @param {string} ipAddress - IP address
-   * @returns {Promise<string>} Hostname or "unknown"
+   * @returns {Promise<DeviceNames>} Names; hostname is "unknown" if none was found
    */
-  async _lookupHostname(ipAddress) {
+  async _resolveNames(ipAddress) {
     try {
-      const hostnames = await dns.reverse(ipAddress);
-      return hostnames && hostnames.length > 0 ? hostnames[0] : 'unknown';
+      return await this.nameResolver.resolve(ipAddress);
     } catch (error) {
-      return 'unknown';
+      const err = /** @type {Error} */ (error);
+      console.error(`Error resolving names for ${ipAddress}:`, err.message);
+      return { hostname: 'unknown', friendlyName: null, model: null, manufacturer: null, services: [] };
+    }
+  }
+
+  /**
+   * Run the service scan step for a device, unless it is disabled or the device was scanned recently
+   * @private
+   * @param {string} ipAddress - IP address
+   * @param {Device|undefined} known - Device as currently cached, if any
+   * @returns {Promise<import('./ServiceScanner').ServiceInventory|null>} Inventory, or null if skipped
+   */
+  async _scanServices(ipAddress, known) {
+    if (!this.serviceScanner) {
+      return null;
+    }
+    
+    if (known && known.ipAddress === ipAddress && known.servicesScannedAt &&
+        Date.now() - new Date(known.servicesScannedAt).getTime() < this.serviceScanInterval) {
+      return null;
+    }
+    
+    try {
+      return await this.serviceScanner.scan(ipAddress);
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      console.error(`Error scanning services of ${ipAddress}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Emit an arpObservation event for an IP→MAC pair, unless the MAC address is unknown
+   * @private
+   * @param {string} ipAddress - IP address
+   * @param {string} macAddress - MAC address or "unknown"
+   * @param {'arp-lookup'|'arp-table'|'arp-traffic'} source - Where the pair was learned
+   */
+  _reportArpObservation(ipAddress, macAddress, source) {
+    if (macToHex(macAddress)) {
+      this.emit('arpObservation', { ipAddress, macAddress, source, timestamp: new Date() });
     }
   }
 
@@ -406,32 +277,16 @@ class DeviceScanner extends EventEmitter {
 
       // Get MAC address
       const macAddress = await this._getMACAddress(ipAddress);
+      this._reportArpObservation(ipAddress, macAddress, 'arp-lookup');
       
-      // Get hostname
-      const hostname = await this._lookupHostname(ipAddress);
-      
-      // Lookup vendor
-      const vendor = this._lookupVendor(macAddress);
-      
-      const now = new Date();
-      
-      // Check if device exists in cache
-      const cachedDevice = this.deviceCache.get(ipAddress);
+      // Get hostname, friendly name, model and advertised services
+      const names = await this._resolveNames(ipAddress);
       
-      const device = {
-        ipAddress,
-        macAddress,
-        hostname,
-        vendor,
-        firstSeen: cachedDevice ? cachedDevice.firstSeen : now,
-        lastSeen: now,
-        isActive: true
-      };
+      // Check open TCP ports (optional)
+      const inventory = await this._scanServices(ipAddress, this.getDevice(deviceIdFor(macAddress, ipAddress)) || undefined);
       
-      // Update cache
-      this.deviceCache.set(ipAddress, device);
-      
-      return device;
+      // Merge into the cache, following the device if its address changed
+      return this._mergeObservation({ ipAddress, macAddress, names, inventory, discoveryMethod: 'icmp' });
     } catch (error) {
       const err = /** @type {Error} */ (error);
       console.error(`Error scanning device ${ipAddress}:`, err.message);
@@ -440,45 +295,571 @@ class DeviceScanner extends EventEmitter {
   }
 
   /**
-   * Scan the entire network subnet for active devices
-   * @param {string} subnet - Subnet to scan (e.g., "192.168.1")
+   * Merge a passively observed neighbor (ARP table or ARP traffic) into the device cache.
+   * Emits deviceDiscovered when the device is new, was inactive, or changed MAC address.
+   * @param {Object} neighbor - Observed neighbor
+   * @param {string} neighbor.ipAddress - IP address
+   * @param {string} neighbor.macAddress - MAC address
+   * @param {'arp-table'|'arp-traffic'} neighbor.source - Discovery method
+   * @returns {Promise<Device>} The cached device
+   */
+  async recordNeighbor({ ipAddress, macAddress, source }) {
+    this._reportArpObservation(ipAddress, macAddress, source);
+    
+    const cachedDevice = this.deviceCache.get(deviceIdFor(macAddress, ipAddress));
+    
+    if (cachedDevice && cachedDevice.isActive && cachedDevice.ipAddress === ipAddress) {
+      // Already known and online: just refresh it
+      const now = new Date();
+      cachedDevice.lastSeen = now;
+      cachedDevice.ipHistory = this._updateIpHistory(cachedDevice, ipAddress, now);
+      return cachedDevice;
+    }
+    
+    // Names are only looked up again if the device is unnamed or moved
+    const names = cachedDevice && cachedDevice.hostname !== 'unknown' && cachedDevice.ipAddress === ipAddress
+      ? null
+      : await this._resolveNames(ipAddress);
+    const inventory = await this._scanServices(ipAddress, cachedDevice);
+    
+    const device = this._mergeObservation({ ipAddress, macAddress, names, inventory, discoveryMethod: source });
+    this.emit('deviceDiscovered', device);
+    
+    return device;
+  }
+
+  /**
+   * Merge a sighting of a device into the cache. The device is matched by its stable ID, so a
+   * known MAC showing up on a new address keeps its history and emits deviceIpChanged.
+   * Emits deviceAdded for devices seen for the first time and deviceChanged when the MAC address
+   * answering on an address, the vendor, the hostname or the open ports change.
+   * @private
+   * @param {Object} observation - What was observed
+   * @param {string} observation.ipAddress - IP address
+   * @param {string} observation.macAddress - MAC address or "unknown"
+   * @param {DeviceNames|null} observation.names - Resolved names, or null to keep the known ones
+   * @param {import('./ServiceScanner').ServiceInventory|null} [observation.inventory] - Service scan
+   *   result, or null to keep the known one
+   * @param {'icmp'|'arp-table'|'arp-traffic'} observation.discoveryMethod - How the device was seen
+   * @returns {Device} The cached device
+   */
+  _mergeObservation({ ipAddress, macAddress, names, inventory = null, discoveryMethod }) {
+    const now = new Date();
+    const holder = this.findDeviceByIp(ipAddress);
+    let id = deviceIdFor(macAddress, ipAddress);
+    
+    // ARP lookups fail now and then; keep attributing the address to the device that holds it
+    if (isFallbackId(id) && holder && holder.macAddress && holder.macAddress !== 'unknown') {
+      id = holder.id;
+      macAddress = holder.macAddress;
+    }
+    
+    let previous = this.deviceCache.get(id);
+    
+    // The device was first seen without a MAC address: promote the placeholder to the MAC-based ID
+    const placeholderId = deviceIdFor(null, ipAddress);
+    const placeholder = id !== placeholderId ? this.deviceCache.get(placeholderId) : undefined;
+    if (placeholder) {
+      this.deviceCache.delete(placeholderId);
+      previous = previous || placeholder;
+    }
+    
+    // Another device still listed on this address has moved or gone away
+    const displaced = holder && holder !== previous && holder !== placeholder ? holder : null;
+    const displacedWasActive = Boolean(displaced && displaced.isActive);
+    if (displaced) {
+      displaced.isActive = false;
+    }
+    
+    const previousIp = previous && previous.ipAddress !== ipAddress ? previous.ipAddress : null;
+    
+    // Names that a lookup didn't return this time are kept while the device stays on the same address
+    const known = previous && !previousIp ? previous : null;
+    const resolved = names || {};
+    
+    /** @type {Device} */
+    const device = {
+      ...previous,
+      id,
+      ipAddress,
+      macAddress,
+      hostname: resolved.hostname && resolved.hostname !== 'unknown'
+        ? resolved.hostname
+        : (known && known.hostname) || 'unknown',
+      friendlyName: resolved.friendlyName || (known && known.friendlyName) || null,
+      model: resolved.model || (known && known.model) || null,
+      manufacturer: resolved.manufacturer || (known && known.manufacturer) || null,
+      advertisedServices: resolved.services && resolved.services.length > 0
+        ? resolved.services
+        : (known && known.advertisedServices) || [],
+      vendor: this._lookupVendor(macAddress),
+      isRandomizedMac: this._isRandomizedMac(macAddress),
+      firstSeen: previous ? previous.firstSeen : now,
+      lastSeen: now,
+      isActive: true,
+      discoveryMethod,
+      ipHistory: this._updateIpHistory(previous, ipAddress, now)
+    };
+    
+    if (inventory) {
+      device.openPorts = inventory.openPorts;
+      device.services = inventory.services;
+      device.servicesScannedAt = inventory.scannedAt;
+    } else if (previousIp) {
+      // The inventory belongs to the old address; the next scan fills it in again
+      device.openPorts = [];
+      device.services = [];
+      device.servicesScannedAt = null;
+    }
+    
+    this.deviceCache.set(id, device);
+    
+    const changes = this._detectChanges(known, device, inventory);
+    if (displacedWasActive && displaced.macAddress !== 'unknown') {
+      // The address was answered by a different MAC address while its holder was still online
+      changes.unshift({ field: 'macAddress', previous: displaced.macAddress, current: macAddress });
+      if (displaced.vendor !== device.vendor) {
+        changes.push({ field: 'vendor', previous: displaced.vendor, current: device.vendor });
+      }
+    }
+    
+    if (!previous) {
+      this.emit('deviceAdded', device);
+    }
+    if (previousIp) {
+      this.emit('deviceIpChanged', device, previousIp);
+    }
+    if (changes.length > 0) {
+      this.emit('deviceChanged', device, changes);
+    }
+    
+    return device;
+  }
+
+  /**
+   * Compare a device with its previous record on the same address
+   * @private
+   * @param {Device|null} known - Previous record (null if new or moved)
+   * @param {Device} device - Updated record
+   * @param {import('./ServiceScanner').ServiceInventory|null} inventory - Service scan result, if one ran
+   * @returns {DeviceChange[]} Changed fields
+   */
+  _detectChanges(known, device, inventory) {
+    /** @type {DeviceChange[]} */
+    const changes = [];
+    
+    // A placeholder record without a MAC address has nothing to compare against
+    if (!known || !known.macAddress || known.macAddress === 'unknown') {
+      return changes;
+    }
+    
+    if (known.vendor && known.vendor !== device.vendor) {
+      changes.push({ field: 'vendor', previous: known.vendor, current: device.vendor });
+    }
+    
+    if (known.hostname && known.hostname !== 'unknown' && device.hostname !== known.hostname) {
+      changes.push({ field: 'hostname', previous: known.hostname, current: device.hostname });
+    }
+    
+    // Only compare against an earlier service scan; the first one just fills in the inventory
+    if (inventory && known.servicesScannedAt) {
+      const previousPorts = known.openPorts || [];
+      if (previousPorts.join(',') !== inventory.openPorts.join(',')) {
+        changes.push({ field: 'openPorts', previous: previousPorts, current: inventory.openPorts });
+      }
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Record a sighting in a device's IP history
+   * @private
+   * @param {Device|undefined} device - Device as previously known, if any
+   * @param {string} ipAddress - Address the device was seen on
+   * @param {Date} now - Time of the sighting
+   * @returns {IpHistoryEntry[]} Updated history, oldest first
+   */
+  _updateIpHistory(device, ipAddress, now) {
+    /** @type {IpHistoryEntry[]} */
+    let history = [];
+    
+    if (device) {
+      // Devices persisted before IP history was tracked start with their last known address
+      history = device.ipHistory && device.ipHistory.length > 0
+        ? device.ipHistory.map(entry => ({ ...entry }))
+        : [{ ipAddress: device.ipAddress, firstSeen: device.firstSeen, lastSeen: device.lastSeen }];
+    }
+    
+    const latest = history[history.length - 1];
+    if (latest && latest.ipAddress === ipAddress) {
+      latest.lastSeen = now;
+    } else {
+      history.push({ ipAddress, firstSeen: now, lastSeen: now });
+    }
+    
+    return history.slice(-MAX_IP_HISTORY);
+  }
+
+  /**
+   * Load devices into the cache, e.g. from persisted data.
+   * Archived devices are left out until they are seen again.
+   * @param {Device[]} devices - Devices to restore
+   */
+  restoreDevices(devices) {
+    for (const device of devices) {
+      if (device.archivedAt) {
+        continue;
+      }
+
+      const id = device.id || deviceIdFor(device.macAddress, device.ipAddress);
+      this.deviceCache.set(id, { ...device, id, ipHistory: device.ipHistory || [] });
+    }
+  }
+
+  /**
+   * Get a device by stable ID or current IP address
+   * @param {string} idOrIp - Device ID or IP address
+   * @returns {Device|null} Device or null if unknown
+   */
+  getDevice(idOrIp) {
+    return this.deviceCache.get(idOrIp) || this.findDeviceByIp(idOrIp);
+  }
+
+  /**
+   * Drop a device from the cache; it is treated as new if it shows up again
+   * @param {string} id - Stable device ID
+   * @param {'deleted'|'archived'} reason - Why the device is removed
+   * @returns {Device|null} Removed device, or null if it was not cached
+   */
+  removeDevice(id, reason) {
+    const device = this.deviceCache.get(id);
+    if (!device) {
+      return null;
+    }
+
+    this.deviceCache.delete(id);
+    this.emit('deviceRemoved', device, reason);
+    return device;
+  }
+
+  /**
+   * Replace the user metadata of a cached device, so the devices emitted by later scans carry it
+   * @param {string} id - Stable device ID
+   * @param {import('../utils/deviceMetadata').DeviceMetadata} metadata - Metadata
+   * @returns {boolean} False if the device is not cached
+   */
+  setMetadata(id, metadata) {
+    const device = this.deviceCache.get(id);
+    if (!device) {
+      return false;
+    }
+
+    device.metadata = metadata;
+    return true;
+  }
+
+  /**
+   * Replace the probe configuration of a cached device, so monitoring restarted from later scans uses it
+   * @param {string} id - Stable device ID
+   * @param {import('../utils/probeConfig').ProbeConfig|null} probe - Probe configuration, or null for ICMP ping
+   * @returns {boolean} False if the device is not cached
+   */
+  setProbe(id, probe) {
+    const device = this.deviceCache.get(id);
+    if (!device) {
+      return false;
+    }
+
+    device.probe = probe;
+    return true;
+  }
+
+  /**
+   * Replace the parent of a cached device, so monitoring restarted from later scans uses it
+   * @param {string} id - Stable device ID
+   * @param {string|null} parentId - ID of the parent device, or null for none
+   * @returns {boolean} False if the device is not cached
+   */
+  setParent(id, parentId) {
+    const device = this.deviceCache.get(id);
+    if (!device) {
+      return false;
+    }
+
+    device.parentId = parentId;
+    return true;
+  }
+
+  /**
+   * Replace the monitoring profile assigned to a cached device, so the monitors asking which
+   * profile applies to it see the change
+   * @param {string} id - Stable device ID
+   * @param {string|null} profileId - ID of the profile, or null for the profile of the device's tags
+   * @returns {boolean} False if the device is not cached
+   */
+  setProfile(id, profileId) {
+    const device = this.deviceCache.get(id);
+    if (!device) {
+      return false;
+    }
+
+    device.profileId = profileId;
+    return true;
+  }
+
+  /**
+   * Find the device currently using an IP address.
+   * If several cached devices list the address, the active and most recently seen one wins.
+   * @param {string} ipAddress - IP address
+   * @returns {Device|null} Device or null if none uses the address
+   */
+  findDeviceByIp(ipAddress) {
+    /** @type {Device|null} */
+    let match = null;
+    
+    for (const device of this.deviceCache.values()) {
+      if (device.ipAddress !== ipAddress) {
+        continue;
+      }
+      if (!match ||
+          (device.isActive && !match.isActive) ||
+          (device.isActive === match.isActive && new Date(device.lastSeen) > new Date(match.lastSeen))) {
+        match = device;
+      }
+    }
+    
+    return match;
+  }
+
+  /**
+   * Scan one or more network ranges for active devices and wait for the result
+   * @param {string|string[]} [subnet="192.168.1"] - Ranges to scan: CIDR ("10.0.0.0/22"),
+   *   single addresses, legacy /24 prefixes ("192.168.1"), or a list/comma-separated string of them
+   * @param {Object} [options] - Scan options
+   * @param {string|string[]} [options.exclude] - Ranges to skip
    * @returns {Promise<Device[]>} Array of discovered devices
    */
-  async scanNetwork(subnet = '192.168.1') {
+  async scanNetwork(subnet = '192.168.1', options = {}) {
+    const job = this.startScan(subnet, options);
+    return /** @type {Promise<Device[]>} */ (this.scanCompletions.get(job.id));
+  }
+
+  /**
+   * Submit a scan job. The job runs in the background once earlier jobs finish.
+   * @param {string|string[]} [subnet="192.168.1"] - Ranges to scan (see scanNetwork)
+   * @param {Object} [options] - Scan options
+   * @param {string|string[]} [options.exclude] - Ranges to skip
+   * @returns {ScanJob} The submitted job
+   * @throws {Error} If the ranges are invalid, or a scan is pending and overlapPolicy is "reject"
+   *   (the error has statusCode 409 in that case)
+   */
+  startScan(subnet = '192.168.1', options = {}) {
+    const exclude = options.exclude || [];
+    const targets = expandRanges(subnet, exclude);
+    
+    if (this.overlapPolicy === 'reject') {
+      const pending = this.getActiveScan();
+      if (pending) {
+        throw Object.assign(new Error(`Scan ${pending.id} is already in progress`), {
+          statusCode: 409,
+          activeScan: pending
+        });
+      }
+    }
+    
+    /** @type {ScanJob} */
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      subnet,
+      exclude,
+      total: targets.length,
+      probed: 0,
+      found: 0,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null,
+      error: null
+    };
+    
+    this.scanJobs.set(job.id, job);
+    this.emit('scanProgress', { ...job });
+    
+    const completion = this.scanQueue
+      .then(() => this._runScanJob(job, targets))
+      .finally(() => {
+        this.scanCompletions.delete(job.id);
+        this._pruneScanJobs();
+      });
+    
+    this.scanCompletions.set(job.id, completion);
+    this.scanQueue = completion.catch(() => {});
+    
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running scan. Probes already in flight are allowed to finish.
+   * @param {string} scanId - Scan job ID
+   * @returns {ScanJob|null} The cancelled job, or null if no such job exists
+   * @throws {Error} If the job has already finished (statusCode 409)
+   */
+  cancelScan(scanId) {
+    const job = this.scanJobs.get(scanId);
+    
+    if (!job) {
+      return null;
+    }
+    
+    if (job.status !== 'queued' && job.status !== 'running') {
+      throw Object.assign(new Error(`Scan ${scanId} has already ${job.status}`), { statusCode: 409 });
+    }
+    
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+    this.emit('scanProgress', { ...job });
+    
+    return job;
+  }
+
+  /**
+   * Get a scan job by ID
+   * @param {string} scanId - Scan job ID
+   * @returns {ScanJob|null} Scan job or null if not found
+   */
+  getScanJob(scanId) {
+    return this.scanJobs.get(scanId) || null;
+  }
+
+  /**
+   * Get all known scan jobs, oldest first
+   * @returns {ScanJob[]} Array of scan jobs
+   */
+  getScanJobs() {
+    return Array.from(this.scanJobs.values());
+  }
+
+  /**
+   * Get the running scan, or the oldest queued scan if none is running
+   * @returns {ScanJob|null} Active scan job or null if idle
+   */
+  getActiveScan() {
+    const jobs = this.getScanJobs();
+    return jobs.find(j => j.status === 'running') ||
+           jobs.find(j => j.status === 'queued') ||
+           null;
+  }
+
+  /**
+   * Estimate how long a scan of the given size will take
+   * @param {number} hostCount - Number of hosts to probe
+   * @returns {number} Estimated duration in milliseconds
+   */
+  estimateScanTime(hostCount) {
+    // Unreachable hosts dominate: each probe waits ~2 seconds for the ping timeout
+    return Math.max(1, Math.ceil(hostCount / this.concurrency)) * 2000;
+  }
+
+  /**
+   * Probe every target of a job through a bounded worker pool
+   * @private
+   * @param {ScanJob} job - Job to run
+   * @param {string[]} targets - Host addresses to probe
+   * @returns {Promise<Device[]>} Devices found (partial if the job was cancelled)
+   */
+  async _runScanJob(job, targets) {
     /** @type {Device[]} */
     const devices = [];
-    const scanPromises = [];
-    
-    // Scan IP addresses 1-254
-    for (let i = 1; i <= 254; i++) {
-      const ipAddress = `${subnet}.${i}`;
-      scanPromises.push(
-        this.scanDevice(ipAddress).then(device => {
-          if (device) {
-            devices.push(device);
-            // Emit event for newly discovered device
-            this.emit('deviceDiscovered', device);
-          }
-        })
-      );
-    }
-    
-    // Wait for all scans to complete
-    await Promise.all(scanPromises);
-    
-    // Mark devices in cache that weren't found as inactive
-    for (const [ip, cachedDevice] of this.deviceCache.entries()) {
-      if (!devices.find(d => d.ipAddress === ip)) {
+    
+    if (job.status === 'cancelled') {
+      return devices;
+    }
+    
+    job.status = 'running';
+    job.startedAt = new Date();
+    this.emit('scanProgress', { ...job });
+    
+    let lastProgressAt = Date.now();
+    let nextIndex = 0;
+    
+    const worker = async () => {
+      while (nextIndex < targets.length && job.status === 'running') {
+        const ipAddress = targets[nextIndex++];
+        const device = await this.scanDevice(ipAddress);
+        
+        job.probed++;
+        if (device && job.status === 'running') {
+          devices.push(device);
+          job.found++;
+          // Emit event for newly discovered device
+          this.emit('deviceDiscovered', device);
+        }
+        
+        // Throttle progress events so large scans don't flood listeners
+        const now = Date.now();
+        if (job.status === 'running' && now - lastProgressAt >= this.progressInterval) {
+          lastProgressAt = now;
+          this.emit('scanProgress', { ...job });
+        }
+      }
+    };
+    
+    try {
+      const workerCount = Math.min(this.concurrency, targets.length);
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      job.status = 'failed';
+      job.error = err.message;
+      job.completedAt = new Date();
+      this.emit('scanProgress', { ...job });
+      throw error;
+    }
+    
+    if (job.status === 'cancelled') {
+      // Progress was already reported by cancelScan; a partial scan says nothing
+      // about which cached devices went away
+      return devices;
+    }
+    
+    // Mark scanned devices in cache that weren't found as inactive.
+    // Devices outside the scanned ranges keep their current state, and so do devices that drop
+    // ICMP but were seen passively since the last neighbor poll or two (one may be running late).
+    const scanned = new Set(targets);
+    const found = new Set(devices.map(d => d.id));
+    const passiveCutoff = Date.now() - 2 * this.neighborPollInterval;
+    for (const cachedDevice of this.deviceCache.values()) {
+      const seenPassively = (cachedDevice.discoveryMethod === 'arp-table' || cachedDevice.discoveryMethod === 'arp-traffic') &&
+        new Date(cachedDevice.lastSeen).getTime() >= passiveCutoff;
+      if (scanned.has(cachedDevice.ipAddress) && !found.has(cachedDevice.id) && !seenPassively) {
         cachedDevice.isActive = false;
       }
     }
     
+    job.status = 'completed';
+    job.completedAt = new Date();
+    this.emit('scanProgress', { ...job });
+    
     // Emit scan complete event
-    this.emit('scanComplete', devices.length);
+    this.emit('scanComplete', devices.length, { ...job });
     
     return devices;
   }
 
+  /**
+   * Drop the oldest finished jobs beyond maxScanHistory
+   * @private
+   */
+  _pruneScanJobs() {
+    const finished = this.getScanJobs().filter(j => j.status !== 'queued' && j.status !== 'running');
+    const excess = finished.length - this.maxScanHistory;
+    
+    for (let i = 0; i < excess; i++) {
+      this.scanJobs.delete(finished[i].id);
+    }
+  }
+
   /**
    * Get cached devices
    * @returns {Device[]} Array of cached devices
@@ -0,0 +1,304 @@
+const EventEmitter = require('events');
+const { udpRequest } = require('../utils/udp');
+const dnsPacket = require('../utils/dnsPacket');
+const { DEFAULT_TIMEOUT } = require('../utils/probeConfig');
+const { parseResolver } = require('../utils/wan');
+const { PROBLEM_OUTCOMES, parseDnsNames, formatAnswer, classifyRcode, answersChanged } = require('../utils/dnsMonitor');
+
+/**
+ * @typedef {Object} DnsResult
+ * @property {string} name - Name resolved
+ * @property {string} type - Record type asked for
+ * @property {string} resolver - Resolver asked (its address, with the port unless 53)
+ * @property {Date} timestamp - When the query was sent
+ * @property {string} outcome - "ok", "timeout", "nxdomain" or "error"
+ * @property {string|null} rcode - Response code, null without a valid response
+ * @property {string[]} answers - Answers of the type asked for, sorted
+ * @property {number} queryTime - Milliseconds until the response, -1 without one
+ * @property {string|null} error - What went wrong without a valid response
+ */
+
+/**
+ * @typedef {Object} DnsAlert
+ * @property {string} type - "timeout", "nxdomain", "error" or "answersChanged"
+ * @property {string} name - Name resolved
+ * @property {string} recordType - Record type asked for
+ * @property {string} resolver - Resolver asked
+ * @property {Date} timestamp - When the query was sent
+ * @property {string} message - What happened
+ * @property {string|null} [rcode] - Response code (error)
+ * @property {string[]} [previousAnswers] - Answers before (answersChanged)
+ * @property {string[]} [answers] - Answers now (answersChanged)
+ */
+
+/**
+ * @typedef {Object} QueryState
+ * @property {string} name - Name resolved
+ * @property {string} type - Record type asked for
+ * @property {string} resolver - Resolver, as shown
+ * @property {string} address - IPv4 address of the resolver
+ * @property {number} port - UDP port of the resolver
+ * @property {DnsResult|null} last - Last result, null before the first query
+ * @property {string[]|null} answers - Last answers the resolver gave, compared with the next ones
+ * @property {string|null} problem - Outcome of the problem going on ("timeout", "nxdomain", "error"), null if none
+ */
+
+/**
+ * DnsMonitor resolves a list of names against each resolver every interval, recording the query
+ * time, response code and answers. An `alert` event is emitted when a query starts timing out,
+ * getting NXDOMAIN or another error (once, until the resolver answers again), and when a resolver
+ * answers a name with none of the addresses it gave before, which may mean its answers were
+ * hijacked.
+ */
+class DnsMonitor extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string|string[]} [options.names] - Names to resolve (see parseDnsName)
+   * @param {string[]} [options.resolvers] - Resolvers: IPv4 addresses with an optional port
+   * @param {number} [options.interval=60000] - Milliseconds between rounds of queries
+   * @param {number} [options.timeout=2000] - Milliseconds each query waits for the response
+   * @throws {Error} If a name or resolver is invalid
+   */
+  constructor(options = {}) {
+    super();
+
+    /** @type {number} Milliseconds between rounds of queries */
+    this.interval = options.interval || 60000;
+
+    /** @type {number} Milliseconds each query waits for the response */
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    const names = parseDnsNames(options.names || []);
+    const resolvers = (options.resolvers || []).map(text => {
+      const { address, port } = parseResolver(text);
+      return { address, port, resolver: port === 53 ? address : `${address}:${port}` };
+    });
+
+    /** @type {QueryState[]} Queries sent every round: each name against each resolver */
+    this.queries = resolvers.flatMap(({ address, port, resolver }) => names.map(({ name, type }) => ({
+      name,
+      type,
+      resolver,
+      address,
+      port,
+      last: null,
+      answers: null,
+      problem: null
+    })));
+
+    /** @type {NodeJS.Timeout|null} Timer of the next round */
+    this.timerId = null;
+
+    /** @type {boolean} Whether rounds are scheduled */
+    this.isRunning = false;
+
+    /** @type {Promise<DnsResult[]>|null} Round of queries in progress */
+    this.round = null;
+  }
+
+  /**
+   * Start resolving, with a first round right away
+   * @param {DnsResult[]} [previousResults] - Results saved before a restart, oldest first; the
+   *   next answers are compared with the last answers in them
+   */
+  start(previousResults = []) {
+    if (this.isRunning) {
+      return;
+    }
+
+    for (const result of previousResults) {
+      const query = this.queries.find(q => q.name === result.name && q.type === result.type && q.resolver === result.resolver);
+      if (query && result.outcome === 'ok' && result.answers.length > 0) {
+        query.answers = result.answers;
+      }
+    }
+
+    this.isRunning = true;
+    this._scheduleRound(0);
+  }
+
+  /**
+   * Stop resolving
+   */
+  stop() {
+    this.isRunning = false;
+
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Run a round of queries now; a round already running is waited for instead
+   * @returns {Promise<DnsResult[]>} Results of the round
+   */
+  checkNow() {
+    if (!this.round) {
+      this.round = this._runRound().finally(() => {
+        this.round = null;
+      });
+    }
+    return this.round;
+  }
+
+  /**
+   * Get the last result of each name and resolver
+   * @returns {Array<{name: string, type: string, resolver: string, last: DnsResult|null, problem: string|null}>}
+   */
+  getResults() {
+    return this.queries.map(query => ({
+      name: query.name,
+      type: query.type,
+      resolver: query.resolver,
+      last: query.last,
+      problem: query.problem
+    }));
+  }
+
+  /**
+   * Register callback for the results of each round of queries
+   * @param {function(DnsResult[]): void} callback - Callback function
+   */
+  onResults(callback) {
+    this.on('results', callback);
+  }
+
+  /**
+   * Register callback for alerts: timeouts, NXDOMAIN and other errors, and changed answers
+   * @param {function(DnsAlert): void} callback - Callback function
+   */
+  onAlert(callback) {
+    this.on('alert', callback);
+  }
+
+  /**
+   * Schedule the next round of queries
+   * @private
+   * @param {number} [delay] - Milliseconds until the round (default: the interval)
+   */
+  _scheduleRound(delay) {
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+    }
+
+    this.timerId = setTimeout(async () => {
+      this.timerId = null;
+      try {
+        await this.checkNow();
+      } catch (error) {
+        const err = /** @type {Error} */ (error);
+        console.error('Error monitoring DNS resolution:', err.message);
+      }
+      if (this.isRunning) {
+        this._scheduleRound();
+      }
+    }, delay === undefined ? this.interval : delay);
+  }
+
+  /**
+   * Send every query at once, then raise the alerts the results call for
+   * @private
+   * @returns {Promise<DnsResult[]>} Results of the round
+   */
+  async _runRound() {
+    const results = await Promise.all(this.queries.map(query => this._query(query)));
+
+    this.queries.forEach((query, i) => this._applyResult(query, results[i]));
+    this.emit('results', results);
+    return results;
+  }
+
+  /**
+   * Resolve a name against a resolver
+   * @private
+   * @param {QueryState} query - Query
+   * @returns {Promise<DnsResult>} Result
+   */
+  async _query({ name, type, resolver, address, port }) {
+    const timestamp = new Date();
+    const id = Math.floor(Math.random() * 0x10000);
+    const message = dnsPacket.encodeQuery({ id, recursionDesired: true, questions: [{ name, type }] });
+    const failed = (outcome, error) => ({ name, type, resolver, timestamp, outcome, rcode: null, answers: [], queryTime: -1, error });
+
+    let replies;
+    const started = process.hrtime.bigint();
+    try {
+      replies = await udpRequest(address, port, message, { timeout: this.timeout, maxReplies: 1 });
+    } catch (error) {
+      return failed('error', /** @type {Error} */ (error).message);
+    }
+    const queryTime = Number(process.hrtime.bigint() - started) / 1e6;
+
+    if (replies.length === 0) {
+      return failed('timeout', 'DNS query timed out');
+    }
+
+    let response;
+    try {
+      response = dnsPacket.decode(replies[0]);
+    } catch (error) {
+      return failed('error', `Malformed DNS response: ${/** @type {Error} */ (error).message}`);
+    }
+    if (!response.isResponse || response.id !== id) {
+      return failed('error', 'Unexpected DNS response');
+    }
+
+    return {
+      name,
+      type,
+      resolver,
+      timestamp,
+      outcome: classifyRcode(response.rcode),
+      rcode: response.rcode,
+      answers: response.answers.filter(answer => answer.type === type).map(formatAnswer).sort(),
+      queryTime,
+      error: null
+    };
+  }
+
+  /**
+   * Record the result of a query and raise an alert when a problem starts or the answers changed
+   * @private
+   * @param {QueryState} query - Query
+   * @param {DnsResult} result - Its result
+   */
+  _applyResult(query, result) {
+    query.last = result;
+    const base = { name: query.name, recordType: query.type, resolver: query.resolver, timestamp: result.timestamp };
+
+    if (PROBLEM_OUTCOMES.includes(result.outcome)) {
+      if (query.problem !== result.outcome) {
+        query.problem = result.outcome;
+        const what = result.outcome === 'timeout'
+          ? 'timed out'
+          : `failed with ${result.rcode || result.error}`;
+        this.emit('alert', {
+          type: result.outcome,
+          ...base,
+          message: `${query.name} ${query.type} query to ${query.resolver} ${what}`,
+          rcode: result.rcode
+        });
+      }
+      return;
+    }
+
+    query.problem = null;
+    if (result.answers.length === 0) {
+      return;
+    }
+
+    if (query.answers && answersChanged(query.answers, result.answers)) {
+      this.emit('alert', {
+        type: 'answersChanged',
+        ...base,
+        message: `${query.resolver} answered ${query.name} ${query.type} with ${result.answers.join(', ')} instead of ${query.answers.join(', ')}`,
+        previousAnswers: query.answers,
+        answers: result.answers
+      });
+    }
+    query.answers = result.answers;
+  }
+}
+
+module.exports = DnsMonitor;
@@ -1,5 +1,30 @@
 const ping = require('ping');
 const EventEmitter = require('events');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { summarizeLatencies } = require('../utils/latencyStats');
+const { parseTraceroute, comparePaths, mergeRoute } = require('../utils/traceroute');
+const {
+  DEFAULT_ALPHA,
+  DEFAULT_MIN_SAMPLES,
+  DEFAULT_THRESHOLD,
+  createBaseline,
+  updateBaseline,
+  getExpectation,
+  scoreDeviation,
+  severityFor
+} = require('../utils/baseline');
+
+/** Metrics with a baseline, and the smallest deviation from it that counts (ms, %) */
+const BASELINE_METRICS = {
+  latency: 1,
+  packetLoss: 5
+};
+
+/** Severities from least to most severe */
+const SEVERITY_ORDER = ['minor', 'major', 'critical'];
+
+const execFileAsync = promisify(execFile);
 
 /**
  * @typedef {Object} HealthMetrics
@@ -7,20 +32,90 @@ const EventEmitter = require('events');
  * @property {number} latency - Average latency in ms, -1 if unreachable
  * @property {number} minLatency - Minimum latency in measurement window
  * @property {number} maxLatency - Maximum latency in measurement window
+ * @property {number} medianLatency - Median latency in ms, -1 if unreachable
+ * @property {number} p95Latency - 95th percentile latency in ms, -1 if unreachable
+ * @property {number} p99Latency - 99th percentile latency in ms, -1 if unreachable
  * @property {number} packetLoss - Packet loss percentage (0-100)
- * @property {number} jitter - Latency variation in ms
+ * @property {number} jitter - Mean latency difference of consecutive replies in ms (RFC 3550)
+ * @property {number} latencyStdDev - Standard deviation of the latencies in ms
  * @property {Date} lastUpdated
- * @property {boolean} isDegraded - True if latency > 100ms or packet loss > 5%
+ * @property {boolean} isDegraded - True if latency or packet loss is above its threshold (default 100 ms, 5%)
+ * @property {boolean} inMaintenance - Measured during a maintenance window; degradation is expected
+ * @property {Anomaly[]} anomalies - Metrics unusually high for the device at this time of day
+ */
+
+/**
+ * @typedef {Object} Anomaly
+ * @property {'latency'|'packetLoss'} metric - Metric that deviates
+ * @property {number} value - Measured value
+ * @property {number} expected - Baseline average
+ * @property {number} stdDev - Baseline spread
+ * @property {number} score - Standard deviations above the baseline
+ * @property {string} severity - "minor", "major" or "critical"
+ */
+
+/**
+ * @typedef {Object} DeviceBaseline
+ * @property {import('../utils/baseline').Baseline} latency
+ * @property {import('../utils/baseline').Baseline} packetLoss
+ */
+
+/**
+ * @typedef {Object} PathResult
+ * @property {string} target - Host traced to
+ * @property {'udp'|'icmp'} protocol - Probe packets used
+ * @property {string|null} destination - Address traced to
+ * @property {import('../utils/traceroute').Hop[]} hops - Hops, first router first
+ * @property {boolean} reachedTarget - The last hop that answered is the destination
+ * @property {Date} lastUpdated - When the trace ran
+ * @property {{at: Date, changes: import('../utils/traceroute').HopChange[]}|null} lastChange - When and
+ *   how the route last changed, null if it has not changed since monitoring started
+ */
+
+/**
+ * @typedef {Object} PathState
+ * @property {NodeJS.Timeout|null} timerId
+ * @property {'udp'|'icmp'} protocol
+ * @property {PathResult|null} path - Last trace, null before the first
+ * @property {import('../utils/traceroute').Hop[]|null} route - Routers last seen at each hop, which
+ *   the next trace is compared with
  */
 
 /**
  * @typedef {Object} MonitoringState
  * @property {NodeJS.Timeout|null} intervalId
  * @property {number} updateInterval - milliseconds
+ * @property {MeasurementSettings} settings - Settings from the device's monitoring profile, or the defaults
  */
 
 /**
- * HealthMonitor measures network health metrics (latency, packet loss) for each device
+ * @typedef {Object} MeasurementSettings
+ * @property {boolean} enabled - Measure the device at all
+ * @property {number} updateInterval - milliseconds
+ * @property {number} pingCount
+ * @property {number} latencyThreshold - ms
+ * @property {number} packetLossThreshold - %
+ */
+
+/**
+ * HealthMonitor measures network health metrics (latency, packet loss) for each device.
+ * Each measurement is a burst of pings sent pingSpacing apart without waiting for the replies,
+ * so a burst to a dead host takes one timeout rather than one per ping.
+ *
+ * Each device learns a baseline of its latency and packet loss by hour of the day. A measurement
+ * at least anomalyThreshold standard deviations above it is an anomaly: it is listed in the
+ * metrics, and an `anomaly` event is emitted when it starts or gets more severe. Measurements in
+ * maintenance are neither learned nor flagged.
+ * During a maintenance window a device is either not measured ("pause") or measured with its
+ * metrics flagged as in maintenance ("flag").
+ *
+ * A device's monitoring profile can replace the update interval, ping count and degraded
+ * thresholds, or turn measurements off. The profile is looked up before every measurement;
+ * refreshProfiles() applies a change right away.
+ *
+ * Path targets are traced every pathInterval with traceroute, so that when health degrades the
+ * hop where latency or loss starts can be found. A `pathChanged` event is emitted when the route
+ * to a target differs from the trace before.
  */
 class HealthMonitor extends EventEmitter {
   /**
@@ -28,8 +123,22 @@ class HealthMonitor extends EventEmitter {
    * @param {number} [options.updateInterval=60000] - Update interval in milliseconds (default: 60 seconds)
    * @param {number} [options.pingCount=10] - Number of ping packets per measurement cycle
    * @param {number} [options.pingTimeout=2] - Ping timeout in seconds
+   * @param {number} [options.pingSpacing=100] - Milliseconds between the pings of a burst
    * @param {number} [options.degradedLatencyThreshold=100] - Latency threshold for degraded performance (ms)
    * @param {number} [options.degradedPacketLossThreshold=5] - Packet loss threshold for degraded performance (%)
+   * @param {number} [options.baselineAlpha=0.1] - Weight of a new measurement in the baselines (0-1)
+   * @param {number} [options.baselineMinSamples=10] - Measurements a baseline needs before anomalies are flagged
+   * @param {number} [options.anomalyThreshold=3] - Standard deviations above the baseline that make an anomaly
+   * @param {(ipAddress: string) => import('./MaintenanceCalendar').MaintenanceState|null} [options.getMaintenance] -
+   *   Tells whether a device is in maintenance; without it devices never are
+   * @param {(ipAddress: string) => import('../utils/monitoringProfiles').MonitoringProfile|null} [options.getProfile] -
+   *   Finds the monitoring profile of a device; without it all devices use the defaults
+   * @param {number} [options.pathInterval=300000] - Milliseconds between traces of a path target
+   * @param {number} [options.pathProbes=3] - Probes per hop of a trace
+   * @param {number} [options.maxHops=30] - Most hops traced
+   * @param {string} [options.tracerouteCommand='traceroute'] - Traceroute command
+   * @param {(target: string, protocol: string) => Promise<import('../utils/traceroute').Trace>} [options.traceroute] -
+   *   Runs a trace; replaces the traceroute command
    */
   constructor(options = {}) {
     super();
@@ -43,51 +152,107 @@ class HealthMonitor extends EventEmitter {
     /** @type {number} Ping timeout in seconds */
     this.pingTimeout = options.pingTimeout || 2;
     
+    /** @type {number} Milliseconds between the pings of a burst */
+    this.pingSpacing = options.pingSpacing !== undefined ? options.pingSpacing : 100;
+    
     /** @type {number} Latency threshold for degraded performance (ms) */
     this.degradedLatencyThreshold = options.degradedLatencyThreshold || 100;
     
     /** @type {number} Packet loss threshold for degraded performance (%) */
     this.degradedPacketLossThreshold = options.degradedPacketLossThreshold || 5;
     
+    /** @type {number} Weight of a new measurement in the baselines */
+    this.baselineAlpha = options.baselineAlpha || DEFAULT_ALPHA;
+    
+    /** @type {number} Measurements a baseline needs before anomalies are flagged */
+    this.baselineMinSamples = options.baselineMinSamples || DEFAULT_MIN_SAMPLES;
+    
+    /** @type {number} Standard deviations above the baseline that make an anomaly */
+    this.anomalyThreshold = options.anomalyThreshold || DEFAULT_THRESHOLD;
+    
+    /** @type {(ipAddress: string) => import('./MaintenanceCalendar').MaintenanceState|null} Maintenance in effect for a device */
+    this.getMaintenance = options.getMaintenance || (() => null);
+    
+    /** @type {(ipAddress: string) => import('../utils/monitoringProfiles').MonitoringProfile|null} Monitoring profile of a device */
+    this.getProfile = options.getProfile || (() => null);
+    
     /** @type {Map<string, HealthMetrics>} Current health metrics for all monitored devices */
     this.healthMetrics = new Map();
     
     /** @type {Map<string, MonitoringState>} Monitoring state for each device */
     this.monitoringStates = new Map();
+    
+    /** @type {Map<string, DeviceBaseline>} Learned baselines for each device */
+    this.baselines = new Map();
+    
+    /** @type {number} Milliseconds between traces of a path target */
+    this.pathInterval = options.pathInterval || 300000;
+    
+    /** @type {number} Probes per hop of a trace */
+    this.pathProbes = options.pathProbes || 3;
+    
+    /** @type {number} Most hops traced */
+    this.maxHops = options.maxHops || 30;
+    
+    /** @type {string} Traceroute command */
+    this.tracerouteCommand = options.tracerouteCommand || 'traceroute';
+    
+    /** @type {(target: string, protocol: string) => Promise<import('../utils/traceroute').Trace>} Runs a trace */
+    this.traceroute = options.traceroute || ((target, protocol) => this._runTraceroute(target, protocol));
+    
+    /** @type {Map<string, PathState>} Path monitoring for each target */
+    this.pathTargets = new Map();
   }
 
   /**
    * Start health monitoring for a device
    * @param {string} ipAddress - IP address of device to monitor
+   * @param {HealthMetrics|null} [lastMetrics] - Last metrics measured before, e.g. before a restart;
+   *   they are reported until the next measurement, which comes an update interval after them
+   * @param {DeviceBaseline|null} [baseline] - Baseline learned before, e.g. before a restart
    */
-  startMonitoring(ipAddress) {
+  startMonitoring(ipAddress, lastMetrics = null, baseline = null) {
     // If already monitoring, don't start again
     if (this.monitoringStates.has(ipAddress)) {
       return;
     }
     
     // Initialize health metrics
-    this.healthMetrics.set(ipAddress, {
+    // Metrics saved before percentiles were measured lack them
+    this.healthMetrics.set(ipAddress, lastMetrics ? {
+      ...summarizeLatencies([]),
+      anomalies: [],
+      ...lastMetrics,
+      ipAddress,
+      lastUpdated: new Date(lastMetrics.lastUpdated),
+      inMaintenance: false
+    } : {
       ipAddress,
-      latency: -1,
-      minLatency: -1,
-      maxLatency: -1,
+      ...summarizeLatencies([]),
       packetLoss: 0,
-      jitter: 0,
       lastUpdated: new Date(),
-      isDegraded: false
+      isDegraded: false,
+      inMaintenance: false,
+      anomalies: []
     });
+    this.baselines.set(ipAddress, baseline
+      ? { latency: baseline.latency, packetLoss: baseline.packetLoss }
+      : { latency: createBaseline(), packetLoss: createBaseline() });
     
     // Initialize monitoring state
+    const settings = this._resolveSettings(ipAddress);
     const monitoringState = {
       intervalId: null,
-      updateInterval: this.updateInterval
+      updateInterval: settings.updateInterval,
+      settings
     };
     
     this.monitoringStates.set(ipAddress, monitoringState);
     
     // Start the monitoring loop
-    this._scheduleUpdate(ipAddress);
+    this._scheduleUpdate(ipAddress, lastMetrics
+      ? Math.max(0, new Date(lastMetrics.lastUpdated).getTime() + monitoringState.updateInterval - Date.now())
+      : undefined);
   }
 
   /**
@@ -103,6 +268,27 @@ class HealthMonitor extends EventEmitter {
     
     this.monitoringStates.delete(ipAddress);
     this.healthMetrics.delete(ipAddress);
+    this.baselines.delete(ipAddress);
+  }
+
+  /**
+   * Look up the monitoring profile of every monitored device again, after profiles, assignments
+   * or tags changed. A device whose update interval changed, or whose measurements were turned
+   * on or off, is next measured a new update interval after its last measurement (right away if
+   * that is past).
+   */
+  refreshProfiles() {
+    for (const [ipAddress, monitoringState] of this.monitoringStates.entries()) {
+      const previous = monitoringState.settings;
+      const settings = this._resolveSettings(ipAddress);
+      monitoringState.settings = settings;
+      monitoringState.updateInterval = settings.updateInterval;
+
+      if (settings.updateInterval !== previous.updateInterval || settings.enabled !== previous.enabled) {
+        const { lastUpdated } = this.healthMetrics.get(ipAddress);
+        this._scheduleUpdate(ipAddress, Math.max(0, lastUpdated.getTime() + settings.updateInterval - Date.now()));
+      }
+    }
   }
 
   /**
@@ -122,6 +308,98 @@ class HealthMonitor extends EventEmitter {
     return new Map(this.healthMetrics);
   }
 
+  /**
+   * Get what the baselines of a device expect at a time
+   * @param {string} ipAddress - IP address of device
+   * @param {Date} [at] - Time (defaults to now)
+   * @returns {{latency: import('../utils/baseline').Expectation|null, packetLoss: import('../utils/baseline').Expectation|null}|undefined}
+   *   Expectations, null while a baseline is still learning, or undefined if not monitoring
+   */
+  getBaseline(ipAddress, at = new Date()) {
+    const baseline = this.baselines.get(ipAddress);
+    if (!baseline) {
+      return undefined;
+    }
+
+    return {
+      latency: getExpectation(baseline.latency, at, this.baselineMinSamples),
+      packetLoss: getExpectation(baseline.packetLoss, at, this.baselineMinSamples)
+    };
+  }
+
+  /**
+   * Get the learned baselines of every monitored device, for resuming them later
+   * @returns {Array<DeviceBaseline & {ipAddress: string}>} Baselines
+   */
+  getBaselines() {
+    return Array.from(this.baselines.entries()).map(([ipAddress, baseline]) => ({ ipAddress, ...baseline }));
+  }
+
+  /**
+   * Start tracing the path to a target
+   * @param {string} target - IPv4 address or host name
+   * @param {'udp'|'icmp'} [protocol='udp'] - Probe packets
+   * @param {PathResult|null} [lastPath] - Last trace before, e.g. before a restart; the next trace
+   *   comes a path interval after it and is compared with it
+   */
+  startPathMonitoring(target, protocol = 'udp', lastPath = null) {
+    if (this.pathTargets.has(target)) {
+      return;
+    }
+
+    this.pathTargets.set(target, {
+      timerId: null,
+      protocol,
+      route: lastPath ? lastPath.hops : null,
+      path: lastPath ? {
+        ...lastPath,
+        lastUpdated: new Date(lastPath.lastUpdated),
+        lastChange: lastPath.lastChange ? { ...lastPath.lastChange, at: new Date(lastPath.lastChange.at) } : null
+      } : null
+    });
+
+    this._schedulePathTrace(target, lastPath
+      ? Math.max(0, new Date(lastPath.lastUpdated).getTime() + this.pathInterval - Date.now())
+      : 0);
+  }
+
+  /**
+   * Stop tracing the path to a target
+   * @param {string} target - Target
+   */
+  stopPathMonitoring(target) {
+    const pathState = this.pathTargets.get(target);
+
+    if (pathState && pathState.timerId) {
+      clearTimeout(pathState.timerId);
+    }
+
+    this.pathTargets.delete(target);
+  }
+
+  /**
+   * Get the last trace of a target
+   * @param {string} target - Target
+   * @returns {PathResult|null|undefined} Last trace, null before the first, or undefined if the
+   *   target is not monitored
+   */
+  getPath(target) {
+    const pathState = this.pathTargets.get(target);
+    return pathState ? pathState.path : undefined;
+  }
+
+  /**
+   * Get every path target with its last trace
+   * @returns {Array<{target: string, protocol: 'udp'|'icmp', path: PathResult|null}>} Targets
+   */
+  getPaths() {
+    return Array.from(this.pathTargets.entries()).map(([target, pathState]) => ({
+      target,
+      protocol: pathState.protocol,
+      path: pathState.path
+    }));
+  }
+
   /**
    * Register callback for health updates
    * @param {function(string, HealthMetrics): void} callback - Callback function
@@ -130,12 +408,38 @@ class HealthMonitor extends EventEmitter {
     this.on('healthUpdate', callback);
   }
 
+  /**
+   * Register callback for anomalies that start or get more severe
+   * @param {function(string, Anomaly, HealthMetrics): void} callback - Callback function
+   */
+  onAnomaly(callback) {
+    this.on('anomaly', callback);
+  }
+
+  /**
+   * Register callback for every trace of a path target
+   * @param {function(string, PathResult): void} callback - Callback function
+   */
+  onPathUpdate(callback) {
+    this.on('pathUpdate', callback);
+  }
+
+  /**
+   * Register callback for routes that changed
+   * @param {function(string, PathResult, PathResult, import('../utils/traceroute').HopChange[]): void} callback -
+   *   Callback function, receives the target, the new trace, the trace before and the changed hops
+   */
+  onPathChanged(callback) {
+    this.on('pathChanged', callback);
+  }
+
   /**
    * Schedule a health update for a device
    * @private
    * @param {string} ipAddress - IP address to update
+   * @param {number} [delay] - Milliseconds until the update (default: the update interval)
    */
-  _scheduleUpdate(ipAddress) {
+  _scheduleUpdate(ipAddress, delay) {
     const monitoringState = this.monitoringStates.get(ipAddress);
     
     if (!monitoringState) {
@@ -150,7 +454,7 @@ class HealthMonitor extends EventEmitter {
     // Schedule the next update
     monitoringState.intervalId = setTimeout(() => {
       this._measureHealth(ipAddress);
-    }, monitoringState.updateInterval);
+    }, delay === undefined ? monitoringState.updateInterval : delay);
   }
 
   /**
@@ -166,63 +470,62 @@ class HealthMonitor extends EventEmitter {
     }
     
     try {
-      // Send multiple ping packets
-      const pingResults = [];
-      
-      for (let i = 0; i < this.pingCount; i++) {
-        const result = await ping.promise.probe(ipAddress, {
-          timeout: this.pingTimeout,
-          min_reply: 1
-        });
-        pingResults.push(result);
+      const settings = this._resolveSettings(ipAddress);
+      monitoringState.settings = settings;
+      monitoringState.updateInterval = settings.updateInterval;
+      if (!settings.enabled) {
+        return;
       }
+
+      const maintenance = this.getMaintenance(ipAddress);
+      if (maintenance && maintenance.mode === 'pause') {
+        const current = this.healthMetrics.get(ipAddress);
+        if (current) {
+          current.inMaintenance = true;
+        }
+        return;
+      }
+
+      // Send a burst of ping packets; results stay in the order they were sent
+      const pingResults = await this._pingBurst(ipAddress, settings.pingCount);
       
       // Calculate metrics
       const successfulPings = pingResults.filter(r => r.alive);
-      const latencies = successfulPings.map(r => parseFloat(r.time));
-      
-      const packetLoss = ((this.pingCount - successfulPings.length) / this.pingCount) * 100;
+      const stats = summarizeLatencies(successfulPings.map(r => parseFloat(r.time)));
       
-      let latency = -1;
-      let minLatency = -1;
-      let maxLatency = -1;
-      let jitter = 0;
-      
-      if (latencies.length > 0) {
-        latency = latencies.reduce((a, b) => a + b, 0) / latencies.length;
-        minLatency = Math.min(...latencies);
-        maxLatency = Math.max(...latencies);
-        
-        // Calculate jitter (standard deviation of latencies)
-        if (latencies.length > 1) {
-          const variance = latencies.reduce((sum, val) => {
-            return sum + Math.pow(val - latency, 2);
-          }, 0) / latencies.length;
-          jitter = Math.sqrt(variance);
-        }
-      }
+      const packetLoss = ((settings.pingCount - successfulPings.length) / settings.pingCount) * 100;
       
       // Determine if performance is degraded
-      const isDegraded = (latency > this.degradedLatencyThreshold && latency !== -1) || 
-                         packetLoss > this.degradedPacketLossThreshold;
+      const isDegraded = (stats.latency > settings.latencyThreshold && stats.latency !== -1) || 
+                         packetLoss > settings.packetLossThreshold;
       
       // Update health metrics
       const metrics = {
         ipAddress,
-        latency,
-        minLatency,
-        maxLatency,
+        ...stats,
         packetLoss,
-        jitter,
         lastUpdated: new Date(),
-        isDegraded
+        isDegraded,
+        inMaintenance: maintenance !== null,
+        anomalies: []
       };
+      if (!metrics.inMaintenance) {
+        metrics.anomalies = this._detectAnomalies(ipAddress, metrics);
+      }
       
+      const previous = this.healthMetrics.get(ipAddress);
       this.healthMetrics.set(ipAddress, metrics);
       
       // Emit health update event
       this.emit('healthUpdate', ipAddress, metrics);
       
+      for (const anomaly of metrics.anomalies) {
+        const before = (previous && previous.anomalies || []).find(a => a.metric === anomaly.metric);
+        if (!before || SEVERITY_ORDER.indexOf(anomaly.severity) > SEVERITY_ORDER.indexOf(before.severity)) {
+          this.emit('anomaly', ipAddress, anomaly, metrics);
+        }
+      }
+      
     } catch (error) {
       const err = /** @type {Error} */ (error);
       console.error(`Error measuring health for device ${ipAddress}:`, err.message);
@@ -233,12 +536,186 @@ class HealthMonitor extends EventEmitter {
   }
 
   /**
-   * Stop monitoring all devices and cleanup
+   * Compare a measurement with the device's baselines, then learn from it. The comparison comes
+   * first, so an unusual value does not pull the baseline towards itself before it is judged.
+   * @private
+   * @param {string} ipAddress - IP address of the device
+   * @param {HealthMetrics} metrics - New measurement
+   * @returns {Anomaly[]} Metrics unusually high for the device at this time of day
+   */
+  _detectAnomalies(ipAddress, metrics) {
+    const baseline = this.baselines.get(ipAddress);
+    const anomalies = [];
+
+    for (const [metric, minDeviation] of Object.entries(BASELINE_METRICS)) {
+      const value = metrics[metric];
+      // An unreachable device has no latency to learn
+      if (value === -1) {
+        continue;
+      }
+
+      const expectation = getExpectation(baseline[metric], metrics.lastUpdated, this.baselineMinSamples);
+      if (expectation) {
+        const score = scoreDeviation(expectation, value, minDeviation);
+        if (score >= this.anomalyThreshold) {
+          anomalies.push({
+            metric: /** @type {'latency'|'packetLoss'} */ (metric),
+            value,
+            expected: expectation.mean,
+            stdDev: expectation.stdDev,
+            score: Math.round(score * 10) / 10,
+            severity: severityFor(score)
+          });
+        }
+      }
+
+      baseline[metric] = updateBaseline(baseline[metric], value, metrics.lastUpdated, this.baselineAlpha);
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Send pings to a device pingSpacing apart, without waiting for earlier replies
+   * @private
+   * @param {string} ipAddress - IP address to ping
+   * @param {number} count - Number of pings
+   * @returns {Promise<Array<{alive: boolean, time: number|string}>>} Results in the order the pings were sent
+   */
+  _pingBurst(ipAddress, count) {
+    const send = () => ping.promise.probe(ipAddress, {
+      timeout: this.pingTimeout,
+      min_reply: 1
+    });
+    const pings = [];
+
+    for (let i = 0; i < count; i++) {
+      const delay = i * this.pingSpacing;
+      pings.push(delay === 0 ? send() : new Promise(resolve => setTimeout(resolve, delay)).then(send));
+    }
+
+    return Promise.all(pings);
+  }
+
+  /**
+   * Schedule the next trace of a path target
+   * @private
+   * @param {string} target - Target
+   * @param {number} [delay] - Milliseconds until the trace (default: the path interval)
+   */
+  _schedulePathTrace(target, delay) {
+    const pathState = this.pathTargets.get(target);
+
+    if (!pathState) {
+      return;
+    }
+
+    if (pathState.timerId) {
+      clearTimeout(pathState.timerId);
+    }
+
+    pathState.timerId = setTimeout(() => {
+      this._tracePath(target);
+    }, delay === undefined ? this.pathInterval : delay);
+  }
+
+  /**
+   * Trace the path to a target and compare it with the trace before
+   * @private
+   * @param {string} target - Target
+   */
+  async _tracePath(target) {
+    const pathState = this.pathTargets.get(target);
+
+    if (!pathState) {
+      return;
+    }
+
+    try {
+      const trace = await this.traceroute(target, pathState.protocol);
+
+      // The target may have been removed while the trace ran
+      if (this.pathTargets.get(target) !== pathState) {
+        return;
+      }
+
+      const previous = pathState.path;
+      const answered = trace.hops.filter(hop => hop.address);
+      const lastUpdated = new Date();
+      const changes = pathState.route ? comparePaths(pathState.route, trace.hops) : [];
+      pathState.route = mergeRoute(pathState.route || [], trace.hops);
+
+      /** @type {PathResult} */
+      const path = {
+        target,
+        protocol: pathState.protocol,
+        destination: trace.destination,
+        hops: trace.hops,
+        reachedTarget: answered.length > 0 && answered[answered.length - 1].addresses.includes(trace.destination || target),
+        lastUpdated,
+        lastChange: changes.length > 0 ? { at: lastUpdated, changes } : (previous ? previous.lastChange : null)
+      };
+      pathState.path = path;
+
+      this.emit('pathUpdate', target, path);
+      if (changes.length > 0) {
+        this.emit('pathChanged', target, path, previous, changes);
+      }
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      console.error(`Error tracing path to ${target}:`, err.message);
+    } finally {
+      this._schedulePathTrace(target);
+    }
+  }
+
+  /**
+   * Run the traceroute command
+   * @private
+   * @param {string} target - Target
+   * @param {string} protocol - "udp" or "icmp"
+   * @returns {Promise<import('../utils/traceroute').Trace>} Destination and hops
+   */
+  async _runTraceroute(target, protocol) {
+    const args = ['-n', '-q', String(this.pathProbes), '-m', String(this.maxHops), '-w', '2'];
+    if (protocol === 'icmp') {
+      args.push('-I');
+    }
+    args.push(target);
+
+    const { stdout } = await execFileAsync(this.tracerouteCommand, args, { timeout: 60000 });
+    return parseTraceroute(stdout);
+  }
+
+  /**
+   * Get the measurement settings of a device from its monitoring profile, falling back to the defaults
+   * @private
+   * @param {string} ipAddress - IP address of the device
+   * @returns {MeasurementSettings} Settings
+   */
+  _resolveSettings(ipAddress) {
+    const profile = this.getProfile(ipAddress);
+    const settings = profile ? profile.health : {};
+
+    return {
+      enabled: settings.enabled !== false,
+      updateInterval: settings.updateInterval || this.updateInterval,
+      pingCount: settings.pingCount || this.pingCount,
+      latencyThreshold: settings.latencyThreshold || this.degradedLatencyThreshold,
+      packetLossThreshold: typeof settings.packetLossThreshold === 'number' ? settings.packetLossThreshold : this.degradedPacketLossThreshold
+    };
+  }
+
+  /**
+   * Stop monitoring all devices and path targets and cleanup
    */
   stopAll() {
     for (const ipAddress of this.monitoringStates.keys()) {
       this.stopMonitoring(ipAddress);
     }
+    for (const target of this.pathTargets.keys()) {
+      this.stopPathMonitoring(target);
+    }
   }
 }
 
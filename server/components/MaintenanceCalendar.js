@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { validateMaintenanceWindow, appliesTo, getOccurrences, isActive, mergePeriods } = require('../utils/maintenance');
+
+/**
+ * @typedef {import('../utils/maintenance').MaintenanceWindow} MaintenanceWindow
+ */
+
+/**
+ * @typedef {Object} MaintenanceState
+ * @property {'pause'|'flag'} mode - "pause" if any window in effect pauses checks, otherwise "flag"
+ * @property {string[]} windowIds - Windows in effect
+ */
+
+/**
+ * MaintenanceCalendar keeps the maintenance windows and tells the monitors whether a device is in
+ * maintenance. Windows apply to devices by device ID or tag, so the device using an IP address is
+ * looked up when a monitor asks.
+ */
+class MaintenanceCalendar {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {(ipAddress: string) => Object|null} [options.resolveDevice] - Finds the device using an IP
+   *   address; without it only global windows apply
+   */
+  constructor(options = {}) {
+    /** @type {(ipAddress: string) => Object|null} Finds the device using an IP address */
+    this.resolveDevice = options.resolveDevice || (() => null);
+
+    /** @type {Map<string, MaintenanceWindow>} Windows by ID */
+    this.windows = new Map();
+  }
+
+  /**
+   * Restore windows from persisted ones
+   * @param {MaintenanceWindow[]} windows - Persisted windows
+   */
+  restoreWindows(windows) {
+    for (const window of windows) {
+      this.windows.set(window.id, { ...window });
+    }
+  }
+
+  /**
+   * Get all windows
+   * @returns {MaintenanceWindow[]} Windows, oldest first
+   */
+  getWindows() {
+    return Array.from(this.windows.values());
+  }
+
+  /**
+   * Get a window
+   * @param {string} id - Window ID
+   * @returns {MaintenanceWindow|null}
+   */
+  getWindow(id) {
+    return this.windows.get(id) || null;
+  }
+
+  /**
+   * Add a window
+   * @param {Object} input - Window as given in a request body
+   * @returns {MaintenanceWindow} The new window
+   * @throws {Error} If the window is invalid
+   */
+  addWindow(input) {
+    /** @type {MaintenanceWindow} */
+    const window = {
+      id: crypto.randomUUID(),
+      ...validateMaintenanceWindow(input),
+      createdAt: new Date().toISOString()
+    };
+    this.windows.set(window.id, window);
+
+    return window;
+  }
+
+  /**
+   * Replace a window, keeping its ID
+   * @param {string} id - Window ID
+   * @param {Object} input - Window as given in a request body
+   * @returns {MaintenanceWindow|null} The changed window, or null if there is none with the ID
+   * @throws {Error} If the window is invalid
+   */
+  updateWindow(id, input) {
+    const existing = this.windows.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    /** @type {MaintenanceWindow} */
+    const window = {
+      id,
+      ...validateMaintenanceWindow(input),
+      createdAt: existing.createdAt
+    };
+    this.windows.set(id, window);
+
+    return window;
+  }
+
+  /**
+   * Remove a window
+   * @param {string} id - Window ID
+   * @returns {MaintenanceWindow|null} Removed window, or null if there is none with the ID
+   */
+  removeWindow(id) {
+    const window = this.windows.get(id);
+    if (!window) {
+      return null;
+    }
+
+    this.windows.delete(id);
+    return window;
+  }
+
+  /**
+   * Check whether a window is in effect
+   * @param {MaintenanceWindow} window - Window
+   * @param {Date} [at] - Time (defaults to now)
+   * @returns {boolean}
+   */
+  isActive(window, at = new Date()) {
+    return isActive(window, at);
+  }
+
+  /**
+   * Get whether the device using an IP address is in maintenance
+   * @param {string} ipAddress - IP address checked by a monitor
+   * @param {Date} [at] - Time (defaults to now)
+   * @returns {MaintenanceState|null} Maintenance in effect, or null if there is none
+   */
+  getMaintenance(ipAddress, at = new Date()) {
+    const device = this.resolveDevice(ipAddress) || { id: null, ipAddress };
+    const active = this.getWindows().filter(window => appliesTo(window, device) && isActive(window, at));
+
+    if (active.length === 0) {
+      return null;
+    }
+    return {
+      mode: active.some(window => window.mode === 'pause') ? 'pause' : 'flag',
+      windowIds: active.map(window => window.id)
+    };
+  }
+
+  /**
+   * Get the periods a device was or will be in maintenance within a time range, for leaving them
+   * out of uptime reports
+   * @param {{id: string, metadata?: Object}} device - Device
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @returns {Array<{start: Date, end: Date}>} Periods that do not overlap, oldest first, clipped to the range
+   */
+  getMaintenancePeriods(device, start, end) {
+    const periods = this.getWindows()
+      .filter(window => appliesTo(window, device))
+      .flatMap(window => getOccurrences(window, start, end));
+
+    return mergePeriods(periods).map(period => ({
+      start: period.start < start ? start : period.start,
+      end: period.end > end ? end : period.end
+    }));
+  }
+}
+
+module.exports = MaintenanceCalendar;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { validateProfile, findProfile } = require('../utils/monitoringProfiles');
+
+/**
+ * @typedef {import('../utils/monitoringProfiles').MonitoringProfile} MonitoringProfile
+ */
+
+/**
+ * MonitoringProfiles keeps the monitoring profiles and tells the monitors which one applies to a
+ * device. Profiles apply by device assignment or tag, so the device using an IP address is looked
+ * up when a monitor asks; the monitors ask before every check, so a change to a profile, an
+ * assignment or a device's tags takes effect without restarting them.
+ */
+class MonitoringProfiles {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {(ipAddress: string) => Object|null} [options.resolveDevice] - Finds the device using an IP
+   *   address; without it no profile applies
+   */
+  constructor(options = {}) {
+    /** @type {(ipAddress: string) => Object|null} Finds the device using an IP address */
+    this.resolveDevice = options.resolveDevice || (() => null);
+
+    /** @type {Map<string, MonitoringProfile>} Profiles by ID, oldest first */
+    this.profiles = new Map();
+  }
+
+  /**
+   * Restore profiles from persisted ones
+   * @param {MonitoringProfile[]} profiles - Persisted profiles
+   */
+  restoreProfiles(profiles) {
+    for (const profile of profiles) {
+      this.profiles.set(profile.id, { ...profile });
+    }
+  }
+
+  /**
+   * Get all profiles
+   * @returns {MonitoringProfile[]} Profiles, oldest first
+   */
+  getProfiles() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Get a profile
+   * @param {string} id - Profile ID
+   * @returns {MonitoringProfile|null}
+   */
+  getProfile(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  /**
+   * Add a profile
+   * @param {Object} input - Profile as given in a request body
+   * @returns {MonitoringProfile} The new profile
+   * @throws {Error} If the profile is invalid
+   */
+  addProfile(input) {
+    /** @type {MonitoringProfile} */
+    const profile = {
+      id: crypto.randomUUID(),
+      ...validateProfile(input),
+      createdAt: new Date().toISOString()
+    };
+    this.profiles.set(profile.id, profile);
+
+    return profile;
+  }
+
+  /**
+   * Replace a profile, keeping its ID
+   * @param {string} id - Profile ID
+   * @param {Object} input - Profile as given in a request body
+   * @returns {MonitoringProfile|null} The changed profile, or null if there is none with the ID
+   * @throws {Error} If the profile is invalid
+   */
+  updateProfile(id, input) {
+    const existing = this.profiles.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    /** @type {MonitoringProfile} */
+    const profile = {
+      id,
+      ...validateProfile(input),
+      createdAt: existing.createdAt
+    };
+    this.profiles.set(id, profile);
+
+    return profile;
+  }
+
+  /**
+   * Remove a profile
+   * @param {string} id - Profile ID
+   * @returns {MonitoringProfile|null} Removed profile, or null if there is none with the ID
+   */
+  removeProfile(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      return null;
+    }
+
+    this.profiles.delete(id);
+    return profile;
+  }
+
+  /**
+   * Get the profile that applies to a device
+   * @param {{profileId?: string|null, metadata?: Object}} device - Device
+   * @returns {MonitoringProfile|null} The profile, or null if the device uses the defaults
+   */
+  getProfileFor(device) {
+    return findProfile(this.getProfiles(), device);
+  }
+
+  /**
+   * Get the profile that applies to the device using an IP address
+   * @param {string} ipAddress - IP address checked by a monitor
+   * @returns {MonitoringProfile|null} The profile, or null if the device uses the defaults
+   */
+  resolveProfile(ipAddress) {
+    const device = this.resolveDevice(ipAddress);
+    return device ? this.getProfileFor(device) : null;
+  }
+}
+
+module.exports = MonitoringProfiles;
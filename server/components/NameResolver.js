@@ -0,0 +1,101 @@
+const DnsResolver = require('./resolvers/DnsResolver');
+const MdnsResolver = require('./resolvers/MdnsResolver');
+const NetbiosResolver = require('./resolvers/NetbiosResolver');
+const SsdpResolver = require('./resolvers/SsdpResolver');
+
+/**
+ * @typedef {Object} NameInfo
+ * @property {string} [hostname] - Host name (DNS, ".local" or NetBIOS machine name)
+ * @property {string} [friendlyName] - Name the user gave the device (e.g., "Living Room TV")
+ * @property {string} [model] - Model name
+ * @property {string} [manufacturer] - Manufacturer reported by the device
+ * @property {string[]} [services] - Advertised services (DNS-SD types and UPnP URNs)
+ */
+
+/**
+ * @typedef {Object} Resolver
+ * @property {string} name - Resolver name
+ * @property {(ipAddress: string) => Promise<NameInfo|null>} resolve - Look up names for a device
+ */
+
+/** Built-in resolvers by name */
+const BUILT_IN_RESOLVERS = {
+  dns: DnsResolver,
+  mdns: MdnsResolver,
+  netbios: NetbiosResolver,
+  ssdp: SsdpResolver
+};
+
+/** Resolvers used when none are configured, in order of precedence */
+const DEFAULT_RESOLVERS = ['dns', 'mdns', 'netbios', 'ssdp'];
+
+/**
+ * NameResolver runs a set of pluggable name resolvers against a device and merges what they find.
+ * Resolvers run in parallel; when several report the same field, the earlier resolver in the list wins.
+ */
+class NameResolver {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Array<string|Resolver>} [options.resolvers] - Built-in resolver names ("dns", "mdns",
+   *   "netbios", "ssdp") or resolver objects, in order of precedence (default: all built-in resolvers)
+   * @param {number} [options.timeout=1500] - Timeout passed to built-in resolvers (ms)
+   */
+  constructor(options = {}) {
+    /** @type {number} Timeout passed to built-in resolvers */
+    this.timeout = options.timeout || 1500;
+
+    /** @type {Resolver[]} Resolvers in order of precedence */
+    this.resolvers = (options.resolvers || DEFAULT_RESOLVERS).map(resolver => {
+      if (typeof resolver !== 'string') {
+        return resolver;
+      }
+
+      const ResolverClass = BUILT_IN_RESOLVERS[resolver];
+      if (!ResolverClass) {
+        throw new Error(`Unknown name resolver: "${resolver}" (available: ${Object.keys(BUILT_IN_RESOLVERS).join(', ')})`);
+      }
+      return new ResolverClass({ timeout: this.timeout });
+    });
+  }
+
+  /**
+   * Resolve names for a device. Failing resolvers are skipped.
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<{hostname: string, friendlyName: string|null, model: string|null,
+   *   manufacturer: string|null, services: string[]}>} Merged names; hostname is "unknown" if none was found
+   */
+  async resolve(ipAddress) {
+    const results = await Promise.allSettled(this.resolvers.map(resolver => resolver.resolve(ipAddress)));
+
+    const merged = {
+      hostname: 'unknown',
+      friendlyName: null,
+      model: null,
+      manufacturer: null,
+      services: []
+    };
+    const services = new Set();
+
+    // Walk from lowest to highest precedence so earlier resolvers overwrite later ones
+    for (let i = results.length - 1; i >= 0; i--) {
+      const result = results[i];
+      if (result.status !== 'fulfilled' || !result.value) {
+        continue;
+      }
+
+      const info = result.value;
+      if (info.hostname) merged.hostname = info.hostname;
+      if (info.friendlyName) merged.friendlyName = info.friendlyName;
+      if (info.model) merged.model = info.model;
+      if (info.manufacturer) merged.manufacturer = info.manufacturer;
+      for (const service of info.services || []) {
+        services.add(service);
+      }
+    }
+
+    merged.services = Array.from(services).sort();
+    return merged;
+  }
+}
+
+module.exports = NameResolver;
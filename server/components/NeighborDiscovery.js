@@ -0,0 +1,315 @@
+const fs = require('fs').promises;
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const readline = require('readline');
+const EventEmitter = require('events');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @typedef {Object} NeighborEntry
+ * @property {string} ipAddress - IP address (e.g., "192.168.1.100")
+ * @property {string} macAddress - MAC address, upper case (e.g., "AA:BB:CC:DD:EE:FF")
+ * @property {string|null} interface - Network interface the entry was learned on
+ * @property {'arp-table'|'arp-traffic'} source - How the entry was observed
+ */
+
+/** Neighbor states from `ip neigh` that do not carry a usable link-layer address */
+const UNUSABLE_STATES = new Set(['FAILED', 'INCOMPLETE', 'NONE']);
+
+/**
+ * Normalize a MAC address to upper-case colon-separated form
+ * @param {string} mac - MAC address
+ * @returns {string|null} Normalized MAC or null if it is not a unicast hardware address
+ */
+function normalizeMAC(mac) {
+  if (typeof mac !== 'string' || !/^([0-9a-f]{1,2}[:-]){5}[0-9a-f]{1,2}$/i.test(mac)) {
+    return null;
+  }
+
+  const normalized = mac.split(/[:-]/).map(part => part.padStart(2, '0').toUpperCase()).join(':');
+
+  if (normalized === '00:00:00:00:00:00' || normalized === 'FF:FF:FF:FF:FF:FF') {
+    return null;
+  }
+
+  return normalized;
+}
+
+/**
+ * NeighborDiscovery finds devices passively from the kernel neighbor table and,
+ * optionally, from ARP traffic. This catches hosts that drop ICMP and never answer a ping sweep.
+ */
+class NeighborDiscovery extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {'auto'|'proc'|'ip'} [options.tableSource='auto'] - Where to read the neighbor table from;
+   *   "auto" reads /proc/net/arp and falls back to `ip neigh show`
+   * @param {string} [options.arpTablePath='/proc/net/arp'] - Path of the kernel ARP table
+   * @param {string} [options.ipCommand='ip'] - Command used for `ip neigh show`
+   * @param {number} [options.pollInterval=60000] - Neighbor table polling interval in milliseconds
+   * @param {boolean} [options.listenForArp=false] - Also capture ARP announcements with tcpdump
+   * @param {string} [options.captureCommand='tcpdump'] - Packet capture command
+   * @param {string|null} [options.interfaceName=null] - Interface to capture on (default: tcpdump's choice)
+   */
+  constructor(options = {}) {
+    super();
+
+    /** @type {'auto'|'proc'|'ip'} Neighbor table source */
+    this.tableSource = options.tableSource || 'auto';
+
+    /** @type {string} Path of the kernel ARP table */
+    this.arpTablePath = options.arpTablePath || '/proc/net/arp';
+
+    /** @type {string} Command used for `ip neigh show` */
+    this.ipCommand = options.ipCommand || 'ip';
+
+    /** @type {number} Neighbor table polling interval in milliseconds */
+    this.pollInterval = options.pollInterval || 60000;
+
+    /** @type {boolean} Whether to capture ARP announcements */
+    this.listenForArp = options.listenForArp || false;
+
+    /** @type {string} Packet capture command */
+    this.captureCommand = options.captureCommand || 'tcpdump';
+
+    /** @type {string|null} Interface to capture on */
+    this.interfaceName = options.interfaceName || null;
+
+    /** @type {NodeJS.Timeout|null} Polling timer */
+    this.intervalId = null;
+
+    /** @type {import('child_process').ChildProcess|null} Running capture process */
+    this.captureProcess = null;
+
+    /** @type {boolean} Whether discovery is running */
+    this.isRunning = false;
+  }
+
+  /**
+   * Start polling the neighbor table (and capturing ARP traffic if enabled)
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    this.poll();
+    this.intervalId = setInterval(() => {
+      this.poll();
+    }, this.pollInterval);
+
+    if (this.listenForArp) {
+      this._startArpCapture();
+    }
+  }
+
+  /**
+   * Stop polling and capturing
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    if (this.captureProcess) {
+      this.captureProcess.kill();
+      this.captureProcess = null;
+    }
+
+    this.isRunning = false;
+  }
+
+  /**
+   * Read the neighbor table once and emit a "neighbor" event per usable entry
+   * @returns {Promise<NeighborEntry[]>} Entries found
+   */
+  async poll() {
+    try {
+      const entries = await this.readNeighborTable();
+      for (const entry of entries) {
+        this.emit('neighbor', entry);
+      }
+      return entries;
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      console.error('Error reading neighbor table:', err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read the neighbor table from the configured source
+   * @returns {Promise<NeighborEntry[]>} Usable neighbor entries
+   */
+  async readNeighborTable() {
+    if (this.tableSource === 'ip') {
+      return this._readIpNeigh();
+    }
+
+    try {
+      const content = await fs.readFile(this.arpTablePath, 'utf8');
+      return NeighborDiscovery.parseProcNetArp(content);
+    } catch (error) {
+      if (this.tableSource === 'proc') {
+        throw error;
+      }
+      // /proc is not available (non-Linux or restricted container), try iproute2
+      return this._readIpNeigh();
+    }
+  }
+
+  /**
+   * Run `ip neigh show` and parse its output
+   * @private
+   * @returns {Promise<NeighborEntry[]>}
+   */
+  async _readIpNeigh() {
+    const { stdout } = await execFileAsync(this.ipCommand, ['neigh', 'show'], { timeout: 5000 });
+    return NeighborDiscovery.parseIpNeigh(stdout);
+  }
+
+  /**
+   * Spawn tcpdump and emit a "neighbor" event for each ARP sender it reports
+   * @private
+   */
+  _startArpCapture() {
+    const args = ['-l', '-n', '-e'];
+    if (this.interfaceName) {
+      args.push('-i', this.interfaceName);
+    }
+    args.push('arp');
+
+    const capture = spawn(this.captureCommand, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    this.captureProcess = capture;
+
+    capture.on('error', (error) => {
+      console.error(`ARP capture unavailable (${this.captureCommand}):`, error.message);
+      this.captureProcess = null;
+    });
+
+    capture.on('exit', (code) => {
+      if (this.captureProcess === capture) {
+        console.warn(`ARP capture exited with code ${code}`);
+        this.captureProcess = null;
+      }
+    });
+
+    if (!capture.stdout) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: capture.stdout });
+    lines.on('line', (line) => {
+      const entry = NeighborDiscovery.parseTcpdumpArpLine(line);
+      if (entry) {
+        this.emit('neighbor', entry);
+      }
+    });
+  }
+
+  /**
+   * Parse the contents of /proc/net/arp
+   * @param {string} content - File contents
+   * @returns {NeighborEntry[]} Complete entries
+   */
+  static parseProcNetArp(content) {
+    /** @type {NeighborEntry[]} */
+    const entries = [];
+
+    // Columns: IP address, HW type, Flags, HW address, Mask, Device
+    for (const line of content.split('\n').slice(1)) {
+      const columns = line.trim().split(/\s+/);
+      if (columns.length < 6) {
+        continue;
+      }
+
+      const [ipAddress, , flags, hwAddress, , device] = columns;
+      const macAddress = normalizeMAC(hwAddress);
+
+      // ATF_COM (0x2) marks a resolved entry
+      if (!macAddress || (parseInt(flags, 16) & 0x2) === 0) {
+        continue;
+      }
+
+      entries.push({ ipAddress, macAddress, interface: device, source: 'arp-table' });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse `ip neigh show` output (IPv4 entries only)
+   * @param {string} output - Command output
+   * @returns {NeighborEntry[]} Entries with a link-layer address
+   */
+  static parseIpNeigh(output) {
+    /** @type {NeighborEntry[]} */
+    const entries = [];
+
+    // e.g. "192.168.1.1 dev eth0 lladdr aa:bb:cc:dd:ee:ff REACHABLE"
+    for (const line of output.split('\n')) {
+      const tokens = line.trim().split(/\s+/);
+      const ipAddress = tokens[0];
+
+      if (!ipAddress || !/^\d{1,3}(\.\d{1,3}){3}$/.test(ipAddress)) {
+        continue;
+      }
+
+      const state = tokens[tokens.length - 1];
+      if (UNUSABLE_STATES.has(state)) {
+        continue;
+      }
+
+      const lladdrIndex = tokens.indexOf('lladdr');
+      const devIndex = tokens.indexOf('dev');
+      const macAddress = lladdrIndex >= 0 ? normalizeMAC(tokens[lladdrIndex + 1]) : null;
+
+      if (!macAddress) {
+        continue;
+      }
+
+      entries.push({
+        ipAddress,
+        macAddress,
+        interface: devIndex >= 0 ? tokens[devIndex + 1] : null,
+        source: 'arp-table'
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse one line of `tcpdump -l -n -e arp` output into the sender's IP/MAC pair
+   * @param {string} line - Output line
+   * @returns {NeighborEntry|null} Sender entry, or null for lines without one
+   */
+  static parseTcpdumpArpLine(line) {
+    // Reply: "... Reply 192.168.1.1 is-at aa:bb:cc:dd:ee:ff, length 28"
+    const reply = line.match(/Reply (\d{1,3}(?:\.\d{1,3}){3}) is-at ([0-9a-f:]{11,17})/i);
+    if (reply) {
+      const macAddress = normalizeMAC(reply[2]);
+      return macAddress ? { ipAddress: reply[1], macAddress, interface: null, source: 'arp-traffic' } : null;
+    }
+
+    // Request (including gratuitous announcements): the sender is the frame source and "tell" address
+    // "12:00:00.000000 aa:bb:cc:dd:ee:ff > ff:ff:ff:ff:ff:ff, ethertype ARP (0x0806), length 42: Request who-has 192.168.1.1 tell 192.168.1.5, length 28"
+    const request = line.match(/([0-9a-f]{1,2}(?::[0-9a-f]{1,2}){5}) > .*Request who-has \S+(?: \([^)]*\))? tell (\d{1,3}(?:\.\d{1,3}){3})/i);
+    if (request) {
+      const macAddress = normalizeMAC(request[1]);
+      // ARP probes use 0.0.0.0 as the sender address while checking for conflicts
+      if (!macAddress || request[2] === '0.0.0.0') {
+        return null;
+      }
+      return { ipAddress: request[2], macAddress, interface: null, source: 'arp-traffic' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = NeighborDiscovery;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { deviceIdFor, isFallbackId } = require('../utils/deviceId');
+
+/**
+ * @typedef {Object} KnownDevice
+ * @property {string} deviceId - Stable device ID ("mac-…")
+ * @property {string} macAddress - MAC address of the device
+ * @property {'approved'|'ignored'} status - approved devices are expected on the network;
+ *   ignored devices never raise security events
+ * @property {string|null} note - Why the device was approved or ignored
+ * @property {Date} updatedAt - When the entry was last changed
+ */
+
+/**
+ * @typedef {Object} SecurityEvent
+ * @property {string} id - Unique event identifier
+ * @property {'newDevice'|'deviceChanged'|'arpConflict'} type - Event type
+ * @property {'info'|'warning'|'critical'} severity - How urgently the event should be looked at
+ * @property {string} deviceId - Stable device ID
+ * @property {string} ipAddress - IP address of the device
+ * @property {string} macAddress - MAC address of the device
+ * @property {string} message - Human-readable summary
+ * @property {Object} details - Type-specific details (vendor and hostname, the changed fields, or the
+ *   conflict evidence)
+ * @property {Date} timestamp - When the event was raised
+ */
+
+/** Changed fields that are reported as warnings rather than informational events */
+const WARNING_FIELDS = new Set(['macAddress', 'vendor', 'openPorts']);
+
+/**
+ * SecurityMonitor keeps the allowlist of known devices and turns device sightings into
+ * security events: newDevice when a device that was never approved or ignored appears, and
+ * deviceChanged when the MAC address, vendor, hostname or open ports of a device change, and
+ * arpConflict for ARP spoofing and duplicate addresses found by the ArpConflictDetector.
+ */
+class SecurityMonitor extends EventEmitter {
+  constructor() {
+    super();
+
+    /** @type {Map<string, KnownDevice>} Allowlist entries by device ID */
+    this.knownDevices = new Map();
+  }
+
+  /**
+   * Restore the allowlist from persisted entries
+   * @param {KnownDevice[]} entries - Persisted allowlist entries
+   */
+  restoreKnownDevices(entries) {
+    for (const entry of entries) {
+      this.knownDevices.set(entry.deviceId, {
+        ...entry,
+        updatedAt: new Date(entry.updatedAt)
+      });
+    }
+  }
+
+  /**
+   * Get all allowlist entries
+   * @returns {KnownDevice[]} Entries, most recently changed first
+   */
+  getKnownDevices() {
+    return Array.from(this.knownDevices.values())
+      .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+  }
+
+  /**
+   * Get the allowlist status of a device
+   * @param {string} deviceId - Stable device ID
+   * @returns {'approved'|'ignored'|'pending'} Status; pending if the device was never reviewed
+   */
+  getApproval(deviceId) {
+    const entry = this.knownDevices.get(deviceId);
+    return entry ? entry.status : 'pending';
+  }
+
+  /**
+   * Add a device to the allowlist, or change its status
+   * @param {Object} device - Device to review
+   * @param {'approved'|'ignored'} status - New status
+   * @param {string|null} [note=null] - Why the device was approved or ignored
+   * @returns {KnownDevice} The allowlist entry
+   * @throws {Error} If the device has no MAC address (statusCode 400)
+   */
+  setApproval(device, status, note = null) {
+    if (!device.id || isFallbackId(device.id)) {
+      throw Object.assign(
+        new Error(`Device ${device.ipAddress} has no known MAC address and cannot be added to the allowlist`),
+        { statusCode: 400 }
+      );
+    }
+
+    /** @type {KnownDevice} */
+    const entry = {
+      deviceId: device.id,
+      macAddress: device.macAddress,
+      status,
+      note: note || null,
+      updatedAt: new Date()
+    };
+    this.knownDevices.set(device.id, entry);
+
+    return entry;
+  }
+
+  /**
+   * Remove a device from the allowlist; it is treated as never reviewed again
+   * @param {string} deviceId - Stable device ID
+   * @returns {KnownDevice|null} Removed entry, or null if the device was not listed
+   */
+  forget(deviceId) {
+    const entry = this.knownDevices.get(deviceId);
+    if (!entry) {
+      return null;
+    }
+
+    this.knownDevices.delete(deviceId);
+    return entry;
+  }
+
+  /**
+   * Handle a device seen for the first time
+   * @param {Object} device - The new device
+   * @returns {SecurityEvent|null} Raised event, or null if the device is on the allowlist
+   */
+  handleDeviceAdded(device) {
+    if (this.getApproval(device.id) !== 'pending') {
+      return null;
+    }
+
+    const name = device.hostname && device.hostname !== 'unknown' ? ` (${device.hostname})` : '';
+    const vendor = device.vendor && device.vendor !== 'Unknown' ? `${device.vendor} ` : '';
+    const mac = device.macAddress && device.macAddress !== 'unknown' ? ` ${device.macAddress}` : '';
+
+    return this._raise('newDevice', 'warning', device,
+      `New ${vendor}device${mac} at ${device.ipAddress}${name}`,
+      {
+        vendor: device.vendor || null,
+        hostname: device.hostname || null,
+        discoveryMethod: device.discoveryMethod || null
+      });
+  }
+
+  /**
+   * Handle a change to a known device
+   * @param {Object} device - The device after the change
+   * @param {import('./DeviceScanner').DeviceChange[]} changes - Changed fields
+   * @returns {SecurityEvent|null} Raised event, or null if the device is ignored
+   */
+  handleDeviceChanged(device, changes) {
+    if (changes.length === 0 || this.getApproval(device.id) === 'ignored') {
+      return null;
+    }
+
+    const severity = changes.some(change => WARNING_FIELDS.has(change.field)) ? 'warning' : 'info';
+    const summary = changes
+      .map(change => `${change.field} ${SecurityMonitor._formatValue(change.previous)} → ${SecurityMonitor._formatValue(change.current)}`)
+      .join(', ');
+
+    return this._raise('deviceChanged', severity, device,
+      `Device at ${device.ipAddress} changed: ${summary}`,
+      { changes });
+  }
+
+  /**
+   * Handle an ARP conflict. Conflicts are reported for ignored devices too: a spoofer may be
+   * hiding behind the MAC address of a device nobody looks at.
+   * @param {import('./ArpConflictDetector').ArpConflict} conflict - Detected conflict
+   * @returns {SecurityEvent} Raised event
+   */
+  handleArpConflict(conflict) {
+    const { kind, ipAddress, macAddresses, evidence } = conflict;
+    const claimant = macAddresses[macAddresses.length - 1];
+
+    let message;
+    if (kind === 'gatewayImpersonation') {
+      const impostors = macAddresses.filter(mac => mac !== evidence.expectedMac);
+      const elsewhere = evidence.otherIps && evidence.otherIps.length > 0 ? ` (also answering for ${evidence.otherIps.join(', ')})` : '';
+      message = `Gateway ${ipAddress} (${evidence.expectedMac}) claimed by ${impostors.join(', ')}${elsewhere}`;
+    } else if (kind === 'macFlapping') {
+      message = `IP address ${ipAddress} keeps switching between ${macAddresses.join(', ')} (${evidence.changes} changes)`;
+    } else {
+      message = `Duplicate IP address ${ipAddress} claimed by ${macAddresses.join(', ')}`;
+    }
+
+    const device = { id: deviceIdFor(claimant, ipAddress), ipAddress, macAddress: claimant };
+    return this._raise('arpConflict', kind === 'gatewayImpersonation' ? 'critical' : 'warning', device, message, {
+      kind,
+      macAddresses,
+      evidence
+    });
+  }
+
+  /**
+   * Create an event and emit it as its own type and as securityEvent
+   * @private
+   * @param {SecurityEvent['type']} type - Event type
+   * @param {SecurityEvent['severity']} severity - Event severity
+   * @param {Object} device - Device the event is about
+   * @param {string} message - Human-readable summary
+   * @param {Object} details - Type-specific details
+   * @returns {SecurityEvent} The event
+   */
+  _raise(type, severity, device, message, details) {
+    /** @type {SecurityEvent} */
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      severity,
+      deviceId: device.id,
+      ipAddress: device.ipAddress,
+      macAddress: device.macAddress,
+      message,
+      details,
+      timestamp: new Date()
+    };
+
+    this.emit(type, event);
+    this.emit('securityEvent', event);
+
+    return event;
+  }
+
+  /**
+   * Format a changed value for an event message
+   * @private
+   * @param {string|number[]} value - Value
+   * @returns {string} Formatted value
+   */
+  static _formatValue(value) {
+    return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+  }
+}
+
+module.exports = SecurityMonitor;
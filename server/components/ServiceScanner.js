@@ -0,0 +1,300 @@
+const net = require('net');
+
+/** Ports checked when no list is configured */
+const DEFAULT_PORTS = [21, 22, 23, 25, 53, 80, 110, 139, 143, 443, 445, 554, 631, 1883, 3306, 3389, 5000, 5432, 5900, 8000, 8008, 8080, 8443, 9100];
+
+/** Well-known service names by port */
+const PORT_NAMES = {
+  21: 'ftp',
+  22: 'ssh',
+  23: 'telnet',
+  25: 'smtp',
+  53: 'dns',
+  80: 'http',
+  110: 'pop3',
+  139: 'netbios-ssn',
+  143: 'imap',
+  443: 'https',
+  445: 'microsoft-ds',
+  554: 'rtsp',
+  631: 'ipp',
+  1883: 'mqtt',
+  3306: 'mysql',
+  3389: 'rdp',
+  5000: 'upnp',
+  5432: 'postgresql',
+  5900: 'vnc',
+  8000: 'http-alt',
+  8008: 'http-alt',
+  8080: 'http-proxy',
+  8443: 'https-alt',
+  9100: 'jetdirect'
+};
+
+/** Ports that speak plain HTTP, probed with a GET request */
+const HTTP_PORTS = new Set([80, 5000, 8000, 8008, 8080]);
+
+/** Ports that speak TLS; only reported as open, no banner is read */
+const TLS_PORTS = new Set([443, 8443]);
+
+/** Most bytes read from a service when grabbing its banner */
+const MAX_BANNER_BYTES = 8192;
+
+/**
+ * @typedef {Object} ServiceInfo
+ * @property {number} port - TCP port
+ * @property {'tcp'} protocol - Transport protocol
+ * @property {string} name - Service name (from the banner, or the well-known name of the port)
+ * @property {string|null} banner - First line the service sent, or the HTTP status line
+ * @property {string|null} product - Server software (HTTP Server header, SSH version string)
+ * @property {string|null} title - HTML page title for HTTP services
+ */
+
+/**
+ * @typedef {Object} ServiceInventory
+ * @property {number[]} openPorts - Open TCP ports, ascending
+ * @property {ServiceInfo[]} services - What is listening on each open port
+ * @property {Date} scannedAt - When the scan finished
+ */
+
+/**
+ * ServiceScanner checks a list of TCP ports on a device with plain connect() calls and grabs
+ * simple banners (HTTP Server header and page title, SSH version string and other greetings).
+ * Connection attempts are rate-limited across all devices scanned by the same instance.
+ */
+class ServiceScanner {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number[]} [options.ports] - TCP ports to check (default: common service ports)
+   * @param {number} [options.timeout=1000] - Connect timeout in milliseconds
+   * @param {number} [options.bannerTimeout=1500] - How long to wait for a banner in milliseconds
+   * @param {number} [options.rateLimit=20] - Maximum connection attempts started per second
+   * @param {number} [options.concurrency=8] - Maximum connections open at the same time
+   */
+  constructor(options = {}) {
+    /** @type {number[]} TCP ports to check */
+    this.ports = options.ports || DEFAULT_PORTS;
+
+    /** @type {number} Connect timeout in milliseconds */
+    this.timeout = options.timeout || 1000;
+
+    /** @type {number} Banner wait in milliseconds */
+    this.bannerTimeout = options.bannerTimeout || 1500;
+
+    /** @type {number} Maximum connection attempts per second */
+    this.rateLimit = options.rateLimit || 20;
+
+    /** @type {number} Maximum simultaneous connections */
+    this.concurrency = options.concurrency || 8;
+
+    /** @type {number} Earliest time the next connection attempt may start */
+    this.nextSlotAt = 0;
+
+    /** @type {number} Connections currently open */
+    this.activeConnections = 0;
+
+    /** @type {Array<() => void>} Callers waiting for a free connection slot */
+    this.waiting = [];
+  }
+
+  /**
+   * Check every configured port on a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<ServiceInventory>} Open ports and their services
+   */
+  async scan(ipAddress) {
+    const results = await Promise.all(this.ports.map(port => this.probePort(ipAddress, port)));
+    const services = /** @type {ServiceInfo[]} */ (results.filter(Boolean)).sort((a, b) => a.port - b.port);
+
+    return {
+      openPorts: services.map(service => service.port),
+      services,
+      scannedAt: new Date()
+    };
+  }
+
+  /**
+   * Connect to one port and identify the service behind it
+   * @param {string} ipAddress - IP address
+   * @param {number} port - TCP port
+   * @returns {Promise<ServiceInfo|null>} Service, or null if the port is closed or filtered
+   */
+  async probePort(ipAddress, port) {
+    await this._acquire();
+
+    try {
+      const response = await this._exchange(ipAddress, port);
+      if (response === null) {
+        return null;
+      }
+      return ServiceScanner.identifyService(port, response);
+    } finally {
+      this._release();
+    }
+  }
+
+  /**
+   * Wait for the rate limit and for a free connection slot
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _acquire() {
+    if (this.activeConnections >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.activeConnections++;
+
+    // Space connection attempts evenly: each caller reserves the next slot
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = startAt + (1000 / this.rateLimit);
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Free a connection slot
+   * @private
+   */
+  _release() {
+    this.activeConnections--;
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  /**
+   * Connect, send a request if the port speaks HTTP, and read what the service sends back
+   * @private
+   * @param {string} ipAddress - IP address
+   * @param {number} port - TCP port
+   * @returns {Promise<string|null>} Received text ("" if the service sent nothing), or null if the connection failed
+   */
+  _exchange(ipAddress, port) {
+    return new Promise(resolve => {
+      const socket = new net.Socket();
+      const chunks = [];
+      let received = 0;
+      let connected = false;
+      let settled = false;
+
+      const finish = () => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        socket.destroy();
+        resolve(connected ? Buffer.concat(chunks).toString('latin1') : null);
+      };
+
+      socket.setTimeout(this.timeout);
+      socket.on('timeout', finish);
+      socket.on('error', finish);
+      socket.on('close', finish);
+      socket.on('end', finish);
+
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received >= MAX_BANNER_BYTES) {
+          finish();
+        }
+      });
+
+      socket.connect(port, ipAddress, () => {
+        connected = true;
+
+        if (TLS_PORTS.has(port)) {
+          finish();
+          return;
+        }
+
+        socket.setTimeout(this.bannerTimeout);
+        if (HTTP_PORTS.has(port)) {
+          socket.write(`GET / HTTP/1.0\r\nHost: ${ipAddress}\r\nUser-Agent: network-monitor\r\nConnection: close\r\n\r\n`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Identify a service from its port and the text it sent
+   * @param {number} port - TCP port
+   * @param {string} response - Received text (may be empty)
+   * @returns {ServiceInfo} Service description
+   */
+  static identifyService(port, response) {
+    /** @type {ServiceInfo} */
+    const service = {
+      port,
+      protocol: 'tcp',
+      name: PORT_NAMES[port] || 'unknown',
+      banner: null,
+      product: null,
+      title: null
+    };
+
+    const firstLine = response.split(/\r?\n/)[0].trim();
+    if (!firstLine) {
+      return service;
+    }
+    service.banner = firstLine.substring(0, 200);
+
+    if (firstLine.startsWith('SSH-')) {
+      // "SSH-2.0-OpenSSH_9.2p1 Debian-2"
+      service.name = 'ssh';
+      service.product = firstLine.substring(firstLine.indexOf('-', 4) + 1) || firstLine;
+    } else if (/^HTTP\/\d/.test(firstLine)) {
+      service.name = TLS_PORTS.has(port) ? 'https' : 'http';
+      const server = response.match(/^server:[ \t]*(.+)$/im);
+      const title = response.match(/<title[^>]*>([^<]*)<\/title>/i);
+      service.product = server ? server[1].trim() : null;
+      service.title = title ? title[1].replace(/\s+/g, ' ').trim() || null : null;
+    } else if (/^220[ -]/.test(firstLine)) {
+      service.name = /ftp/i.test(firstLine) || port === 21 ? 'ftp' : 'smtp';
+    } else if (firstLine.startsWith('+OK')) {
+      service.name = 'pop3';
+    } else if (firstLine.startsWith('* OK')) {
+      service.name = 'imap';
+    } else if (firstLine.startsWith('RFB ')) {
+      service.name = 'vnc';
+    }
+
+    return service;
+  }
+
+  /**
+   * Parse a port list such as "22,80,443,8000-8010"
+   * @param {string|number[]} spec - Port list
+   * @returns {number[]} Ports in ascending order without duplicates
+   * @throws {Error} If the list contains an invalid port or range
+   */
+  static parsePortList(spec) {
+    const items = Array.isArray(spec) ? spec.map(String) : String(spec).split(/[\s,]+/).filter(Boolean);
+    const ports = new Set();
+
+    for (const item of items) {
+      const match = item.match(/^(\d+)(?:-(\d+))?$/);
+      const first = match ? parseInt(match[1], 10) : NaN;
+      const last = match && match[2] ? parseInt(match[2], 10) : first;
+
+      if (!match || first < 1 || last > 65535 || first > last) {
+        throw new Error(`Invalid port or port range: "${item}"`);
+      }
+      for (let port = first; port <= last; port++) {
+        ports.add(port);
+      }
+    }
+
+    if (ports.size === 0) {
+      throw new Error('Port list is empty');
+    }
+
+    return Array.from(ports).sort((a, b) => a - b);
+  }
+}
+
+module.exports = ServiceScanner;
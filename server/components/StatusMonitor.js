@@ -1,8 +1,21 @@
-const ping = require('ping');
 const EventEmitter = require('events');
+const CheckScheduler = require('./CheckScheduler');
+const IcmpProbe = require('./probes/IcmpProbe');
+const TcpProbe = require('./probes/TcpProbe');
+const HttpProbe = require('./probes/HttpProbe');
+const DnsProbe = require('./probes/DnsProbe');
+
+/** Probe classes by probe type */
+const PROBES = {
+  icmp: IcmpProbe,
+  tcp: TcpProbe,
+  http: HttpProbe,
+  dns: DnsProbe
+};
 
 /**
  * @typedef {Object} Device
+ * @property {string} [id] - Stable device ID
  * @property {string} ipAddress
  * @property {string} macAddress
  * @property {string} hostname
@@ -10,6 +23,14 @@ const EventEmitter = require('events');
  * @property {Date} firstSeen
  * @property {Date} lastSeen
  * @property {boolean} isActive
+ * @property {import('../utils/probeConfig').ProbeConfig|null} [probe] - How to check the device (default: ICMP ping)
+ * @property {string|null} [parentId] - ID of the device this device is reached through
+ */
+
+/**
+ * @typedef {Object} Probe
+ * @property {string} type - Probe type
+ * @property {(ipAddress: string) => Promise<import('./probes/IcmpProbe').ProbeResult>} check - Check a device
  */
 
 /**
@@ -18,25 +39,101 @@ const EventEmitter = require('events');
  * @property {boolean} isOnline
  * @property {Date} lastChecked
  * @property {number} responseTime - milliseconds, -1 if offline
+ * @property {string} probeType - Probe that made the last check ("icmp", "tcp", "http" or "dns")
+ * @property {string|null} detail - What the probe saw (e.g., "HTTP 503"), null before the first check
+ * @property {boolean} isFlapping - The device changed state too often lately; status changes are not reported
+ * @property {boolean} isUnreachable - The device is down because its parent is; status changes are not reported
+ * @property {boolean} inMaintenance - The device is in a maintenance window; status changes are not reported
  */
 
 /**
  * @typedef {Object} MonitoringState
- * @property {NodeJS.Timeout|null} intervalId
+ * @property {string|null} deviceId - Stable device ID
+ * @property {string|null} parentId - ID of the device this device is reached through
  * @property {number} checkInterval - milliseconds
  * @property {number} consecutiveFailures
+ * @property {number} consecutiveSuccesses
+ * @property {number|null} streakStartedAt - When the current run of failed or successful checks began (ms since epoch)
  * @property {number} backoffMultiplier
+ * @property {Probe} probe - Probe used to check the device
+ * @property {number[]} transitions - When the device changed state within the flap window (ms since epoch)
+ * @property {boolean} reportedOnline - State given in the last statusChange event (or the initial state)
+ * @property {CheckSettings} settings - Settings from the device's monitoring profile, or the defaults
+ * @property {Object|null} runningCheck - Token of the check running now, null between checks
+ * @property {boolean} recheckRequested - Check again as soon as the running check finishes
  */
 
 /**
- * StatusMonitor continuously monitors the connectivity status of discovered devices
+ * @typedef {Object} CheckSettings
+ * @property {boolean} enabled - Check the device at all
+ * @property {number} checkInterval - milliseconds
+ * @property {number} failureThreshold
+ * @property {number} recoveryThreshold
+ * @property {number} recheckDelay - milliseconds
+ * @property {number} maxBackoffInterval - milliseconds
+ */
+
+/**
+ * @typedef {Object} MonitoringSnapshot
+ * @property {string} ipAddress
+ * @property {string|null} deviceId - Device checked at the address
+ * @property {boolean} isOnline
+ * @property {string} lastChecked - ISO 8601
+ * @property {number} responseTime
+ * @property {string|null} detail
+ * @property {boolean} isFlapping
+ * @property {boolean} isUnreachable
+ * @property {number} checkInterval
+ * @property {number} consecutiveFailures
+ * @property {number} consecutiveSuccesses
+ * @property {number|null} streakStartedAt
+ * @property {number} backoffMultiplier
+ * @property {number[]} transitions
+ * @property {boolean} reportedOnline
+ */
+
+/**
+ * StatusMonitor continuously monitors the connectivity status of discovered devices.
+ * Checks of all devices run from one CheckScheduler, which limits how many run at once.
+ *
+ * A device only changes state after failureThreshold failed (or recoveryThreshold successful)
+ * checks in a row; the checks confirming a change run after recheckDelay instead of the check
+ * interval. A device that changes state flapThreshold times within flapWindow is flapping: a
+ * `flapping` event is emitted and its status changes are not reported until it settles.
+ * Every confirmed change, flapping or not, is emitted as a `transition` event.
+ *
+ * A device can depend on a parent it is reached through (e.g., a switch). While the parent is
+ * down, the device is unreachable rather than offline: an `unreachable` event is emitted and its
+ * status changes are not reported until the parent recovers. Before a device is confirmed offline,
+ * its parent is checked, so a failed parent is noticed before the devices behind it.
+ *
+ * During a maintenance window a device is either not checked at all ("pause") or checked with its
+ * status flagged as in maintenance ("flag"). Either way its status changes are not reported until
+ * the window ends, and a `maintenance` event is emitted when it enters or leaves maintenance.
+ *
+ * A device's monitoring profile can replace the check interval and thresholds, or turn checks
+ * off. The profile is looked up before every check; refreshProfiles() applies a change right away.
+ *
+ * getSnapshots() captures the status and backoff of every device; passing a snapshot to
+ * startMonitoring() picks up where monitoring left off, e.g. after a restart.
  */
 class StatusMonitor extends EventEmitter {
   /**
    * @param {Object} options - Configuration options
    * @param {number} [options.checkInterval=30000] - Default check interval in milliseconds
-   * @param {number} [options.concurrencyLimit=10] - Maximum concurrent ping operations
+   * @param {number} [options.concurrencyLimit=10] - Maximum concurrent checks
    * @param {number} [options.maxBackoffInterval=300000] - Maximum backoff interval (5 minutes)
+   * @param {number} [options.jitter=0.1] - The first check of a device comes up to this fraction of the
+   *   check interval early, so devices discovered together are not all checked at the same moment
+   * @param {number} [options.failureThreshold=1] - Failed checks in a row before a device goes offline
+   * @param {number} [options.recoveryThreshold=1] - Successful checks in a row before a device comes online
+   * @param {number} [options.recheckDelay=5000] - Delay of the checks confirming a change (capped at the check interval)
+   * @param {number} [options.flapThreshold=5] - State changes within flapWindow that make a device flapping
+   * @param {number} [options.flapWindow=600000] - Flap detection window in milliseconds (10 minutes)
+   * @param {(ipAddress: string) => import('./MaintenanceCalendar').MaintenanceState|null} [options.getMaintenance] -
+   *   Tells whether a device is in maintenance; without it devices never are
+   * @param {(ipAddress: string) => import('../utils/monitoringProfiles').MonitoringProfile|null} [options.getProfile] -
+   *   Finds the monitoring profile of a device; without it all devices use the defaults
    */
   constructor(options = {}) {
     super();
@@ -44,7 +141,7 @@ class StatusMonitor extends EventEmitter {
     /** @type {number} Default check interval in milliseconds */
     this.defaultCheckInterval = options.checkInterval || 30000;
     
-    /** @type {number} Maximum concurrent ping operations */
+    /** @type {number} Maximum concurrent checks */
     this.concurrencyLimit = options.concurrencyLimit || 10;
     
     /** @type {number} Maximum backoff interval in milliseconds */
@@ -56,15 +153,64 @@ class StatusMonitor extends EventEmitter {
     /** @type {Map<string, MonitoringState>} Monitoring state for each device */
     this.monitoringStates = new Map();
     
-    /** @type {Set<string>} Currently running checks */
-    this.activeChecks = new Set();
+    /** @type {Map<string, string>} IP address of each monitored device by device ID */
+    this.deviceIps = new Map();
+    
+    /** @type {number} Failed checks in a row before a device goes offline */
+    this.failureThreshold = options.failureThreshold || 1;
+    
+    /** @type {number} Successful checks in a row before a device comes online */
+    this.recoveryThreshold = options.recoveryThreshold || 1;
+    
+    /** @type {number} Delay of the checks confirming a change in milliseconds */
+    this.recheckDelay = options.recheckDelay || 5000;
+    
+    /** @type {number} State changes within the flap window that make a device flapping */
+    this.flapThreshold = options.flapThreshold || 5;
+    
+    /** @type {number} Flap detection window in milliseconds */
+    this.flapWindow = options.flapWindow || 600000;
+    
+    /** @type {(ipAddress: string) => import('./MaintenanceCalendar').MaintenanceState|null} Maintenance in effect for a device */
+    this.getMaintenance = options.getMaintenance || (() => null);
+    
+    /** @type {(ipAddress: string) => import('../utils/monitoringProfiles').MonitoringProfile|null} Monitoring profile of a device */
+    this.getProfile = options.getProfile || (() => null);
+    
+    /** @type {number} Fraction of the check interval the first check of a device may come early */
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.1;
+    
+    /** @type {CheckScheduler} Runs the checks of all devices */
+    this.scheduler = new CheckScheduler({
+      run: ipAddress => this._checkDevice(ipAddress),
+      concurrency: this.concurrencyLimit
+    });
+  }
+
+  /**
+   * Create the probe for a probe configuration
+   * @param {import('../utils/probeConfig').ProbeConfig|null} [config] - Validated configuration (default: ICMP ping)
+   * @returns {Probe} Probe
+   */
+  static createProbe(config) {
+    if (!config) {
+      return new IcmpProbe();
+    }
+
+    const ProbeClass = PROBES[config.type];
+    if (!ProbeClass) {
+      throw new Error(`Unknown probe type: "${config.type}" (available: ${Object.keys(PROBES).join(', ')})`);
+    }
+    return new ProbeClass(config);
   }
 
   /**
    * Start monitoring a device
-   * @param {Device} device - Device to monitor
+   * @param {Device} device - Device to monitor; its probe configuration decides how it is checked
+   * @param {MonitoringSnapshot|null} [snapshot] - Saved state to resume from; ignored if it belongs
+   *   to another device
    */
-  startMonitoring(device) {
+  startMonitoring(device, snapshot = null) {
     const { ipAddress } = device;
     
     // If already monitoring, don't start again
@@ -72,26 +218,55 @@ class StatusMonitor extends EventEmitter {
       return;
     }
     
+    const probe = StatusMonitor.createProbe(device.probe);
+    const settings = this._resolveSettings(ipAddress);
+    const saved = snapshot && snapshot.ipAddress === ipAddress && snapshot.deviceId === (device.id || null)
+      ? snapshot
+      : null;
+
     // Initialize device status
     this.deviceStatuses.set(ipAddress, {
       ipAddress,
-      isOnline: device.isActive,
-      lastChecked: new Date(),
-      responseTime: -1
+      isOnline: saved ? saved.isOnline : device.isActive,
+      lastChecked: saved ? new Date(saved.lastChecked) : new Date(),
+      responseTime: saved ? saved.responseTime : -1,
+      probeType: probe.type,
+      detail: saved ? saved.detail : null,
+      isFlapping: saved ? saved.isFlapping : false,
+      isUnreachable: saved ? saved.isUnreachable : false,
+      inMaintenance: false
     });
     
     // Initialize monitoring state
     const monitoringState = {
-      intervalId: null,
-      checkInterval: this.defaultCheckInterval,
-      consecutiveFailures: 0,
-      backoffMultiplier: 1
+      deviceId: device.id || null,
+      parentId: device.parentId || null,
+      checkInterval: saved ? Math.min(saved.checkInterval, settings.maxBackoffInterval) : settings.checkInterval,
+      consecutiveFailures: saved ? saved.consecutiveFailures : 0,
+      consecutiveSuccesses: saved ? saved.consecutiveSuccesses : 0,
+      streakStartedAt: saved ? saved.streakStartedAt : null,
+      backoffMultiplier: saved ? saved.backoffMultiplier : 1,
+      probe,
+      transitions: saved ? [...saved.transitions] : [],
+      reportedOnline: saved ? saved.reportedOnline : device.isActive,
+      settings,
+      runningCheck: null,
+      recheckRequested: false
     };
     
     this.monitoringStates.set(ipAddress, monitoringState);
+    if (monitoringState.deviceId) {
+      this.deviceIps.set(monitoringState.deviceId, ipAddress);
+    }
     
-    // Start the monitoring loop
-    this._scheduleCheck(ipAddress);
+    if (saved) {
+      // Resume on the saved schedule; checks that came due meanwhile are spread over the jitter
+      const dueIn = new Date(saved.lastChecked).getTime() + monitoringState.checkInterval - Date.now();
+      this._scheduleCheck(ipAddress, dueIn > 0 ? dueIn : Math.round(settings.checkInterval * Math.random() * this.jitter));
+    } else {
+      // Start the monitoring loop at a random offset
+      this._scheduleCheck(ipAddress, Math.round(settings.checkInterval * (1 - Math.random() * this.jitter)));
+    }
   }
 
   /**
@@ -100,14 +275,83 @@ class StatusMonitor extends EventEmitter {
    */
   stopMonitoring(ipAddress) {
     const monitoringState = this.monitoringStates.get(ipAddress);
-    
-    if (monitoringState && monitoringState.intervalId) {
-      clearTimeout(monitoringState.intervalId);
+    if (monitoringState && this.deviceIps.get(monitoringState.deviceId) === ipAddress) {
+      this.deviceIps.delete(monitoringState.deviceId);
     }
-    
+
+    this.scheduler.cancel(ipAddress);
     this.monitoringStates.delete(ipAddress);
     this.deviceStatuses.delete(ipAddress);
-    this.activeChecks.delete(ipAddress);
+  }
+
+  /**
+   * Change how a monitored device is checked. The backoff is reset and the new probe runs right away.
+   * @param {string} ipAddress - IP address of the device
+   * @param {import('../utils/probeConfig').ProbeConfig|null} config - Validated probe configuration (null: ICMP ping)
+   * @returns {boolean} False if the device is not monitored
+   */
+  setProbe(ipAddress, config) {
+    const monitoringState = this.monitoringStates.get(ipAddress);
+    if (!monitoringState) {
+      return false;
+    }
+
+    monitoringState.probe = StatusMonitor.createProbe(config);
+    monitoringState.consecutiveFailures = 0;
+    monitoringState.consecutiveSuccesses = 0;
+    monitoringState.streakStartedAt = null;
+    monitoringState.backoffMultiplier = 1;
+    monitoringState.checkInterval = monitoringState.settings.checkInterval;
+
+    this._scheduleCheck(ipAddress, 0);
+    return true;
+  }
+
+  /**
+   * Change the device a monitored device is reached through. A device that is down is checked
+   * right away, so whether it is unreachable reflects the new parent.
+   * @param {string} ipAddress - IP address of the device
+   * @param {string|null} parentId - ID of the parent device, or null for none
+   * @returns {boolean} False if the device is not monitored
+   */
+  setParent(ipAddress, parentId) {
+    const monitoringState = this.monitoringStates.get(ipAddress);
+    if (!monitoringState) {
+      return false;
+    }
+
+    monitoringState.parentId = parentId;
+    if (!this.deviceStatuses.get(ipAddress).isOnline) {
+      this._checkSoon(ipAddress);
+    }
+    return true;
+  }
+
+  /**
+   * Look up the monitoring profile of every monitored device again, after profiles, assignments
+   * or tags changed. A device whose check interval changed, or whose checks were turned on or
+   * off, is next checked a new check interval after its last check (right away if that is past),
+   * with its backoff starting over.
+   */
+  refreshProfiles() {
+    for (const [ipAddress, monitoringState] of this.monitoringStates.entries()) {
+      const previous = monitoringState.settings;
+      const settings = this._resolveSettings(ipAddress);
+      monitoringState.settings = settings;
+
+      if (settings.checkInterval === previous.checkInterval && settings.enabled === previous.enabled) {
+        continue;
+      }
+
+      // A change that is being confirmed keeps being rechecked quickly
+      const status = this.deviceStatuses.get(ipAddress);
+      const isConfirming = status.isOnline ? monitoringState.consecutiveFailures > 0 : monitoringState.consecutiveSuccesses > 0;
+      monitoringState.backoffMultiplier = 1;
+      monitoringState.checkInterval = isConfirming ? settings.recheckDelay : settings.checkInterval;
+
+      const dueIn = status.lastChecked.getTime() + monitoringState.checkInterval - Date.now();
+      this._scheduleCheck(ipAddress, dueIn > 0 ? dueIn : Math.round(settings.checkInterval * Math.random() * this.jitter));
+    }
   }
 
   /**
@@ -118,6 +362,44 @@ class StatusMonitor extends EventEmitter {
     return new Map(this.deviceStatuses);
   }
 
+  /**
+   * Capture the status and backoff of every monitored device, for resuming monitoring later
+   * @returns {MonitoringSnapshot[]} Snapshots
+   */
+  getSnapshots() {
+    return Array.from(this.monitoringStates.entries()).map(([ipAddress, state]) => {
+      const status = this.deviceStatuses.get(ipAddress);
+      return {
+        ipAddress,
+        deviceId: state.deviceId,
+        isOnline: status.isOnline,
+        lastChecked: status.lastChecked.toISOString(),
+        responseTime: status.responseTime,
+        detail: status.detail,
+        isFlapping: status.isFlapping,
+        isUnreachable: status.isUnreachable,
+        checkInterval: state.checkInterval,
+        consecutiveFailures: state.consecutiveFailures,
+        consecutiveSuccesses: state.consecutiveSuccesses,
+        streakStartedAt: state.streakStartedAt,
+        backoffMultiplier: state.backoffMultiplier,
+        transitions: [...state.transitions],
+        reportedOnline: state.reportedOnline
+      };
+    });
+  }
+
+  /**
+   * Get scheduler metrics: queue depth, running checks and how late checks start
+   * @returns {import('./CheckScheduler').SchedulerMetrics & {devices: number}} Metrics, with the number of monitored devices
+   */
+  getSchedulerMetrics() {
+    return {
+      devices: this.monitoringStates.size,
+      ...this.scheduler.getMetrics()
+    };
+  }
+
   /**
    * Register callback for status changes
    * @param {function(string, DeviceStatus): void} callback - Callback function
@@ -126,40 +408,84 @@ class StatusMonitor extends EventEmitter {
     this.on('statusChange', callback);
   }
 
+  /**
+   * Register callback for every confirmed change of state, including those of flapping devices
+   * that are not reported as status changes
+   * @param {function(string, DeviceStatus, Date): void} callback - Callback function; receives the
+   *   new status and when the change began (the first check of the run that confirmed it)
+   */
+  onTransition(callback) {
+    this.on('transition', callback);
+  }
+
+  /**
+   * Register callback for devices that become unreachable because their parent is down, or
+   * reachable again
+   * @param {function(string, DeviceStatus): void} callback - Callback function; status.isUnreachable tells which
+   */
+  onUnreachable(callback) {
+    this.on('unreachable', callback);
+  }
+
+  /**
+   * Register callback for devices that enter or leave a maintenance window
+   * @param {function(string, DeviceStatus): void} callback - Callback function; status.inMaintenance tells which
+   */
+  onMaintenance(callback) {
+    this.on('maintenance', callback);
+  }
+
+  /**
+   * Register callback for devices that start or stop flapping
+   * @param {function(string, DeviceStatus): void} callback - Callback function; status.isFlapping tells which
+   */
+  onFlapping(callback) {
+    this.on('flapping', callback);
+  }
+
   /**
    * Schedule a check for a device
    * @private
    * @param {string} ipAddress - IP address to check
+   * @param {number} [delay] - Milliseconds until the check (default: the device's check interval)
    */
-  _scheduleCheck(ipAddress) {
+  _scheduleCheck(ipAddress, delay) {
     const monitoringState = this.monitoringStates.get(ipAddress);
     
     if (!monitoringState) {
       return;
     }
     
-    // Clear any existing timeout
-    if (monitoringState.intervalId) {
-      clearTimeout(monitoringState.intervalId);
+    // Replaces the pending check, if any
+    this.scheduler.schedule(ipAddress, delay === undefined ? monitoringState.checkInterval : delay);
+  }
+
+  /**
+   * Check a device right away, or as soon as its running check finishes, so two checks of one
+   * device never run at once and count towards its streaks twice
+   * @private
+   * @param {string} ipAddress - IP address to check
+   */
+  _checkSoon(ipAddress) {
+    const monitoringState = this.monitoringStates.get(ipAddress);
+
+    if (!monitoringState) {
+      return;
+    }
+
+    if (monitoringState.runningCheck) {
+      monitoringState.recheckRequested = true;
+    } else {
+      this._scheduleCheck(ipAddress, 0);
     }
-    
-    // Schedule the next check
-    monitoringState.intervalId = setTimeout(() => {
-      this._checkDevice(ipAddress);
-    }, monitoringState.checkInterval);
   }
 
   /**
-   * Check a single device's connectivity
+   * Check a single device's connectivity with its probe
    * @private
    * @param {string} ipAddress - IP address to check
    */
   async _checkDevice(ipAddress) {
-    // Wait if we've hit the concurrency limit
-    while (this.activeChecks.size >= this.concurrencyLimit) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    
     const monitoringState = this.monitoringStates.get(ipAddress);
     const currentStatus = this.deviceStatuses.get(ipAddress);
     
@@ -167,58 +493,256 @@ class StatusMonitor extends EventEmitter {
       return;
     }
     
-    this.activeChecks.add(ipAddress);
+    const { probe } = monitoringState;
+    // The device may be stopped or given another probe while the check runs; its result is stale then
+    const isSuperseded = () => this.monitoringStates.get(ipAddress) !== monitoringState || monitoringState.probe !== probe;
+    const runningCheck = {};
+    monitoringState.runningCheck = runningCheck;
     
     try {
-      // Perform ping check
-      const pingResult = await ping.promise.probe(ipAddress, {
-        timeout: 2,
-        min_reply: 1
-      });
-      
-      const now = new Date();
-      const wasOnline = currentStatus.isOnline;
-      const isOnline = pingResult.alive;
-      const responseTime = isOnline ? parseFloat(pingResult.time) : -1;
-      
-      // Update status
-      const newStatus = {
-        ipAddress,
-        isOnline,
-        lastChecked: now,
-        responseTime
-      };
-      
-      this.deviceStatuses.set(ipAddress, newStatus);
-      
-      // Handle status change
-      if (wasOnline !== isOnline) {
-        this.emit('statusChange', ipAddress, newStatus);
-      }
-      
-      // Update backoff based on result
-      if (isOnline) {
-        // Device is online, reset backoff
+      monitoringState.settings = this._resolveSettings(ipAddress);
+      if (!monitoringState.settings.enabled) {
+        // The device keeps its last status; a change that was being confirmed starts over
         monitoringState.consecutiveFailures = 0;
-        monitoringState.backoffMultiplier = 1;
-        monitoringState.checkInterval = this.defaultCheckInterval;
-      } else {
-        // Device is offline, apply exponential backoff
-        monitoringState.consecutiveFailures++;
-        monitoringState.backoffMultiplier = Math.pow(2, Math.min(monitoringState.consecutiveFailures - 1, 5));
-        monitoringState.checkInterval = Math.min(
-          this.defaultCheckInterval * monitoringState.backoffMultiplier,
-          this.maxBackoffInterval
-        );
+        monitoringState.consecutiveSuccesses = 0;
+        monitoringState.streakStartedAt = null;
+        monitoringState.checkInterval = monitoringState.settings.checkInterval;
+        return;
       }
+
+      const maintenance = this.getMaintenance(ipAddress);
+      if (maintenance && maintenance.mode === 'pause') {
+        this._pause(ipAddress, monitoringState);
+        return;
+      }
+
+      const result = await probe.check(ipAddress);
+
+      if (isSuperseded()) {
+        return;
+      }
+      
+      this._applyResult(ipAddress, monitoringState, probe, result, maintenance !== null);
     } catch (error) {
       const err = /** @type {Error} */ (error);
       console.error(`Error checking device ${ipAddress}:`, err.message);
     } finally {
-      this.activeChecks.delete(ipAddress);
-      
-      // Schedule next check
-      this._scheduleCheck(ipAddress);
+      if (monitoringState.runningCheck === runningCheck) {
+        monitoringState.runningCheck = null;
+      }
+
+      // Schedule next check, unless whoever superseded this check scheduled one already; a check
+      // asked for while this one ran comes right away
+      if (!isSuperseded()) {
+        const delay = monitoringState.recheckRequested ? 0 : undefined;
+        monitoringState.recheckRequested = false;
+        this._scheduleCheck(ipAddress, delay);
+      }
+    }
+  }
+
+  /**
+   * Update a device's status and check interval from a check result
+   * @private
+   * @param {string} ipAddress - IP address of the device
+   * @param {MonitoringState} monitoringState - Monitoring state of the device
+   * @param {Probe} probe - Probe that made the check
+   * @param {import('./probes/IcmpProbe').ProbeResult} result - Check result
+   * @param {boolean} [inMaintenance=false] - The device is in a maintenance window that flags results
+   */
+  _applyResult(ipAddress, monitoringState, probe, result, inMaintenance = false) {
+    const currentStatus = this.deviceStatuses.get(ipAddress);
+    const { settings } = monitoringState;
+    const now = new Date();
+    const wasOnline = currentStatus.isOnline;
+
+    if (result.isOnline) {
+      monitoringState.consecutiveSuccesses++;
+      monitoringState.consecutiveFailures = 0;
+    } else {
+      monitoringState.consecutiveFailures++;
+      monitoringState.consecutiveSuccesses = 0;
+    }
+
+    // A change of state needs enough results in a row to confirm it
+    const streak = result.isOnline ? monitoringState.consecutiveSuccesses : monitoringState.consecutiveFailures;
+    if (streak === 1 || monitoringState.streakStartedAt === null) {
+      monitoringState.streakStartedAt = now.getTime();
+    }
+    const threshold = result.isOnline ? settings.recoveryThreshold : settings.failureThreshold;
+    const isChanging = result.isOnline !== wasOnline;
+
+    // A failure is only confirmed once the parent has been checked since the failures began and
+    // is not failing itself; otherwise the parent is checked first. A parent whose checks are
+    // paused or turned off by its profile will not be checked, so whether it answers is unknown
+    // and does not hold the device back.
+    const parent = this._findParent(monitoringState);
+    const parentMaintenance = parent !== null ? this.getMaintenance(parent.ipAddress) : null;
+    const isParentChecked = parent !== null && parent.state.settings.enabled &&
+      !(parentMaintenance && parentMaintenance.mode === 'pause');
+    const isParentPending = !result.isOnline && isParentChecked && parent.status.isOnline &&
+      (parent.state.consecutiveFailures > 0 || parent.status.lastChecked.getTime() < monitoringState.streakStartedAt);
+    if (isParentPending && parent.state.consecutiveFailures === 0) {
+      this._checkSoon(parent.ipAddress);
+    }
+
+    const isConfirmed = !isChanging || (streak >= threshold && !isParentPending);
+    const isOnline = isConfirmed ? result.isOnline : wasOnline;
+    const isUnreachable = !isOnline && parent !== null && !parent.status.isOnline;
+
+    // Changes during maintenance are expected and do not make a device flapping
+    if (isChanging && isConfirmed && !inMaintenance) {
+      monitoringState.transitions.push(now.getTime());
+    }
+
+    // Flap detection over a sliding window; a flapping device settles once it changes state
+    // less than half as often as it takes to start flapping
+    monitoringState.transitions = monitoringState.transitions.filter(time => now.getTime() - time <= this.flapWindow);
+    const wasFlapping = currentStatus.isFlapping;
+    const isFlapping = wasFlapping
+      ? monitoringState.transitions.length >= Math.ceil(this.flapThreshold / 2)
+      : monitoringState.transitions.length >= this.flapThreshold;
+
+    /** @type {DeviceStatus} */
+    const newStatus = {
+      ipAddress,
+      isOnline,
+      lastChecked: now,
+      responseTime: result.isOnline ? result.responseTime : -1,
+      probeType: probe.type,
+      detail: result.detail,
+      isFlapping,
+      isUnreachable,
+      inMaintenance
+    };
+
+    this.deviceStatuses.set(ipAddress, newStatus);
+
+    if (isChanging && isConfirmed) {
+      // The change dates from the first check of the run that confirmed it
+      this.emit('transition', ipAddress, newStatus, new Date(monitoringState.streakStartedAt));
+    }
+
+    if (isFlapping !== wasFlapping) {
+      this.emit('flapping', ipAddress, newStatus);
+    }
+
+    if (isUnreachable !== Boolean(currentStatus.isUnreachable)) {
+      this.emit('unreachable', ipAddress, newStatus);
+    }
+
+    if (inMaintenance !== Boolean(currentStatus.inMaintenance)) {
+      this.emit('maintenance', ipAddress, newStatus);
+    }
+
+    // Status changes of flapping, unreachable and maintained devices are held back; when the device
+    // settles, its parent recovers or the maintenance ends, its state is reported if it differs
+    // from the last one reported
+    if (!isFlapping && !isUnreachable && !inMaintenance && isOnline !== monitoringState.reportedOnline) {
+      monitoringState.reportedOnline = isOnline;
+      this.emit('statusChange', ipAddress, newStatus);
+    }
+
+    // The devices behind a recovered parent are checked right away: they are either back too, or
+    // offline for a reason of their own
+    if (isChanging && isConfirmed && isOnline) {
+      this._recheckUnreachableChildren(monitoringState.deviceId);
+    }
+
+    if (!isConfirmed) {
+      // Confirm the change quickly instead of waiting for the next regular check
+      monitoringState.checkInterval = settings.recheckDelay;
+    } else if (isOnline) {
+      // Device is online, reset backoff
+      monitoringState.backoffMultiplier = 1;
+      monitoringState.checkInterval = settings.checkInterval;
+    } else {
+      // Device is offline, apply exponential backoff from the failure that confirmed it
+      const failuresSinceOffline = Math.max(1, monitoringState.consecutiveFailures - settings.failureThreshold + 1);
+      monitoringState.backoffMultiplier = Math.pow(2, Math.min(failuresSinceOffline - 1, 5));
+      monitoringState.checkInterval = Math.min(
+        settings.checkInterval * monitoringState.backoffMultiplier,
+        settings.maxBackoffInterval
+      );
+    }
+  }
+
+  /**
+   * Skip the check of a device in a maintenance window that pauses checks. The device keeps its
+   * last status, and a change that was being confirmed starts over once the window ends.
+   * @private
+   * @param {string} ipAddress - IP address of the device
+   * @param {MonitoringState} monitoringState - Monitoring state of the device
+   */
+  _pause(ipAddress, monitoringState) {
+    monitoringState.consecutiveFailures = 0;
+    monitoringState.consecutiveSuccesses = 0;
+    monitoringState.streakStartedAt = null;
+    monitoringState.checkInterval = Math.max(monitoringState.checkInterval, monitoringState.settings.checkInterval);
+
+    const currentStatus = this.deviceStatuses.get(ipAddress);
+    if (!currentStatus.inMaintenance) {
+      const newStatus = { ...currentStatus, inMaintenance: true };
+      this.deviceStatuses.set(ipAddress, newStatus);
+      this.emit('maintenance', ipAddress, newStatus);
+    }
+  }
+
+  /**
+   * Get the check settings of a device from its monitoring profile, falling back to the defaults
+   * @private
+   * @param {string} ipAddress - IP address of the device
+   * @returns {CheckSettings} Settings
+   */
+  _resolveSettings(ipAddress) {
+    const profile = this.getProfile(ipAddress);
+    const settings = profile ? profile.status : {};
+    const checkInterval = settings.checkInterval || this.defaultCheckInterval;
+
+    return {
+      enabled: settings.enabled !== false,
+      checkInterval,
+      failureThreshold: settings.failureThreshold || this.failureThreshold,
+      recoveryThreshold: settings.recoveryThreshold || this.recoveryThreshold,
+      recheckDelay: Math.min(this.recheckDelay, checkInterval),
+      maxBackoffInterval: Math.max(this.maxBackoffInterval, checkInterval)
+    };
+  }
+
+  /**
+   * Find the monitored parent of a device
+   * @private
+   * @param {MonitoringState} monitoringState - Monitoring state of the device
+   * @returns {{ipAddress: string, state: MonitoringState, status: DeviceStatus}|null} The parent, or
+   *   null if the device has none or it is not monitored
+   */
+  _findParent(monitoringState) {
+    const ipAddress = monitoringState.parentId ? this.deviceIps.get(monitoringState.parentId) : undefined;
+    if (!ipAddress) {
+      return null;
+    }
+
+    return {
+      ipAddress,
+      state: this.monitoringStates.get(ipAddress),
+      status: this.deviceStatuses.get(ipAddress)
+    };
+  }
+
+  /**
+   * Check the unreachable devices behind a device now
+   * @private
+   * @param {string|null} deviceId - ID of the parent device
+   */
+  _recheckUnreachableChildren(deviceId) {
+    if (!deviceId) {
+      return;
+    }
+
+    for (const [ipAddress, monitoringState] of this.monitoringStates.entries()) {
+      if (monitoringState.parentId === deviceId && this.deviceStatuses.get(ipAddress).isUnreachable) {
+        this._checkSoon(ipAddress);
+      }
     }
   }
 
@@ -229,6 +753,7 @@ class StatusMonitor extends EventEmitter {
     for (const ipAddress of this.monitoringStates.keys()) {
       this.stopMonitoring(ipAddress);
     }
+    this.scheduler.stop();
   }
 }
 
@@ -0,0 +1,314 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/** Bundled registry shipped with the application */
+const BUNDLED_REGISTRY_PATH = path.join(__dirname, '../data/oui.tsv');
+
+/** Prefix lengths in hex digits, longest first: MA-S (36-bit), MA-M (28-bit), MA-L (24-bit) */
+const PREFIX_LENGTHS = [9, 7, 6];
+
+/** @type {Object<number, string>} Registry name by prefix length */
+const REGISTRY_NAMES = { 6: 'MA-L', 7: 'MA-M', 9: 'MA-S' };
+
+/**
+ * Well-known locally administered prefixes that still identify the software that assigned them
+ * @type {Array<[string, string]>}
+ */
+const KNOWN_LOCAL_PREFIXES = [
+  ['525400', 'QEMU/KVM'],
+  ['0242', 'Docker']
+];
+
+/**
+ * @typedef {Object} VendorInfo
+ * @property {string} vendor - Organization name, "Locally Administered" or "Unknown"
+ * @property {string|null} prefix - Matched prefix in hex (6, 7 or 9 digits), or null
+ * @property {'MA-L'|'MA-M'|'MA-S'|null} registry - IEEE registry of the matched prefix
+ * @property {boolean} isLocallyAdministered - True for randomized/software-assigned MACs
+ * @property {boolean} isMulticast - True for group addresses
+ */
+
+/**
+ * @typedef {Object} RegistryEntry
+ * @property {string} prefix - Upper-case hex prefix (6, 7 or 9 digits)
+ * @property {string} vendor - Organization name
+ */
+
+/**
+ * VendorLookup resolves MAC addresses to vendors using the IEEE MA-L/MA-M/MA-S registries.
+ * Loads the bundled registry, or a refreshed copy from the data directory when one exists.
+ */
+class VendorLookup {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} [options.dataDir] - Directory holding the refreshed registry (default: ~/.network-monitor)
+   * @param {string} [options.bundledPath] - Path of the bundled registry file
+   */
+  constructor(options = {}) {
+    /** @type {string} Bundled registry path */
+    this.bundledPath = options.bundledPath || BUNDLED_REGISTRY_PATH;
+
+    /** @type {string} Refreshed registry path; takes precedence over the bundled file */
+    this.overridePath = path.join(options.dataDir || path.join(os.homedir(), '.network-monitor'), 'oui.tsv');
+
+    /** @type {Map<number, Map<string, string>>|null} Prefix tables by prefix length, loaded lazily */
+    this.tables = null;
+
+    /** @type {string|null} File the current tables were loaded from */
+    this.source = null;
+
+    /** @type {Date|null} When the current tables were loaded */
+    this.loadedAt = null;
+  }
+
+  /**
+   * Look up the vendor of a MAC address
+   * @param {string} macAddress - MAC address in any common notation
+   * @returns {VendorInfo} Vendor information
+   */
+  lookup(macAddress) {
+    /** @type {VendorInfo} */
+    const result = {
+      vendor: 'Unknown',
+      prefix: null,
+      registry: null,
+      isLocallyAdministered: false,
+      isMulticast: false
+    };
+
+    // Tools such as arp(8) may print octets without leading zeros ("a:b:c:d:e:f")
+    const octets = typeof macAddress === 'string' ? macAddress.split(/[:-]/) : [];
+    const padded = octets.length === 6 ? octets.map(o => o.padStart(2, '0')).join('') : macAddress;
+
+    const hex = VendorLookup.normalizeHex(padded);
+    if (!hex || hex.length !== 12) {
+      return result;
+    }
+
+    const firstOctet = parseInt(hex.substring(0, 2), 16);
+    result.isMulticast = (firstOctet & 0x01) !== 0;
+    result.isLocallyAdministered = (firstOctet & 0x02) !== 0;
+
+    if (result.isLocallyAdministered) {
+      // Randomized or software-assigned; IEEE prefixes don't apply
+      const known = KNOWN_LOCAL_PREFIXES.find(([prefix]) => hex.startsWith(prefix));
+      result.vendor = known ? known[1] : 'Locally Administered';
+      return result;
+    }
+
+    const tables = this._getTables();
+    for (const length of PREFIX_LENGTHS) {
+      const prefix = hex.substring(0, length);
+      const vendor = tables.get(length)?.get(prefix);
+      if (vendor) {
+        result.vendor = vendor;
+        result.prefix = prefix;
+        result.registry = /** @type {'MA-L'|'MA-M'|'MA-S'} */ (REGISTRY_NAMES[length]);
+        return result;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {{source: string|null, loadedAt: Date|null, entries: Object<string, number>}}
+   */
+  getStats() {
+    const tables = this._getTables();
+    /** @type {Object<string, number>} */
+    const entries = {};
+    for (const [length, table] of tables.entries()) {
+      entries[REGISTRY_NAMES[length]] = table.size;
+    }
+    return { source: this.source, loadedAt: this.loadedAt, entries };
+  }
+
+  /**
+   * Merge registry data into the current tables and persist the result to the data directory.
+   * Entries in the new data replace existing entries with the same prefix.
+   * @param {string|string[]} contents - Registry file contents (IEEE CSV or TSV)
+   * @returns {Promise<{imported: number, total: number}>} Import summary
+   * @throws {Error} If no entries could be parsed
+   */
+  async importRegistry(contents) {
+    const parsed = (Array.isArray(contents) ? contents : [contents])
+      .flatMap(content => VendorLookup.parseRegistry(content));
+
+    if (parsed.length === 0) {
+      throw new Error('No MAC address assignments found in the supplied data');
+    }
+
+    const tables = this._getTables();
+    for (const { prefix, vendor } of parsed) {
+      tables.get(prefix.length)?.set(prefix, vendor);
+    }
+
+    await fs.promises.mkdir(path.dirname(this.overridePath), { recursive: true });
+    const tempPath = `${this.overridePath}.tmp`;
+    await fs.promises.writeFile(tempPath, VendorLookup.serializeRegistry(tables), 'utf8');
+    await fs.promises.rename(tempPath, this.overridePath);
+
+    this.source = this.overridePath;
+    this.loadedAt = new Date();
+
+    let total = 0;
+    for (const table of tables.values()) {
+      total += table.size;
+    }
+
+    return { imported: parsed.length, total };
+  }
+
+  /**
+   * Load the registry tables if they haven't been loaded yet
+   * @private
+   * @returns {Map<number, Map<string, string>>}
+   */
+  _getTables() {
+    if (this.tables) {
+      return this.tables;
+    }
+
+    /** @type {Map<number, Map<string, string>>} */
+    const tables = new Map(PREFIX_LENGTHS.map(length => [length, new Map()]));
+
+    for (const candidate of [this.overridePath, this.bundledPath]) {
+      let content;
+      try {
+        content = fs.readFileSync(candidate, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      for (const { prefix, vendor } of VendorLookup.parseRegistry(content)) {
+        tables.get(prefix.length)?.set(prefix, vendor);
+      }
+      this.source = candidate;
+      break;
+    }
+
+    if (!this.source) {
+      console.warn('VendorLookup: no OUI registry found, vendors will be reported as "Unknown"');
+    }
+
+    this.tables = tables;
+    this.loadedAt = new Date();
+    return tables;
+  }
+
+  /**
+   * Strip separators from a MAC address or prefix
+   * @param {string} value - MAC address or prefix (e.g., "AA:BB:CC", "aa-bb-cc-dd-ee-ff", "aabb.ccdd.eeff")
+   * @returns {string|null} Upper-case hex digits or null if invalid
+   */
+  static normalizeHex(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const hex = value.replace(/[:\-.\s]/g, '').toUpperCase();
+    return /^[0-9A-F]+$/.test(hex) ? hex : null;
+  }
+
+  /**
+   * Parse registry data. Supports the IEEE CSV exports (oui.csv, mam.csv, oui36.csv)
+   * and the bundled tab-separated format.
+   * @param {string} content - File contents
+   * @returns {RegistryEntry[]} Parsed entries
+   */
+  static parseRegistry(content) {
+    /** @type {RegistryEntry[]} */
+    const entries = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      if (line.trim() === '' || line.startsWith('#') || line.startsWith('Registry,')) {
+        continue;
+      }
+
+      let prefix;
+      let vendor;
+
+      if (line.includes('\t')) {
+        [prefix, vendor] = line.split('\t');
+      } else {
+        // CSV: Registry,Assignment,Organization Name,Organization Address
+        const fields = VendorLookup._parseCsvLine(line);
+        if (fields.length < 3) {
+          continue;
+        }
+        [, prefix, vendor] = fields;
+      }
+
+      const hex = VendorLookup.normalizeHex(prefix || '');
+      const name = (vendor || '').replace(/\s+/g, ' ').trim();
+
+      if (hex && PREFIX_LENGTHS.includes(hex.length) && name) {
+        entries.push({ prefix: hex, vendor: name });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Serialize registry tables to the bundled tab-separated format
+   * @param {Map<number, Map<string, string>>} tables - Prefix tables
+   * @returns {string} File contents
+   */
+  static serializeRegistry(tables) {
+    const lines = [];
+    for (const table of tables.values()) {
+      for (const [prefix, vendor] of table.entries()) {
+        lines.push(`${prefix}\t${vendor}`);
+      }
+    }
+    lines.sort();
+
+    return [
+      '# IEEE MAC address block assignments (MA-L, MA-M and MA-S registries)',
+      `# Generated ${new Date().toISOString()}`,
+      ...lines
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Split one CSV line, honouring double-quoted fields
+   * @private
+   * @param {string} line - CSV line
+   * @returns {string[]} Fields
+   */
+  static _parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (inQuotes) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current);
+
+    return fields;
+  }
+}
+
+module.exports = VendorLookup;
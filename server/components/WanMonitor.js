@@ -0,0 +1,308 @@
+const EventEmitter = require('events');
+const StatusMonitor = require('./StatusMonitor');
+const { DEFAULT_TIMEOUT } = require('../utils/probeConfig');
+const { parseWanTargets, parseResolver, computeWanStatus } = require('../utils/wan');
+
+/**
+ * @typedef {Object} WanCheck
+ * @property {string} kind - "gateway", "dns" or "target"
+ * @property {string} target - Gateway address, resolver address (with its port unless 53) or target as configured
+ * @property {string} type - Probe type: "icmp", "dns", "tcp" or "http"
+ * @property {boolean|null} isOnline - Whether the last check succeeded, null before the first check
+ * @property {number} responseTime - Milliseconds until the answer (DNS: query time), -1 if the check failed
+ * @property {string|null} detail - What the probe saw (e.g., "NXDOMAIN", "HTTP 503")
+ * @property {Date|null} lastChecked - When the check last ran
+ */
+
+/**
+ * @typedef {Object} WanStatus
+ * @property {string} status - "up", "degraded", "down", or "unknown" before the first round of checks
+ * @property {string|null} reason - What is wrong, null when nothing is
+ * @property {Date|null} since - When the status last changed (for "down": when the outage began)
+ * @property {Date|null} lastChecked - When the last round of checks ran
+ * @property {Date|null} outageStart - When the current outage began, null while the internet is reachable
+ * @property {WanCheck[]} checks - Last result of every check
+ */
+
+/**
+ * @typedef {Object} CheckState
+ * @property {string} kind - "gateway", "dns" or "target"
+ * @property {string} target - What is checked, as shown
+ * @property {string} host - Address or host name the probe checks
+ * @property {import('./StatusMonitor').Probe} probe - Probe used for the check
+ * @property {boolean|null} isOnline - Whether the last check succeeded
+ * @property {number} responseTime - Milliseconds until the answer, -1 if the check failed
+ * @property {string|null} detail - What the probe saw
+ * @property {Date|null} lastChecked - When the check last ran
+ */
+
+/**
+ * WanMonitor tells whether the internet is reachable. Every interval it pings the default
+ * gateways, asks each DNS resolver to resolve a name and checks a set of external targets with
+ * the StatusMonitor probes (ICMP, TCP or HTTP), all at once; the overall status follows from the
+ * results (see computeWanStatus).
+ *
+ * The internet only counts as down after failureThreshold rounds in a row found it down, so a
+ * single lost ping does not make an outage; the outage is dated from the first of those rounds.
+ * A `statusChange` event is emitted whenever the overall status changes.
+ */
+class WanMonitor extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string[]} [options.gateways] - Default gateway addresses, pinged
+   * @param {string[]} [options.resolvers] - DNS resolvers: IPv4 addresses with an optional port
+   * @param {string} [options.dnsName='example.com'] - Name the resolvers are asked to resolve
+   * @param {string|string[]} [options.targets] - External targets (see parseWanTarget)
+   * @param {number} [options.interval=30000] - Milliseconds between rounds of checks
+   * @param {number} [options.timeout=2000] - Milliseconds each check waits for an answer
+   * @param {number} [options.failureThreshold=2] - Rounds in a row that must find the internet down before it counts as down
+   * @throws {Error} If a resolver or target is invalid
+   */
+  constructor(options = {}) {
+    super();
+
+    /** @type {number} Milliseconds between rounds of checks */
+    this.interval = options.interval || 30000;
+
+    /** @type {number} Milliseconds each check waits for an answer */
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    /** @type {number} Rounds in a row that must find the internet down before it counts as down */
+    this.failureThreshold = options.failureThreshold || 2;
+
+    /** @type {string} Name the resolvers are asked to resolve */
+    this.dnsName = options.dnsName || 'example.com';
+
+    /** @type {CheckState[]} Checks run every round */
+    this.checks = [
+      ...(options.gateways || []).map(address => this._createCheck('gateway', address, address, { type: 'icmp' })),
+      ...(options.resolvers || []).map(text => {
+        const { address, port } = parseResolver(text);
+        const target = port === 53 ? address : `${address}:${port}`;
+        return this._createCheck('dns', target, address, { type: 'dns', name: this.dnsName, recordType: 'A', port });
+      }),
+      ...parseWanTargets(options.targets || []).map(({ target, host, probe }) => this._createCheck('target', target, host, probe))
+    ];
+
+    /** @type {string} Overall internet status */
+    this.status = 'unknown';
+
+    /** @type {string|null} What is wrong, null when nothing is */
+    this.reason = null;
+
+    /** @type {Date|null} When the status last changed */
+    this.since = null;
+
+    /** @type {Date|null} When the last round of checks ran */
+    this.lastChecked = null;
+
+    /** @type {Date|null} When the current outage began */
+    this.outageStart = null;
+
+    /** @type {number} Rounds in a row that found the internet down */
+    this.downRounds = 0;
+
+    /** @type {Date|null} When the first of those rounds ran */
+    this.downSince = null;
+
+    /** @type {NodeJS.Timeout|null} Timer of the next round */
+    this.timerId = null;
+
+    /** @type {boolean} Whether rounds are scheduled */
+    this.isRunning = false;
+
+    /** @type {Promise<WanStatus>|null} Round of checks in progress */
+    this.round = null;
+  }
+
+  /**
+   * Start checking, with a first round right away
+   * @param {Date|string|null} [outageStart] - Start of an outage that was still open when
+   *   monitoring stopped; it goes on if the internet is still down
+   */
+  start(outageStart = null) {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.outageStart = outageStart ? new Date(outageStart) : null;
+    this._scheduleRound(0);
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    this.isRunning = false;
+
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Run a round of checks now; a round already running is waited for instead
+   * @returns {Promise<WanStatus>} Status after the round
+   */
+  checkNow() {
+    if (!this.round) {
+      this.round = this._runRound().finally(() => {
+        this.round = null;
+      });
+    }
+    return this.round;
+  }
+
+  /**
+   * Get the overall internet status and the last result of every check
+   * @returns {WanStatus}
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      reason: this.reason,
+      since: this.since,
+      lastChecked: this.lastChecked,
+      outageStart: this.outageStart,
+      checks: this.checks.map(check => ({
+        kind: check.kind,
+        target: check.target,
+        type: check.probe.type,
+        isOnline: check.isOnline,
+        responseTime: check.responseTime,
+        detail: check.detail,
+        lastChecked: check.lastChecked
+      }))
+    };
+  }
+
+  /**
+   * Register callback for changes of the overall status
+   * @param {function(WanStatus, string): void} callback - Callback function, receives the status
+   *   and the status before
+   */
+  onStatusChange(callback) {
+    this.on('statusChange', callback);
+  }
+
+  /**
+   * Register callback for the results of each round of checks
+   * @param {function(WanStatus): void} callback - Callback function
+   */
+  onUpdate(callback) {
+    this.on('update', callback);
+  }
+
+  /**
+   * Create the state of a check
+   * @private
+   * @param {string} kind - "gateway", "dns" or "target"
+   * @param {string} target - What is checked, as shown
+   * @param {string} host - Address or host name the probe checks
+   * @param {Object} config - Probe configuration
+   * @returns {CheckState}
+   */
+  _createCheck(kind, target, host, config) {
+    return {
+      kind,
+      target,
+      host,
+      probe: StatusMonitor.createProbe({ ...config, timeout: this.timeout }),
+      isOnline: null,
+      responseTime: -1,
+      detail: null,
+      lastChecked: null
+    };
+  }
+
+  /**
+   * Schedule the next round of checks
+   * @private
+   * @param {number} [delay] - Milliseconds until the round (default: the interval)
+   */
+  _scheduleRound(delay) {
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+    }
+
+    this.timerId = setTimeout(async () => {
+      this.timerId = null;
+      try {
+        await this.checkNow();
+      } catch (error) {
+        const err = /** @type {Error} */ (error);
+        console.error('Error checking WAN connectivity:', err.message);
+      }
+      if (this.isRunning) {
+        this._scheduleRound();
+      }
+    }, delay === undefined ? this.interval : delay);
+  }
+
+  /**
+   * Run every check at once and update the overall status
+   * @private
+   * @returns {Promise<WanStatus>} Status after the round
+   */
+  async _runRound() {
+    const now = new Date();
+
+    await Promise.all(this.checks.map(async check => {
+      let result;
+      try {
+        result = await check.probe.check(check.host);
+      } catch (error) {
+        result = { isOnline: false, responseTime: -1, detail: /** @type {Error} */ (error).message };
+      }
+      check.isOnline = result.isOnline;
+      check.responseTime = result.responseTime;
+      check.detail = result.detail;
+      check.lastChecked = new Date();
+    }));
+
+    this._applyStatus(computeWanStatus(this.checks), now);
+    this.emit('update', this.getStatus());
+    return this.getStatus();
+  }
+
+  /**
+   * Apply the status a round of checks found; the internet only counts as down once enough rounds
+   * in a row found it down
+   * @private
+   * @param {{status: string, reason: string|null}} result - Status the round found
+   * @param {Date} now - When the round started
+   */
+  _applyStatus({ status, reason }, now) {
+    this.lastChecked = now;
+
+    if (status === 'down') {
+      this.downRounds++;
+      if (!this.downSince) {
+        this.downSince = now;
+      }
+      // An outage restored at start was confirmed before; it goes on right away
+      if (this.status !== 'down' && !this.outageStart && this.downRounds < this.failureThreshold) {
+        return;
+      }
+      if (!this.outageStart) {
+        this.outageStart = this.downSince;
+      }
+    } else {
+      this.downRounds = 0;
+      this.downSince = null;
+      this.outageStart = null;
+    }
+
+    this.reason = reason;
+    if (status !== this.status) {
+      const previous = this.status;
+      this.status = status;
+      this.since = status === 'down' ? this.outageStart : now;
+      this.emit('statusChange', this.getStatus(), previous);
+    }
+  }
+}
+
+module.exports = WanMonitor;
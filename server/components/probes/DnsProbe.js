@@ -0,0 +1,75 @@
+const { udpRequest } = require('../../utils/udp');
+const dnsPacket = require('../../utils/dnsPacket');
+const { DEFAULT_TIMEOUT } = require('../../utils/probeConfig');
+
+/**
+ * DnsProbe checks that a DNS server on a device resolves a name.
+ * The device counts as up when it answers with NOERROR; any other response code
+ * (SERVFAIL, REFUSED, NXDOMAIN, ...) means the resolver is not doing its job.
+ */
+class DnsProbe {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name to resolve
+   * @param {string} [options.recordType='A'] - Record type to ask for
+   * @param {number} [options.port=53] - UDP port of the DNS server
+   * @param {number} [options.timeout=2000] - Milliseconds to wait for the answer
+   */
+  constructor(options) {
+    /** @type {string} Probe type */
+    this.type = 'dns';
+
+    /** @type {string} Name to resolve */
+    this.name = options.name;
+
+    /** @type {string} Record type to ask for */
+    this.recordType = options.recordType || 'A';
+
+    /** @type {number} UDP port of the DNS server */
+    this.port = options.port || 53;
+
+    /** @type {number} Milliseconds to wait for the answer */
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Ask the DNS server on a device to resolve the name
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('./IcmpProbe').ProbeResult>}
+   */
+  async check(ipAddress) {
+    const id = Math.floor(Math.random() * 0x10000);
+    const query = dnsPacket.encodeQuery({
+      id,
+      recursionDesired: true,
+      questions: [{ name: this.name, type: this.recordType }]
+    });
+
+    const started = process.hrtime.bigint();
+    const replies = await udpRequest(ipAddress, this.port, query, { timeout: this.timeout, maxReplies: 1 });
+    const responseTime = Number(process.hrtime.bigint() - started) / 1e6;
+
+    if (replies.length === 0) {
+      return { isOnline: false, responseTime: -1, detail: 'DNS query timed out' };
+    }
+
+    let response;
+    try {
+      response = dnsPacket.decode(replies[0]);
+    } catch (error) {
+      return { isOnline: false, responseTime: -1, detail: `Malformed DNS response: ${error.message}` };
+    }
+
+    if (!response.isResponse || response.id !== id) {
+      return { isOnline: false, responseTime: -1, detail: 'Unexpected DNS response' };
+    }
+    if (response.rcode !== 'NOERROR') {
+      return { isOnline: false, responseTime: -1, detail: response.rcode };
+    }
+
+    const count = response.answers.filter(answer => answer.type === this.recordType).length;
+    return { isOnline: true, responseTime, detail: `NOERROR, ${count} ${count === 1 ? 'answer' : 'answers'}` };
+  }
+}
+
+module.exports = DnsProbe;
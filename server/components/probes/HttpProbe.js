@@ -0,0 +1,120 @@
+const http = require('http');
+const https = require('https');
+const { DEFAULT_TIMEOUT } = require('../../utils/probeConfig');
+
+/** Most of the response body searched for the keyword */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HttpProbe checks that a web server on a device answers a GET request with an expected
+ * status code and, optionally, a body containing a keyword.
+ * HTTPS certificates are not verified: devices on a LAN mostly use self-signed ones.
+ */
+class HttpProbe {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {boolean} [options.https=false] - Use HTTPS
+   * @param {number} [options.port] - TCP port (default: 80, or 443 for HTTPS)
+   * @param {string} [options.path='/'] - Request path
+   * @param {number[]} [options.expectedStatus] - Status codes counted as up (default: any code below 400)
+   * @param {string|null} [options.keyword] - Text the response body must contain
+   * @param {number} [options.timeout=2000] - Milliseconds to wait for the complete response
+   */
+  constructor(options = {}) {
+    /** @type {string} Probe type */
+    this.type = 'http';
+
+    /** @type {boolean} Use HTTPS */
+    this.https = options.https === true;
+
+    /** @type {number} TCP port */
+    this.port = options.port || (this.https ? 443 : 80);
+
+    /** @type {string} Request path */
+    this.path = options.path || '/';
+
+    /** @type {number[]} Status codes counted as up; empty means any code below 400 */
+    this.expectedStatus = options.expectedStatus || [];
+
+    /** @type {string|null} Text the response body must contain */
+    this.keyword = options.keyword || null;
+
+    /** @type {number} Milliseconds to wait for the complete response */
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Request the page from a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('./IcmpProbe').ProbeResult>}
+   */
+  check(ipAddress) {
+    return new Promise(resolve => {
+      const started = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+      let finished = false;
+
+      const finish = (result) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        request.destroy();
+        resolve(result);
+      };
+
+      const request = (this.https ? https : http).request({
+        host: ipAddress,
+        port: this.port,
+        path: this.path,
+        method: 'GET',
+        headers: { 'User-Agent': 'network-monitor', Connection: 'close' },
+        rejectUnauthorized: false
+      }, (response) => {
+        const status = response.statusCode;
+        const statusOk = this.expectedStatus.length > 0 ? this.expectedStatus.includes(status) : status < 400;
+
+        if (!statusOk) {
+          finish({ isOnline: false, responseTime: -1, detail: `HTTP ${status}` });
+          return;
+        }
+        if (!this.keyword) {
+          finish({ isOnline: true, responseTime: elapsed(), detail: `HTTP ${status}` });
+          return;
+        }
+
+        // Read the body until the keyword shows up
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          body += chunk;
+          if (body.includes(this.keyword)) {
+            finish({ isOnline: true, responseTime: elapsed(), detail: `HTTP ${status}, keyword found` });
+          } else if (body.length > MAX_BODY_BYTES) {
+            finish({ isOnline: false, responseTime: -1, detail: `HTTP ${status}, keyword not found` });
+          }
+        });
+        response.on('end', () => {
+          finish({ isOnline: false, responseTime: -1, detail: `HTTP ${status}, keyword not found` });
+        });
+        response.on('error', (error) => {
+          finish({ isOnline: false, responseTime: -1, detail: error.message });
+        });
+      });
+
+      const timer = setTimeout(() => {
+        finish({ isOnline: false, responseTime: -1, detail: 'HTTP request timed out' });
+      }, this.timeout);
+
+      request.on('error', (error) => {
+        const code = /** @type {NodeJS.ErrnoException} */ (error).code;
+        finish({ isOnline: false, responseTime: -1, detail: code === 'ECONNREFUSED' ? `Port ${this.port} refused` : error.message });
+      });
+
+      request.end();
+    });
+  }
+}
+
+module.exports = HttpProbe;
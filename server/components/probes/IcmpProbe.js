@@ -0,0 +1,44 @@
+const ping = require('ping');
+const { DEFAULT_TIMEOUT } = require('../../utils/probeConfig');
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {boolean} isOnline - Whether the device answered as expected
+ * @property {number} responseTime - Milliseconds until the answer, -1 if offline
+ * @property {string|null} detail - What the probe saw (e.g., "HTTP 503"), null if nothing worth telling
+ */
+
+/**
+ * IcmpProbe checks a device with an ICMP echo request (ping)
+ */
+class IcmpProbe {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.timeout=2000] - Milliseconds to wait for a reply (rounded to whole seconds)
+   */
+  constructor(options = {}) {
+    /** @type {string} Probe type */
+    this.type = 'icmp';
+
+    /** @type {number} Milliseconds to wait for a reply */
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Ping a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<ProbeResult>}
+   */
+  async check(ipAddress) {
+    const result = await ping.promise.probe(ipAddress, {
+      timeout: Math.max(1, Math.round(this.timeout / 1000)),
+      min_reply: 1
+    });
+
+    return result.alive
+      ? { isOnline: true, responseTime: parseFloat(result.time), detail: null }
+      : { isOnline: false, responseTime: -1, detail: 'No echo reply' };
+  }
+}
+
+module.exports = IcmpProbe;
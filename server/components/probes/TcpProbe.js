@@ -0,0 +1,57 @@
+const net = require('net');
+const { DEFAULT_TIMEOUT } = require('../../utils/probeConfig');
+
+/**
+ * TcpProbe checks that a device accepts connections on a TCP port.
+ * The connection is closed as soon as it is established.
+ */
+class TcpProbe {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.port - TCP port to connect to
+   * @param {number} [options.timeout=2000] - Milliseconds to wait for the connection
+   */
+  constructor(options) {
+    /** @type {string} Probe type */
+    this.type = 'tcp';
+
+    /** @type {number} TCP port to connect to */
+    this.port = options.port;
+
+    /** @type {number} Milliseconds to wait for the connection */
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Connect to the port of a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('./IcmpProbe').ProbeResult>}
+   */
+  check(ipAddress) {
+    return new Promise(resolve => {
+      const started = process.hrtime.bigint();
+      const socket = net.connect({ host: ipAddress, port: this.port });
+
+      const finish = (result) => {
+        socket.destroy();
+        resolve(result);
+      };
+
+      socket.setTimeout(this.timeout, () => {
+        finish({ isOnline: false, responseTime: -1, detail: `Port ${this.port} timed out` });
+      });
+
+      socket.once('connect', () => {
+        const responseTime = Number(process.hrtime.bigint() - started) / 1e6;
+        finish({ isOnline: true, responseTime, detail: `Port ${this.port} open` });
+      });
+
+      socket.once('error', (error) => {
+        const reason = /** @type {NodeJS.ErrnoException} */ (error).code === 'ECONNREFUSED' ? 'refused' : error.message;
+        finish({ isOnline: false, responseTime: -1, detail: `Port ${this.port} ${reason}` });
+      });
+    });
+  }
+}
+
+module.exports = TcpProbe;
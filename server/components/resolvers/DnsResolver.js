@@ -0,0 +1,39 @@
+const dns = require('dns').promises;
+
+/**
+ * DnsResolver looks up a device's hostname with a reverse DNS (PTR) query against the system resolver
+ */
+class DnsResolver {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.timeout=1500] - Lookup timeout in milliseconds
+   */
+  constructor(options = {}) {
+    /** @type {string} Resolver name */
+    this.name = 'dns';
+
+    /** @type {number} Lookup timeout in milliseconds */
+    this.timeout = options.timeout || 1500;
+  }
+
+  /**
+   * Resolve names for a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('../NameResolver').NameInfo|null>} Hostname, or null if there is no PTR record
+   */
+  async resolve(ipAddress) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.timeout);
+    });
+
+    try {
+      const hostnames = await Promise.race([dns.reverse(ipAddress), timeout]);
+      return hostnames && hostnames.length > 0 ? { hostname: hostnames[0] } : null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = DnsResolver;
@@ -0,0 +1,156 @@
+const { udpRequest } = require('../../utils/udp');
+const dnsPacket = require('../../utils/dnsPacket');
+
+/** mDNS port */
+const MDNS_PORT = 5353;
+
+/** DNS-SD meta-query listing the service types a host advertises */
+const SERVICES_META_QUERY = '_services._dns-sd._udp.local';
+
+/** Maximum number of service types browsed per device */
+const MAX_SERVICE_TYPES = 8;
+
+/** TXT keys that carry a model name, in order of preference */
+const MODEL_KEYS = ['md', 'model', 'usb_MDL', 'ty', 'am'];
+
+/** TXT keys that carry a user-assigned friendly name */
+const FRIENDLY_NAME_KEYS = ['fn'];
+
+/** TXT keys that carry a manufacturer name */
+const MANUFACTURER_KEYS = ['usb_MFG', 'manufacturer'];
+
+/**
+ * MdnsResolver queries a device's mDNS responder directly (unicast to port 5353) for its
+ * ".local" name and the DNS-SD services it advertises, e.g. "_googlecast._tcp" or "_ipp._tcp".
+ * Friendly name and model come from service instance names and TXT records.
+ */
+class MdnsResolver {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.timeout=1500] - Timeout per query round in milliseconds
+   * @param {number} [options.port=5353] - Port to query
+   */
+  constructor(options = {}) {
+    /** @type {string} Resolver name */
+    this.name = 'mdns';
+
+    /** @type {number} Timeout per query round in milliseconds */
+    this.timeout = options.timeout || 1500;
+
+    /** @type {number} Port to query */
+    this.port = options.port || MDNS_PORT;
+  }
+
+  /**
+   * Resolve names for a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('../NameResolver').NameInfo|null>} Names found, or null if the device has no responder
+   */
+  async resolve(ipAddress) {
+    // Round 1: the host's own name and the service types it advertises
+    const first = await this._query(ipAddress, [
+      { name: dnsPacket.reverseName(ipAddress), type: 'PTR' },
+      { name: SERVICES_META_QUERY, type: 'PTR' }
+    ]);
+
+    if (first.length === 0) {
+      return null;
+    }
+
+    const hostRecord = first.find(r => r.type === 'PTR' && r.name === dnsPacket.reverseName(ipAddress));
+    const serviceTypes = [...new Set(first
+      .filter(r => r.type === 'PTR' && r.name === SERVICES_META_QUERY)
+      .map(r => String(r.data).replace(/\.local$/, '')))];
+
+    // Round 2: service instances, whose names are usually what the user called the device
+    let records = first;
+    if (serviceTypes.length > 0) {
+      records = records.concat(await this._query(ipAddress, serviceTypes
+        .slice(0, MAX_SERVICE_TYPES)
+        .map(type => ({ name: `${type}.local`, type: 'PTR' }))));
+    }
+
+    const instances = records
+      .filter(r => r.type === 'PTR' && serviceTypes.some(type => r.name === `${type}.local`))
+      .map(r => String(r.data));
+
+    // Round 3: TXT records, unless the responder already sent them as additional records
+    if (instances.length > 0 && !records.some(r => r.type === 'TXT')) {
+      records = records.concat(await this._query(ipAddress, instances
+        .slice(0, MAX_SERVICE_TYPES)
+        .map(name => ({ name, type: 'TXT' }))));
+    }
+
+    /** @type {Object<string, string>} */
+    const txt = {};
+    for (const record of records) {
+      if (record.type === 'TXT' && Array.isArray(record.data)) {
+        // The first service to mention a key wins
+        for (const [key, value] of Object.entries(MdnsResolver.parseTxt(record.data))) {
+          if (!(key in txt)) {
+            txt[key] = value;
+          }
+        }
+      }
+    }
+
+    const firstInstance = instances.length > 0 ? instances[0] : null;
+    const instanceName = firstInstance
+      ? firstInstance.substring(0, firstInstance.indexOf('._')).replace(/\\(.)/g, '$1')
+      : null;
+
+    return {
+      hostname: hostRecord ? String(hostRecord.data) : undefined,
+      friendlyName: FRIENDLY_NAME_KEYS.map(key => txt[key]).find(Boolean) || instanceName || undefined,
+      model: MODEL_KEYS.map(key => txt[key]).find(Boolean),
+      manufacturer: MANUFACTURER_KEYS.map(key => txt[key]).find(Boolean),
+      services: serviceTypes
+    };
+  }
+
+  /**
+   * Send one query round and return every record in the replies
+   * @private
+   * @param {string} ipAddress - Responder address
+   * @param {import('../../utils/dnsPacket').DnsQuestion[]} questions - Questions
+   * @returns {Promise<import('../../utils/dnsPacket').DnsRecord[]>} Answer and additional records
+   */
+  async _query(ipAddress, questions) {
+    const replies = await udpRequest(ipAddress, this.port, dnsPacket.encodeQuery({ questions }), {
+      timeout: this.timeout,
+      settle: 100
+    });
+
+    const records = [];
+    for (const reply of replies) {
+      try {
+        const message = dnsPacket.decode(reply);
+        if (message.isResponse) {
+          records.push(...message.answers, ...message.additionals);
+        }
+      } catch (error) {
+        // Ignore malformed replies
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Parse TXT record strings into key/value pairs
+   * @param {string[]} strings - TXT strings ("key=value")
+   * @returns {Object<string, string>} Attributes
+   */
+  static parseTxt(strings) {
+    /** @type {Object<string, string>} */
+    const attributes = {};
+    for (const entry of strings) {
+      const index = entry.indexOf('=');
+      if (index > 0) {
+        attributes[entry.substring(0, index)] = entry.substring(index + 1);
+      }
+    }
+    return attributes;
+  }
+}
+
+module.exports = MdnsResolver;
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { udpRequest } = require('../../utils/udp');
+
+/** NetBIOS name service port */
+const NETBIOS_NS_PORT = 137;
+
+/** NBSTAT (node status) record type */
+const TYPE_NBSTAT = 0x21;
+
+/**
+ * Encode a NetBIOS name using first-level encoding (RFC 1001 section 14.1)
+ * @param {string} name - NetBIOS name, at most 15 characters ("*" queries any name)
+ * @returns {Buffer} Length-prefixed, zero-terminated encoded name
+ */
+function encodeNetbiosName(name) {
+  const raw = Buffer.alloc(16, name === '*' ? 0 : 0x20);
+  raw.write(name.toUpperCase().substring(0, 15), 0, 'ascii');
+
+  const encoded = Buffer.alloc(32);
+  for (let i = 0; i < 16; i++) {
+    encoded[i * 2] = 0x41 + (raw[i] >> 4);
+    encoded[i * 2 + 1] = 0x41 + (raw[i] & 0x0F);
+  }
+
+  return Buffer.concat([Buffer.from([32]), encoded, Buffer.from([0])]);
+}
+
+/**
+ * NetbiosResolver sends a NetBIOS node status request (the equivalent of `nmblookup -A`) and
+ * reports the machine name Windows hosts, Samba servers and many NAS devices register
+ */
+class NetbiosResolver {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.timeout=1500] - Request timeout in milliseconds
+   * @param {number} [options.port=137] - Port to query
+   */
+  constructor(options = {}) {
+    /** @type {string} Resolver name */
+    this.name = 'netbios';
+
+    /** @type {number} Request timeout in milliseconds */
+    this.timeout = options.timeout || 1500;
+
+    /** @type {number} Port to query */
+    this.port = options.port || NETBIOS_NS_PORT;
+  }
+
+  /**
+   * Resolve names for a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('../NameResolver').NameInfo|null>} Machine name, or null if the device didn't answer
+   */
+  async resolve(ipAddress) {
+    const replies = await udpRequest(ipAddress, this.port, NetbiosResolver.encodeNodeStatusRequest(), {
+      timeout: this.timeout,
+      maxReplies: 1
+    });
+
+    if (replies.length === 0) {
+      return null;
+    }
+
+    const names = NetbiosResolver.parseNodeStatusResponse(replies[0]);
+    // The workstation service (suffix 0x00) of a unique name is the machine name
+    const machine = names.find(entry => entry.suffix === 0x00 && !entry.isGroup);
+
+    return machine ? { hostname: machine.name } : null;
+  }
+
+  /**
+   * Build a node status request for the wildcard name
+   * @param {number} [transactionId] - Transaction ID (random by default)
+   * @returns {Buffer} Request datagram
+   */
+  static encodeNodeStatusRequest(transactionId = crypto.randomInt(0, 0x10000)) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(transactionId, 0);
+    header.writeUInt16BE(1, 4); // one question
+
+    const tail = Buffer.alloc(4);
+    tail.writeUInt16BE(TYPE_NBSTAT, 0);
+    tail.writeUInt16BE(1, 2); // class IN
+
+    return Buffer.concat([header, encodeNetbiosName('*'), tail]);
+  }
+
+  /**
+   * Parse the name table of a node status response
+   * @param {Buffer} buffer - Response datagram
+   * @returns {Array<{name: string, suffix: number, isGroup: boolean}>} Registered names (empty if malformed)
+   */
+  static parseNodeStatusResponse(buffer) {
+    if (buffer.length < 12 || buffer.readUInt16BE(6) === 0) {
+      return [];
+    }
+
+    // Skip the header and the (echoed) question name of the answer record
+    let offset = 12;
+    while (offset < buffer.length && buffer[offset] !== 0) {
+      if ((buffer[offset] & 0xC0) === 0xC0) {
+        offset += 1;
+        break;
+      }
+      offset += buffer[offset] + 1;
+    }
+    offset += 1;
+
+    // TYPE (2), CLASS (2), TTL (4), RDLENGTH (2)
+    if (offset + 11 > buffer.length || buffer.readUInt16BE(offset) !== TYPE_NBSTAT) {
+      return [];
+    }
+    offset += 10;
+
+    const count = buffer[offset];
+    offset += 1;
+
+    const names = [];
+    for (let i = 0; i < count && offset + 18 <= buffer.length; i++) {
+      const name = buffer.toString('latin1', offset, offset + 15).replace(/[\s\0]+$/, '');
+      const suffix = buffer[offset + 15];
+      const flags = buffer.readUInt16BE(offset + 16);
+      names.push({ name, suffix, isGroup: (flags & 0x8000) !== 0 });
+      offset += 18;
+    }
+
+    return names;
+  }
+}
+
+module.exports = NetbiosResolver;
@@ -0,0 +1,177 @@
+const http = require('http');
+const { udpRequest } = require('../../utils/udp');
+
+/** SSDP port */
+const SSDP_PORT = 1900;
+
+/** Largest device description that will be downloaded */
+const MAX_DESCRIPTION_BYTES = 256 * 1024;
+
+/**
+ * Decode the XML entities that appear in device descriptions
+ * @param {string} value - Element text
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * SsdpResolver sends a unicast SSDP M-SEARCH to the device and reads the UPnP device
+ * description it points to, which carries the friendly name, manufacturer and model of
+ * TVs, media players, routers, printers and similar devices
+ */
+class SsdpResolver {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.timeout=1500] - Timeout for the search and for fetching the description (ms)
+   * @param {number} [options.port=1900] - Port to query
+   */
+  constructor(options = {}) {
+    /** @type {string} Resolver name */
+    this.name = 'ssdp';
+
+    /** @type {number} Timeout in milliseconds */
+    this.timeout = options.timeout || 1500;
+
+    /** @type {number} Port to query */
+    this.port = options.port || SSDP_PORT;
+  }
+
+  /**
+   * Resolve names for a device
+   * @param {string} ipAddress - IP address
+   * @returns {Promise<import('../NameResolver').NameInfo|null>} Names found, or null if the device didn't answer
+   */
+  async resolve(ipAddress) {
+    const search = Buffer.from([
+      'M-SEARCH * HTTP/1.1',
+      `HOST: ${ipAddress}:${this.port}`,
+      'MAN: "ssdp:discover"',
+      'MX: 1',
+      'ST: ssdp:all',
+      '',
+      ''
+    ].join('\r\n'));
+
+    const replies = await udpRequest(ipAddress, this.port, search, { timeout: this.timeout, settle: 300 });
+    const responses = replies.map(reply => SsdpResolver.parseHeaders(reply.toString('utf8')));
+
+    if (responses.length === 0) {
+      return null;
+    }
+
+    const services = [...new Set(responses
+      .map(headers => headers.st)
+      .filter(st => st && st.startsWith('urn:')))];
+
+    // Only follow descriptions served by the device itself
+    const location = responses
+      .map(headers => headers.location)
+      .find(value => {
+        try {
+          const url = new URL(value);
+          return url.protocol === 'http:' && url.hostname === ipAddress;
+        } catch (error) {
+          return false;
+        }
+      });
+
+    /** @type {import('../NameResolver').NameInfo} */
+    const result = { services };
+
+    if (location) {
+      try {
+        const description = SsdpResolver.parseDescription(await this._fetch(location));
+        Object.assign(result, description);
+      } catch (error) {
+        // Description unavailable; the advertised services are still useful
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Download a device description
+   * @private
+   * @param {string} location - Description URL
+   * @returns {Promise<string>} Response body
+   */
+  _fetch(location) {
+    return new Promise((resolve, reject) => {
+      const request = http.get(location, { timeout: this.timeout }, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`Device description returned HTTP ${response.statusCode}`));
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > MAX_DESCRIPTION_BYTES) {
+            request.destroy(new Error('Device description too large'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error('Device description request timed out')));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Parse the headers of an SSDP response
+   * @param {string} message - Response text
+   * @returns {Object<string, string>} Headers with lower-case names
+   */
+  static parseHeaders(message) {
+    /** @type {Object<string, string>} */
+    const headers = {};
+    for (const line of message.split(/\r?\n/).slice(1)) {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Extract names from a UPnP device description
+   * @param {string} xml - Description document
+   * @returns {{friendlyName?: string, model?: string, manufacturer?: string}} Names of the root device
+   */
+  static parseDescription(xml) {
+    const element = (name) => {
+      const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`, 'i'));
+      return match && match[1].trim() ? decodeXmlText(match[1]) : undefined;
+    };
+
+    const modelName = element('modelName');
+    const modelNumber = element('modelNumber');
+
+    return {
+      friendlyName: element('friendlyName'),
+      model: modelName && modelNumber && !modelName.includes(modelNumber)
+        ? `${modelName} ${modelNumber}`
+        : modelName || modelNumber,
+      manufacturer: element('manufacturer')
+    };
+  }
+}
+
+module.exports = SsdpResolver;
@@ -90,6 +90,16 @@ logger.logDeviceEvent = (event, device, metadata = {}) => {
   });
 };
 
+logger.logSecurityEvent = (event) => {
+  logger.warn('Security event', {
+    event: event.type,
+    severity: event.severity,
+    message: event.message,
+    ipAddress: event.ipAddress,
+    macAddress: event.macAddress
+  });
+};
+
 logger.logNetworkEvent = (event, metadata = {}) => {
   logger.info('Network event', {
     event,
@@ -7,22 +7,69 @@
 require('dotenv').config();
 
 const os = require('os');
+const dns = require('dns');
 const DeviceScanner = require('./components/DeviceScanner');
+const NeighborDiscovery = require('./components/NeighborDiscovery');
+const VendorLookup = require('./components/VendorLookup');
+const NameResolver = require('./components/NameResolver');
+const ServiceScanner = require('./components/ServiceScanner');
+const SecurityMonitor = require('./components/SecurityMonitor');
+const ArpConflictDetector = require('./components/ArpConflictDetector');
 const StatusMonitor = require('./components/StatusMonitor');
 const TrafficAnalyzer = require('./components/TrafficAnalyzer');
 const HealthMonitor = require('./components/HealthMonitor');
+const MaintenanceCalendar = require('./components/MaintenanceCalendar');
+const MonitoringProfiles = require('./components/MonitoringProfiles');
+const WanMonitor = require('./components/WanMonitor');
+const DnsMonitor = require('./components/DnsMonitor');
 const DataStore = require('./components/DataStore');
 const { createServer } = require('./api/server');
+const { expandRanges, isInRanges } = require('./utils/ipRange');
 const logger = require('./config/logger');
 
 // Configuration from environment variables
 const CONFIG = {
   port: parseInt(process.env.PORT || '3000', 10),
-  subnet: process.env.SUBNET || '192.168.1',
+  subnet: process.env.SUBNET || '192.168.1', // CIDR ranges or /24 prefixes, comma-separated
+  scanExclude: process.env.SCAN_EXCLUDE || '', // Ranges to skip, comma-separated
   networkInterface: process.env.NETWORK_INTERFACE || null, // Auto-detect if not specified
   scanInterval: parseInt(process.env.SCAN_INTERVAL || '300000', 10), // 5 minutes
+  scanConcurrency: parseInt(process.env.SCAN_CONCURRENCY || '32', 10),
+  scanOverlapPolicy: process.env.SCAN_OVERLAP_POLICY === 'reject' ? 'reject' : 'queue',
+  passiveDiscovery: process.env.PASSIVE_DISCOVERY !== 'false',
+  neighborPollInterval: parseInt(process.env.NEIGHBOR_POLL_INTERVAL || '60000', 10), // 1 minute
+  arpListen: process.env.ARP_LISTEN === 'true',
+  nameResolvers: (process.env.NAME_RESOLVERS || 'dns,mdns,netbios,ssdp').split(',').map(s => s.trim()).filter(Boolean),
+  nameResolutionTimeout: parseInt(process.env.NAME_RESOLUTION_TIMEOUT || '1500', 10),
+  serviceScan: process.env.SERVICE_SCAN === 'true',
+  serviceScanPorts: process.env.SERVICE_SCAN_PORTS || null, // Default: common service ports
+  serviceScanRate: parseInt(process.env.SERVICE_SCAN_RATE || '20', 10), // Connection attempts per second
+  serviceScanConcurrency: parseInt(process.env.SERVICE_SCAN_CONCURRENCY || '8', 10),
+  serviceScanTimeout: parseInt(process.env.SERVICE_SCAN_TIMEOUT || '1000', 10),
+  serviceScanInterval: parseInt(process.env.SERVICE_SCAN_INTERVAL || '21600000', 10), // 6 hours
+  gatewayIps: (process.env.GATEWAY_IP || '').split(',').map(s => s.trim()).filter(Boolean), // Auto-detect if empty
+  arpConflictWindow: parseInt(process.env.ARP_CONFLICT_WINDOW || '600000', 10), // 10 minutes
+  statusCheckInterval: parseInt(process.env.STATUS_CHECK_INTERVAL || '30000', 10), // 30 seconds
+  statusFailureThreshold: parseInt(process.env.STATUS_FAILURE_THRESHOLD || '3', 10),
+  statusRecoveryThreshold: parseInt(process.env.STATUS_RECOVERY_THRESHOLD || '1', 10),
+  statusRecheckDelay: parseInt(process.env.STATUS_RECHECK_DELAY || '5000', 10), // 5 seconds
+  flapThreshold: parseInt(process.env.FLAP_THRESHOLD || '5', 10),
+  flapWindow: parseInt(process.env.FLAP_WINDOW || '600000', 10), // 10 minutes
   cleanupInterval: 60 * 60 * 1000, // 1 hour
-  dataRetentionPeriod: parseInt(process.env.DATA_RETENTION_HOURS || '24', 10) * 60 * 60 * 1000
+  stateSaveInterval: parseInt(process.env.STATE_SAVE_INTERVAL || '60000', 10), // 1 minute
+  pathTraceInterval: parseInt(process.env.PATH_TRACE_INTERVAL || '300000', 10), // 5 minutes
+  wanMonitoring: process.env.WAN_MONITORING !== 'false',
+  wanTargets: process.env.WAN_TARGETS || 'icmp://1.1.1.1,icmp://8.8.8.8,https://www.google.com/',
+  wanDnsServers: (process.env.WAN_DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean), // System resolvers if empty
+  wanDnsName: process.env.WAN_DNS_NAME || 'example.com',
+  wanCheckInterval: parseInt(process.env.WAN_CHECK_INTERVAL || '30000', 10), // 30 seconds
+  dnsMonitoring: process.env.DNS_MONITORING !== 'false',
+  dnsMonitorNames: process.env.DNS_MONITOR_NAMES || 'example.com',
+  dnsMonitorServers: (process.env.DNS_MONITOR_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean), // System resolvers if empty
+  dnsMonitorInterval: parseInt(process.env.DNS_MONITOR_INTERVAL || '60000', 10), // 1 minute
+  dataRetentionPeriod: parseInt(process.env.DATA_RETENTION_HOURS || '24', 10) * 60 * 60 * 1000,
+  outageRetentionDays: parseInt(process.env.OUTAGE_RETENTION_DAYS || '400', 10),
+  deviceArchiveDays: parseInt(process.env.DEVICE_ARCHIVE_DAYS || '30', 10) // 0 disables archiving
 };
 
 /**
@@ -31,13 +78,22 @@ const CONFIG = {
 class NetworkMonitorApp {
   constructor() {
     this.deviceScanner = null;
+    this.neighborDiscovery = null;
+    this.vendorLookup = null;
+    this.securityMonitor = null;
+    this.arpConflictDetector = null;
     this.statusMonitor = null;
     this.trafficAnalyzer = null;
     this.healthMonitor = null;
+    this.maintenanceCalendar = null;
+    this.monitoringProfiles = null;
+    this.wanMonitor = null;
+    this.dnsMonitor = null;
     this.dataStore = null;
     this.server = null;
     this.scanIntervalId = null;
     this.cleanupIntervalId = null;
+    this.stateSaveIntervalId = null;
     this.isRunning = false;
   }
 
@@ -56,18 +112,98 @@ class NetworkMonitorApp {
       const persistedDevices = await this.dataStore.getAllDevices();
       logger.info(`Loaded ${persistedDevices.length} persisted devices from storage`);
 
+      // Validate scan ranges up front so a bad SUBNET fails fast
+      const scanTargets = expandRanges(CONFIG.subnet, CONFIG.scanExclude);
+      logger.info(`Scan ranges: ${CONFIG.subnet} (${scanTargets.length} hosts)`);
+
+      // Initialize VendorLookup (a refreshed registry in the data directory overrides the bundled one)
+      this.vendorLookup = new VendorLookup({ dataDir: this.dataStore.dataDir });
+      const vendorStats = this.vendorLookup.getStats();
+      logger.info(`Loaded MAC vendor registry from ${vendorStats.source}`, vendorStats.entries);
+
+      // Initialize ServiceScanner (optional port and banner scan)
+      let serviceScanner = null;
+      if (CONFIG.serviceScan) {
+        serviceScanner = new ServiceScanner({
+          ports: CONFIG.serviceScanPorts ? ServiceScanner.parsePortList(CONFIG.serviceScanPorts) : undefined,
+          rateLimit: CONFIG.serviceScanRate,
+          concurrency: CONFIG.serviceScanConcurrency,
+          timeout: CONFIG.serviceScanTimeout
+        });
+        logger.info(`Service scan enabled (${serviceScanner.ports.length} ports, ${CONFIG.serviceScanRate} connections/s)`);
+      }
+
       // Initialize DeviceScanner
       logger.info('Initializing DeviceScanner...');
-      this.deviceScanner = new DeviceScanner();
+      this.deviceScanner = new DeviceScanner({
+        concurrency: CONFIG.scanConcurrency,
+        overlapPolicy: CONFIG.scanOverlapPolicy,
+        vendorLookup: this.vendorLookup,
+        nameResolver: new NameResolver({
+          resolvers: CONFIG.nameResolvers,
+          timeout: CONFIG.nameResolutionTimeout
+        }),
+        serviceScanner,
+        serviceScanInterval: CONFIG.serviceScanInterval,
+        neighborPollInterval: CONFIG.neighborPollInterval
+      });
       
       // Restore cached devices from persisted data
-      for (const device of persistedDevices) {
-        this.deviceScanner.deviceCache.set(device.ipAddress, device);
+      this.deviceScanner.restoreDevices(persistedDevices);
+
+      // Initialize SecurityMonitor with the persisted allowlist
+      logger.info('Initializing SecurityMonitor...');
+      this.securityMonitor = new SecurityMonitor();
+      this.securityMonitor.restoreKnownDevices(await this.dataStore.getKnownDevices());
+
+      // Initialize ArpConflictDetector, watching the configured or default gateways
+      const gateways = CONFIG.gatewayIps.length > 0
+        ? CONFIG.gatewayIps
+        : await ArpConflictDetector.readDefaultGateways();
+      this.arpConflictDetector = new ArpConflictDetector({
+        window: CONFIG.arpConflictWindow,
+        gateways
+      });
+      logger.info(`Watching for ARP conflicts (gateways: ${gateways.length > 0 ? gateways.join(', ') : 'none detected'})`);
+
+      // Initialize NeighborDiscovery
+      if (CONFIG.passiveDiscovery) {
+        logger.info('Initializing NeighborDiscovery...');
+        this.neighborDiscovery = new NeighborDiscovery({
+          pollInterval: CONFIG.neighborPollInterval,
+          listenForArp: CONFIG.arpListen,
+          interfaceName: CONFIG.networkInterface
+        });
       }
 
+      // Initialize MaintenanceCalendar; windows apply to the device currently using an address
+      logger.info('Initializing MaintenanceCalendar...');
+      this.maintenanceCalendar = new MaintenanceCalendar({
+        resolveDevice: ipAddress => this.deviceScanner.findDeviceByIp(ipAddress)
+      });
+      this.maintenanceCalendar.restoreWindows(await this.dataStore.getMaintenanceWindows());
+      const getMaintenance = ipAddress => this.maintenanceCalendar.getMaintenance(ipAddress);
+
+      // Initialize MonitoringProfiles; like windows, profiles apply to the device currently using an address
+      logger.info('Initializing MonitoringProfiles...');
+      this.monitoringProfiles = new MonitoringProfiles({
+        resolveDevice: ipAddress => this.deviceScanner.findDeviceByIp(ipAddress)
+      });
+      this.monitoringProfiles.restoreProfiles(await this.dataStore.getMonitoringProfiles());
+      const getProfile = ipAddress => this.monitoringProfiles.resolveProfile(ipAddress);
+
       // Initialize StatusMonitor
       logger.info('Initializing StatusMonitor...');
-      this.statusMonitor = new StatusMonitor();
+      this.statusMonitor = new StatusMonitor({
+        checkInterval: CONFIG.statusCheckInterval,
+        failureThreshold: CONFIG.statusFailureThreshold,
+        recoveryThreshold: CONFIG.statusRecoveryThreshold,
+        recheckDelay: CONFIG.statusRecheckDelay,
+        flapThreshold: CONFIG.flapThreshold,
+        flapWindow: CONFIG.flapWindow,
+        getMaintenance,
+        getProfile
+      });
 
       // Initialize TrafficAnalyzer
       logger.info('Initializing TrafficAnalyzer...');
@@ -75,7 +211,36 @@ class NetworkMonitorApp {
 
       // Initialize HealthMonitor
       logger.info('Initializing HealthMonitor...');
-      this.healthMonitor = new HealthMonitor();
+      this.healthMonitor = new HealthMonitor({ getMaintenance, getProfile, pathInterval: CONFIG.pathTraceInterval });
+
+      // Only IPv4 resolvers can be queried; system resolvers on other addresses are skipped
+      const systemResolvers = dns.getServers().filter(server => /^[\d.]+(:\d+)?$/.test(server));
+
+      // Initialize WanMonitor, checking the gateways, the DNS resolvers and the external targets
+      if (CONFIG.wanMonitoring) {
+        logger.info('Initializing WanMonitor...');
+        const resolvers = CONFIG.wanDnsServers.length > 0 ? CONFIG.wanDnsServers : systemResolvers;
+        this.wanMonitor = new WanMonitor({
+          gateways,
+          resolvers,
+          dnsName: CONFIG.wanDnsName,
+          targets: CONFIG.wanTargets,
+          interval: CONFIG.wanCheckInterval
+        });
+        logger.info(`Checking internet connectivity (resolvers: ${resolvers.length > 0 ? resolvers.join(', ') : 'none'}, targets: ${CONFIG.wanTargets})`);
+      }
+
+      // Initialize DnsMonitor, resolving the monitored names against each resolver
+      if (CONFIG.dnsMonitoring) {
+        logger.info('Initializing DnsMonitor...');
+        const resolvers = CONFIG.dnsMonitorServers.length > 0 ? CONFIG.dnsMonitorServers : systemResolvers;
+        this.dnsMonitor = new DnsMonitor({
+          names: CONFIG.dnsMonitorNames,
+          resolvers,
+          interval: CONFIG.dnsMonitorInterval
+        });
+        logger.info(`Monitoring DNS resolution of ${CONFIG.dnsMonitorNames} (resolvers: ${resolvers.length > 0 ? resolvers.join(', ') : 'none'})`);
+      }
 
       // Create REST API and WebSocket server
       logger.info('Creating API server...');
@@ -84,9 +249,18 @@ class NetworkMonitorApp {
         statusMonitor: this.statusMonitor,
         trafficAnalyzer: this.trafficAnalyzer,
         healthMonitor: this.healthMonitor,
-        dataStore: this.dataStore
+        dataStore: this.dataStore,
+        vendorLookup: this.vendorLookup,
+        securityMonitor: this.securityMonitor,
+        maintenanceCalendar: this.maintenanceCalendar,
+        monitoringProfiles: this.monitoringProfiles,
+        wanMonitor: this.wanMonitor,
+        dnsMonitor: this.dnsMonitor
       }, {
-        port: CONFIG.port
+        port: CONFIG.port,
+        subnet: CONFIG.subnet,
+        exclude: CONFIG.scanExclude,
+        gateways
       });
 
       logger.info('Initialization complete');
@@ -107,7 +281,7 @@ class NetworkMonitorApp {
       }
 
       logger.info('Network Monitor Server - Starting...');
-      logger.info(`Configuration: Port=${CONFIG.port}, Subnet=${CONFIG.subnet}.x, ScanInterval=${CONFIG.scanInterval}ms`);
+      logger.info(`Configuration: Port=${CONFIG.port}, Subnet=${CONFIG.subnet}, ScanInterval=${CONFIG.scanInterval}ms`);
 
       // Start the REST API server
       await this.server.start();
@@ -115,6 +289,9 @@ class NetworkMonitorApp {
       // Connect component events to WebSocket server for real-time updates
       this._setupEventHandlers();
 
+      // Monitor known devices right away, including those that are offline now
+      await this._resumeMonitoring();
+
       // Detect and start monitoring network interface
       const networkInterface = CONFIG.networkInterface || await this._detectNetworkInterface();
       if (networkInterface) {
@@ -124,8 +301,14 @@ class NetworkMonitorApp {
         logger.warn('Could not detect network interface, traffic monitoring disabled');
       }
 
+      // Start passive discovery from the neighbor table
+      if (this.neighborDiscovery) {
+        logger.info(`Starting passive discovery (every ${CONFIG.neighborPollInterval / 1000} seconds${CONFIG.arpListen ? ', with ARP capture' : ''})`);
+        this.neighborDiscovery.start();
+      }
+
       // Perform initial network scan
-      logger.info(`Performing initial network scan on subnet ${CONFIG.subnet}.x...`);
+      logger.info(`Performing initial network scan on ${CONFIG.subnet}...`);
       await this._performNetworkScan();
 
       // Set up periodic network scans
@@ -140,6 +323,11 @@ class NetworkMonitorApp {
         this._performDataCleanup();
       }, CONFIG.cleanupInterval);
 
+      // Save monitoring state so a restart resumes where monitoring left off
+      this.stateSaveIntervalId = setInterval(() => {
+        this._saveMonitoringState();
+      }, CONFIG.stateSaveInterval);
+
       this.isRunning = true;
       logger.info('Network Monitor Server - Running');
       logger.info(`Access the API at http://localhost:${CONFIG.port}/api`);
@@ -172,7 +360,19 @@ class NetworkMonitorApp {
         this.cleanupIntervalId = null;
       }
 
+      if (this.stateSaveIntervalId) {
+        clearInterval(this.stateSaveIntervalId);
+        this.stateSaveIntervalId = null;
+      }
+
+      // Save monitoring state before the monitors forget it
+      await this._saveMonitoringState();
+
       // Stop all monitoring components
+      if (this.neighborDiscovery) {
+        this.neighborDiscovery.stop();
+      }
+
       if (this.statusMonitor) {
         this.statusMonitor.stopAll();
       }
@@ -185,6 +385,14 @@ class NetworkMonitorApp {
         this.healthMonitor.stopAll();
       }
 
+      if (this.wanMonitor) {
+        this.wanMonitor.stop();
+      }
+
+      if (this.dnsMonitor) {
+        this.dnsMonitor.stop();
+      }
+
       // Stop the API server
       if (this.server) {
         await this.server.stop();
@@ -218,12 +426,88 @@ class NetworkMonitorApp {
         this.statusMonitor.startMonitoring(device);
         this.healthMonitor.startMonitoring(device.ipAddress);
 
-        logger.logDeviceEvent('discovered', device);
+        logger.logDeviceEvent('discovered', device, { discoveryMethod: device.discoveryMethod });
       } catch (error) {
         logger.logError(error, { context: 'Device discovery', ipAddress: device.ipAddress });
       }
     });
 
+    this.deviceScanner.on('deviceIpChanged', async (device, previousIp) => {
+      try {
+        await this.dataStore.saveDevice(device);
+
+        // Monitors are keyed by address: stop probing the old one unless another device took it over
+        const holder = this.deviceScanner.findDeviceByIp(previousIp);
+        if (!holder || !holder.isActive) {
+          this.statusMonitor.stopMonitoring(previousIp);
+          this.healthMonitor.stopMonitoring(previousIp);
+        }
+
+        logger.logDeviceEvent('ip_changed', device, { previousIp });
+      } catch (error) {
+        logger.logError(error, { context: 'Device IP change', ipAddress: device.ipAddress, previousIp });
+      }
+    });
+
+    // Deleted and archived devices are no longer monitored
+    this.deviceScanner.on('deviceRemoved', (device, reason) => {
+      // Monitors are keyed by address: keep them if another device took the address over
+      const holder = this.deviceScanner.findDeviceByIp(device.ipAddress);
+      if (!holder || !holder.isActive) {
+        this.statusMonitor.stopMonitoring(device.ipAddress);
+        this.healthMonitor.stopMonitoring(device.ipAddress);
+      }
+
+      logger.logDeviceEvent(reason, device);
+    });
+
+    // Security checks on new and changed devices
+    this.deviceScanner.on('deviceAdded', (device) => {
+      this.securityMonitor.handleDeviceAdded(device);
+    });
+
+    this.deviceScanner.on('deviceChanged', (device, changes) => {
+      this.securityMonitor.handleDeviceChanged(device, changes);
+    });
+
+    // ARP spoofing and duplicate address detection
+    this.deviceScanner.on('arpObservation', (observation) => {
+      this.arpConflictDetector.observe(observation);
+    });
+
+    this.arpConflictDetector.on('arpConflict', (conflict) => {
+      this.securityMonitor.handleArpConflict(conflict);
+    });
+
+    this.securityMonitor.on('securityEvent', async (event) => {
+      try {
+        await this.dataStore.saveSecurityEvent(event);
+        logger.logSecurityEvent(event);
+      } catch (error) {
+        logger.logError(error, { context: 'Security event', ipAddress: event.ipAddress });
+      }
+    });
+
+    // Neighbor Discovery events
+    if (this.neighborDiscovery) {
+      this.neighborDiscovery.on('neighbor', async (neighbor) => {
+        try {
+          // Ignore neighbors on other networks (e.g., container bridges)
+          if (!isInRanges(neighbor.ipAddress, CONFIG.subnet, CONFIG.scanExclude)) {
+            return;
+          }
+          await this.deviceScanner.recordNeighbor(neighbor);
+        } catch (error) {
+          logger.logError(error, { context: 'Passive discovery', ipAddress: neighbor.ipAddress });
+        }
+      });
+
+      // A ping sweep fills the ARP table even for hosts that drop ICMP, so read it right after
+      this.deviceScanner.on('scanComplete', () => {
+        this.neighborDiscovery.poll();
+      });
+    }
+
     // Status Monitor events
     this.statusMonitor.onStatusChange(async (ipAddress, status) => {
       try {
@@ -238,13 +522,42 @@ class NetworkMonitorApp {
         logger.logNetworkEvent('status_change', { 
           ipAddress, 
           status: status.isOnline ? 'online' : 'offline',
-          responseTime: status.responseTime
+          responseTime: status.responseTime,
+          probe: status.probeType,
+          detail: status.detail
         });
       } catch (error) {
         logger.logError(error, { context: 'Status change', ipAddress });
       }
     });
 
+    // Outages are recorded from every confirmed change, also while a device is flapping
+    this.statusMonitor.onTransition(async (ipAddress, status, since) => {
+      try {
+        const device = await this.dataStore.getDevice(ipAddress);
+        if (device) {
+          await this.dataStore.recordStatusTransition(device.id, ipAddress, status.isOnline, since);
+        }
+      } catch (error) {
+        logger.logError(error, { context: 'Outage recording', ipAddress });
+      }
+    });
+
+    this.statusMonitor.onUnreachable((ipAddress, status) => {
+      logger.logNetworkEvent(status.isUnreachable ? 'unreachable' : 'reachable', { ipAddress });
+    });
+
+    this.statusMonitor.onMaintenance((ipAddress, status) => {
+      logger.logNetworkEvent(status.inMaintenance ? 'maintenance_started' : 'maintenance_ended', { ipAddress });
+    });
+
+    this.statusMonitor.onFlapping((ipAddress, status) => {
+      logger.logNetworkEvent(status.isFlapping ? 'flapping_started' : 'flapping_stopped', {
+        ipAddress,
+        status: status.isOnline ? 'online' : 'offline'
+      });
+    });
+
     // Traffic Analyzer events
     this.trafficAnalyzer.onTrafficUpdate(async (stats) => {
       try {
@@ -267,7 +580,7 @@ class NetworkMonitorApp {
         // Save health metrics to data store
         await this.dataStore.saveHealthMetrics(metrics);
 
-        if (metrics.isDegraded) {
+        if (metrics.isDegraded && !metrics.inMaintenance) {
           logger.warn(`Device health degraded: ${ipAddress}`, {
             latency: metrics.latency.toFixed(2),
             packetLoss: metrics.packetLoss.toFixed(2)
@@ -277,6 +590,78 @@ class NetworkMonitorApp {
         logger.logError(error, { context: 'Health metrics save', ipAddress });
       }
     });
+
+    // Keep the last trace of each path target, so a restart compares against it
+    this.healthMonitor.onPathUpdate(async (target, path) => {
+      try {
+        await this.dataStore.updatePathTrace(target, path);
+      } catch (error) {
+        logger.logError(error, { context: 'Path trace save', target });
+      }
+    });
+
+    this.healthMonitor.onPathChanged((target, path, previousPath, changes) => {
+      logger.logNetworkEvent('path_changed', {
+        target,
+        changes: changes.map(change => `hop ${change.ttl}: ${change.from || 'none'} -> ${change.to || 'none'}`).join(', ')
+      });
+    });
+
+    this.healthMonitor.onAnomaly((ipAddress, anomaly) => {
+      logger.logNetworkEvent('health_anomaly', {
+        ipAddress,
+        metric: anomaly.metric,
+        value: anomaly.value,
+        expected: Number(anomaly.expected.toFixed(2)),
+        score: anomaly.score,
+        severity: anomaly.severity
+      });
+    });
+
+    // WAN Monitor events: internet outages are recorded from every change of the overall status
+    if (this.wanMonitor) {
+      this.wanMonitor.onStatusChange(async (wan, previousStatus) => {
+        try {
+          const isDown = wan.status === 'down';
+          await this.dataStore.recordWanTransition(isDown, isDown ? wan.outageStart : wan.since, wan.reason);
+
+          logger.logNetworkEvent('wan_status_change', {
+            status: wan.status,
+            previousStatus,
+            reason: wan.reason
+          });
+        } catch (error) {
+          logger.logError(error, { context: 'WAN outage recording' });
+        }
+      });
+    }
+
+    // DNS Monitor events: every query is kept for the history, alerts go to the alert log
+    if (this.dnsMonitor) {
+      this.dnsMonitor.onResults(async (results) => {
+        try {
+          await this.dataStore.saveDnsResults(results);
+        } catch (error) {
+          logger.logError(error, { context: 'DNS results save' });
+        }
+      });
+
+      this.dnsMonitor.onAlert(async (alert) => {
+        try {
+          await this.dataStore.saveDnsAlert(alert);
+
+          logger.logNetworkEvent('dns_alert', {
+            type: alert.type,
+            name: alert.name,
+            recordType: alert.recordType,
+            resolver: alert.resolver,
+            message: alert.message
+          });
+        } catch (error) {
+          logger.logError(error, { context: 'DNS alert recording' });
+        }
+      });
+    }
   }
 
   /**
@@ -285,10 +670,18 @@ class NetworkMonitorApp {
    */
   async _performNetworkScan() {
     try {
-      logger.info(`Starting network scan on ${CONFIG.subnet}.x...`);
+      const activeScan = this.deviceScanner.getActiveScan();
+      if (activeScan) {
+        logger.info(`Skipping scheduled network scan, scan ${activeScan.id} is still ${activeScan.status}`);
+        return;
+      }
+
+      logger.info(`Starting network scan on ${CONFIG.subnet}...`);
       const startTime = Date.now();
       
-      const devices = await this.deviceScanner.scanNetwork(CONFIG.subnet);
+      const devices = await this.deviceScanner.scanNetwork(CONFIG.subnet, {
+        exclude: CONFIG.scanExclude
+      });
       
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       logger.logPerformance('network_scan', duration, { deviceCount: devices.length });
@@ -297,6 +690,63 @@ class NetworkMonitorApp {
     }
   }
 
+  /**
+   * Resume monitoring every known device with the status, backoff, health metrics and baselines
+   * saved before the last shutdown, then the path targets and the internet connectivity checks
+   * @private
+   */
+  async _resumeMonitoring() {
+    const snapshots = new Map((await this.dataStore.getMonitoringSnapshots()).map(snapshot => [snapshot.ipAddress, snapshot]));
+    const health = new Map((await this.dataStore.getLatestHealthMetrics()).map(metrics => [metrics.ipAddress, metrics]));
+    const baselines = new Map((await this.dataStore.getHealthBaselines()).map(baseline => [baseline.ipAddress, baseline]));
+    let resumed = 0;
+
+    for (const device of this.deviceScanner.getCachedDevices()) {
+      // Monitors are keyed by address: only the device holding it now is monitored
+      if (this.deviceScanner.findDeviceByIp(device.ipAddress) !== device) {
+        continue;
+      }
+
+      this.statusMonitor.startMonitoring(device, snapshots.get(device.ipAddress) || null);
+      this.healthMonitor.startMonitoring(device.ipAddress, health.get(device.ipAddress) || null, baselines.get(device.ipAddress) || null);
+      resumed++;
+    }
+
+    logger.info(`Resumed monitoring of ${resumed} known devices (${snapshots.size} with saved state)`);
+
+    const pathTargets = await this.dataStore.getPathTargets();
+    for (const entry of pathTargets) {
+      this.healthMonitor.startPathMonitoring(entry.target, entry.protocol, entry.path || null);
+    }
+    if (pathTargets.length > 0) {
+      logger.info(`Resumed path monitoring of ${pathTargets.length} targets`);
+    }
+
+    // An internet outage still open at shutdown goes on if the internet is still down
+    if (this.wanMonitor) {
+      const openOutage = (await this.dataStore.getWanOutages()).find(outage => outage.end === null);
+      this.wanMonitor.start(openOutage ? openOutage.start : null);
+    }
+
+    // Answers saved before the restart are compared with the first ones after it
+    if (this.dnsMonitor) {
+      this.dnsMonitor.start(await this.dataStore.getDnsResults());
+    }
+  }
+
+  /**
+   * Save the status and backoff of every monitored device, and the health baselines learned
+   * @private
+   */
+  async _saveMonitoringState() {
+    try {
+      await this.dataStore.saveMonitoringSnapshots(this.statusMonitor.getSnapshots());
+      await this.dataStore.saveHealthBaselines(this.healthMonitor.getBaselines());
+    } catch (error) {
+      logger.logError(error, { context: 'Monitoring state save' });
+    }
+  }
+
   /**
    * Perform automatic data cleanup
    * @private
@@ -307,6 +757,14 @@ class NetworkMonitorApp {
       logger.info(`Cleaning up data older than ${cutoffDate.toISOString()}...`);
       
       await this.dataStore.cleanupOldData(cutoffDate);
+      const outageCutoff = new Date(Date.now() - CONFIG.outageRetentionDays * 24 * 60 * 60 * 1000);
+      await this.dataStore.cleanupOutages(outageCutoff);
+      // One-off maintenance windows are kept as long as the outages they excuse
+      const expiredWindows = await this.dataStore.cleanupMaintenanceWindows(outageCutoff);
+      for (const window of expiredWindows) {
+        this.maintenanceCalendar.removeWindow(window.id);
+      }
+      await this._archiveStaleDevices();
       
       logger.info('Data cleanup complete');
     } catch (error) {
@@ -314,6 +772,27 @@ class NetworkMonitorApp {
     }
   }
 
+  /**
+   * Archive devices that have not been seen for DEVICE_ARCHIVE_DAYS
+   * @private
+   */
+  async _archiveStaleDevices() {
+    if (CONFIG.deviceArchiveDays <= 0) {
+      return;
+    }
+
+    const unseenSince = new Date(Date.now() - CONFIG.deviceArchiveDays * 24 * 60 * 60 * 1000);
+    const archived = await this.dataStore.archiveDevices(unseenSince);
+
+    for (const device of archived) {
+      this.deviceScanner.removeDevice(device.id, 'archived');
+    }
+
+    if (archived.length > 0) {
+      logger.info(`Archived ${archived.length} devices not seen since ${unseenSince.toISOString()}`);
+    }
+  }
+
   /**
    * Detect the primary network interface
    * @private
@@ -0,0 +1,153 @@
+/**
+ * Rolling per-device baselines of health metrics, for telling when a device behaves unusually
+ * for itself rather than worse than a fixed threshold.
+ * A baseline is an exponentially weighted moving average (EWMA) of the values and of their
+ * variance, kept for each hour of the day (server local time) and overall; an hour is only
+ * trusted once it has seen enough samples, until then the overall average stands in.
+ * @module server/utils/baseline
+ */
+
+/** Time-of-day buckets: one per hour */
+const BUCKET_COUNT = 24;
+
+/** Weight of a new sample in the moving averages */
+const DEFAULT_ALPHA = 0.1;
+
+/** Samples a bucket needs before it is used */
+const DEFAULT_MIN_SAMPLES = 10;
+
+/** Standard deviations from the baseline at which a value is an anomaly */
+const DEFAULT_THRESHOLD = 3;
+
+/** Severity by score: the highest whose minimum the score reaches */
+const SEVERITIES = [
+  { name: 'critical', minScore: 12 },
+  { name: 'major', minScore: 6 },
+  { name: 'minor', minScore: 0 }
+];
+
+/**
+ * @typedef {Object} EwmaStat
+ * @property {number} mean - Moving average
+ * @property {number} variance - Moving variance
+ * @property {number} samples - Samples seen
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {EwmaStat|null} overall - Over all hours
+ * @property {Array<EwmaStat|null>} buckets - By hour of the day
+ */
+
+/**
+ * @typedef {Object} Expectation
+ * @property {number} mean - Expected value
+ * @property {number} stdDev - Expected spread
+ * @property {number} samples - Samples behind the expectation
+ * @property {'hour'|'overall'} source - Whether the hour's own baseline was used
+ */
+
+/**
+ * Create an empty baseline
+ * @returns {Baseline}
+ */
+function createBaseline() {
+  return { overall: null, buckets: new Array(BUCKET_COUNT).fill(null) };
+}
+
+/**
+ * Add a value to a moving average and variance
+ * @param {EwmaStat|null} stat - Current state, null before the first value
+ * @param {number} value - New value
+ * @param {number} alpha - Weight of the new value (0-1)
+ * @returns {EwmaStat} New state
+ */
+function updateStat(stat, value, alpha) {
+  if (!stat) {
+    return { mean: value, variance: 0, samples: 1 };
+  }
+
+  // Exponentially weighted mean and variance, updated without keeping past values
+  const diff = value - stat.mean;
+  const increment = alpha * diff;
+  return {
+    mean: stat.mean + increment,
+    variance: (1 - alpha) * (stat.variance + diff * increment),
+    samples: stat.samples + 1
+  };
+}
+
+/**
+ * Add a value measured at a time to a baseline
+ * @param {Baseline} baseline - Baseline
+ * @param {number} value - Measured value
+ * @param {Date} at - When it was measured
+ * @param {number} [alpha] - Weight of the new value (0-1)
+ * @returns {Baseline} New baseline
+ */
+function updateBaseline(baseline, value, at, alpha = DEFAULT_ALPHA) {
+  const hour = at.getHours();
+  const buckets = [...baseline.buckets];
+  buckets[hour] = updateStat(buckets[hour], value, alpha);
+
+  return { overall: updateStat(baseline.overall, value, alpha), buckets };
+}
+
+/**
+ * Get what a baseline expects at a time: the hour's own average once it has enough samples,
+ * otherwise the overall average
+ * @param {Baseline} baseline - Baseline
+ * @param {Date} at - Time
+ * @param {number} [minSamples] - Samples a baseline needs before it is used
+ * @returns {Expectation|null} Expectation, or null while the baseline is still learning
+ */
+function getExpectation(baseline, at, minSamples = DEFAULT_MIN_SAMPLES) {
+  const bucket = baseline.buckets[at.getHours()];
+  const stat = bucket && bucket.samples >= minSamples ? bucket : baseline.overall;
+  if (!stat || stat.samples < minSamples) {
+    return null;
+  }
+
+  return {
+    mean: stat.mean,
+    stdDev: Math.sqrt(stat.variance),
+    samples: stat.samples,
+    source: stat === bucket ? 'hour' : 'overall'
+  };
+}
+
+/**
+ * Score how far a value is above what was expected, in standard deviations. The deviation is
+ * never taken as smaller than minDeviation or a tenth of the mean, so a device that always
+ * answers alike is not flagged for a change nobody would notice.
+ * @param {Expectation} expectation - Expectation
+ * @param {number} value - Measured value
+ * @param {number} minDeviation - Smallest deviation to divide by
+ * @returns {number} Score; zero or negative if the value is at or below the mean
+ */
+function scoreDeviation(expectation, value, minDeviation) {
+  const deviation = Math.max(expectation.stdDev, expectation.mean / 10, minDeviation);
+  return (value - expectation.mean) / deviation;
+}
+
+/**
+ * Name the severity of an anomaly
+ * @param {number} score - Score from scoreDeviation, at least the anomaly threshold
+ * @returns {string} "minor", "major" or "critical"
+ */
+function severityFor(score) {
+  return SEVERITIES.find(severity => score >= severity.minScore).name;
+}
+
+module.exports = {
+  BUCKET_COUNT,
+  DEFAULT_ALPHA,
+  DEFAULT_MIN_SAMPLES,
+  DEFAULT_THRESHOLD,
+  createBaseline,
+  updateStat,
+  updateBaseline,
+  getExpectation,
+  scoreDeviation,
+  severityFor
+};
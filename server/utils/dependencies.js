@@ -0,0 +1,82 @@
+/**
+ * Parent/child dependencies between devices.
+ * A device depends on the device it is reached through (e.g., a switch or access point); when
+ * the parent is down, the device is unreachable rather than offline.
+ * @module server/utils/dependencies
+ */
+
+/**
+ * @typedef {Object} ParentSuggestion
+ * @property {string} deviceId - Device without a parent
+ * @property {string} parentId - Suggested parent
+ * @property {string} reason - Why the parent is suggested
+ */
+
+/**
+ * Validate the parent given for a device
+ * @param {*} parentId - Parent device ID, or null to remove the parent
+ * @returns {string|null} Parent device ID
+ * @throws {Error} If the value is not a device ID or null
+ */
+function validateParentId(parentId) {
+  if (parentId === null) {
+    return null;
+  }
+  if (typeof parentId !== 'string' || parentId.trim() === '') {
+    throw new Error('parentId must be a device ID, or null to remove the parent');
+  }
+  return parentId.trim();
+}
+
+/**
+ * Check whether making parentId the parent of childId would close a loop, i.e. whether childId
+ * is parentId itself or one of its ancestors
+ * @param {Array<{id: string, parentId?: string|null}>} devices - All devices
+ * @param {string} childId - Device getting the parent
+ * @param {string} parentId - New parent
+ * @returns {boolean}
+ */
+function wouldCreateLoop(devices, childId, parentId) {
+  const parents = new Map(devices.map(device => [device.id, device.parentId || null]));
+  const visited = new Set();
+
+  for (let current = parentId; current; current = parents.get(current)) {
+    if (current === childId) {
+      return true;
+    }
+    // A loop that does not include the child was there before; stop walking it
+    if (visited.has(current)) {
+      return false;
+    }
+    visited.add(current);
+  }
+  return false;
+}
+
+/**
+ * Suggest the default gateway as the parent of every device that has none
+ * @param {Array<{id: string, ipAddress: string, parentId?: string|null, archivedAt?: string|null}>} devices - All devices
+ * @param {string[]} gatewayIps - Default gateway addresses
+ * @returns {ParentSuggestion[]}
+ */
+function suggestParents(devices, gatewayIps) {
+  const current = devices.filter(device => !device.archivedAt);
+  const gateway = current.find(device => gatewayIps.includes(device.ipAddress));
+  if (!gateway) {
+    return [];
+  }
+
+  return current
+    .filter(device => !gatewayIps.includes(device.ipAddress) && !device.parentId)
+    .map(device => ({
+      deviceId: device.id,
+      parentId: gateway.id,
+      reason: `Default gateway ${gateway.ipAddress}`
+    }));
+}
+
+module.exports = {
+  validateParentId,
+  wouldCreateLoop,
+  suggestParents
+};
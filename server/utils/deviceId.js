@@ -0,0 +1,60 @@
+/**
+ * Stable device identifiers.
+ * Devices are identified by MAC address so they keep their identity (and history) when DHCP
+ * hands them a new IP. Devices whose MAC is unknown fall back to an IP-based placeholder ID.
+ * @module server/utils/deviceId
+ */
+
+/** Prefix of IDs derived from a MAC address */
+const MAC_ID_PREFIX = 'mac-';
+
+/** Prefix of placeholder IDs used while the MAC address is unknown */
+const IP_ID_PREFIX = 'ip-';
+
+/**
+ * Reduce a MAC address to lower-case hex digits
+ * @param {string|null|undefined} macAddress - MAC address (e.g., "AA:BB:CC:DD:EE:FF", "a:b:c:d:e:f")
+ * @returns {string|null} 12 hex digits, or null if the address is unknown or not a unicast hardware address
+ */
+function macToHex(macAddress) {
+  if (typeof macAddress !== 'string') {
+    return null;
+  }
+
+  const octets = macAddress.trim().split(/[:-]/);
+  const hex = octets.length === 6
+    ? octets.map(octet => octet.padStart(2, '0')).join('').toLowerCase()
+    : macAddress.replace(/[.\s]/g, '').toLowerCase();
+
+  if (!/^[0-9a-f]{12}$/.test(hex) || hex === '000000000000' || hex === 'ffffffffffff') {
+    return null;
+  }
+
+  return hex;
+}
+
+/**
+ * Derive the stable ID of a device
+ * @param {string|null|undefined} macAddress - MAC address or "unknown"
+ * @param {string} ipAddress - IP address, used when the MAC address is unknown
+ * @returns {string} Device ID (e.g., "mac-aabbccddeeff" or "ip-192.168.1.20")
+ */
+function deviceIdFor(macAddress, ipAddress) {
+  const hex = macToHex(macAddress);
+  return hex ? `${MAC_ID_PREFIX}${hex}` : `${IP_ID_PREFIX}${ipAddress}`;
+}
+
+/**
+ * Check whether an ID is an IP-based placeholder
+ * @param {string} id - Device ID
+ * @returns {boolean}
+ */
+function isFallbackId(id) {
+  return typeof id === 'string' && id.startsWith(IP_ID_PREFIX);
+}
+
+module.exports = {
+  macToHex,
+  deviceIdFor,
+  isFallbackId
+};
@@ -0,0 +1,187 @@
+/**
+ * User-owned device metadata.
+ * Names, tags, notes and the like are set by users and stored apart from what the scanner
+ * observes, so rescans never overwrite them.
+ * @module server/utils/deviceMetadata
+ */
+
+/** Device types the dashboard has an icon for */
+const DEVICE_TYPES = [
+  'computer',
+  'laptop',
+  'phone',
+  'tablet',
+  'server',
+  'nas',
+  'router',
+  'switch',
+  'access-point',
+  'printer',
+  'camera',
+  'tv',
+  'speaker',
+  'game-console',
+  'iot',
+  'other'
+];
+
+/** Fields holding free text, with their maximum length */
+const TEXT_FIELDS = {
+  name: 100,
+  notes: 2000,
+  owner: 100,
+  location: 100
+};
+
+/** Most tags a device can have */
+const MAX_TAGS = 20;
+
+/** Longest tag */
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * @typedef {Object} DeviceMetadata
+ * @property {string|null} name - Display name, shown instead of the hostname
+ * @property {string[]} tags - Tags, in the order they were given
+ * @property {string|null} notes - Free-form notes
+ * @property {string|null} owner - Who the device belongs to
+ * @property {string|null} location - Where the device is
+ * @property {string|null} type - Device type, one of DEVICE_TYPES
+ */
+
+/**
+ * Metadata of a device nobody has edited yet
+ * @returns {DeviceMetadata}
+ */
+function emptyMetadata() {
+  return { name: null, tags: [], notes: null, owner: null, location: null, type: null };
+}
+
+/**
+ * Validate a metadata update and normalize its values.
+ * Text is trimmed and empty text clears the field; tags are trimmed and de-duplicated ignoring case.
+ * @param {Object} patch - Fields to change; null clears a field
+ * @returns {Partial<DeviceMetadata>} Normalized fields
+ * @throws {Error} If the update is empty or has an unknown field or invalid value
+ */
+function validateMetadataPatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Request body must be an object');
+  }
+
+  const fields = Object.keys(patch);
+  if (fields.length === 0) {
+    throw new Error(`Nothing to update; editable fields are ${Object.keys(emptyMetadata()).join(', ')}`);
+  }
+
+  /** @type {Partial<DeviceMetadata>} */
+  const normalized = {};
+
+  for (const field of fields) {
+    const value = patch[field];
+
+    if (field in TEXT_FIELDS) {
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`${field} must be a string or null`);
+      }
+      const text = value === null ? '' : value.trim();
+      if (text.length > TEXT_FIELDS[field]) {
+        throw new Error(`${field} must be at most ${TEXT_FIELDS[field]} characters`);
+      }
+      normalized[field] = text || null;
+    } else if (field === 'type') {
+      if (value !== null && !DEVICE_TYPES.includes(value)) {
+        throw new Error(`type must be null or one of ${DEVICE_TYPES.join(', ')}`);
+      }
+      normalized.type = value;
+    } else if (field === 'tags') {
+      normalized.tags = normalizeTags(value);
+    } else {
+      throw new Error(`Unknown field "${field}"; editable fields are ${Object.keys(emptyMetadata()).join(', ')}`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate and normalize a tag list
+ * @param {*} tags - Tags
+ * @returns {string[]} Trimmed tags without duplicates
+ * @throws {Error} If the list or one of its tags is invalid
+ */
+function normalizeTags(tags) {
+  if (tags === null) {
+    return [];
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new Error('tags must be an array of strings');
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const tag of tags.map(t => t.trim()).filter(Boolean)) {
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw new Error(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      result.push(tag);
+    }
+  }
+
+  if (result.length > MAX_TAGS) {
+    throw new Error(`A device can have at most ${MAX_TAGS} tags`);
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a device matches a search.
+ * The query is matched, ignoring case, against addresses, names, vendor and model, and the user
+ * metadata; every word of the query has to match somewhere.
+ * @param {Object} device - Device
+ * @param {Object} search - Search
+ * @param {string} [search.query] - Free-text query
+ * @param {string} [search.tag] - Tag the device must have (ignoring case)
+ * @param {string} [search.type] - Device type the device must have
+ * @returns {boolean}
+ */
+function matchesSearch(device, { query, tag, type } = {}) {
+  const metadata = device.metadata || emptyMetadata();
+
+  if (tag && !metadata.tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+    return false;
+  }
+  if (type && metadata.type !== type) {
+    return false;
+  }
+  if (!query) {
+    return true;
+  }
+
+  const haystack = [
+    device.ipAddress,
+    device.macAddress,
+    device.hostname,
+    device.friendlyName,
+    device.model,
+    device.vendor,
+    metadata.name,
+    metadata.notes,
+    metadata.owner,
+    metadata.location,
+    metadata.type,
+    ...metadata.tags
+  ].filter(Boolean).join('\n').toLowerCase();
+
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  emptyMetadata,
+  validateMetadataPatch,
+  matchesSearch
+};
@@ -0,0 +1,152 @@
+/**
+ * DNS monitoring: the names resolved against each resolver, how an answer is classified, and when
+ * a resolver's answers changed in a way that may mean they were hijacked.
+ * @module server/utils/dnsMonitor
+ */
+
+const { DNS_RECORD_TYPES } = require('./probeConfig');
+const { summarizeLatencies } = require('./latencyStats');
+
+/** Domain name; labels of letters, digits, hyphens and underscores (for SRV names) */
+const DOMAIN_NAME = /^(?=.{1,253}$)[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*$/;
+
+/** Outcomes of a query that raise an alert when they start */
+const PROBLEM_OUTCOMES = ['timeout', 'nxdomain', 'error'];
+
+/**
+ * @typedef {Object} MonitoredName
+ * @property {string} name - Domain name
+ * @property {string} type - Record type asked for
+ */
+
+/**
+ * Parse a monitored name: a domain name with an optional record type, e.g. "example.com" (A) or
+ * "example.com:AAAA"
+ * @param {string} text - Name
+ * @returns {MonitoredName} Parsed name
+ * @throws {Error} If the name or record type is invalid
+ */
+function parseDnsName(text) {
+  const [rawName, rawType, ...rest] = (typeof text === 'string' ? text.trim() : '').split(':');
+  const name = rawName.toLowerCase().replace(/\.$/, '');
+  const type = rawType === undefined ? 'A' : rawType.toUpperCase();
+
+  if (rest.length > 0 || !DOMAIN_NAME.test(name)) {
+    throw new Error(`DNS name "${text}" must be a domain name with an optional record type (e.g., example.com or example.com:AAAA)`);
+  }
+  if (!DNS_RECORD_TYPES.includes(type)) {
+    throw new Error(`Record type of DNS name "${text}" must be one of ${DNS_RECORD_TYPES.join(', ')}`);
+  }
+
+  return { name, type };
+}
+
+/**
+ * Parse a comma-separated list of monitored names
+ * @param {string|string[]} list - Names
+ * @returns {MonitoredName[]} Parsed names
+ * @throws {Error} If a name is invalid
+ */
+function parseDnsNames(list) {
+  const entries = Array.isArray(list) ? list : String(list || '').split(',');
+  return entries.map(entry => entry.trim()).filter(Boolean).map(parseDnsName);
+}
+
+/**
+ * Write the data of an answer record as text, so answers can be compared
+ * @param {import('./dnsPacket').DnsRecord} record - Answer record
+ * @returns {string} Data, e.g. "93.184.216.34" or "10 mail.example.com" for MX
+ */
+function formatAnswer({ data }) {
+  if (Array.isArray(data)) {
+    return data.join('');
+  }
+  if (data && typeof data === 'object') {
+    return 'exchange' in data
+      ? `${data.preference} ${data.exchange}`
+      : `${data.priority} ${data.weight} ${data.port} ${data.target}`;
+  }
+  return data === null ? '' : String(data);
+}
+
+/**
+ * Classify the response code of an answer
+ * @param {string} rcode - Response code (e.g., "NOERROR")
+ * @returns {string} "ok" for NOERROR, "nxdomain" for NXDOMAIN, otherwise "error"
+ */
+function classifyRcode(rcode) {
+  if (rcode === 'NOERROR') {
+    return 'ok';
+  }
+  return rcode === 'NXDOMAIN' ? 'nxdomain' : 'error';
+}
+
+/**
+ * Tell whether a resolver's answers changed: both times it gave answers and none of the new ones
+ * is among the old. Names served from a pool of addresses rotate through them, so answers that
+ * merely differ in part are not a change.
+ * @param {string[]} previous - Answers before
+ * @param {string[]} current - Answers now
+ * @returns {boolean}
+ */
+function answersChanged(previous, current) {
+  return previous.length > 0 && current.length > 0 && !current.some(answer => previous.includes(answer));
+}
+
+/**
+ * @typedef {Object} DnsSummary
+ * @property {string} name - Name resolved
+ * @property {string} type - Record type asked for
+ * @property {string} resolver - Resolver asked
+ * @property {number} queries - Queries sent
+ * @property {number} failures - Queries that did not end in NOERROR
+ * @property {number} timeouts - Queries that went unanswered
+ * @property {number} queryTime - Mean query time of the answered queries in ms, -1 without any
+ * @property {number} minQueryTime - Fastest answer in ms, -1 without any
+ * @property {number} maxQueryTime - Slowest answer in ms, -1 without any
+ * @property {number} medianQueryTime - Median query time in ms, -1 without any
+ * @property {number} p95QueryTime - 95th percentile query time in ms, -1 without any
+ */
+
+/**
+ * Summarize query results for each name, record type and resolver
+ * @param {Array<{name: string, type: string, resolver: string, outcome: string, queryTime: number}>} results - Query results, oldest first
+ * @returns {DnsSummary[]} Summaries, in the order each pair first appears
+ */
+function summarizeDnsResults(results) {
+  const pairs = new Map();
+  for (const result of results) {
+    const key = `${result.resolver}|${result.name}|${result.type}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, { name: result.name, type: result.type, resolver: result.resolver, results: [] });
+    }
+    pairs.get(key).results.push(result);
+  }
+
+  return Array.from(pairs.values()).map(({ name, type, resolver, results: pairResults }) => {
+    const stats = summarizeLatencies(pairResults.filter(r => r.queryTime >= 0).map(r => r.queryTime));
+    return {
+      name,
+      type,
+      resolver,
+      queries: pairResults.length,
+      failures: pairResults.filter(r => r.outcome !== 'ok').length,
+      timeouts: pairResults.filter(r => r.outcome === 'timeout').length,
+      queryTime: stats.latency,
+      minQueryTime: stats.minLatency,
+      maxQueryTime: stats.maxLatency,
+      medianQueryTime: stats.medianLatency,
+      p95QueryTime: stats.p95Latency
+    };
+  });
+}
+
+module.exports = {
+  PROBLEM_OUTCOMES,
+  parseDnsName,
+  parseDnsNames,
+  formatAnswer,
+  classifyRcode,
+  answersChanged,
+  summarizeDnsResults
+};
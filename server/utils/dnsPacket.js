@@ -0,0 +1,381 @@
+/**
+ * Minimal DNS message encoding and decoding (RFC 1035), shared by the mDNS name resolver
+ * and other components that speak DNS over UDP
+ * @module server/utils/dnsPacket
+ */
+
+/** Record types by name */
+const TYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  PTR: 12,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  ANY: 255
+};
+
+/** Record type names by number */
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, value]) => [value, name]));
+
+/** Response codes by number */
+const RCODE_NAMES = {
+  0: 'NOERROR',
+  1: 'FORMERR',
+  2: 'SERVFAIL',
+  3: 'NXDOMAIN',
+  4: 'NOTIMP',
+  5: 'REFUSED'
+};
+
+/** Response codes by name */
+const RCODES = Object.fromEntries(Object.entries(RCODE_NAMES).map(([value, name]) => [name, Number(value)]));
+
+/** Internet class */
+const CLASS_IN = 1;
+
+/**
+ * @typedef {Object} DnsQuestion
+ * @property {string} name - Domain name (e.g., "printer.local")
+ * @property {string} type - Record type name (e.g., "PTR")
+ */
+
+/**
+ * @typedef {Object} DnsRecord
+ * @property {string} name - Owner name
+ * @property {string} type - Record type name, or "TYPE<n>" for unsupported types
+ * @property {number} ttl - Time to live in seconds
+ * @property {string|string[]|Object|null} data - Decoded record data: an address or name for
+ *   A/AAAA/PTR/CNAME/NS, a list of strings for TXT, {priority, weight, port, target} for SRV,
+ *   {preference, exchange} for MX, and null for unsupported types
+ */
+
+/**
+ * @typedef {Object} DnsMessage
+ * @property {number} id - Transaction ID
+ * @property {boolean} isResponse - QR flag
+ * @property {boolean} truncated - TC flag
+ * @property {string} rcode - Response code name (e.g., "NXDOMAIN")
+ * @property {DnsQuestion[]} questions - Question section
+ * @property {DnsRecord[]} answers - Answer section
+ * @property {DnsRecord[]} authorities - Authority section
+ * @property {DnsRecord[]} additionals - Additional section
+ */
+
+/**
+ * Encode a domain name as a sequence of labels
+ * @param {string} name - Domain name
+ * @returns {Buffer} Encoded name
+ */
+function encodeName(name) {
+  const labels = name.replace(/\.$/, '').split('.').filter(label => label.length > 0);
+  const parts = [];
+
+  for (const label of labels) {
+    const bytes = Buffer.from(label, 'utf8');
+    if (bytes.length > 63) {
+      throw new Error(`DNS label too long: "${label}"`);
+    }
+    parts.push(Buffer.from([bytes.length]), bytes);
+  }
+  parts.push(Buffer.from([0]));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Look up the numeric value of a record type
+ * @param {string} type - Record type name
+ * @returns {number} Type value
+ * @throws {Error} If the type is not supported
+ */
+function typeValue(type) {
+  const value = TYPES[type];
+  if (!value) {
+    throw new Error(`Unsupported DNS record type: ${type}`);
+  }
+  return value;
+}
+
+/**
+ * Encode the data of a resource record
+ * @param {DnsRecord} record - Record to encode
+ * @returns {Buffer} Encoded record data
+ */
+function encodeRecordData({ type, data }) {
+  switch (type) {
+    case 'A':
+      return Buffer.from(String(data).split('.').map(octet => parseInt(octet, 10)));
+    case 'AAAA': {
+      const [head, tail = ''] = String(data).split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const zeros = Array(8 - headGroups.length - tailGroups.length).fill('0');
+      const buffer = Buffer.alloc(16);
+      [...headGroups, ...zeros, ...tailGroups].forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2));
+      return buffer;
+    }
+    case 'PTR':
+    case 'CNAME':
+    case 'NS':
+      return encodeName(String(data));
+    case 'MX': {
+      const { preference, exchange } = /** @type {{preference: number, exchange: string}} */ (data);
+      const head = Buffer.alloc(2);
+      head.writeUInt16BE(preference, 0);
+      return Buffer.concat([head, encodeName(exchange)]);
+    }
+    case 'SRV': {
+      const { priority, weight, port, target } = /** @type {{priority: number, weight: number, port: number, target: string}} */ (data);
+      const head = Buffer.alloc(6);
+      head.writeUInt16BE(priority, 0);
+      head.writeUInt16BE(weight, 2);
+      head.writeUInt16BE(port, 4);
+      return Buffer.concat([head, encodeName(target)]);
+    }
+    case 'TXT':
+      return Buffer.concat((Array.isArray(data) ? data : [String(data)]).map(text => {
+        const bytes = Buffer.from(text, 'utf8');
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+      }));
+    default:
+      throw new Error(`Unsupported DNS record type: ${type}`);
+  }
+}
+
+/**
+ * Encode a DNS message (names are written without compression)
+ * @param {Object} message - Message to encode
+ * @param {number} [message.id=0] - Transaction ID (mDNS uses 0)
+ * @param {boolean} [message.isResponse=false] - QR flag
+ * @param {boolean} [message.recursionDesired=false] - RD flag
+ * @param {string} [message.rcode='NOERROR'] - Response code name
+ * @param {DnsQuestion[]} [message.questions] - Question section
+ * @param {DnsRecord[]} [message.answers] - Answer section
+ * @param {DnsRecord[]} [message.authorities] - Authority section
+ * @param {DnsRecord[]} [message.additionals] - Additional section
+ * @returns {Buffer} Encoded message
+ */
+function encode({
+  id = 0,
+  isResponse = false,
+  recursionDesired = false,
+  rcode = 'NOERROR',
+  questions = [],
+  answers = [],
+  authorities = [],
+  additionals = []
+}) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id & 0xFFFF, 0);
+  header.writeUInt16BE((isResponse ? 0x8000 : 0) | (recursionDesired ? 0x0100 : 0) | (RCODES[rcode] || 0), 2);
+  [questions, answers, authorities, additionals].forEach((section, i) => header.writeUInt16BE(section.length, 4 + i * 2));
+
+  const encodedQuestions = questions.map(({ name, type }) => {
+    const tail = Buffer.alloc(4);
+    tail.writeUInt16BE(typeValue(type), 0);
+    tail.writeUInt16BE(CLASS_IN, 2);
+    return Buffer.concat([encodeName(name), tail]);
+  });
+
+  const encodedRecords = [...answers, ...authorities, ...additionals].map(record => {
+    const data = encodeRecordData(record);
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(typeValue(record.type), 0);
+    fields.writeUInt16BE(CLASS_IN, 2);
+    fields.writeUInt32BE(record.ttl || 0, 4);
+    fields.writeUInt16BE(data.length, 8);
+    return Buffer.concat([encodeName(record.name), fields, data]);
+  });
+
+  return Buffer.concat([header, ...encodedQuestions, ...encodedRecords]);
+}
+
+/**
+ * Encode a query message
+ * @param {Object} query - Query to encode
+ * @param {number} [query.id=0] - Transaction ID (mDNS uses 0)
+ * @param {boolean} [query.recursionDesired=false] - RD flag
+ * @param {DnsQuestion[]} query.questions - Questions to ask
+ * @returns {Buffer} Encoded message
+ */
+function encodeQuery({ id = 0, recursionDesired = false, questions }) {
+  return encode({ id, recursionDesired, questions });
+}
+
+/**
+ * Read a possibly compressed name
+ * @param {Buffer} buffer - Message
+ * @param {number} offset - Offset of the name
+ * @returns {{name: string, offset: number}} Decoded name and the offset just past it
+ */
+function readName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = -1;
+  let jumps = 0;
+
+  while (true) {
+    if (position >= buffer.length) {
+      throw new Error('DNS name runs past end of message');
+    }
+
+    const length = buffer[position];
+
+    if (length === 0) {
+      position++;
+      break;
+    }
+
+    if ((length & 0xC0) === 0xC0) {
+      // Compression pointer
+      if (++jumps > 32) {
+        throw new Error('DNS name compression loop');
+      }
+      if (end < 0) {
+        end = position + 2;
+      }
+      position = buffer.readUInt16BE(position) & 0x3FFF;
+      continue;
+    }
+
+    labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.'), offset: end >= 0 ? end : position };
+}
+
+/**
+ * Decode the data of a resource record
+ * @param {Buffer} buffer - Message
+ * @param {string} type - Record type name
+ * @param {number} offset - Offset of the record data
+ * @param {number} length - Length of the record data
+ * @returns {DnsRecord['data']} Decoded data
+ */
+function readRecordData(buffer, type, offset, length) {
+  switch (type) {
+    case 'A':
+      return Array.from(buffer.subarray(offset, offset + 4)).join('.');
+    case 'AAAA': {
+      const groups = [];
+      for (let i = 0; i < 16; i += 2) {
+        groups.push(buffer.readUInt16BE(offset + i).toString(16));
+      }
+      return groups.join(':');
+    }
+    case 'PTR':
+    case 'CNAME':
+    case 'NS':
+      return readName(buffer, offset).name;
+    case 'MX':
+      return {
+        preference: buffer.readUInt16BE(offset),
+        exchange: readName(buffer, offset + 2).name
+      };
+    case 'SRV':
+      return {
+        priority: buffer.readUInt16BE(offset),
+        weight: buffer.readUInt16BE(offset + 2),
+        port: buffer.readUInt16BE(offset + 4),
+        target: readName(buffer, offset + 6).name
+      };
+    case 'TXT': {
+      const strings = [];
+      let position = offset;
+      while (position < offset + length) {
+        const size = buffer[position];
+        strings.push(buffer.toString('utf8', position + 1, position + 1 + size));
+        position += 1 + size;
+      }
+      return strings;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decode a DNS message
+ * @param {Buffer} buffer - Raw message
+ * @returns {DnsMessage} Decoded message
+ * @throws {Error} If the message is malformed
+ */
+function decode(buffer) {
+  if (buffer.length < 12) {
+    throw new Error('DNS message too short');
+  }
+
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(position => buffer.readUInt16BE(position));
+  let offset = 12;
+
+  /** @type {DnsQuestion[]} */
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const { name, offset: next } = readName(buffer, offset);
+    const type = buffer.readUInt16BE(next);
+    questions.push({ name, type: TYPE_NAMES[type] || `TYPE${type}` });
+    offset = next + 4;
+  }
+
+  const readRecords = (count) => {
+    /** @type {DnsRecord[]} */
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const { name, offset: next } = readName(buffer, offset);
+      if (next + 10 > buffer.length) {
+        throw new Error('DNS record runs past end of message');
+      }
+      const typeValue = buffer.readUInt16BE(next);
+      const type = TYPE_NAMES[typeValue] || `TYPE${typeValue}`;
+      const ttl = buffer.readUInt32BE(next + 4);
+      const length = buffer.readUInt16BE(next + 8);
+      const dataOffset = next + 10;
+      if (dataOffset + length > buffer.length) {
+        throw new Error('DNS record runs past end of message');
+      }
+
+      records.push({ name, type, ttl, data: readRecordData(buffer, type, dataOffset, length) });
+      offset = dataOffset + length;
+    }
+    return records;
+  };
+
+  const answers = readRecords(counts[1]);
+  const authorities = readRecords(counts[2]);
+  const additionals = readRecords(counts[3]);
+
+  return {
+    id: buffer.readUInt16BE(0),
+    isResponse: (flags & 0x8000) !== 0,
+    truncated: (flags & 0x0200) !== 0,
+    rcode: RCODE_NAMES[flags & 0x000F] || `RCODE${flags & 0x000F}`,
+    questions,
+    answers,
+    authorities,
+    additionals
+  };
+}
+
+/**
+ * Build the reverse lookup name of an IPv4 address
+ * @param {string} ipAddress - IPv4 address (e.g., "192.168.1.20")
+ * @returns {string} Reverse name (e.g., "20.1.168.192.in-addr.arpa")
+ */
+function reverseName(ipAddress) {
+  return `${ipAddress.split('.').reverse().join('.')}.in-addr.arpa`;
+}
+
+module.exports = {
+  TYPES,
+  encodeName,
+  encode,
+  encodeQuery,
+  decode,
+  reverseName
+};
@@ -0,0 +1,176 @@
+/**
+ * Health history of a device for charts: recorded health metrics downsampled to fixed time
+ * buckets, each giving the minimum, average and maximum of latency, jitter and packet loss.
+ * @module server/utils/healthHistory
+ */
+
+/** Milliseconds per unit of a resolution such as "5m" */
+const RESOLUTION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/** Resolutions picked when none is given: the smallest that keeps the chart within MAX_AUTO_POINTS */
+const AUTO_RESOLUTIONS = ['1m', '2m', '5m', '10m', '15m', '30m', '1h', '2h', '3h', '6h', '12h', '1d'];
+
+/** Buckets aimed for when the resolution is picked automatically */
+const MAX_AUTO_POINTS = 240;
+
+/** Most buckets a request can ask for */
+const MAX_POINTS = 2000;
+
+/** Range returned when no start is given */
+const DEFAULT_RANGE = RESOLUTION_UNITS.d;
+
+/** Longest range; health metrics are not kept much longer than this */
+const MAX_RANGE = 400 * RESOLUTION_UNITS.d;
+
+/** Metrics summarized in each bucket */
+const METRICS = ['latency', 'jitter', 'packetLoss'];
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {Date} start - Start of the range
+ * @property {Date} end - End of the range
+ * @property {number} resolution - Bucket length in ms
+ */
+
+/**
+ * @typedef {Object} Summary
+ * @property {number} min - Lowest value in the bucket
+ * @property {number} avg - Average value in the bucket
+ * @property {number} max - Highest value in the bucket
+ */
+
+/**
+ * @typedef {Object} HistoryPoint
+ * @property {string} timestamp - Start of the bucket (ISO 8601)
+ * @property {number} samples - Measurements in the bucket
+ * @property {Summary|null} latency - Latency in ms, null if no measurement got a reply
+ * @property {Summary|null} jitter - Jitter in ms, null if no measurement got a reply
+ * @property {Summary} packetLoss - Packet loss in percent
+ */
+
+/**
+ * Parse a resolution such as "30s", "5m" or "1h"
+ * @param {string} text - Resolution
+ * @returns {number} Resolution in ms
+ * @throws {Error} If the text is not a resolution
+ */
+function parseResolution(text) {
+  const match = /^(\d+)([smhd])$/.exec(text);
+  const resolution = match ? Number(match[1]) * RESOLUTION_UNITS[match[2]] : 0;
+  if (resolution <= 0) {
+    throw new Error('resolution must be a number of seconds, minutes, hours or days (e.g., 30s, 5m, 1h) or auto');
+  }
+  return resolution;
+}
+
+/**
+ * Parse the range and resolution of a health history request from query parameters.
+ * Without start the last 24 hours are returned; without resolution (or with "auto") one is picked
+ * that gives at most MAX_AUTO_POINTS buckets.
+ * @param {Object} query - Query parameters: start, end (ISO 8601), resolution
+ * @param {Date} [now] - Current time
+ * @returns {HistoryQuery}
+ * @throws {Error} If a parameter is invalid, or the range would have too many buckets
+ */
+function parseHistoryQuery(query, now = new Date()) {
+  const { start, end, resolution = 'auto' } = query;
+
+  if ([start, end, resolution].some(value => value !== undefined && typeof value !== 'string')) {
+    throw new Error('start, end and resolution must be given once');
+  }
+
+  const endTime = end !== undefined ? new Date(end) : now;
+  const startTime = start !== undefined ? new Date(start) : new Date(endTime.getTime() - DEFAULT_RANGE);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+    throw new Error('start and end must be ISO 8601 dates (e.g., 2024-01-15T00:00:00Z)');
+  }
+  if (startTime >= endTime) {
+    throw new Error('start must be before end');
+  }
+  const range = endTime.getTime() - startTime.getTime();
+  if (range > MAX_RANGE) {
+    throw new Error('Ranges can be at most 400 days long');
+  }
+
+  if (resolution === 'auto') {
+    const picked = AUTO_RESOLUTIONS.map(parseResolution).find(length => range / length <= MAX_AUTO_POINTS);
+    return { start: startTime, end: endTime, resolution: picked || RESOLUTION_UNITS.d };
+  }
+
+  const length = parseResolution(resolution);
+  if (range / length > MAX_POINTS) {
+    throw new Error(`resolution is too fine for the range: at most ${MAX_POINTS} points can be returned`);
+  }
+  return { start: startTime, end: endTime, resolution: length };
+}
+
+/**
+ * Summarize values
+ * @param {number[]} values - Values; may be empty
+ * @returns {Summary|null} Summary, or null without values
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return {
+    min: Math.min(...values),
+    avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * Downsample health metrics to buckets of a fixed length. Buckets are aligned to multiples of
+ * the resolution, so the same measurement lands in the same bucket whenever the chart is
+ * refreshed; buckets without measurements are left out.
+ * Latency and jitter only count measurements that got a reply; a measurement without replies
+ * shows as 100% packet loss.
+ * @param {Array<Object>} metrics - Recorded health metrics (lastUpdated, latency, jitter, packetLoss)
+ * @param {HistoryQuery} query - Range and resolution
+ * @returns {HistoryPoint[]} Buckets, oldest first
+ */
+function downsampleHealth(metrics, { start, end, resolution }) {
+  /** @type {Map<number, Array<Object>>} */
+  const buckets = new Map();
+
+  for (const metric of metrics) {
+    const time = new Date(metric.lastUpdated).getTime();
+    if (time < start.getTime() || time > end.getTime()) {
+      continue;
+    }
+
+    const bucket = Math.floor(time / resolution) * resolution;
+    if (!buckets.has(bucket)) {
+      buckets.set(bucket, []);
+    }
+    buckets.get(bucket).push(metric);
+  }
+
+  return Array.from(buckets.keys())
+    .sort((a, b) => a - b)
+    .map(bucket => {
+      const samples = buckets.get(bucket);
+      const answered = samples.filter(metric => typeof metric.latency === 'number' && metric.latency >= 0);
+
+      /** @type {HistoryPoint} */
+      const point = { timestamp: new Date(bucket).toISOString(), samples: samples.length };
+      for (const name of METRICS) {
+        const source = name === 'packetLoss' ? samples : answered;
+        point[name] = summarize(source.map(metric => metric[name]).filter(value => typeof value === 'number'));
+      }
+      return point;
+    });
+}
+
+module.exports = {
+  MAX_POINTS,
+  parseResolution,
+  parseHistoryQuery,
+  downsampleHealth
+};
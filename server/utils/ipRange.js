@@ -0,0 +1,201 @@
+/**
+ * IPv4 range helpers used to build network scan target lists
+ * @module server/utils/ipRange
+ */
+
+/** Upper bound on the number of hosts a single scan may target (a /16) */
+const MAX_SCAN_HOSTS = 65536;
+
+/**
+ * @typedef {Object} IPv4Range
+ * @property {string} cidr - Normalized CIDR notation (e.g., "10.0.0.0/22")
+ * @property {number} network - Network address as an unsigned 32-bit integer
+ * @property {number} broadcast - Broadcast address as an unsigned 32-bit integer
+ * @property {number} firstHost - First usable host address
+ * @property {number} lastHost - Last usable host address
+ */
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit integer
+ * @param {string} ipAddress - IPv4 address (e.g., "192.168.1.10")
+ * @returns {number|null} Integer value or null if the address is invalid
+ */
+function ipToInt(ipAddress) {
+  if (typeof ipAddress !== 'string') {
+    return null;
+  }
+
+  const octets = ipAddress.trim().split('.');
+  if (octets.length !== 4) {
+    return null;
+  }
+
+  let value = 0;
+  for (const octet of octets) {
+    if (!/^\d{1,3}$/.test(octet)) {
+      return null;
+    }
+    const num = parseInt(octet, 10);
+    if (num > 255) {
+      return null;
+    }
+    value = (value * 256) + num;
+  }
+
+  return value;
+}
+
+/**
+ * Convert an unsigned 32-bit integer to a dotted IPv4 address
+ * @param {number} value - Integer value
+ * @returns {string} IPv4 address
+ */
+function intToIp(value) {
+  return [
+    (value >>> 24) & 0xFF,
+    (value >>> 16) & 0xFF,
+    (value >>> 8) & 0xFF,
+    value & 0xFF
+  ].join('.');
+}
+
+/**
+ * Parse a single range specification.
+ * Accepts CIDR notation ("10.0.0.0/22"), a bare address ("10.0.0.5", treated as /32)
+ * and the legacy three-octet prefix ("192.168.1", treated as /24).
+ * @param {string} spec - Range specification
+ * @returns {IPv4Range} Parsed range
+ * @throws {Error} If the specification is invalid
+ */
+function parseRange(spec) {
+  if (typeof spec !== 'string' || spec.trim() === '') {
+    throw new Error(`Invalid range: ${JSON.stringify(spec)}`);
+  }
+
+  let normalized = spec.trim();
+
+  // Legacy format: "192.168.1" means 192.168.1.0/24
+  if (/^\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(normalized)) {
+    normalized = `${normalized}.0/24`;
+  }
+
+  const [address, prefixPart, ...rest] = normalized.split('/');
+  const ip = ipToInt(address);
+
+  if (ip === null || rest.length > 0) {
+    throw new Error(`Invalid range: "${spec}"`);
+  }
+
+  let prefix = 32;
+  if (prefixPart !== undefined) {
+    if (!/^\d{1,2}$/.test(prefixPart) || parseInt(prefixPart, 10) > 32) {
+      throw new Error(`Invalid prefix length in range: "${spec}"`);
+    }
+    prefix = parseInt(prefixPart, 10);
+  }
+
+  const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+  const network = (ip & mask) >>> 0;
+  const broadcast = (network | (~mask >>> 0)) >>> 0;
+
+  // /31 and /32 have no separate network and broadcast addresses
+  const hasReservedAddresses = prefix <= 30;
+
+  return {
+    cidr: `${intToIp(network)}/${prefix}`,
+    network,
+    broadcast,
+    firstHost: hasReservedAddresses ? network + 1 : network,
+    lastHost: hasReservedAddresses ? broadcast - 1 : broadcast
+  };
+}
+
+/**
+ * Normalize a range list given as a string (comma or whitespace separated) or array
+ * @param {string|string[]|null|undefined} input - Range list
+ * @returns {string[]} Individual range specifications
+ */
+function normalizeRangeList(input) {
+  if (input === null || input === undefined) {
+    return [];
+  }
+
+  const items = Array.isArray(input) ? input : [input];
+  const specs = [];
+
+  for (const item of items) {
+    if (typeof item !== 'string') {
+      throw new Error(`Invalid range: ${JSON.stringify(item)}`);
+    }
+    specs.push(...item.split(/[\s,]+/).filter(s => s.length > 0));
+  }
+
+  return specs;
+}
+
+/**
+ * Expand include and exclude ranges into a sorted list of host addresses to scan
+ * @param {string|string[]} include - Ranges to scan
+ * @param {string|string[]} [exclude] - Ranges to skip (network and broadcast included)
+ * @param {number} [maxHosts=MAX_SCAN_HOSTS] - Maximum number of hosts allowed
+ * @returns {string[]} Host IP addresses in ascending order
+ * @throws {Error} If a range is invalid or the target list is too large
+ */
+function expandRanges(include, exclude = [], maxHosts = MAX_SCAN_HOSTS) {
+  const includeRanges = normalizeRangeList(include).map(parseRange);
+  const excludeRanges = normalizeRangeList(exclude).map(parseRange);
+
+  if (includeRanges.length === 0) {
+    throw new Error('At least one range to scan is required');
+  }
+
+  const requested = includeRanges.reduce((sum, r) => sum + (r.lastHost - r.firstHost + 1), 0);
+  if (requested > maxHosts) {
+    throw new Error(`Scan covers ${requested} hosts, which exceeds the limit of ${maxHosts}`);
+  }
+
+  const isExcluded = (value) => excludeRanges.some(r => value >= r.network && value <= r.broadcast);
+
+  /** @type {Set<number>} */
+  const hosts = new Set();
+  for (const range of includeRanges) {
+    for (let value = range.firstHost; value <= range.lastHost; value++) {
+      if (!isExcluded(value)) {
+        hosts.add(value);
+      }
+    }
+  }
+
+  return Array.from(hosts).sort((a, b) => a - b).map(intToIp);
+}
+
+/**
+ * Check whether an address falls inside the given ranges and outside the exclusions
+ * @param {string} ipAddress - IPv4 address
+ * @param {string|string[]} include - Ranges
+ * @param {string|string[]} [exclude] - Ranges to leave out
+ * @returns {boolean} True if the address is covered
+ */
+function isInRanges(ipAddress, include, exclude = []) {
+  const value = ipToInt(ipAddress);
+  if (value === null) {
+    return false;
+  }
+
+  const within = (spec) => {
+    const range = parseRange(spec);
+    return value >= range.network && value <= range.broadcast;
+  };
+
+  return normalizeRangeList(include).some(within) && !normalizeRangeList(exclude).some(within);
+}
+
+module.exports = {
+  MAX_SCAN_HOSTS,
+  ipToInt,
+  intToIp,
+  parseRange,
+  normalizeRangeList,
+  expandRanges,
+  isInRanges
+};
@@ -0,0 +1,82 @@
+/**
+ * Latency statistics of a ping burst.
+ * @module server/utils/latencyStats
+ */
+
+/**
+ * @typedef {Object} LatencyStats
+ * @property {number} latency - Mean round-trip time in ms, -1 without replies
+ * @property {number} minLatency - Fastest reply in ms, -1 without replies
+ * @property {number} maxLatency - Slowest reply in ms, -1 without replies
+ * @property {number} medianLatency - Median round-trip time in ms, -1 without replies
+ * @property {number} p95Latency - 95th percentile round-trip time in ms, -1 without replies
+ * @property {number} p99Latency - 99th percentile round-trip time in ms, -1 without replies
+ * @property {number} jitter - Mean difference between the round-trip times of consecutive replies in ms (RFC 3550)
+ * @property {number} latencyStdDev - Standard deviation of the round-trip times in ms
+ */
+
+/**
+ * Get a percentile of sorted values by the nearest-rank method, so the result is always one of the
+ * values measured
+ * @param {number[]} sorted - Values, smallest first; at least one
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarize the round-trip times of a ping burst.
+ *
+ * Jitter follows RFC 3550: the delay variation of two packets is the difference of their transit
+ * times, here their round-trip times. As a burst has only a few packets, the variations of
+ * consecutive replies are averaged rather than smoothed with the RFC's 1/16 gain.
+ * @param {number[]} latencies - Round-trip times of the replies in ms, in the order the pings were sent
+ * @returns {LatencyStats} Statistics
+ */
+function summarizeLatencies(latencies) {
+  if (latencies.length === 0) {
+    return {
+      latency: -1,
+      minLatency: -1,
+      maxLatency: -1,
+      medianLatency: -1,
+      p95Latency: -1,
+      p99Latency: -1,
+      jitter: 0,
+      latencyStdDev: 0
+    };
+  }
+
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const latency = latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+  const variance = latencies.reduce((sum, value) => sum + Math.pow(value - latency, 2), 0) / latencies.length;
+
+  let jitter = 0;
+  for (let i = 1; i < latencies.length; i++) {
+    jitter += Math.abs(latencies[i] - latencies[i - 1]);
+  }
+  if (latencies.length > 1) {
+    jitter /= latencies.length - 1;
+  }
+
+  return {
+    latency,
+    minLatency: sorted[0],
+    maxLatency: sorted[sorted.length - 1],
+    medianLatency: sorted.length % 2 === 1
+      ? sorted[(sorted.length - 1) / 2]
+      : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2,
+    p95Latency: percentile(sorted, 95),
+    p99Latency: percentile(sorted, 99),
+    jitter,
+    latencyStdDev: Math.sqrt(variance)
+  };
+}
+
+module.exports = {
+  percentile,
+  summarizeLatencies
+};
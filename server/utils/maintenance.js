@@ -0,0 +1,364 @@
+/**
+ * Maintenance windows: periods during which devices are either not checked at all, or checked
+ * without alerts and without the time counting against their uptime.
+ * A window is one-off (a start and an end) or recurring (a cron schedule in server local time and
+ * a duration), and applies to one device, to the devices with a tag, or to all devices.
+ * @module server/utils/maintenance
+ */
+
+const { matchesSearch } = require('./deviceMetadata');
+
+/** What a window can apply to */
+const SCOPES = ['device', 'tag', 'global'];
+
+/** What happens to checks during a window */
+const MODES = ['pause', 'flag'];
+
+/** Longest recurring window in minutes (one week) */
+const MAX_DURATION = 7 * 24 * 60;
+
+/** Longest window name */
+const MAX_NAME_LENGTH = 100;
+
+/** Fields of a cron schedule, in order */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * @typedef {Object} MaintenanceWindow
+ * @property {string} id - Window ID
+ * @property {string} name - What the window is for (e.g., "Nightly backups")
+ * @property {string} scope - "device", "tag" or "global"
+ * @property {string|null} deviceId - Device the window applies to (scope "device")
+ * @property {string|null} tag - Tag of the devices the window applies to (scope "tag")
+ * @property {string} mode - "pause" stops checks; "flag" keeps checking but marks results as in maintenance
+ * @property {string|null} start - Start of a one-off window (ISO 8601)
+ * @property {string|null} end - End of a one-off window (ISO 8601)
+ * @property {string|null} schedule - Cron schedule of a recurring window (server local time)
+ * @property {number|null} duration - Length of each occurrence of a recurring window in minutes
+ * @property {string} createdAt - When the window was created (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} days - Days of the month
+ * @property {Set<number>} months - 1 to 12
+ * @property {Set<number>} weekdays - 0 (Sunday) to 6
+ * @property {boolean} anyDay - The day of month field is "*"
+ * @property {boolean} anyWeekday - The day of week field is "*"
+ */
+
+/**
+ * @typedef {Object} Period
+ * @property {Date} start
+ * @property {Date} end
+ */
+
+/**
+ * Parse one value of a cron field, a number or a name
+ * @param {string} text - Value
+ * @param {Object} field - Field description
+ * @returns {number}
+ * @throws {Error} If the value is not valid for the field
+ */
+function parseCronValue(text, field) {
+  let value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (isNaN(value) && field.names) {
+    const index = field.names.indexOf(text.toLowerCase());
+    value = index >= 0 ? index + field.min : NaN;
+  }
+  if (isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field of a cron schedule: lists of values, ranges and steps (e.g. "1-5", "*\/15", "0,30")
+ * @param {string} text - Field
+ * @param {Object} field - Field description
+ * @returns {Set<number>} Values the field matches
+ * @throws {Error} If the field is invalid
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '' || (stepText !== undefined && !/^[1-9]\d*$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [fromText, toText] = range.split('-');
+      from = parseCronValue(fromText, field);
+      to = parseCronValue(toText, field);
+    } else {
+      // "5/15" starts at 5 and steps to the end of the field
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    if (from > to) {
+      throw new Error(`Invalid ${field.name} range "${range}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron schedule: minute, hour, day of month, month and day of week.
+ * As in cron, a day matches either day field when both are restricted.
+ * @param {string} expression - Schedule (e.g. "0 22 * * mon-fri")
+ * @returns {CronSchedule}
+ * @throws {Error} If the schedule is invalid
+ */
+function parseCron(expression) {
+  const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error('schedule must be a cron expression with five fields: minute hour day-of-month month day-of-week (e.g., "0 22 * * mon-fri")');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+  // Sunday is 0 or 7
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+/**
+ * Check whether a schedule runs on the day of a date
+ * @param {CronSchedule} cron - Schedule
+ * @param {Date} date - Date (local time)
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  return cron.anyDay || cron.anyWeekday ? day && weekday : day || weekday;
+}
+
+/**
+ * Find the first time a schedule runs at or after a time
+ * @param {CronSchedule} cron - Schedule
+ * @param {Date} from - Earliest time; rounded up to the minute
+ * @param {Date} until - Latest time to look at
+ * @returns {Date|null} When the schedule runs, or null if it does not run before until
+ */
+function nextRun(cron, from, until) {
+  const time = new Date(from.getTime());
+  if (time.getSeconds() > 0 || time.getMilliseconds() > 0) {
+    time.setSeconds(60, 0);
+  }
+
+  // Skip whole months, days and hours that do not match instead of trying every minute
+  while (time <= until) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a maintenance window.
+ * A window has either start and end (one-off) or schedule and duration (recurring).
+ * @param {Object} input - Window from a request body
+ * @returns {Omit<MaintenanceWindow, 'id'|'createdAt'>} Normalized window
+ * @throws {Error} If the window is invalid
+ */
+function validateMaintenanceWindow(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A maintenance window must be an object');
+  }
+
+  const { name, scope, deviceId, tag, mode = 'flag', start, end, schedule, duration } = input;
+
+  if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+    throw new Error(`name must be text of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`scope must be one of: ${SCOPES.join(', ')}`);
+  }
+  if (scope === 'device' ? typeof deviceId !== 'string' || deviceId.trim() === '' : deviceId !== undefined) {
+    throw new Error('deviceId must be given for, and only for, scope "device"');
+  }
+  if (scope === 'tag' ? typeof tag !== 'string' || tag.trim() === '' : tag !== undefined) {
+    throw new Error('tag must be given for, and only for, scope "tag"');
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${MODES.join(', ')}`);
+  }
+
+  const isOneOff = start !== undefined || end !== undefined;
+  const isRecurring = schedule !== undefined || duration !== undefined;
+  if (isOneOff === isRecurring) {
+    throw new Error('Give either start and end (one-off window) or schedule and duration (recurring window)');
+  }
+
+  const window = {
+    name: name.trim(),
+    scope,
+    deviceId: scope === 'device' ? deviceId.trim() : null,
+    tag: scope === 'tag' ? tag.trim() : null,
+    mode,
+    start: null,
+    end: null,
+    schedule: null,
+    duration: null
+  };
+
+  if (isOneOff) {
+    const startTime = new Date(start);
+    const endTime = new Date(end);
+    if (typeof start !== 'string' || typeof end !== 'string' || isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+      throw new Error('start and end must be ISO 8601 dates (e.g., 2024-01-15T22:00:00Z)');
+    }
+    if (startTime >= endTime) {
+      throw new Error('start must be before end');
+    }
+    window.start = startTime.toISOString();
+    window.end = endTime.toISOString();
+  } else {
+    parseCron(schedule);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION) {
+      throw new Error(`duration must be a whole number of minutes between 1 and ${MAX_DURATION}`);
+    }
+    window.schedule = schedule.trim().split(/\s+/).join(' ');
+    window.duration = duration;
+  }
+
+  return window;
+}
+
+/**
+ * Check whether a window applies to a device
+ * @param {MaintenanceWindow} window - Window
+ * @param {{id: string, metadata?: Object}} device - Device
+ * @returns {boolean}
+ */
+function appliesTo(window, device) {
+  if (window.scope === 'device') {
+    return device.id === window.deviceId;
+  }
+  if (window.scope === 'tag') {
+    return matchesSearch(device, { tag: window.tag });
+  }
+  return true;
+}
+
+/**
+ * Get the periods a window is in effect that overlap a time range, oldest first.
+ * Overlapping occurrences of a recurring window are merged into one period.
+ * @param {MaintenanceWindow} window - Window
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Period[]} Periods; they are not clipped to the range
+ */
+function getOccurrences(window, start, end) {
+  if (window.schedule === null) {
+    const windowStart = new Date(window.start);
+    const windowEnd = new Date(window.end);
+    return windowStart < end && windowEnd > start ? [{ start: windowStart, end: windowEnd }] : [];
+  }
+
+  const cron = parseCron(window.schedule);
+  const duration = window.duration * 60 * 1000;
+  /** @type {Period[]} */
+  const periods = [];
+
+  // Occurrences that began up to one duration before the range still overlap it
+  let run = nextRun(cron, new Date(start.getTime() - duration + 1), end);
+  while (run && run < end) {
+    const runEnd = new Date(run.getTime() + duration);
+    const last = periods[periods.length - 1];
+    if (last && run <= last.end) {
+      last.end = runEnd > last.end ? runEnd : last.end;
+    } else {
+      periods.push({ start: run, end: runEnd });
+    }
+    run = nextRun(cron, new Date(run.getTime() + 60 * 1000), end);
+  }
+
+  return periods;
+}
+
+/**
+ * Check whether a window is in effect at a time
+ * @param {MaintenanceWindow} window - Window
+ * @param {Date} [at] - Time (defaults to now)
+ * @returns {boolean}
+ */
+function isActive(window, at = new Date()) {
+  return getOccurrences(window, at, new Date(at.getTime() + 1)).length > 0;
+}
+
+/**
+ * Merge periods that overlap or touch into one, oldest first
+ * @param {Period[]} periods - Periods in any order
+ * @returns {Period[]}
+ */
+function mergePeriods(periods) {
+  const sorted = [...periods].sort((a, b) => a.start.getTime() - b.start.getTime());
+  /** @type {Period[]} */
+  const merged = [];
+
+  for (const period of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      last.end = period.end > last.end ? period.end : last.end;
+    } else {
+      merged.push({ start: period.start, end: period.end });
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  SCOPES,
+  MODES,
+  parseCron,
+  nextRun,
+  validateMaintenanceWindow,
+  appliesTo,
+  getOccurrences,
+  isActive,
+  mergePeriods
+};
@@ -0,0 +1,182 @@
+/**
+ * Monitoring profiles: named sets of check and health settings (e.g., "Critical server: 10 s
+ * checks, 50 ms latency threshold") that replace the monitors' defaults for some devices.
+ * A profile is assigned to a device directly or applies to the devices with one of its tags.
+ * Settings a profile leaves out keep the monitor's default.
+ * @module server/utils/monitoringProfiles
+ */
+
+const { matchesSearch } = require('./deviceMetadata');
+
+/** Longest profile name */
+const MAX_NAME_LENGTH = 100;
+
+/** Most tags a profile can apply to */
+const MAX_TAGS = 20;
+
+/**
+ * Settings a profile can give, by monitor: the smallest and largest value allowed, and whether
+ * it has to be a whole number
+ */
+const SETTINGS = {
+  status: {
+    checkInterval: { min: 1000, max: 24 * 60 * 60 * 1000, integer: true },
+    failureThreshold: { min: 1, max: 20, integer: true },
+    recoveryThreshold: { min: 1, max: 20, integer: true }
+  },
+  health: {
+    updateInterval: { min: 5000, max: 24 * 60 * 60 * 1000, integer: true },
+    pingCount: { min: 1, max: 100, integer: true },
+    latencyThreshold: { min: 1, max: 60000, integer: false },
+    packetLossThreshold: { min: 0, max: 100, integer: false }
+  }
+};
+
+/**
+ * @typedef {Object} StatusSettings
+ * @property {boolean} enabled - Check the devices at all
+ * @property {number|null} checkInterval - Milliseconds between checks (null: monitor default)
+ * @property {number|null} failureThreshold - Failed checks in a row before a device goes offline
+ * @property {number|null} recoveryThreshold - Successful checks in a row before a device comes online
+ */
+
+/**
+ * @typedef {Object} HealthSettings
+ * @property {boolean} enabled - Measure the devices at all
+ * @property {number|null} updateInterval - Milliseconds between measurements (null: monitor default)
+ * @property {number|null} pingCount - Ping packets per measurement
+ * @property {number|null} latencyThreshold - Latency above which a device is degraded (ms)
+ * @property {number|null} packetLossThreshold - Packet loss above which a device is degraded (%)
+ */
+
+/**
+ * @typedef {Object} MonitoringProfile
+ * @property {string} id - Profile ID
+ * @property {string} name - What the profile is for (e.g., "Critical server")
+ * @property {string[]} tags - The profile applies to devices with any of these tags
+ * @property {StatusSettings} status - Settings for StatusMonitor
+ * @property {HealthSettings} health - Settings for HealthMonitor
+ * @property {string} createdAt - ISO 8601
+ */
+
+/**
+ * Validate the settings of one monitor
+ * @param {string} monitor - "status" or "health"
+ * @param {*} input - Settings as given by the user; missing means all defaults
+ * @returns {StatusSettings|HealthSettings} Settings with every field present
+ * @throws {Error} If a field is unknown or out of range
+ */
+function validateSettings(monitor, input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error(`${monitor} must be an object`);
+  }
+
+  const fields = SETTINGS[monitor];
+  const allowed = ['enabled', ...Object.keys(fields)];
+  const unknown = Object.keys(input).find(field => !allowed.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}" in ${monitor}; allowed fields are ${allowed.join(', ')}`);
+  }
+
+  const { enabled = true } = input;
+  if (typeof enabled !== 'boolean') {
+    throw new Error(`${monitor}.enabled must be true or false`);
+  }
+
+  const settings = { enabled };
+  for (const [field, { min, max, integer }] of Object.entries(fields)) {
+    const value = input[field] === undefined ? null : input[field];
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) ||
+        (integer && !Number.isInteger(value)) || value < min || value > max)) {
+      throw new Error(`${monitor}.${field} must be a ${integer ? 'whole ' : ''}number between ${min} and ${max}, or null for the default`);
+    }
+    settings[field] = value;
+  }
+
+  return /** @type {StatusSettings|HealthSettings} */ (settings);
+}
+
+/**
+ * Validate a monitoring profile and fill in defaults
+ * @param {Object} input - Profile as given in a request body
+ * @returns {{name: string, tags: string[], status: StatusSettings, health: HealthSettings}} Normalized profile, without ID
+ * @throws {Error} If a field is missing, unknown or invalid
+ */
+function validateProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A monitoring profile must be an object');
+  }
+
+  const allowed = ['name', 'tags', 'status', 'health'];
+  const unknown = Object.keys(input).find(field => !allowed.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}"; allowed fields are ${allowed.join(', ')}`);
+  }
+
+  const { name, tags = [] } = input;
+  if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+    throw new Error(`name must be text of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+    throw new Error('tags must be an array of tags');
+  }
+
+  // Tags match ignoring case, so keep one of each
+  const normalizedTags = [];
+  for (const tag of tags.map(t => t.trim())) {
+    if (!normalizedTags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+      normalizedTags.push(tag);
+    }
+  }
+  if (normalizedTags.length > MAX_TAGS) {
+    throw new Error(`A profile can apply to at most ${MAX_TAGS} tags`);
+  }
+
+  return {
+    name: name.trim(),
+    tags: normalizedTags,
+    status: /** @type {StatusSettings} */ (validateSettings('status', input.status)),
+    health: /** @type {HealthSettings} */ (validateSettings('health', input.health))
+  };
+}
+
+/**
+ * Validate the profile assigned to a device
+ * @param {*} profileId - Value from a request body
+ * @returns {string|null} Profile ID
+ * @throws {Error} If the value is not a profile ID or null
+ */
+function validateProfileId(profileId) {
+  if (profileId === null) {
+    return null;
+  }
+  if (typeof profileId !== 'string' || profileId.trim() === '') {
+    throw new Error('profileId must be a profile ID, or null to go back to the profile of the device\'s tags');
+  }
+  return profileId.trim();
+}
+
+/**
+ * Find the profile that applies to a device: the one assigned to it, or else the oldest profile
+ * applying to one of its tags
+ * @param {MonitoringProfile[]} profiles - Profiles, oldest first
+ * @param {{profileId?: string|null, metadata?: Object}} device - Device
+ * @returns {MonitoringProfile|null} The profile, or null if the device uses the defaults
+ */
+function findProfile(profiles, device) {
+  if (device.profileId) {
+    const assigned = profiles.find(profile => profile.id === device.profileId);
+    if (assigned) {
+      return assigned;
+    }
+  }
+
+  return profiles.find(profile => profile.tags.some(tag => matchesSearch(device, { tag }))) || null;
+}
+
+module.exports = {
+  SETTINGS,
+  validateProfile,
+  validateProfileId,
+  findProfile
+};
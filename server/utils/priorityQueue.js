@@ -0,0 +1,104 @@
+/**
+ * Binary min-heap priority queue
+ * @module server/utils/priorityQueue
+ */
+
+/**
+ * PriorityQueue keeps items ordered by a comparator; the smallest item comes out first.
+ * Push and pop take O(log n).
+ * @template T
+ */
+class PriorityQueue {
+  /**
+   * @param {(a: T, b: T) => number} compare - Negative if a comes before b
+   */
+  constructor(compare) {
+    /** @type {(a: T, b: T) => number} Ordering of the items */
+    this.compare = compare;
+
+    /** @type {T[]} Heap-ordered items */
+    this.heap = [];
+  }
+
+  /**
+   * Number of items in the queue
+   * @returns {number}
+   */
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Add an item
+   * @param {T} item - Item to add
+   */
+  push(item) {
+    const heap = this.heap;
+    heap.push(item);
+
+    // Sift up
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(heap[index], heap[parent]) >= 0) {
+        break;
+      }
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Look at the first item without removing it
+   * @returns {T|undefined} First item, or undefined if the queue is empty
+   */
+  peek() {
+    return this.heap[0];
+  }
+
+  /**
+   * Remove and return the first item
+   * @returns {T|undefined} First item, or undefined if the queue is empty
+   */
+  pop() {
+    const heap = this.heap;
+    if (heap.length === 0) {
+      return undefined;
+    }
+
+    const first = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) {
+      return first;
+    }
+    heap[0] = last;
+
+    // Sift down
+    let index = 0;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < heap.length && this.compare(heap[left], heap[smallest]) < 0) smallest = left;
+      if (right < heap.length && this.compare(heap[right], heap[smallest]) < 0) smallest = right;
+      if (smallest === index) {
+        break;
+      }
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+
+    return first;
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.heap = [];
+  }
+}
+
+module.exports = {
+  PriorityQueue
+};
@@ -0,0 +1,137 @@
+/**
+ * Per-device probe configuration.
+ * A device without a probe configuration is checked with ICMP ping.
+ * @module server/utils/probeConfig
+ */
+
+/** Probe types StatusMonitor can run */
+const PROBE_TYPES = ['icmp', 'tcp', 'http', 'dns'];
+
+/** DNS record types a DNS probe can ask for */
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'PTR', 'CNAME', 'MX', 'TXT', 'SRV', 'NS'];
+
+/** Default probe timeout in milliseconds */
+const DEFAULT_TIMEOUT = 2000;
+
+/** Longest probe timeout in milliseconds */
+const MAX_TIMEOUT = 30000;
+
+/** Fields each probe type accepts besides type and timeout */
+const FIELDS = {
+  icmp: [],
+  tcp: ['port'],
+  http: ['port', 'https', 'path', 'expectedStatus', 'keyword'],
+  dns: ['port', 'name', 'recordType']
+};
+
+/**
+ * @typedef {Object} ProbeConfig
+ * @property {string} type - Probe type, one of PROBE_TYPES
+ * @property {number} timeout - Milliseconds to wait for an answer
+ * @property {number} [port] - TCP port (tcp, http) or UDP port (dns)
+ * @property {boolean} [https] - Use HTTPS (http)
+ * @property {string} [path] - Request path, starting with "/" (http)
+ * @property {number[]} [expectedStatus] - Status codes counted as up; any code below 400 if empty (http)
+ * @property {string|null} [keyword] - Text the response body must contain (http)
+ * @property {string} [name] - Name to resolve (dns)
+ * @property {string} [recordType] - Record type to ask for (dns)
+ */
+
+/**
+ * Check that a value is a TCP/UDP port number
+ * @param {*} port - Value to check
+ * @returns {boolean}
+ */
+function isPort(port) {
+  return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
+
+/**
+ * Validate a probe configuration and fill in defaults
+ * @param {Object} config - Probe configuration as given by the user
+ * @returns {ProbeConfig} Normalized configuration
+ * @throws {Error} If the type is unknown or a field is missing, unknown or invalid
+ */
+function validateProbeConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Probe configuration must be an object');
+  }
+
+  const { type } = config;
+  if (!PROBE_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${PROBE_TYPES.join(', ')}`);
+  }
+
+  const allowed = ['type', 'timeout', ...FIELDS[type]];
+  const unknown = Object.keys(config).find(field => !allowed.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}" for ${type} probes; allowed fields are ${allowed.join(', ')}`);
+  }
+
+  const timeout = config.timeout === undefined ? DEFAULT_TIMEOUT : config.timeout;
+  if (!Number.isInteger(timeout) || timeout < 100 || timeout > MAX_TIMEOUT) {
+    throw new Error(`timeout must be a whole number of milliseconds between 100 and ${MAX_TIMEOUT}`);
+  }
+
+  /** @type {ProbeConfig} */
+  const normalized = { type, timeout };
+
+  if (type === 'tcp') {
+    if (!isPort(config.port)) {
+      throw new Error('port must be a number between 1 and 65535');
+    }
+    normalized.port = config.port;
+  } else if (type === 'http') {
+    if (config.https !== undefined && typeof config.https !== 'boolean') {
+      throw new Error('https must be true or false');
+    }
+    normalized.https = config.https === true;
+
+    if (config.port !== undefined && !isPort(config.port)) {
+      throw new Error('port must be a number between 1 and 65535');
+    }
+    normalized.port = config.port === undefined ? (normalized.https ? 443 : 80) : config.port;
+
+    const path = config.path === undefined ? '/' : config.path;
+    if (typeof path !== 'string' || !path.startsWith('/') || /\s/.test(path)) {
+      throw new Error('path must start with "/" and contain no spaces');
+    }
+    normalized.path = path;
+
+    const expectedStatus = config.expectedStatus === undefined ? [] : [].concat(config.expectedStatus);
+    if (expectedStatus.some(code => !Number.isInteger(code) || code < 100 || code > 599)) {
+      throw new Error('expectedStatus must be an HTTP status code or a list of them');
+    }
+    normalized.expectedStatus = expectedStatus;
+
+    if (config.keyword !== undefined && config.keyword !== null && (typeof config.keyword !== 'string' || !config.keyword)) {
+      throw new Error('keyword must be a non-empty string or null');
+    }
+    normalized.keyword = config.keyword || null;
+  } else if (type === 'dns') {
+    if (typeof config.name !== 'string' || !config.name.trim()) {
+      throw new Error('name must be the domain name to resolve');
+    }
+    normalized.name = config.name.trim();
+
+    const recordType = config.recordType === undefined ? 'A' : config.recordType;
+    if (!DNS_RECORD_TYPES.includes(recordType)) {
+      throw new Error(`recordType must be one of ${DNS_RECORD_TYPES.join(', ')}`);
+    }
+    normalized.recordType = recordType;
+
+    if (config.port !== undefined && !isPort(config.port)) {
+      throw new Error('port must be a number between 1 and 65535');
+    }
+    normalized.port = config.port === undefined ? 53 : config.port;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  PROBE_TYPES,
+  DNS_RECORD_TYPES,
+  DEFAULT_TIMEOUT,
+  validateProbeConfig
+};
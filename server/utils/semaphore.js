@@ -0,0 +1,63 @@
+/**
+ * Counting semaphore for limiting concurrent async work
+ * @module server/utils/semaphore
+ */
+
+/**
+ * Semaphore hands out a fixed number of permits; callers beyond that wait in FIFO order
+ * until a permit is released.
+ */
+class Semaphore {
+  /**
+   * @param {number} permits - Number of holders allowed at once
+   */
+  constructor(permits) {
+    /** @type {number} Number of holders allowed at once */
+    this.permits = permits;
+
+    /** @type {number} Permits currently held */
+    this.held = 0;
+
+    /** @type {Array<() => void>} Callers waiting for a permit, in arrival order */
+    this.waiters = [];
+  }
+
+  /**
+   * Number of callers waiting for a permit
+   * @returns {number}
+   */
+  get waiting() {
+    return this.waiters.length;
+  }
+
+  /**
+   * Wait for a permit
+   * @returns {Promise<void>} Resolves once the caller holds a permit; call release() when done
+   */
+  acquire() {
+    if (this.held < this.permits) {
+      this.held++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      this.waiters.push(resolve);
+    });
+  }
+
+  /**
+   * Give a permit back, handing it straight to the longest waiting caller if there is one
+   */
+  release() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.held = Math.max(0, this.held - 1);
+    }
+  }
+}
+
+module.exports = {
+  Semaphore
+};
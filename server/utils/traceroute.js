@@ -0,0 +1,189 @@
+/**
+ * Path monitoring: the routers on the way to a host as found by traceroute, with the latency and
+ * loss of each hop (as MTR shows them), and how a route changed between two traces.
+ * @module server/utils/traceroute
+ */
+
+const { ipToInt } = require('./ipRange');
+const { summarizeLatencies } = require('./latencyStats');
+
+/** Probe packets traceroute can send: UDP to high ports, or ICMP echo requests */
+const PROTOCOLS = ['udp', 'icmp'];
+
+/** Host name as traceroute takes it; it cannot start with "-", so it is never read as an option */
+const HOSTNAME = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+/**
+ * @typedef {Object} Hop
+ * @property {number} ttl - Hop number (the TTL of the probes)
+ * @property {string|null} address - Router that answered, null if no probe got an answer
+ * @property {string[]} addresses - All routers that answered; more than one when traffic is balanced over several
+ * @property {number} sent - Probes sent
+ * @property {number} received - Probes answered
+ * @property {number} loss - Probes unanswered in percent (0-100)
+ * @property {number} latency - Average round-trip time in ms, -1 without answers
+ * @property {number} minLatency - Fastest answer in ms, -1 without answers
+ * @property {number} maxLatency - Slowest answer in ms, -1 without answers
+ */
+
+/**
+ * @typedef {Object} Trace
+ * @property {string|null} destination - Address traced to (the target's address if it is a host name)
+ * @property {Hop[]} hops - Hops, first router first
+ */
+
+/**
+ * @typedef {Object} HopChange
+ * @property {number} ttl - Hop number
+ * @property {string|null} from - Router at the hop before, null if the path was shorter
+ * @property {string|null} to - Router at the hop now, null if the path got shorter
+ */
+
+/**
+ * Validate a path monitoring target
+ * @param {Object} input - Request body: target (IPv4 address or host name), protocol ("udp" or "icmp")
+ * @returns {{target: string, protocol: string}} Normalized target
+ * @throws {Error} If a field is unknown or invalid
+ */
+function validatePathTarget(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A path target must be an object');
+  }
+
+  const allowed = ['target', 'protocol'];
+  const unknown = Object.keys(input).find(field => !allowed.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}"; allowed fields are ${allowed.join(', ')}`);
+  }
+
+  const target = typeof input.target === 'string' ? input.target.trim().toLowerCase() : '';
+  if (ipToInt(target) === null && (!HOSTNAME.test(target) || /^[\d.]+$/.test(target))) {
+    throw new Error('target must be an IPv4 address or a host name');
+  }
+
+  const protocol = input.protocol === undefined ? 'udp' : input.protocol;
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new Error(`protocol must be one of ${PROTOCOLS.join(', ')}`);
+  }
+
+  return { target, protocol };
+}
+
+/**
+ * Tell whether a traceroute token is an address rather than a round-trip time
+ * @param {string} token - Token, possibly in parentheses
+ * @returns {boolean}
+ */
+function isAddress(token) {
+  return ipToInt(token) !== null || token.includes(':');
+}
+
+/**
+ * Parse the output of Linux `traceroute -n`, e.g.
+ *
+ *     traceroute to 8.8.8.8 (8.8.8.8), 30 hops max, 60 byte packets
+ *      1  192.168.1.1  0.512 ms  0.430 ms  *
+ *      2  * * *
+ *      3  10.0.0.1  9.8 ms 10.0.0.2  10.4 ms  11.0 ms
+ *
+ * Each "*" is a probe without an answer; annotations such as "!H" are ignored.
+ * @param {string} output - Standard output of traceroute
+ * @returns {Trace} Destination and hops
+ */
+function parseTraceroute(output) {
+  const lines = output.split('\n');
+  const header = /^traceroute to \S+ \(([^)]+)\)/.exec(lines[0] || '');
+
+  /** @type {Hop[]} */
+  const hops = [];
+  for (const line of lines) {
+    const match = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (!match) {
+      continue;
+    }
+
+    const tokens = match[2].trim().split(/\s+/);
+    const addresses = [];
+    const times = [];
+    let sent = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i].replace(/^\((.*)\)$/, '$1');
+      if (token === '*') {
+        sent++;
+      } else if (isAddress(token)) {
+        if (!addresses.includes(token)) {
+          addresses.push(token);
+        }
+      } else if (tokens[i + 1] === 'ms' && !isNaN(parseFloat(token))) {
+        times.push(parseFloat(token));
+        sent++;
+      }
+    }
+
+    const stats = summarizeLatencies(times);
+    hops.push({
+      ttl: Number(match[1]),
+      address: addresses[0] || null,
+      addresses,
+      sent,
+      received: times.length,
+      loss: sent > 0 ? ((sent - times.length) / sent) * 100 : 100,
+      latency: stats.latency,
+      minLatency: stats.minLatency,
+      maxLatency: stats.maxLatency
+    });
+  }
+
+  return { destination: header ? header[1] : null, hops };
+}
+
+/**
+ * Find the hops where a route changed. A hop changed when routers answered both times and none
+ * of them is the same, or when the path got longer or shorter. A hop that did not answer one of
+ * the times is not a change: routers often drop some probes.
+ * @param {Hop[]} previous - Hops of the earlier trace
+ * @param {Hop[]} current - Hops of the later trace
+ * @returns {HopChange[]} Changed hops, first first; empty if the route is the same
+ */
+function comparePaths(previous, current) {
+  const changes = [];
+  const length = Math.max(previous.length, current.length);
+
+  for (let i = 0; i < length; i++) {
+    const before = previous[i];
+    const after = current[i];
+
+    if (!before || !after) {
+      const hop = before || after;
+      if (hop.address) {
+        changes.push({ ttl: hop.ttl, from: before ? before.address : null, to: after ? after.address : null });
+      }
+    } else if (before.address && after.address && !after.addresses.some(address => before.addresses.includes(address))) {
+      changes.push({ ttl: after.ttl, from: before.address, to: after.address });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Remember the routers of a route: the hops of a new trace, where hops that did not answer keep
+ * the routers last seen at them. Comparing the next trace with this rather than with the last
+ * trace alone finds a change even when the hop did not answer in between.
+ * @param {Hop[]} route - Route remembered so far
+ * @param {Hop[]} hops - Hops of the new trace
+ * @returns {Hop[]} Route to compare the next trace with
+ */
+function mergeRoute(route, hops) {
+  return hops.map((hop, i) => (hop.address || !route[i] || !route[i].address
+    ? hop
+    : { ...hop, address: route[i].address, addresses: route[i].addresses }));
+}
+
+module.exports = {
+  PROTOCOLS,
+  validatePathTarget,
+  parseTraceroute,
+  comparePaths,
+  mergeRoute
+};
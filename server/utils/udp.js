@@ -0,0 +1,77 @@
+const dgram = require('dgram');
+
+/**
+ * UDP request/response helper used by the name resolvers
+ * @module server/utils/udp
+ */
+
+/**
+ * Send a datagram to a host and collect the replies it sends back
+ * @param {string} host - Destination IPv4 address; replies from other addresses are ignored
+ * @param {number} port - Destination port
+ * @param {Buffer|Buffer[]} payloads - Datagram(s) to send from the same socket
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout=1000] - Maximum time to wait for replies (ms)
+ * @param {number} [options.settle=0] - After the first reply, keep listening this long for more (ms)
+ * @param {number} [options.maxReplies=Infinity] - Stop once this many replies arrived
+ * @returns {Promise<Buffer[]>} Replies in arrival order (empty on timeout)
+ */
+function udpRequest(host, port, payloads, options = {}) {
+  const { timeout = 1000, settle = 0, maxReplies = Infinity } = options;
+  const messages = Array.isArray(payloads) ? payloads : [payloads];
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    /** @type {Buffer[]} */
+    const replies = [];
+    let settleTimer = null;
+    let finished = false;
+
+    const finish = (error) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(settleTimer);
+      socket.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(replies);
+      }
+    };
+
+    const timeoutTimer = setTimeout(() => finish(), timeout);
+
+    socket.on('error', error => finish(error));
+
+    socket.on('message', (message, rinfo) => {
+      if (rinfo.address !== host) {
+        return;
+      }
+
+      replies.push(message);
+
+      if (replies.length >= maxReplies) {
+        finish();
+      } else if (replies.length === 1) {
+        settleTimer = setTimeout(() => finish(), settle);
+      }
+    });
+
+    socket.bind(0, () => {
+      for (const message of messages) {
+        socket.send(message, port, host, (error) => {
+          if (error) {
+            finish(error);
+          }
+        });
+      }
+    });
+  });
+}
+
+module.exports = {
+  udpRequest
+};
@@ -0,0 +1,172 @@
+/**
+ * Uptime and availability figures computed from recorded outages.
+ * @module server/utils/uptime
+ */
+
+/** Milliseconds per unit of a relative range such as "30d" */
+const RANGE_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/** Longest report range; outages are not kept much longer than this */
+const MAX_RANGE = 400 * RANGE_UNITS.d;
+
+/** Range reported when none is given */
+const DEFAULT_RANGE = '30d';
+
+/**
+ * @typedef {Object} Outage
+ * @property {Date} start - When the device went offline
+ * @property {Date|null} end - When it came back, null while it is still down
+ */
+
+/**
+ * @typedef {Object} UptimeReport
+ * @property {Date} start - Start of the period covered (the range start, or when the device was first seen)
+ * @property {Date} end - End of the period covered
+ * @property {number} monitoredTime - Length of the period covered, without excluded time (ms)
+ * @property {number|null} uptimePercent - Share of the period the device was online, null if the
+ *   device was not known yet during the range
+ * @property {number} downtime - Time offline within the period (ms)
+ * @property {number} outageCount - Outages overlapping the period
+ * @property {number|null} mttr - Mean time to recovery: downtime per outage (ms), null without outages
+ * @property {number|null} mtbf - Mean time between failures: uptime per outage (ms), null without outages
+ * @property {boolean} isDown - The device is in an outage at the end of the period
+ */
+
+/**
+ * Parse the period of an uptime report from query parameters.
+ * Exactly one of range (e.g. "24h", "7d", "4w"), month ("YYYY-MM", UTC) or start (with an
+ * optional end) may be given; without any the last 30 days are reported.
+ * @param {Object} query - Query parameters
+ * @param {string} [query.range] - Period ending now
+ * @param {string} [query.month] - Calendar month; the current month ends now
+ * @param {string} [query.start] - Period start (ISO 8601)
+ * @param {string} [query.end] - Period end (ISO 8601, defaults to now)
+ * @param {Date} [now] - Current time
+ * @returns {{start: Date, end: Date}} Period
+ * @throws {Error} If the parameters are invalid
+ */
+function parseReportRange(query, now = new Date()) {
+  const { range, month, start, end } = query;
+
+  if ([range, month, start, end].some(value => value !== undefined && typeof value !== 'string')) {
+    throw new Error('range, month, start and end must be given once');
+  }
+  if ([range, month, start].filter(value => value !== undefined).length > 1) {
+    throw new Error('Give only one of range, month or start');
+  }
+  if (end !== undefined && start === undefined) {
+    throw new Error('end needs a start');
+  }
+
+  if (month !== undefined) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month);
+    if (!match) {
+      throw new Error('month must be formatted YYYY-MM');
+    }
+    const monthStart = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    const monthEnd = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+    if (monthStart > now) {
+      throw new Error('month must not be in the future');
+    }
+    return { start: monthStart, end: monthEnd < now ? monthEnd : now };
+  }
+
+  if (start !== undefined) {
+    const startTime = new Date(start);
+    const endTime = end !== undefined ? new Date(end) : now;
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+      throw new Error('start and end must be ISO 8601 dates (e.g., 2024-01-15T00:00:00Z)');
+    }
+    if (startTime >= endTime) {
+      throw new Error('start must be before end');
+    }
+    if (endTime.getTime() - startTime.getTime() > MAX_RANGE) {
+      throw new Error('Ranges can be at most 400 days long');
+    }
+    return { start: startTime, end: endTime };
+  }
+
+  const match = /^(\d+)([hdw])$/.exec(range !== undefined ? range : DEFAULT_RANGE);
+  const length = match ? Number(match[1]) * RANGE_UNITS[match[2]] : 0;
+  if (length <= 0 || length > MAX_RANGE) {
+    throw new Error('range must be a number of hours, days or weeks up to 400 days (e.g., 24h, 30d, 4w)');
+  }
+  return { start: new Date(now.getTime() - length), end: now };
+}
+
+/**
+ * Get how much of a time span is covered by periods that do not overlap each other
+ * @param {Array<{start: Date, end: Date}>} periods - Periods that do not overlap
+ * @param {number} from - Span start (ms since epoch)
+ * @param {number} to - Span end (ms since epoch)
+ * @returns {number} Milliseconds covered
+ */
+function overlap(periods, from, to) {
+  return periods.reduce((total, period) =>
+    total + Math.max(0, Math.min(period.end.getTime(), to) - Math.max(period.start.getTime(), from)), 0);
+}
+
+/**
+ * Compute uptime, MTTR and MTBF of a device over a period.
+ * Only the part of the period after the device was first seen counts; outages are clipped to the
+ * period, and an outage that is still open lasts until the end of the period. Excluded time (such
+ * as maintenance windows) counts neither as monitored time nor as downtime; an outage entirely
+ * within it is not counted.
+ * @param {Outage[]} outages - Outages of the device
+ * @param {Object} period - Period to report
+ * @param {Date} period.start - Period start
+ * @param {Date} period.end - Period end
+ * @param {Date|string|null} [period.monitoredSince] - When the device was first seen
+ * @param {Array<{start: Date, end: Date}>} [period.excluded] - Time left out, as periods that do not overlap
+ * @returns {UptimeReport}
+ */
+function computeUptime(outages, period) {
+  const excluded = period.excluded || [];
+  const periodEnd = period.end.getTime();
+  const monitoredSince = period.monitoredSince ? new Date(period.monitoredSince).getTime() : -Infinity;
+  const periodStart = Math.min(Math.max(period.start.getTime(), monitoredSince), periodEnd);
+  const monitoredTime = periodEnd - periodStart - overlap(excluded, periodStart, periodEnd);
+
+  let downtime = 0;
+  let outageCount = 0;
+  let isDown = false;
+
+  for (const outage of outages) {
+    const outageEnd = outage.end === null ? periodEnd : outage.end.getTime();
+    const from = Math.max(outage.start.getTime(), periodStart);
+    const to = Math.min(outageEnd, periodEnd);
+    const outageDowntime = to - from - overlap(excluded, from, to);
+    if (outageDowntime <= 0) {
+      continue;
+    }
+
+    downtime += outageDowntime;
+    outageCount++;
+    if (outageEnd >= periodEnd) {
+      isDown = true;
+    }
+  }
+
+  return {
+    start: new Date(periodStart),
+    end: new Date(periodEnd),
+    monitoredTime,
+    uptimePercent: monitoredTime > 0
+      ? Math.round((monitoredTime - downtime) / monitoredTime * 100000) / 1000
+      : null,
+    downtime,
+    outageCount,
+    mttr: outageCount > 0 ? Math.round(downtime / outageCount) : null,
+    mtbf: outageCount > 0 ? Math.round((monitoredTime - downtime) / outageCount) : null,
+    isDown
+  };
+}
+
+module.exports = {
+  parseReportRange,
+  computeUptime
+};
@@ -0,0 +1,166 @@
+/**
+ * WAN monitoring: the external targets and DNS resolvers checked to tell whether the internet is
+ * reachable, and the overall internet status computed from the checks.
+ * @module server/utils/wan
+ */
+
+const { ipToInt } = require('./ipRange');
+const { validateProbeConfig } = require('./probeConfig');
+
+/** Schemes of external targets, and the probe type each is checked with */
+const TARGET_SCHEMES = {
+  icmp: 'icmp',
+  tcp: 'tcp',
+  http: 'http',
+  https: 'http'
+};
+
+/**
+ * @typedef {Object} WanTarget
+ * @property {string} target - Target as configured, e.g. "tcp://1.1.1.1:443"
+ * @property {string} host - Address or host name checked
+ * @property {import('./probeConfig').ProbeConfig} probe - How the target is checked
+ */
+
+/**
+ * @typedef {Object} Resolver
+ * @property {string} address - IPv4 address of the DNS server
+ * @property {number} port - UDP port of the DNS server
+ */
+
+/**
+ * @typedef {Object} WanCheckResult
+ * @property {string} kind - "gateway", "dns" or "target"
+ * @property {string} target - What was checked
+ * @property {boolean|null} isOnline - Whether the last check succeeded, null before the first check
+ * @property {string|null} detail - What the probe saw
+ */
+
+/**
+ * Parse an external target. A bare address or host name is pinged; otherwise the scheme picks
+ * the probe: icmp://host, tcp://host:port, http://host[:port]/path or https://host[:port]/path.
+ * @param {string} text - Target
+ * @returns {WanTarget} Parsed target
+ * @throws {Error} If the target is invalid
+ */
+function parseWanTarget(text) {
+  const spec = typeof text === 'string' ? text.trim() : '';
+
+  let url;
+  try {
+    url = new URL(spec.includes('://') ? spec : `icmp://${spec}`);
+  } catch (error) {
+    throw new Error(`Invalid WAN target "${spec}"`);
+  }
+
+  const scheme = url.protocol.slice(0, -1);
+  const type = Object.prototype.hasOwnProperty.call(TARGET_SCHEMES, scheme) ? TARGET_SCHEMES[scheme] : null;
+  if (!type) {
+    throw new Error(`WAN target "${spec}" must start with one of ${Object.keys(TARGET_SCHEMES).map(s => `${s}://`).join(', ')}`);
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (!host) {
+    throw new Error(`WAN target "${spec}" has no host`);
+  }
+
+  /** @type {Object} */
+  const config = { type };
+  if (type === 'tcp') {
+    if (!url.port) {
+      throw new Error(`WAN target "${spec}" needs a port, e.g. tcp://${host}:443`);
+    }
+    config.port = Number(url.port);
+  } else if (type === 'http') {
+    config.https = scheme === 'https';
+    if (url.port) {
+      config.port = Number(url.port);
+    }
+    config.path = `${url.pathname}${url.search}`;
+  }
+
+  try {
+    return { target: spec, host, probe: validateProbeConfig(config) };
+  } catch (error) {
+    throw new Error(`Invalid WAN target "${spec}": ${error.message}`);
+  }
+}
+
+/**
+ * Parse a comma-separated list of external targets
+ * @param {string|string[]} list - Targets
+ * @returns {WanTarget[]} Parsed targets
+ * @throws {Error} If a target is invalid
+ */
+function parseWanTargets(list) {
+  const entries = Array.isArray(list) ? list : String(list || '').split(',');
+  return entries.map(entry => entry.trim()).filter(Boolean).map(parseWanTarget);
+}
+
+/**
+ * Parse a DNS resolver: an IPv4 address with an optional port, e.g. "1.1.1.1" or "127.0.0.1:5353"
+ * @param {string} text - Resolver
+ * @returns {Resolver} Parsed resolver
+ * @throws {Error} If the resolver is invalid
+ */
+function parseResolver(text) {
+  const match = /^([\d.]+)(?::(\d+))?$/.exec(typeof text === 'string' ? text.trim() : '');
+  const port = match && match[2] !== undefined ? Number(match[2]) : 53;
+  if (!match || ipToInt(match[1]) === null || port < 1 || port > 65535) {
+    throw new Error(`DNS resolver "${text}" must be an IPv4 address with an optional port (e.g., 1.1.1.1 or 127.0.0.1:5353)`);
+  }
+  return { address: match[1], port };
+}
+
+/**
+ * Compute the overall internet status from the last checks.
+ * The internet is down when none of the external targets answers; without targets the resolvers
+ * decide, and without those the gateways. It is degraded when it is up but a check fails: a
+ * gateway that does not answer, a resolver that does not resolve, or some of the targets.
+ * @param {WanCheckResult[]} checks - Last result of every check
+ * @returns {{status: string, reason: string|null}} Status ("up", "degraded", "down", or "unknown"
+ *   before the first check) and what is wrong, null when nothing is
+ */
+function computeWanStatus(checks) {
+  const checked = checks.filter(check => check.isOnline !== null);
+  if (checked.length === 0) {
+    return { status: 'unknown', reason: null };
+  }
+
+  const gateways = checked.filter(check => check.kind === 'gateway');
+  const resolvers = checked.filter(check => check.kind === 'dns');
+  const targets = checked.filter(check => check.kind === 'target');
+  const failing = list => list.filter(check => !check.isOnline);
+
+  const deciding = [targets, resolvers, gateways].find(list => list.length > 0);
+  if (failing(deciding).length === deciding.length) {
+    let reason;
+    if (gateways.length > 0 && failing(gateways).length === gateways.length) {
+      reason = 'Gateway not answering';
+    } else if (deciding === targets) {
+      reason = 'No external target reachable';
+    } else {
+      reason = 'No DNS resolver answering';
+    }
+    return { status: 'down', reason };
+  }
+
+  const problems = [
+    ...failing(gateways).map(check => `Gateway ${check.target} not answering`),
+    ...failing(resolvers).map(check => `DNS resolver ${check.target} failing${check.detail ? ` (${check.detail})` : ''}`)
+  ];
+  if (failing(targets).length > 0) {
+    problems.push(`${failing(targets).length} of ${targets.length} external targets unreachable`);
+  }
+
+  return problems.length > 0
+    ? { status: 'degraded', reason: problems.join('; ') }
+    : { status: 'up', reason: null };
+}
+
+module.exports = {
+  parseWanTarget,
+  parseWanTargets,
+  parseResolver,
+  computeWanStatus
+};
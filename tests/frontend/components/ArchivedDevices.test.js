@@ -0,0 +1,46 @@
+/**
+ * Unit tests for ArchivedDevices component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent } = require('@testing-library/react');
+const ArchivedDevices = require('../../../client/src/components/ArchivedDevices').default;
+
+describe('ArchivedDevices Component', () => {
+  const devices = [
+    {
+      id: 'mac-aabbccddeeff',
+      ipAddress: '192.168.1.100',
+      macAddress: 'AA:BB:CC:DD:EE:FF',
+      hostname: 'unknown',
+      lastSeen: '2024-01-15T10:00:00.000Z',
+      metadata: { name: 'Old phone', tags: [] }
+    }
+  ];
+
+  test('renders loading and empty states', () => {
+    const { rerender } = render(React.createElement(ArchivedDevices, { devices: null }));
+    expect(screen.getByText('Loading archived devices...')).toBeInTheDocument();
+
+    rerender(React.createElement(ArchivedDevices, { devices: [] }));
+    expect(screen.getByText('No archived devices')).toBeInTheDocument();
+  });
+
+  test('lists archived devices with restore and delete actions', () => {
+    const onRestore = jest.fn();
+    const onDelete = jest.fn();
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(true);
+    render(React.createElement(ArchivedDevices, { devices, onRestore, onDelete }));
+
+    expect(screen.getByText('Old phone')).toBeInTheDocument();
+    expect(screen.getByText('AA:BB:CC:DD:EE:FF')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Restore'));
+    fireEvent.click(screen.getByText('Delete'));
+
+    expect(onRestore).toHaveBeenCalledWith('mac-aabbccddeeff');
+    expect(onDelete).toHaveBeenCalledWith('mac-aabbccddeeff');
+
+    confirm.mockRestore();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for DependencySettings component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent, waitFor } = require('@testing-library/react');
+const DependencySettings = require('../../../client/src/components/DependencySettings').default;
+
+describe('DependencySettings Component', () => {
+  const devices = [
+    { id: 'mac-000000000001', ipAddress: '192.168.1.1', hostname: 'router.lan' },
+    { id: 'mac-000000000002', ipAddress: '192.168.1.2', hostname: 'unknown', metadata: { name: 'Office switch' } },
+    { id: 'mac-000000000003', ipAddress: '192.168.1.3', hostname: 'unknown' }
+  ];
+
+  test('lists the other devices as possible parents', () => {
+    render(React.createElement(DependencySettings, { deviceId: 'mac-000000000003', parentId: 'mac-000000000002', devices, onSave: jest.fn() }));
+
+    const select = screen.getByLabelText('Depends on');
+    expect(select).toHaveValue('mac-000000000002');
+    expect(screen.getByText('router.lan (192.168.1.1)')).toBeInTheDocument();
+    expect(screen.getByText('Office switch (192.168.1.2)')).toBeInTheDocument();
+    expect(screen.queryByText('192.168.1.3')).not.toBeInTheDocument();
+  });
+
+  test('offers the suggested parent and saves it', async () => {
+    const onSave = jest.fn().mockResolvedValue(undefined);
+    const suggestion = { deviceId: 'mac-000000000003', parentId: 'mac-000000000001', reason: 'Default gateway 192.168.1.1' };
+    render(React.createElement(DependencySettings, { deviceId: 'mac-000000000003', parentId: null, devices, suggestion, onSave }));
+
+    expect(screen.getByText(/Suggested: Default gateway 192.168.1.1/)).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Use suggestion'));
+    expect(screen.getByLabelText('Depends on')).toHaveValue('mac-000000000001');
+
+    fireEvent.click(screen.getByText('Save dependency'));
+    await waitFor(() => expect(onSave).toHaveBeenCalledWith('mac-000000000001'));
+  });
+
+  test('removes the parent and shows the server message when saving fails', async () => {
+    const onSave = jest.fn().mockRejectedValue({ response: { data: { message: 'mac-000000000001 already depends on mac-000000000003' } } });
+    render(React.createElement(DependencySettings, { deviceId: 'mac-000000000003', parentId: 'mac-000000000001', devices, onSave }));
+
+    fireEvent.change(screen.getByLabelText('Depends on'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Save dependency'));
+
+    expect(await screen.findByText('mac-000000000001 already depends on mac-000000000003')).toBeInTheDocument();
+    expect(onSave).toHaveBeenCalledWith(null);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for DeviceDetails component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent, waitFor } = require('@testing-library/react');
+const DeviceDetails = require('../../../client/src/components/DeviceDetails').default;
+
+describe('DeviceDetails Component', () => {
+  const device = {
+    id: 'mac-aabbccddeeff',
+    ipAddress: '192.168.1.100',
+    macAddress: 'AA:BB:CC:DD:EE:FF',
+    hostname: 'tv.lan',
+    vendor: 'Samsung Electronics',
+    metadata: { name: 'Living room TV', tags: ['media', 'upstairs'], notes: null, owner: null, location: 'Living room', type: 'tv' }
+  };
+
+  test('renders discovered facts and the current metadata', () => {
+    render(React.createElement(DeviceDetails, { device }));
+
+    expect(screen.getByText('Living room TV')).toBeInTheDocument();
+    expect(screen.getByText('Samsung Electronics')).toBeInTheDocument();
+    expect(screen.getByLabelText('TV')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('media, upstairs')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Living room')).toBeInTheDocument();
+  });
+
+  test('saves the edited fields', async () => {
+    const onSave = jest.fn().mockResolvedValue(undefined);
+    render(React.createElement(DeviceDetails, { device, onSave }));
+
+    fireEvent.change(screen.getByLabelText('Owner'), { target: { value: 'Sam' } });
+    fireEvent.change(screen.getByLabelText('Tags (comma-separated)'), { target: { value: 'media, , shared ' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => expect(onSave).toHaveBeenCalledTimes(1));
+    expect(onSave).toHaveBeenCalledWith('mac-aabbccddeeff', {
+      name: 'Living room TV',
+      type: 'tv',
+      tags: ['media', 'shared'],
+      owner: 'Sam',
+      location: 'Living room',
+      notes: ''
+    });
+  });
+
+  test('shows the server message when saving fails', async () => {
+    const onSave = jest.fn().mockRejectedValue({ response: { data: { message: 'name must be at most 100 characters' } } });
+    render(React.createElement(DeviceDetails, { device, onSave }));
+
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('name must be at most 100 characters')).toBeInTheDocument();
+  });
+
+  test('deletes the device only after confirmation', () => {
+    const onDelete = jest.fn();
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    render(React.createElement(DeviceDetails, { device, onDelete }));
+
+    fireEvent.click(screen.getByText('Delete device'));
+    expect(onDelete).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Delete device'));
+    expect(onDelete).toHaveBeenCalledWith('mac-aabbccddeeff');
+
+    confirm.mockRestore();
+  });
+
+  test('calls onClose', () => {
+    const onClose = jest.fn();
+    render(React.createElement(DeviceDetails, { device, onClose }));
+
+    fireEvent.click(screen.getByLabelText('Close device details'));
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for PathMonitor component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent, waitFor } = require('@testing-library/react');
+const PathMonitor = require('../../../client/src/components/PathMonitor').default;
+
+describe('PathMonitor Component', () => {
+  const hop = (ttl, address, loss, latency) => ({
+    ttl, address, addresses: address ? [address] : [], sent: 3, received: 3, loss, latency, minLatency: latency, maxLatency: latency
+  });
+  const paths = [{
+    target: '8.8.8.8',
+    protocol: 'icmp',
+    path: {
+      target: '8.8.8.8',
+      hops: [hop(1, '192.168.1.1', 0, 0.5), hop(2, null, 100, -1), hop(3, '8.8.8.8', 33.3, 12)],
+      reachedTarget: true,
+      lastUpdated: '2024-01-15T10:00:00.000Z',
+      lastChange: { at: '2024-01-15T10:00:00.000Z', changes: [{ ttl: 2, from: '10.0.0.1', to: '10.0.0.9' }] }
+    }
+  }, {
+    target: 'nas.lan',
+    protocol: 'udp',
+    path: null
+  }];
+
+  test('shows each hop with its loss and latency, named after known devices', () => {
+    render(React.createElement(PathMonitor, {
+      paths,
+      devices: [{ ipAddress: '192.168.1.1', hostname: 'router.lan', metadata: { name: 'Main router' } }]
+    }));
+
+    expect(screen.getByText('Reached')).toBeInTheDocument();
+    expect(screen.getByText('Main router')).toBeInTheDocument();
+    expect(screen.getByText('???')).toBeInTheDocument();
+    expect(screen.getByText('33%')).toHaveClass('text-red-600');
+    expect(screen.getByText('12.0 ms', { selector: 'td:nth-child(4)' })).toBeInTheDocument();
+    expect(screen.getByText(/hop 2: 10.0.0.1 → 10.0.0.9/)).toBeInTheDocument();
+    expect(screen.getByText('Tracing...')).toBeInTheDocument();
+  });
+
+  test('adds a target and shows the server message when that fails', async () => {
+    const onAdd = jest.fn()
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce({ response: { data: { message: 'The path to 1.1.1.1 is already monitored' } } });
+    render(React.createElement(PathMonitor, { paths: [], onAdd }));
+
+    fireEvent.change(screen.getByLabelText('Target'), { target: { value: ' 1.1.1.1 ' } });
+    fireEvent.change(screen.getByLabelText('Probes'), { target: { value: 'icmp' } });
+    fireEvent.click(screen.getByText('Trace'));
+
+    await waitFor(() => expect(onAdd).toHaveBeenCalledWith('1.1.1.1', 'icmp'));
+    await waitFor(() => expect(screen.getByLabelText('Target')).toHaveValue(''));
+
+    fireEvent.change(screen.getByLabelText('Target'), { target: { value: '1.1.1.1' } });
+    fireEvent.click(screen.getByText('Trace'));
+
+    expect(await screen.findByText('The path to 1.1.1.1 is already monitored')).toBeInTheDocument();
+  });
+
+  test('removes a target', () => {
+    const onRemove = jest.fn();
+    render(React.createElement(PathMonitor, { paths, onRemove }));
+
+    fireEvent.click(screen.getByLabelText('Stop tracing nas.lan'));
+
+    expect(onRemove).toHaveBeenCalledWith('nas.lan');
+  });
+});
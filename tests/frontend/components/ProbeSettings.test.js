@@ -0,0 +1,58 @@
+/**
+ * Unit tests for ProbeSettings component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent, waitFor } = require('@testing-library/react');
+const ProbeSettings = require('../../../client/src/components/ProbeSettings').default;
+
+describe('ProbeSettings Component', () => {
+  test('defaults to ping', () => {
+    render(React.createElement(ProbeSettings, { deviceId: 'mac-aabbccddeeff', probe: null, onSave: jest.fn() }));
+
+    expect(screen.getByLabelText('Check with')).toHaveValue('icmp');
+    expect(screen.queryByLabelText('Port')).not.toBeInTheDocument();
+  });
+
+  test('shows the fields of the current probe', () => {
+    const probe = { type: 'http', timeout: 3000, https: true, port: 8443, path: '/health', expectedStatus: [200, 204], keyword: 'ok' };
+    render(React.createElement(ProbeSettings, { deviceId: 'mac-aabbccddeeff', probe, onSave: jest.fn() }));
+
+    expect(screen.getByLabelText('Port')).toHaveValue(8443);
+    expect(screen.getByLabelText('Path')).toHaveValue('/health');
+    expect(screen.getByLabelText('Expected status codes')).toHaveValue('200, 204');
+    expect(screen.getByLabelText('Page must contain')).toHaveValue('ok');
+    expect(screen.getByLabelText('Use HTTPS')).toBeChecked();
+  });
+
+  test('saves a web page check', async () => {
+    const onSave = jest.fn().mockResolvedValue(undefined);
+    render(React.createElement(ProbeSettings, { deviceId: 'mac-aabbccddeeff', probe: null, onSave }));
+
+    fireEvent.change(screen.getByLabelText('Check with'), { target: { value: 'http' } });
+    fireEvent.change(screen.getByLabelText('Port'), { target: { value: '8080' } });
+    fireEvent.change(screen.getByLabelText('Path'), { target: { value: '/status' } });
+    fireEvent.change(screen.getByLabelText('Expected status codes'), { target: { value: '200, ' } });
+    fireEvent.click(screen.getByText('Save status check'));
+
+    await waitFor(() => expect(onSave).toHaveBeenCalledTimes(1));
+    expect(onSave).toHaveBeenCalledWith({
+      type: 'http',
+      timeout: 2000,
+      https: false,
+      port: 8080,
+      path: '/status',
+      expectedStatus: [200],
+      keyword: null
+    });
+  });
+
+  test('shows the server message when saving fails', async () => {
+    const onSave = jest.fn().mockRejectedValue({ response: { data: { message: 'name must be the domain name to resolve' } } });
+    render(React.createElement(ProbeSettings, { deviceId: 'mac-aabbccddeeff', probe: { type: 'dns', name: 'nas.lan', recordType: 'A', port: 53, timeout: 2000 }, onSave }));
+
+    fireEvent.click(screen.getByText('Save status check'));
+
+    expect(await screen.findByText('name must be the domain name to resolve')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for ScanProgress component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent } = require('@testing-library/react');
+const ScanProgress = require('../../../client/src/components/ScanProgress').default;
+
+describe('ScanProgress Component', () => {
+  const runningScan = {
+    id: 'scan-1',
+    status: 'running',
+    total: 200,
+    probed: 50,
+    found: 4
+  };
+
+  test('renders scan button when idle', () => {
+    const onStartScan = jest.fn();
+    render(
+      React.createElement(ScanProgress, {
+        scan: null,
+        onStartScan
+      })
+    );
+
+    fireEvent.click(screen.getByText('Scan Network'));
+    expect(onStartScan).toHaveBeenCalled();
+  });
+
+  test('renders progress for a running scan', () => {
+    render(
+      React.createElement(ScanProgress, {
+        scan: runningScan
+      })
+    );
+
+    expect(screen.getByText('Scanning 50/200 hosts')).toBeInTheDocument();
+    expect(screen.getByText('4 found')).toBeInTheDocument();
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '25');
+  });
+
+  test('renders queued state', () => {
+    render(
+      React.createElement(ScanProgress, {
+        scan: { ...runningScan, status: 'queued', probed: 0, found: 0 }
+      })
+    );
+
+    expect(screen.getByText('Scan queued')).toBeInTheDocument();
+  });
+
+  test('calls onCancelScan with the scan ID', () => {
+    const onCancelScan = jest.fn();
+    render(
+      React.createElement(ScanProgress, {
+        scan: runningScan,
+        onCancelScan
+      })
+    );
+
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(onCancelScan).toHaveBeenCalledWith('scan-1');
+  });
+
+  test('shows the outcome of a cancelled scan', () => {
+    render(
+      React.createElement(ScanProgress, {
+        scan: { ...runningScan, status: 'cancelled' },
+        onStartScan: jest.fn()
+      })
+    );
+
+    expect(screen.getByText('Last scan cancelled')).toBeInTheDocument();
+    expect(screen.getByText('Scan Network')).toBeInTheDocument();
+  });
+});
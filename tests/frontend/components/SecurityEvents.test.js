@@ -0,0 +1,61 @@
+/**
+ * Unit tests for SecurityEvents component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent } = require('@testing-library/react');
+const SecurityEvents = require('../../../client/src/components/SecurityEvents').default;
+
+describe('SecurityEvents Component', () => {
+  const devices = [
+    { id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', approval: 'pending' },
+    { id: 'mac-112233445566', ipAddress: '192.168.1.101', approval: 'approved' }
+  ];
+
+  const events = [
+    {
+      id: 'event-2',
+      type: 'deviceChanged',
+      severity: 'info',
+      deviceId: 'mac-112233445566',
+      message: 'Device at 192.168.1.101 changed: hostname old.lan → nas.lan',
+      timestamp: '2024-01-15T11:00:00.000Z'
+    },
+    {
+      id: 'event-1',
+      type: 'newDevice',
+      severity: 'warning',
+      deviceId: 'mac-aabbccddeeff',
+      message: 'New device AA:BB:CC:DD:EE:FF at 192.168.1.100',
+      timestamp: '2024-01-15T10:00:00.000Z'
+    }
+  ];
+
+  test('renders empty state', () => {
+    render(React.createElement(SecurityEvents, { events: [], devices: [] }));
+
+    expect(screen.getByText('No security events')).toBeInTheDocument();
+  });
+
+  test('renders events and the number of unreviewed devices', () => {
+    render(React.createElement(SecurityEvents, { events, devices }));
+
+    expect(screen.getByText('New device AA:BB:CC:DD:EE:FF at 192.168.1.100')).toBeInTheDocument();
+    expect(screen.getByText('Changed')).toBeInTheDocument();
+    expect(screen.getByText('1 device has not been reviewed yet')).toBeInTheDocument();
+  });
+
+  test('offers approve and ignore only for unreviewed devices', () => {
+    const onApprove = jest.fn();
+    const onIgnore = jest.fn();
+    render(React.createElement(SecurityEvents, { events, devices, onApprove, onIgnore }));
+
+    expect(screen.getAllByText('Approve')).toHaveLength(1);
+
+    fireEvent.click(screen.getByText('Approve'));
+    fireEvent.click(screen.getByText('Ignore'));
+
+    expect(onApprove).toHaveBeenCalledWith('mac-aabbccddeeff');
+    expect(onIgnore).toHaveBeenCalledWith('mac-aabbccddeeff');
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Unit tests for TimeRangeSelector component
+ */
+
+const React = require('react');
+const { render, screen, fireEvent } = require('@testing-library/react');
+const TimeRangeSelector = require('../../../client/src/components/TimeRangeSelector').default;
+
+describe('TimeRangeSelector Component', () => {
+  test('highlights the selected range', () => {
+    render(React.createElement(TimeRangeSelector, { selectedRange: '6h', onChange: jest.fn() }));
+
+    expect(screen.getByText('6 Hours')).toHaveClass('bg-blue-600');
+    expect(screen.getByText('1 Hour')).not.toHaveClass('bg-blue-600');
+  });
+
+  test('reports the picked range', () => {
+    const onChange = jest.fn();
+    render(React.createElement(TimeRangeSelector, { selectedRange: '1h', onChange }));
+
+    fireEvent.click(screen.getByText('24 Hours'));
+
+    expect(onChange).toHaveBeenCalledWith('24h');
+  });
+});
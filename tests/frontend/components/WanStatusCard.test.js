@@ -0,0 +1,54 @@
+/**
+ * Unit tests for WanStatusCard component
+ */
+
+const React = require('react');
+const { render, screen } = require('@testing-library/react');
+const { default: WanStatusCard, formatDuration } = require('../../../client/src/components/WanStatusCard');
+
+describe('WanStatusCard Component', () => {
+  const checks = [
+    { kind: 'gateway', target: '192.168.1.1', type: 'icmp', isOnline: true, responseTime: 0.8, detail: null },
+    { kind: 'dns', target: '1.1.1.1', type: 'dns', isOnline: false, responseTime: -1, detail: 'DNS query timed out' },
+    { kind: 'target', target: 'https://www.google.com/', type: 'http', isOnline: false, responseTime: -1, detail: 'HTTP request timed out' }
+  ];
+
+  test('shows the status, the reason and each check', () => {
+    render(React.createElement(WanStatusCard, {
+      wan: { status: 'down', reason: 'No external target reachable', since: '2024-01-15T10:00:00.000Z', checks }
+    }));
+
+    expect(screen.getByText('Internet down')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveClass('bg-red-50');
+    expect(screen.getByText('No external target reachable')).toBeInTheDocument();
+    expect(screen.getByText('0.8 ms')).toBeInTheDocument();
+    expect(screen.getByText('DNS query timed out')).toHaveClass('text-red-600');
+    expect(screen.getByText('https://www.google.com/')).toBeInTheDocument();
+  });
+
+  test('lists the outages of the last week, newest first', () => {
+    render(React.createElement(WanStatusCard, {
+      wan: { status: 'up', reason: null, since: '2024-01-15T12:00:00.000Z', checks: [] },
+      outages: {
+        outageCount: 2,
+        downtime: 65 * 60 * 1000,
+        outages: [
+          { start: '2024-01-14T10:00:00.000Z', end: '2024-01-14T11:00:00.000Z', cause: 'Gateway not answering', duration: 60 * 60 * 1000 },
+          { start: '2024-01-15T11:55:00.000Z', end: '2024-01-15T12:00:00.000Z', cause: null, duration: 5 * 60 * 1000 }
+        ]
+      }
+    }));
+
+    expect(screen.getByText('Internet up')).toBeInTheDocument();
+    expect(screen.getByText('2 outages in the last 7 days, 1h 5m down')).toBeInTheDocument();
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('5m');
+    expect(items[1]).toHaveTextContent('1h (Gateway not answering)');
+  });
+
+  test('formats durations', () => {
+    expect(formatDuration(45000)).toBe('45s');
+    expect(formatDuration(12 * 60000)).toBe('12m');
+    expect(formatDuration(3 * 3600000 + 5 * 60000)).toBe('3h 5m');
+  });
+});
@@ -10,6 +10,8 @@ const request = require('supertest');
 // Mock components
 const mockDeviceScanner = {
   scanNetwork: jest.fn(),
+  startScan: jest.fn(() => ({ id: 'scan-1', status: 'queued' })),
+  estimateScanTime: jest.fn(() => 60000),
   getCachedDevices: jest.fn()
 };
 
@@ -26,7 +28,8 @@ const mockTrafficAnalyzer = {
 
 const mockHealthMonitor = {
   getHealthMetrics: jest.fn(),
-  getAllHealthMetrics: jest.fn()
+  getAllHealthMetrics: jest.fn(),
+  getBaseline: jest.fn()
 };
 
 const mockDataStore = {
@@ -3,17 +3,37 @@
  */
 
 const { createServer } = require('../../server/api/server');
+const SecurityMonitor = require('../../server/components/SecurityMonitor');
+const MaintenanceCalendar = require('../../server/components/MaintenanceCalendar');
+const MonitoringProfiles = require('../../server/components/MonitoringProfiles');
 
 // Mock components
 const mockDeviceScanner = {
   scanNetwork: jest.fn(),
-  getCachedDevices: jest.fn()
+  startScan: jest.fn(() => ({ id: 'scan-1', status: 'queued' })),
+  estimateScanTime: jest.fn(() => 60000),
+  getScanJob: jest.fn(),
+  getScanJobs: jest.fn(),
+  cancelScan: jest.fn(),
+  refreshVendors: jest.fn(() => []),
+  getCachedDevices: jest.fn(),
+  setMetadata: jest.fn(),
+  setProbe: jest.fn(),
+  setParent: jest.fn(),
+  setProfile: jest.fn(),
+  removeDevice: jest.fn(),
+  restoreDevices: jest.fn(),
+  findDeviceByIp: jest.fn()
 };
 
 const mockStatusMonitor = {
   getDeviceStatuses: jest.fn(),
   startMonitoring: jest.fn(),
-  stopMonitoring: jest.fn()
+  stopMonitoring: jest.fn(),
+  setProbe: jest.fn(),
+  setParent: jest.fn(),
+  refreshProfiles: jest.fn(),
+  getSchedulerMetrics: jest.fn()
 };
 
 const mockTrafficAnalyzer = {
@@ -22,106 +42,1070 @@ const mockTrafficAnalyzer = {
 };
 
 const mockHealthMonitor = {
+  startMonitoring: jest.fn(),
   getHealthMetrics: jest.fn(),
-  getAllHealthMetrics: jest.fn()
+  getAllHealthMetrics: jest.fn(),
+  getBaseline: jest.fn(),
+  refreshProfiles: jest.fn(),
+  getPath: jest.fn(),
+  getPaths: jest.fn(),
+  startPathMonitoring: jest.fn(),
+  stopPathMonitoring: jest.fn()
+};
+
+const mockWanMonitor = {
+  getStatus: jest.fn()
+};
+
+const mockDnsMonitor = {
+  getResults: jest.fn()
+};
+
+const mockDataStore = {
+  getAllDevices: jest.fn(),
+  getDevice: jest.fn(),
+  saveDevice: jest.fn(),
+  updateDeviceMetadata: jest.fn(),
+  updateDeviceProbe: jest.fn(),
+  updateDeviceParent: jest.fn(),
+  updateDeviceProfile: jest.fn(),
+  purgeDevice: jest.fn(),
+  unarchiveDevice: jest.fn(),
+  getHealthMetrics: jest.fn(),
+  saveKnownDevice: jest.fn(),
+  deleteKnownDevice: jest.fn(),
+  getSecurityEvents: jest.fn(),
+  getOutages: jest.fn(),
+  saveMaintenanceWindow: jest.fn(),
+  deleteMaintenanceWindow: jest.fn(),
+  saveMonitoringProfile: jest.fn(),
+  deleteMonitoringProfile: jest.fn(),
+  savePathTarget: jest.fn(),
+  deletePathTarget: jest.fn(),
+  getWanOutages: jest.fn(),
+  getDnsResults: jest.fn(),
+  getDnsAlerts: jest.fn()
+};
+
+const mockVendorLookup = {
+  lookup: jest.fn(),
+  getStats: jest.fn(),
+  importRegistry: jest.fn()
 };
 
-const mockDataStore = {
-  getAllDevices: jest.fn(),
-  getDevice: jest.fn(),
-  saveDevice: jest.fn()
-};
+describe('REST API Server', () => {
+  let server;
+  let app;
+  let securityMonitor;
+  let maintenanceCalendar;
+  let monitoringProfiles;
+
+  beforeEach(() => {
+    // Reset all mocks
+    jest.clearAllMocks();
+
+    securityMonitor = new SecurityMonitor();
+    maintenanceCalendar = new MaintenanceCalendar();
+    monitoringProfiles = new MonitoringProfiles();
+
+    // Create server instance
+    const serverInstance = createServer({
+      deviceScanner: mockDeviceScanner,
+      statusMonitor: mockStatusMonitor,
+      trafficAnalyzer: mockTrafficAnalyzer,
+      healthMonitor: mockHealthMonitor,
+      dataStore: mockDataStore,
+      vendorLookup: mockVendorLookup,
+      securityMonitor,
+      maintenanceCalendar,
+      monitoringProfiles,
+      wanMonitor: mockWanMonitor,
+      dnsMonitor: mockDnsMonitor
+    }, { port: 3001 });
+
+    server = serverInstance;
+    app = serverInstance.app;
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await server.stop();
+    }
+  });
+
+  describe('GET /api/devices', () => {
+    test('should return all devices', async () => {
+      const mockDevices = [
+        {
+          ipAddress: '192.168.1.100',
+          macAddress: 'AA:BB:CC:DD:EE:FF',
+          hostname: 'test-device',
+          vendor: 'Apple',
+          firstSeen: new Date(),
+          lastSeen: new Date(),
+          isActive: true
+        }
+      ];
+
+      mockDataStore.getAllDevices.mockResolvedValue(mockDevices);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].ipAddress).toBe('192.168.1.100');
+      expect(response.body[0].macAddress).toBe('AA:BB:CC:DD:EE:FF');
+      expect(response.body[0].hostname).toBe('test-device');
+      expect(mockDataStore.getAllDevices).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return empty array when no devices', async () => {
+      mockDataStore.getAllDevices.mockResolvedValue([]);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([]);
+    });
+
+    test('should search devices by name, tag and type', async () => {
+      const metadata = { name: null, tags: [], notes: null, owner: null, location: null, type: null };
+      mockDataStore.getAllDevices.mockResolvedValue([
+        { id: 'mac-aabbccddee01', ipAddress: '192.168.1.10', hostname: 'printer.lan', metadata: { ...metadata, name: 'Office printer', tags: ['Office'], type: 'printer' } },
+        { id: 'mac-aabbccddee02', ipAddress: '192.168.1.11', hostname: 'tv.lan', metadata: { ...metadata, tags: ['media'], type: 'tv' } },
+        { id: 'mac-aabbccddee03', ipAddress: '192.168.1.12', hostname: 'unknown' }
+      ]);
+
+      const request = require('supertest');
+      const byQuery = await request(app).get('/api/devices').query({ q: 'office PRINTER' });
+      const byTag = await request(app).get('/api/devices').query({ tag: 'office' });
+      const byType = await request(app).get('/api/devices').query({ type: 'tv' });
+
+      expect(byQuery.body.map(device => device.id)).toEqual(['mac-aabbccddee01']);
+      expect(byTag.body.map(device => device.id)).toEqual(['mac-aabbccddee01']);
+      expect(byType.body.map(device => device.id)).toEqual(['mac-aabbccddee02']);
+    });
+
+    test('should list archived devices separately', async () => {
+      mockDataStore.getAllDevices.mockResolvedValue([
+        { id: 'mac-aabbccddee01', ipAddress: '192.168.1.10', archivedAt: null },
+        { id: 'mac-aabbccddee02', ipAddress: '192.168.1.11', archivedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'mac-aabbccddee03', ipAddress: '192.168.1.12' }
+      ]);
+
+      const request = require('supertest');
+      const current = await request(app).get('/api/devices');
+      const archived = await request(app).get('/api/devices').query({ archived: 'true' });
+      const invalid = await request(app).get('/api/devices').query({ archived: 'yes' });
+
+      expect(current.body.map(device => device.id)).toEqual(['mac-aabbccddee01', 'mac-aabbccddee03']);
+      expect(archived.body.map(device => device.id)).toEqual(['mac-aabbccddee02']);
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should reject unknown device types in searches', async () => {
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices').query({ type: 'toaster' });
+
+      expect(response.status).toBe(400);
+      expect(mockDataStore.getAllDevices).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/devices/:id', () => {
+    test('should forget the device and purge its history', async () => {
+      const device = { id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' };
+      mockDataStore.getDevice.mockResolvedValueOnce(device);
+      mockDataStore.getAllDevices.mockResolvedValueOnce([device]);
+      mockDataStore.purgeDevice.mockResolvedValueOnce(device);
+      securityMonitor.setApproval(device, 'approved');
+
+      const request = require('supertest');
+      const response = await request(app).delete('/api/devices/192.168.1.100');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ status: 'deleted', device });
+      expect(mockDeviceScanner.removeDevice).toHaveBeenCalledWith('mac-aabbccddeeff', 'deleted');
+      expect(mockDataStore.purgeDevice).toHaveBeenCalledWith('mac-aabbccddeeff');
+      expect(securityMonitor.getApproval('mac-aabbccddeeff')).toBe('pending');
+    });
+
+    test('should remove the device as parent of the devices behind it', async () => {
+      const device = { id: 'mac-aabbccddeeff', ipAddress: '192.168.1.2' };
+      mockDataStore.getDevice.mockResolvedValueOnce(device);
+      mockDataStore.getAllDevices.mockResolvedValueOnce([device, { id: 'mac-000000000001', ipAddress: '192.168.1.50', parentId: 'mac-aabbccddeeff' }]);
+      mockDataStore.purgeDevice.mockResolvedValueOnce(device);
+
+      const request = require('supertest');
+      const response = await request(app).delete('/api/devices/mac-aabbccddeeff');
+
+      expect(response.status).toBe(200);
+      expect(mockDeviceScanner.setParent).toHaveBeenCalledWith('mac-000000000001', null);
+      expect(mockStatusMonitor.setParent).toHaveBeenCalledWith('192.168.1.50', null);
+    });
+
+    test('should return 404 for unknown devices', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app).delete('/api/devices/mac-000000000001');
+
+      expect(response.status).toBe(404);
+      expect(mockDataStore.purgeDevice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/devices/:id/unarchive', () => {
+    test('should bring an archived device back', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', archivedAt: '2026-01-01T00:00:00.000Z' });
+      mockDataStore.unarchiveDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', archivedAt: null });
+
+      const request = require('supertest');
+      const response = await request(app).post('/api/devices/mac-aabbccddeeff/unarchive');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'mac-aabbccddeeff', archivedAt: null, approval: 'pending' });
+      expect(mockDeviceScanner.restoreDevices).toHaveBeenCalledWith([{ id: 'mac-aabbccddeeff', archivedAt: null }]);
+    });
+
+    test('should start monitoring the device when it holds its address', async () => {
+      const device = { id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', archivedAt: null };
+      mockDataStore.getDevice.mockResolvedValue({ ...device, archivedAt: '2026-01-01T00:00:00.000Z' });
+      mockDataStore.unarchiveDevice.mockResolvedValue(device);
+      mockDeviceScanner.findDeviceByIp.mockReturnValueOnce({ ...device });
+
+      const request = require('supertest');
+      await request(app).post('/api/devices/mac-aabbccddeeff/unarchive');
+
+      expect(mockDeviceScanner.findDeviceByIp).toHaveBeenCalledWith('192.168.1.100');
+      expect(mockStatusMonitor.startMonitoring).toHaveBeenCalledWith(device);
+      expect(mockHealthMonitor.startMonitoring).toHaveBeenCalledWith('192.168.1.100');
+
+      // Another device took the address over meanwhile
+      jest.clearAllMocks();
+      mockDeviceScanner.findDeviceByIp.mockReturnValueOnce({ id: 'mac-001122334455', ipAddress: '192.168.1.100' });
+      await request(app).post('/api/devices/mac-aabbccddeeff/unarchive');
+
+      expect(mockStatusMonitor.startMonitoring).not.toHaveBeenCalled();
+      expect(mockHealthMonitor.startMonitoring).not.toHaveBeenCalled();
+      mockDataStore.getDevice.mockReset();
+      mockDataStore.unarchiveDevice.mockReset();
+    });
+
+    test('should refuse devices that are not archived', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', archivedAt: null });
+
+      const request = require('supertest');
+      const response = await request(app).post('/api/devices/mac-aabbccddeeff/unarchive');
+
+      expect(response.status).toBe(409);
+      expect(mockDataStore.unarchiveDevice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/devices/:id', () => {
+    test('should update the metadata and keep the scanner cache in sync', async () => {
+      const metadata = { name: 'Living room TV', tags: ['media'], notes: null, owner: null, location: 'Living room', type: 'tv' };
+      mockDataStore.updateDeviceMetadata.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', metadata });
+
+      const request = require('supertest');
+      const response = await request(app)
+        .patch('/api/devices/192.168.1.100')
+        .send({ name: ' Living room TV ', tags: ['media', 'Media'], location: 'Living room', type: 'tv' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'mac-aabbccddeeff', approval: 'pending', metadata });
+      expect(mockDataStore.updateDeviceMetadata).toHaveBeenCalledWith('192.168.1.100', {
+        name: 'Living room TV',
+        tags: ['media'],
+        location: 'Living room',
+        type: 'tv'
+      });
+      expect(mockDeviceScanner.setMetadata).toHaveBeenCalledWith('mac-aabbccddeeff', metadata);
+    });
+
+    test('should reject fields that are not user metadata', async () => {
+      const request = require('supertest');
+      const response = await request(app)
+        .patch('/api/devices/mac-aabbccddeeff')
+        .send({ hostname: 'renamed.lan' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/Unknown field "hostname"/);
+      expect(response.body).toHaveProperty('example');
+      expect(mockDataStore.updateDeviceMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown devices', async () => {
+      mockDataStore.updateDeviceMetadata.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .patch('/api/devices/mac-000000000001')
+        .send({ notes: 'Spare' });
+
+      expect(response.status).toBe(404);
+      expect(mockDeviceScanner.setMetadata).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/devices/:id/probe', () => {
+    test('should store the probe and apply it to the running monitor', async () => {
+      const probe = { type: 'http', timeout: 2000, https: false, port: 8080, path: '/health', expectedStatus: [200], keyword: null };
+      mockDataStore.updateDeviceProbe.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', archivedAt: null, probe });
+
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/192.168.1.100/probe')
+        .send({ type: 'http', port: 8080, path: '/health', expectedStatus: 200 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'mac-aabbccddeeff', probe });
+      expect(mockDataStore.updateDeviceProbe).toHaveBeenCalledWith('192.168.1.100', probe);
+      expect(mockDeviceScanner.setProbe).toHaveBeenCalledWith('mac-aabbccddeeff', probe);
+      expect(mockStatusMonitor.setProbe).toHaveBeenCalledWith('192.168.1.100', probe);
+    });
+
+    test('should leave the monitor alone for archived devices', async () => {
+      mockDataStore.updateDeviceProbe.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', archivedAt: '2026-01-01T00:00:00.000Z' });
+
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/mac-aabbccddeeff/probe')
+        .send({ type: 'tcp', port: 22 });
+
+      expect(response.status).toBe(200);
+      expect(mockStatusMonitor.setProbe).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid probes', async () => {
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/mac-aabbccddeeff/probe')
+        .send({ type: 'tcp' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/port/);
+      expect(response.body).toHaveProperty('example');
+      expect(mockDataStore.updateDeviceProbe).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown devices', async () => {
+      mockDataStore.updateDeviceProbe.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/mac-000000000001/probe')
+        .send({ type: 'icmp' });
+
+      expect(response.status).toBe(404);
+      expect(mockStatusMonitor.setProbe).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dependencies', () => {
+    const devices = [
+      { id: 'mac-000000000001', ipAddress: '192.168.1.1', parentId: null },
+      { id: 'mac-000000000002', ipAddress: '192.168.1.2', parentId: 'mac-000000000001' },
+      { id: 'mac-000000000003', ipAddress: '192.168.1.3', parentId: 'mac-000000000002' }
+    ];
+
+    test('should set the parent of a device and apply it to the running monitor', async () => {
+      mockDataStore.getDevice
+        .mockResolvedValueOnce(devices[2])
+        .mockResolvedValueOnce(devices[0]);
+      mockDataStore.getAllDevices.mockResolvedValueOnce(devices);
+      mockDataStore.updateDeviceParent.mockResolvedValueOnce({ ...devices[2], parentId: 'mac-000000000001', archivedAt: null });
+
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/192.168.1.3/parent')
+        .send({ parentId: 'mac-000000000001' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.parentId).toBe('mac-000000000001');
+      expect(mockDataStore.updateDeviceParent).toHaveBeenCalledWith('mac-000000000003', 'mac-000000000001');
+      expect(mockDeviceScanner.setParent).toHaveBeenCalledWith('mac-000000000003', 'mac-000000000001');
+      expect(mockStatusMonitor.setParent).toHaveBeenCalledWith('192.168.1.3', 'mac-000000000001');
+    });
+
+    test('should remove the parent with null', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(devices[1]);
+      mockDataStore.updateDeviceParent.mockResolvedValueOnce({ ...devices[1], parentId: null, archivedAt: null });
+
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/mac-000000000002/parent')
+        .send({ parentId: null });
+
+      expect(response.status).toBe(200);
+      expect(mockStatusMonitor.setParent).toHaveBeenCalledWith('192.168.1.2', null);
+    });
+
+    test('should refuse a parent that depends on the device', async () => {
+      mockDataStore.getDevice
+        .mockResolvedValueOnce(devices[0])
+        .mockResolvedValueOnce(devices[2]);
+      mockDataStore.getAllDevices.mockResolvedValueOnce(devices);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .put('/api/devices/mac-000000000001/parent')
+        .send({ parentId: 'mac-000000000003' });
+
+      expect(response.status).toBe(409);
+      expect(mockDataStore.updateDeviceParent).not.toHaveBeenCalled();
+    });
+
+    test('should reject missing and unknown parents', async () => {
+      const request = require('supertest');
+      const missing = await request(app).put('/api/devices/mac-000000000001/parent').send({});
+      expect(missing.status).toBe(400);
+      expect(missing.body.example).toEqual({ parentId: 'mac-b827eb123456' });
+
+      mockDataStore.getDevice
+        .mockResolvedValueOnce(devices[0])
+        .mockResolvedValueOnce(null);
+      const unknown = await request(app).put('/api/devices/mac-000000000001/parent').send({ parentId: 'mac-0000000000ff' });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toMatch(/mac-0000000000ff/);
+    });
+
+    test('should suggest the default gateway as parent', async () => {
+      const withGateway = createServer({
+        deviceScanner: mockDeviceScanner,
+        statusMonitor: mockStatusMonitor,
+        trafficAnalyzer: mockTrafficAnalyzer,
+        healthMonitor: mockHealthMonitor,
+        dataStore: mockDataStore
+      }, { port: 3002, gateways: ['192.168.1.1'] });
+      mockDataStore.getAllDevices.mockResolvedValueOnce([
+        devices[0],
+        { id: 'mac-000000000004', ipAddress: '192.168.1.4', parentId: null },
+        devices[2]
+      ]);
+
+      const request = require('supertest');
+      const response = await request(withGateway.app).get('/api/dependencies/suggestions');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { deviceId: 'mac-000000000004', parentId: 'mac-000000000001', reason: 'Default gateway 192.168.1.1' }
+      ]);
+    });
+  });
+
+  describe('POST /api/devices/scan', () => {
+    test('should trigger network scan and return status', async () => {
+      mockDeviceScanner.scanNetwork.mockResolvedValue([]);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('status', 'started');
+      expect(response.body).toHaveProperty('estimatedTime');
+      expect(typeof response.body.estimatedTime).toBe('number');
+    });
+
+    test('should accept custom subnet', async () => {
+      mockDeviceScanner.scanNetwork.mockResolvedValue([]);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({ subnet: '10.0.0' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('started');
+    });
+
+    test('should accept CIDR lists with exclusions', async () => {
+      mockDeviceScanner.scanNetwork.mockResolvedValue([]);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({ subnet: ['10.0.0.0/23', '10.1.0.0/24'], exclude: '10.0.1.0/24' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hostCount).toBe(255 + 254);
+      expect(mockDeviceScanner.startScan).toHaveBeenCalledWith(
+        ['10.0.0.0/23', '10.1.0.0/24'],
+        { exclude: '10.0.1.0/24' }
+      );
+    });
+
+    test('should reject invalid ranges', async () => {
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({ subnet: '10.0.0.0/40' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Bad Request');
+      expect(mockDeviceScanner.startScan).not.toHaveBeenCalled();
+    });
+
+    test('should reject scans that are too large', async () => {
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({ subnet: '10.0.0.0/8' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/exceeds the limit/);
+    });
+
+    test('should return the scan job ID', async () => {
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.scanId).toBe('scan-1');
+      expect(response.body.scan.status).toBe('queued');
+    });
+
+    test('should return 409 when a scan is already running', async () => {
+      mockDeviceScanner.startScan.mockImplementationOnce(() => {
+        throw Object.assign(new Error('Scan scan-0 is already in progress'), {
+          statusCode: 409,
+          activeScan: { id: 'scan-0', status: 'running' }
+        });
+      });
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/scan')
+        .send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.activeScan.id).toBe('scan-0');
+    });
+  });
+
+  describe('Scan jobs', () => {
+    test('GET /api/scans/:id should return scan progress', async () => {
+      mockDeviceScanner.getScanJob.mockReturnValue({ id: 'scan-1', status: 'running', total: 254, probed: 100, found: 3 });
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/scans/scan-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.probed).toBe(100);
+      expect(mockDeviceScanner.getScanJob).toHaveBeenCalledWith('scan-1');
+    });
+
+    test('GET /api/scans/:id should return 404 for unknown scans', async () => {
+      mockDeviceScanner.getScanJob.mockReturnValue(null);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/scans/missing');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('DELETE /api/scans/:id should cancel a scan', async () => {
+      mockDeviceScanner.cancelScan.mockReturnValue({ id: 'scan-1', status: 'cancelled' });
+
+      const request = require('supertest');
+      const response = await request(app).delete('/api/scans/scan-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('cancelled');
+    });
+
+    test('DELETE /api/scans/:id should return 409 for finished scans', async () => {
+      mockDeviceScanner.cancelScan.mockImplementationOnce(() => {
+        throw Object.assign(new Error('Scan scan-1 has already completed'), { statusCode: 409 });
+      });
+
+      const request = require('supertest');
+      const response = await request(app).delete('/api/scans/scan-1');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('GET /api/devices/:id', () => {
+    test('should return a device by stable ID', async () => {
+      const device = {
+        id: 'mac-aabbccddeeff',
+        ipAddress: '192.168.1.100',
+        macAddress: 'AA:BB:CC:DD:EE:FF',
+        ipHistory: [{ ipAddress: '192.168.1.100' }]
+      };
+      mockDataStore.getDevice.mockResolvedValueOnce(device);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-aabbccddeeff');
+
+      expect(response.status).toBe(200);
+      expect(response.body.ipHistory).toHaveLength(1);
+      expect(mockDataStore.getDevice).toHaveBeenCalledWith('mac-aabbccddeeff');
+    });
+
+    test('should return 404 for unknown devices', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-000000000001');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should resolve the stable ID to the current IP for status lookups', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100' });
+      const statusMap = new Map();
+      statusMap.set('192.168.1.100', { ipAddress: '192.168.1.100', isOnline: true });
+      mockStatusMonitor.getDeviceStatuses.mockReturnValue(statusMap);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-aabbccddeeff/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.ipAddress).toBe('192.168.1.100');
+    });
+  });
+
+  describe('GET /api/devices/:id/services', () => {
+    test('should return the service inventory of a device', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({
+        id: 'mac-aabbccddeeff',
+        ipAddress: '192.168.1.100',
+        openPorts: [22],
+        services: [{ port: 22, protocol: 'tcp', name: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2', product: 'OpenSSH_9.2', title: null }],
+        servicesScannedAt: '2024-01-01T00:00:00.000Z'
+      });
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-aabbccddeeff/services');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        id: 'mac-aabbccddeeff',
+        enabled: false,
+        openPorts: [22],
+        advertisedServices: [],
+        scannedAt: '2024-01-01T00:00:00.000Z'
+      });
+      expect(response.body.services[0].name).toBe('ssh');
+    });
+
+    test('should return 404 for unknown devices', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/10.0.0.250/services');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Uptime reports', () => {
+    test('should report the uptime of a device over a month', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', firstSeen: '2023-12-01T00:00:00.000Z' });
+      mockDataStore.getOutages.mockResolvedValueOnce([
+        { deviceId: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', start: new Date('2024-01-10T00:00:00Z'), end: new Date('2024-01-10T01:00:00Z') },
+        { deviceId: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', start: new Date('2024-01-20T00:00:00Z'), end: new Date('2024-01-20T00:30:00Z') }
+      ]);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-aabbccddeeff/uptime?month=2024-01');
+
+      expect(response.status).toBe(200);
+      expect(mockDataStore.getOutages).toHaveBeenCalledWith('mac-aabbccddeeff', new Date('2024-01-01T00:00:00Z'), new Date('2024-02-01T00:00:00Z'));
+      expect(response.body).toMatchObject({
+        id: 'mac-aabbccddeeff',
+        start: '2024-01-01T00:00:00.000Z',
+        end: '2024-02-01T00:00:00.000Z',
+        uptimePercent: 99.798,
+        downtime: 5400000,
+        outageCount: 2,
+        mttr: 2700000,
+        isDown: false
+      });
+      expect(response.body.outages[0]).toMatchObject({ start: '2024-01-10T00:00:00.000Z', duration: 3600000 });
+    });
+
+    test('should reject invalid ranges', async () => {
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-aabbccddeeff/uptime?range=forever');
+
+      expect(response.status).toBe(400);
+      expect(response.body.example).toEqual({ range: '30d' });
+      expect(mockDataStore.getDevice).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown devices', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/10.0.0.250/uptime');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should report the fleet against an availability target, worst first', async () => {
+      mockDataStore.getAllDevices.mockResolvedValueOnce([
+        { id: 'mac-000000000001', ipAddress: '192.168.1.1', hostname: 'router', firstSeen: '2023-01-01T00:00:00.000Z', metadata: { name: null, tags: ['critical'] } },
+        { id: 'mac-000000000002', ipAddress: '192.168.1.2', firstSeen: '2023-01-01T00:00:00.000Z', metadata: { name: 'NAS', tags: ['critical'] } },
+        { id: 'mac-000000000003', ipAddress: '192.168.1.3', firstSeen: '2023-01-01T00:00:00.000Z', metadata: { name: null, tags: [] } },
+        { id: 'mac-000000000004', ipAddress: '192.168.1.4', firstSeen: '2023-01-01T00:00:00.000Z', archivedAt: '2024-01-01T00:00:00.000Z', metadata: { name: null, tags: ['critical'] } }
+      ]);
+      mockDataStore.getOutages.mockImplementation(async (deviceId) => (deviceId === 'mac-000000000002'
+        ? [{ start: new Date('2024-01-10T00:00:00Z'), end: new Date('2024-01-10T12:00:00Z') }]
+        : []));
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/reports/sla?month=2024-01&tag=critical&target=99.5');
+
+      expect(response.status).toBe(200);
+      expect(response.body.target).toBe(99.5);
+      expect(response.body.devices.map(d => d.id)).toEqual(['mac-000000000002', 'mac-000000000001']);
+      expect(response.body.devices[0]).toMatchObject({ name: 'NAS', outageCount: 1, meetsTarget: false });
+      expect(response.body.devices[1]).toMatchObject({ name: 'router', uptimePercent: 100, meetsTarget: true });
+      expect(response.body.summary).toMatchObject({ devices: 2, meetingTarget: 1, missingTarget: 1, outageCount: 1, downtime: 43200000 });
+
+      mockDataStore.getOutages.mockReset();
+    });
+
+    test('should reject an invalid target', async () => {
+      const request = require('supertest');
+      const response = await request(app).get('/api/reports/sla?target=101');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/target/);
+    });
+
+    test('should leave maintenance windows out of uptime', async () => {
+      maintenanceCalendar.addWindow({
+        name: 'Firmware upgrade',
+        scope: 'device',
+        deviceId: 'mac-aabbccddeeff',
+        start: '2024-01-10T00:00:00Z',
+        end: '2024-01-10T02:00:00Z'
+      });
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', firstSeen: '2023-12-01T00:00:00.000Z' });
+      mockDataStore.getOutages.mockResolvedValueOnce([
+        { deviceId: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', start: new Date('2024-01-10T00:30:00Z'), end: new Date('2024-01-10T01:00:00Z') }
+      ]);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/mac-aabbccddeeff/uptime?month=2024-01');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ monitoredTime: 31 * 86400000 - 7200000, uptimePercent: 100, downtime: 0, outageCount: 0 });
+      expect(response.body.outages).toHaveLength(1);
+      expect(response.body.maintenance).toEqual([{ start: '2024-01-10T00:00:00.000Z', end: '2024-01-10T02:00:00.000Z' }]);
+    });
+  });
+
+  describe('Maintenance windows', () => {
+    const nightly = { name: 'Lab shutdown', scope: 'tag', tag: 'lab', mode: 'pause', schedule: '0 22 * * *', duration: 600 };
+
+    test('should add, list, replace and remove windows', async () => {
+      const request = require('supertest');
+
+      const created = await request(app).post('/api/maintenance').send(nightly);
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ ...nightly, deviceId: null, start: null, isActive: expect.any(Boolean) });
+      expect(mockDataStore.saveMaintenanceWindow).toHaveBeenCalledWith(expect.objectContaining({ id: created.body.id }));
+
+      const list = await request(app).get('/api/maintenance');
+      expect(list.body.map(window => window.id)).toEqual([created.body.id]);
+
+      const updated = await request(app).put(`/api/maintenance/${created.body.id}`).send({ ...nightly, mode: 'flag' });
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ id: created.body.id, mode: 'flag' });
+      expect((await request(app).get(`/api/maintenance/${created.body.id}`)).body.mode).toBe('flag');
+
+      const removed = await request(app).delete(`/api/maintenance/${created.body.id}`);
+      expect(removed.status).toBe(200);
+      expect(mockDataStore.deleteMaintenanceWindow).toHaveBeenCalledWith(created.body.id);
+      expect(maintenanceCalendar.getWindows()).toEqual([]);
+    });
+
+    test('should store device windows by device ID', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100' });
+
+      const request = require('supertest');
+      const response = await request(app).post('/api/maintenance').send({
+        name: 'Firmware upgrade',
+        scope: 'device',
+        deviceId: '192.168.1.100',
+        start: '2024-01-10T00:00:00Z',
+        end: '2024-01-10T02:00:00Z'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ deviceId: 'mac-aabbccddeeff', mode: 'flag', isActive: false });
+    });
 
-describe('REST API Server', () => {
-  let server;
-  let app;
+    test('should reject invalid windows and unknown devices', async () => {
+      const request = require('supertest');
 
-  beforeEach(() => {
-    // Reset all mocks
-    jest.clearAllMocks();
+      const invalid = await request(app).post('/api/maintenance').send({ ...nightly, schedule: 'nightly' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toMatch(/five fields/);
+      expect(invalid.body.example).toMatchObject({ scope: 'tag', schedule: '0 22 * * mon-fri' });
+
+      mockDataStore.getDevice.mockResolvedValueOnce(null);
+      const unknown = await request(app).post('/api/maintenance')
+        .send({ name: 'Upgrade', scope: 'device', deviceId: '10.0.0.250', schedule: '0 2 * * *', duration: 60 });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toMatch(/No device/);
+      expect(mockDataStore.saveMaintenanceWindow).not.toHaveBeenCalled();
+    });
 
-    // Create server instance
-    const serverInstance = createServer({
-      deviceScanner: mockDeviceScanner,
-      statusMonitor: mockStatusMonitor,
-      trafficAnalyzer: mockTrafficAnalyzer,
-      healthMonitor: mockHealthMonitor,
-      dataStore: mockDataStore
-    }, { port: 3001 });
+    test('should return 404 for unknown windows', async () => {
+      const request = require('supertest');
 
-    server = serverInstance;
-    app = serverInstance.app;
+      expect((await request(app).get('/api/maintenance/missing')).status).toBe(404);
+      expect((await request(app).put('/api/maintenance/missing').send(nightly)).status).toBe(404);
+      expect((await request(app).delete('/api/maintenance/missing')).status).toBe(404);
+    });
   });
 
-  afterEach(async () => {
-    if (server) {
-      await server.stop();
-    }
+  describe('Monitoring profiles', () => {
+    const iot = { name: 'IoT', tags: ['iot'], status: { checkInterval: 300000 }, health: { enabled: false } };
+
+    test('should add, list, replace and remove profiles and apply them right away', async () => {
+      const request = require('supertest');
+
+      const created = await request(app).post('/api/profiles').send(iot);
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ name: 'IoT', status: { enabled: true, checkInterval: 300000, failureThreshold: null }, health: { enabled: false } });
+      expect(mockDataStore.saveMonitoringProfile).toHaveBeenCalledWith(expect.objectContaining({ id: created.body.id }));
+      expect(mockStatusMonitor.refreshProfiles).toHaveBeenCalledTimes(1);
+      expect(mockHealthMonitor.refreshProfiles).toHaveBeenCalledTimes(1);
+
+      mockDataStore.getAllDevices.mockResolvedValueOnce([{ id: 'mac-000000000001', profileId: created.body.id }, { id: 'mac-000000000002', profileId: null }]);
+      const list = await request(app).get('/api/profiles');
+      expect(list.body).toEqual([{ ...created.body, deviceIds: ['mac-000000000001'] }]);
+
+      const updated = await request(app).put(`/api/profiles/${created.body.id}`).send({ ...iot, status: { checkInterval: 600000 } });
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ id: created.body.id, status: { checkInterval: 600000 } });
+      expect((await request(app).get(`/api/profiles/${created.body.id}`)).body.status.checkInterval).toBe(600000);
+      expect(mockStatusMonitor.refreshProfiles).toHaveBeenCalledTimes(2);
+    });
+
+    test('should unassign a removed profile from its devices', async () => {
+      const profile = monitoringProfiles.addProfile(iot);
+      mockDataStore.getAllDevices.mockResolvedValueOnce([{ id: 'mac-000000000001', profileId: profile.id }, { id: 'mac-000000000002', profileId: null }]);
+
+      const request = require('supertest');
+      const removed = await request(app).delete(`/api/profiles/${profile.id}`);
+
+      expect(removed.status).toBe(200);
+      expect(mockDataStore.deleteMonitoringProfile).toHaveBeenCalledWith(profile.id);
+      expect(mockDataStore.updateDeviceProfile).toHaveBeenCalledTimes(1);
+      expect(mockDataStore.updateDeviceProfile).toHaveBeenCalledWith('mac-000000000001', null);
+      expect(mockDeviceScanner.setProfile).toHaveBeenCalledWith('mac-000000000001', null);
+      expect(mockStatusMonitor.refreshProfiles).toHaveBeenCalled();
+      expect(monitoringProfiles.getProfiles()).toEqual([]);
+    });
+
+    test('should assign a profile to a device', async () => {
+      const profile = monitoringProfiles.addProfile(iot);
+      mockDataStore.updateDeviceProfile.mockResolvedValueOnce({ id: 'mac-000000000001', ipAddress: '192.168.1.1', profileId: profile.id, archivedAt: null });
+
+      const request = require('supertest');
+      const response = await request(app).put('/api/devices/192.168.1.1/profile').send({ profileId: profile.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.profileId).toBe(profile.id);
+      expect(mockDataStore.updateDeviceProfile).toHaveBeenCalledWith('192.168.1.1', profile.id);
+      expect(mockDeviceScanner.setProfile).toHaveBeenCalledWith('mac-000000000001', profile.id);
+      expect(mockHealthMonitor.refreshProfiles).toHaveBeenCalled();
+    });
+
+    test('should reject invalid profiles and unknown profile IDs', async () => {
+      const request = require('supertest');
+
+      const invalid = await request(app).post('/api/profiles').send({ ...iot, status: { checkInterval: 10 } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toMatch(/status.checkInterval/);
+      expect(invalid.body.example).toMatchObject({ name: 'Critical server' });
+
+      const unknown = await request(app).put('/api/devices/192.168.1.1/profile').send({ profileId: 'missing' });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toMatch(/No monitoring profile/);
+      expect(mockDataStore.updateDeviceProfile).not.toHaveBeenCalled();
+
+      expect((await request(app).get('/api/profiles/missing')).status).toBe(404);
+      expect((await request(app).put('/api/profiles/missing').send(iot)).status).toBe(404);
+      expect((await request(app).delete('/api/profiles/missing')).status).toBe(404);
+    });
   });
 
-  describe('GET /api/devices', () => {
-    test('should return all devices', async () => {
-      const mockDevices = [
-        {
-          ipAddress: '192.168.1.100',
-          macAddress: 'AA:BB:CC:DD:EE:FF',
-          hostname: 'test-device',
-          vendor: 'Apple',
-          firstSeen: new Date(),
-          lastSeen: new Date(),
-          isActive: true
-        }
-      ];
+  describe('Path monitoring', () => {
+    test('should start tracing a new target', async () => {
+      mockHealthMonitor.getPath.mockReturnValue(undefined);
 
-      mockDataStore.getAllDevices.mockResolvedValue(mockDevices);
+      const request = require('supertest');
+      const response = await request(app).post('/api/paths').send({ target: '8.8.8.8', protocol: 'icmp' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ target: '8.8.8.8', protocol: 'icmp', path: null });
+      expect(mockHealthMonitor.startPathMonitoring).toHaveBeenCalledWith('8.8.8.8', 'icmp');
+      expect(mockDataStore.savePathTarget).toHaveBeenCalledWith(expect.objectContaining({ target: '8.8.8.8', protocol: 'icmp', path: null }));
+    });
 
+    test('should reject invalid and duplicate targets', async () => {
       const request = require('supertest');
-      const response = await request(app).get('/api/devices');
+
+      const invalid = await request(app).post('/api/paths').send({ target: '--help' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.example).toEqual({ target: '8.8.8.8', protocol: 'icmp' });
+
+      mockHealthMonitor.getPath.mockReturnValue(null);
+      const duplicate = await request(app).post('/api/paths').send({ target: '8.8.8.8' });
+      expect(duplicate.status).toBe(409);
+      expect(mockHealthMonitor.startPathMonitoring).not.toHaveBeenCalled();
+    });
+
+    test('should list, get and remove targets', async () => {
+      const entry = { target: '8.8.8.8', protocol: 'udp', path: { hops: [], reachedTarget: false } };
+      mockHealthMonitor.getPaths.mockReturnValue([entry]);
+      mockHealthMonitor.getPath.mockImplementation(target => (target === '8.8.8.8' ? entry.path : undefined));
+
+      const request = require('supertest');
+      expect((await request(app).get('/api/paths')).body).toEqual([entry]);
+      expect((await request(app).get('/api/paths/8.8.8.8')).body).toEqual(entry);
+      expect((await request(app).get('/api/paths/1.1.1.1')).status).toBe(404);
+
+      const removed = await request(app).delete('/api/paths/8.8.8.8');
+      expect(removed.body).toEqual({ status: 'deleted', target: '8.8.8.8' });
+      expect(mockHealthMonitor.stopPathMonitoring).toHaveBeenCalledWith('8.8.8.8');
+      expect(mockDataStore.deletePathTarget).toHaveBeenCalledWith('8.8.8.8');
+
+      expect((await request(app).delete('/api/paths/1.1.1.1')).status).toBe(404);
+      mockHealthMonitor.getPath.mockReset();
+    });
+  });
+
+  describe('WAN monitoring', () => {
+    test('should return the internet status', async () => {
+      const wan = { status: 'degraded', reason: '1 of 2 external targets unreachable', checks: [] };
+      mockWanMonitor.getStatus.mockReturnValue(wan);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/wan');
 
       expect(response.status).toBe(200);
-      expect(response.body).toHaveLength(1);
-      expect(response.body[0].ipAddress).toBe('192.168.1.100');
-      expect(response.body[0].macAddress).toBe('AA:BB:CC:DD:EE:FF');
-      expect(response.body[0].hostname).toBe('test-device');
-      expect(mockDataStore.getAllDevices).toHaveBeenCalledTimes(1);
+      expect(response.body).toEqual(wan);
     });
 
-    test('should return empty array when no devices', async () => {
-      mockDataStore.getAllDevices.mockResolvedValue([]);
+    test('should return the outages of a period with the downtime', async () => {
+      mockDataStore.getWanOutages.mockResolvedValue([
+        { start: new Date(Date.now() - 3 * 60 * 60 * 1000), end: new Date(Date.now() - 2 * 60 * 60 * 1000), cause: 'Gateway not answering' }
+      ]);
 
       const request = require('supertest');
-      const response = await request(app).get('/api/devices');
+      const response = await request(app).get('/api/wan/outages?range=24h');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual([]);
+      expect(response.body).toMatchObject({ outageCount: 1, downtime: 60 * 60 * 1000, isDown: false });
+      expect(response.body.outages).toEqual([
+        expect.objectContaining({ cause: 'Gateway not answering', duration: 60 * 60 * 1000 })
+      ]);
+      const [start, end] = mockDataStore.getWanOutages.mock.calls[0];
+      expect(end.getTime() - start.getTime()).toBe(24 * 60 * 60 * 1000);
+
+      const invalid = await request(app).get('/api/wan/outages?range=forever');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.example).toEqual({ range: '7d' });
+    });
+
+    test('should respond with 503 when WAN monitoring is not enabled', async () => {
+      const withoutWan = createServer({
+        deviceScanner: mockDeviceScanner,
+        statusMonitor: mockStatusMonitor,
+        trafficAnalyzer: mockTrafficAnalyzer,
+        healthMonitor: mockHealthMonitor,
+        dataStore: mockDataStore
+      }, { port: 3002 });
+
+      const request = require('supertest');
+      const response = await request(withoutWan.app).get('/api/wan');
+
+      expect(response.status).toBe(503);
+      expect(response.body.message).toBe('WAN monitoring is not enabled');
     });
   });
 
-  describe('POST /api/devices/scan', () => {
-    test('should trigger network scan and return status', async () => {
-      mockDeviceScanner.scanNetwork.mockResolvedValue([]);
+  describe('DNS monitoring', () => {
+    test('should return the last result of each name and resolver', async () => {
+      const results = [{ name: 'example.com', type: 'A', resolver: '1.1.1.1', last: null, problem: null }];
+      mockDnsMonitor.getResults.mockReturnValue(results);
 
       const request = require('supertest');
-      const response = await request(app)
-        .post('/api/devices/scan')
-        .send({});
+      const response = await request(app).get('/api/dns');
 
       expect(response.status).toBe(200);
-      expect(response.body).toHaveProperty('status', 'started');
-      expect(response.body).toHaveProperty('estimatedTime');
-      expect(typeof response.body.estimatedTime).toBe('number');
+      expect(response.body).toEqual(results);
     });
 
-    test('should accept custom subnet', async () => {
-      mockDeviceScanner.scanNetwork.mockResolvedValue([]);
+    test('should return the query history of the last day with a summary', async () => {
+      mockDataStore.getDnsResults.mockResolvedValue([
+        { name: 'example.com', type: 'A', resolver: '1.1.1.1', outcome: 'ok', queryTime: 12, answers: ['93.184.216.34'] },
+        { name: 'example.com', type: 'A', resolver: '1.1.1.1', outcome: 'timeout', queryTime: -1, answers: [] }
+      ]);
 
       const request = require('supertest');
-      const response = await request(app)
-        .post('/api/devices/scan')
-        .send({ subnet: '10.0.0' });
+      const response = await request(app).get('/api/dns/history?name=example.com');
 
       expect(response.status).toBe(200);
-      expect(response.body.status).toBe('started');
+      expect(response.body.results).toHaveLength(2);
+      expect(response.body.summary).toEqual([
+        expect.objectContaining({ name: 'example.com', resolver: '1.1.1.1', queries: 2, failures: 1, timeouts: 1, queryTime: 12 })
+      ]);
+      const [filter] = mockDataStore.getDnsResults.mock.calls[0];
+      expect(filter).toMatchObject({ name: 'example.com', resolver: undefined });
+      expect(filter.end.getTime() - filter.start.getTime()).toBe(24 * 60 * 60 * 1000);
+
+      const invalid = await request(app).get('/api/dns/history?range=7d&month=2024-01');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe('Give only one of range, month or start');
+    });
+
+    test('should return the DNS alerts with filters', async () => {
+      mockDataStore.getDnsAlerts.mockResolvedValue([{ type: 'answersChanged', name: 'example.com' }]);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/dns/alerts?type=answersChanged&resolver=1.1.1.1&limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ type: 'answersChanged', name: 'example.com' }]);
+      expect(mockDataStore.getDnsAlerts).toHaveBeenCalledWith({
+        type: 'answersChanged', name: undefined, resolver: '1.1.1.1', since: null, limit: 10
+      });
+
+      expect((await request(app).get('/api/dns/alerts?limit=0')).status).toBe(400);
+    });
+
+    test('should respond with 503 when DNS monitoring is not enabled', async () => {
+      const withoutDns = createServer({
+        deviceScanner: mockDeviceScanner,
+        statusMonitor: mockStatusMonitor,
+        trafficAnalyzer: mockTrafficAnalyzer,
+        healthMonitor: mockHealthMonitor,
+        dataStore: mockDataStore
+      }, { port: 3002 });
+
+      const request = require('supertest');
+      const response = await request(withoutDns.app).get('/api/dns/history');
+
+      expect(response.status).toBe(503);
+      expect(response.body.message).toBe('DNS monitoring is not enabled');
     });
   });
 
@@ -184,6 +1168,23 @@ describe('REST API Server', () => {
       expect(response.body.latency).toBe(15.5);
       expect(response.body.packetLoss).toBe(0.5);
       expect(response.body.isDegraded).toBe(false);
+      expect(response.body.baseline).toBeNull();
+    });
+
+    test('should return what the baseline expects next to the current values', async () => {
+      const baseline = {
+        latency: { mean: 4.2, stdDev: 0.8, samples: 120, source: 'hour' },
+        packetLoss: { mean: 0, stdDev: 0, samples: 120, source: 'hour' }
+      };
+      mockHealthMonitor.getHealthMetrics.mockReturnValue({ ipAddress: '192.168.1.100', latency: 15.5, packetLoss: 0, anomalies: [] });
+      mockHealthMonitor.getBaseline.mockReturnValue(baseline);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/192.168.1.100/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ latency: 15.5, baseline });
+      expect(mockHealthMonitor.getBaseline).toHaveBeenCalledWith('192.168.1.100');
     });
 
     test('should return 404 for unknown device', async () => {
@@ -198,6 +1199,74 @@ describe('REST API Server', () => {
     });
   });
 
+  describe('GET /api/devices/:id/health/history', () => {
+    test('should downsample the history across the addresses the device used', async () => {
+      mockDataStore.getDevice.mockResolvedValue({
+        id: 'mac-aabbccddeeff',
+        ipAddress: '192.168.1.30',
+        ipHistory: [
+          { ipAddress: '192.168.1.20', firstSeen: '2024-01-15T00:00:00.000Z', lastSeen: '2024-01-15T10:00:00.000Z' },
+          { ipAddress: '192.168.1.30', firstSeen: '2024-01-15T10:01:00.000Z', lastSeen: '2024-01-15T12:00:00.000Z' }
+        ]
+      });
+      const recorded = {
+        '192.168.1.20': [
+          { ipAddress: '192.168.1.20', lastUpdated: new Date('2024-01-15T10:00:10Z'), latency: 10, jitter: 1, packetLoss: 0 },
+          // Another device took the address over
+          { ipAddress: '192.168.1.20', lastUpdated: new Date('2024-01-15T10:03:00Z'), latency: 900, jitter: 90, packetLoss: 0 }
+        ],
+        '192.168.1.30': [
+          { ipAddress: '192.168.1.30', lastUpdated: new Date('2024-01-15T10:02:00Z'), latency: 30, jitter: 3, packetLoss: 20 }
+        ]
+      };
+      mockDataStore.getHealthMetrics.mockImplementation(async ip => recorded[ip] || []);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .get('/api/devices/mac-aabbccddeeff/health/history')
+        .query({ start: '2024-01-15T10:00:00Z', end: '2024-01-15T11:00:00Z', resolution: '5m' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        id: 'mac-aabbccddeeff',
+        ipAddress: '192.168.1.30',
+        start: '2024-01-15T10:00:00.000Z',
+        resolution: 300000,
+        points: [{
+          timestamp: '2024-01-15T10:00:00.000Z',
+          samples: 2,
+          latency: { min: 10, avg: 20, max: 30 },
+          jitter: { min: 1, avg: 2, max: 3 },
+          packetLoss: { min: 0, avg: 10, max: 20 }
+        }]
+      });
+    });
+
+    test('should reject invalid ranges and resolutions', async () => {
+      const request = require('supertest');
+
+      const badRange = await request(app).get('/api/devices/192.168.1.20/health/history?start=yesterday');
+      expect(badRange.status).toBe(400);
+      expect(badRange.body).toHaveProperty('error', 'Bad Request');
+
+      const tooFine = await request(app).get('/api/devices/192.168.1.20/health/history?resolution=1s');
+      expect(tooFine.status).toBe(400);
+      expect(tooFine.body.message).toMatch(/too fine/);
+    });
+
+    test('should return 404 for an address without history', async () => {
+      mockDataStore.getDevice.mockResolvedValue(null);
+      mockDataStore.getHealthMetrics.mockResolvedValue([]);
+      mockHealthMonitor.getHealthMetrics.mockReturnValue(undefined);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/devices/192.168.1.200/health/history');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Device not found');
+    });
+  });
+
   describe('GET /api/traffic/current', () => {
     test('should return current traffic stats', async () => {
       const mockStats = {
@@ -336,6 +1405,168 @@ describe('REST API Server', () => {
     });
   });
 
+  describe('Vendor registry', () => {
+    test('should return registry statistics', async () => {
+      mockVendorLookup.getStats.mockReturnValue({ source: 'oui.tsv', entries: { 'MA-L': 10 } });
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/vendors');
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries['MA-L']).toBe(10);
+    });
+
+    test('should look up a MAC address', async () => {
+      mockVendorLookup.lookup.mockReturnValue({ vendor: 'Raspberry Pi Foundation', prefix: 'B827EB', registry: 'MA-L' });
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/vendors/B8:27:EB:12:34:56');
+
+      expect(response.status).toBe(200);
+      expect(response.body.vendor).toBe('Raspberry Pi Foundation');
+      expect(mockVendorLookup.lookup).toHaveBeenCalledWith('B8:27:EB:12:34:56');
+    });
+
+    test('should reject invalid MAC addresses', async () => {
+      const request = require('supertest');
+      const response = await request(app).get('/api/vendors/not-a-mac');
+
+      expect(response.status).toBe(400);
+      expect(mockVendorLookup.lookup).not.toHaveBeenCalled();
+    });
+
+    test('should import an uploaded registry and update device vendors', async () => {
+      const device = { ipAddress: '192.168.1.100', vendor: 'New Name' };
+      mockVendorLookup.importRegistry.mockResolvedValue({ imported: 1, total: 5 });
+      mockDeviceScanner.refreshVendors.mockReturnValue([device]);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/vendors/update')
+        .set('Content-Type', 'text/csv')
+        .send('Registry,Assignment,Organization Name,Organization Address\nMA-L,001122,New Name,Addr\n');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ imported: 1, total: 5, updatedDevices: 1 });
+      expect(mockVendorLookup.importRegistry).toHaveBeenCalledWith(expect.stringContaining('MA-L,001122'));
+      expect(mockDataStore.saveDevice).toHaveBeenCalledWith(device);
+    });
+
+    test('should return 400 for unparseable registry data', async () => {
+      mockVendorLookup.importRegistry.mockRejectedValue(new Error('No MAC address assignments found in the supplied data'));
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/vendors/update')
+        .set('Content-Type', 'text/plain')
+        .send('garbage');
+
+      expect(response.status).toBe(400);
+      expect(mockDeviceScanner.refreshVendors).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for an empty body', async () => {
+      const request = require('supertest');
+      const response = await request(app).post('/api/vendors/update');
+
+      expect(response.status).toBe(400);
+      expect(mockVendorLookup.importRegistry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Known devices and security events', () => {
+    const device = {
+      id: 'mac-aabbccddeeff',
+      ipAddress: '192.168.1.100',
+      macAddress: 'AA:BB:CC:DD:EE:FF'
+    };
+
+    test('should approve a device and report it as approved', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(device);
+
+      const request = require('supertest');
+      const response = await request(app)
+        .post('/api/devices/192.168.1.100/approve')
+        .send({ note: 'Office printer' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ deviceId: 'mac-aabbccddeeff', status: 'approved', note: 'Office printer' });
+      expect(mockDataStore.saveKnownDevice).toHaveBeenCalledWith(expect.objectContaining({ status: 'approved' }));
+
+      mockDataStore.getAllDevices.mockResolvedValueOnce([device, { id: 'mac-000000000002', ipAddress: '192.168.1.101' }]);
+      const devices = await request(app).get('/api/devices');
+      expect(devices.body.map(d => d.approval)).toEqual(['approved', 'pending']);
+    });
+
+    test('should ignore a device', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(device);
+
+      const request = require('supertest');
+      const response = await request(app).post('/api/devices/mac-aabbccddeeff/ignore');
+
+      expect(response.status).toBe(200);
+      expect(securityMonitor.getApproval('mac-aabbccddeeff')).toBe('ignored');
+    });
+
+    test('should reject devices without a MAC address', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce({ id: 'ip-192.168.1.102', ipAddress: '192.168.1.102', macAddress: 'unknown' });
+
+      const request = require('supertest');
+      const response = await request(app).post('/api/devices/192.168.1.102/approve');
+
+      expect(response.status).toBe(400);
+      expect(mockDataStore.saveKnownDevice).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when approving an unknown device', async () => {
+      mockDataStore.getDevice.mockResolvedValueOnce(null);
+
+      const request = require('supertest');
+      const response = await request(app).post('/api/devices/192.168.1.250/approve');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should list and remove allowlist entries', async () => {
+      securityMonitor.setApproval(device, 'approved');
+
+      const request = require('supertest');
+      const list = await request(app).get('/api/known-devices');
+      expect(list.body).toHaveLength(1);
+
+      const removed = await request(app).delete('/api/known-devices/mac-aabbccddeeff');
+      expect(removed.status).toBe(200);
+      expect(mockDataStore.deleteKnownDevice).toHaveBeenCalledWith('mac-aabbccddeeff');
+      expect(securityMonitor.getApproval('mac-aabbccddeeff')).toBe('pending');
+
+      const missing = await request(app).delete('/api/known-devices/mac-aabbccddeeff');
+      expect(missing.status).toBe(404);
+    });
+
+    test('should return filtered security events', async () => {
+      mockDataStore.getSecurityEvents.mockResolvedValueOnce([{ id: 'event-1', type: 'newDevice' }]);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/security/events?type=newDevice&limit=10&since=2024-01-15T00:00:00Z');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 'event-1', type: 'newDevice' }]);
+      expect(mockDataStore.getSecurityEvents).toHaveBeenCalledWith({
+        type: 'newDevice',
+        deviceId: undefined,
+        since: new Date('2024-01-15T00:00:00Z'),
+        limit: 10
+      });
+    });
+
+    test('should return 400 for invalid event filters', async () => {
+      const request = require('supertest');
+
+      expect((await request(app).get('/api/security/events?limit=0')).status).toBe(400);
+      expect((await request(app).get('/api/security/events?since=yesterday')).status).toBe(400);
+    });
+  });
+
   describe('GET /api/system/info', () => {
     test('should return system information', async () => {
       const request = require('supertest');
@@ -353,6 +1584,19 @@ describe('REST API Server', () => {
     });
   });
 
+  describe('GET /api/system/monitoring', () => {
+    test('should return the status check scheduler metrics', async () => {
+      const metrics = { devices: 40, queueDepth: 37, waiting: 1, running: 2, concurrency: 10, checksRun: 1200, lag: { last: 4, average: 12, max: 250 } };
+      mockStatusMonitor.getSchedulerMetrics.mockReturnValueOnce(metrics);
+
+      const request = require('supertest');
+      const response = await request(app).get('/api/system/monitoring');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ statusChecks: metrics });
+    });
+  });
+
   describe('Error handling', () => {
     test('should return 404 for undefined routes', async () => {
       const request = require('supertest');
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ArpConflictDetector = require('../../server/components/ArpConflictDetector');
+
+describe('ArpConflictDetector', () => {
+  const start = new Date('2026-01-01T00:00:00Z').getTime();
+  let detector;
+  let conflicts;
+
+  /**
+   * Observe a pair some seconds after the start of the test
+   * @param {string} ipAddress - IP address
+   * @param {string} macAddress - MAC address
+   * @param {number} seconds - Seconds after the start
+   * @returns {Object[]} Reported conflicts
+   */
+  const observe = (ipAddress, macAddress, seconds) =>
+    detector.observe({ ipAddress, macAddress, source: 'arp-traffic', timestamp: new Date(start + seconds * 1000) });
+
+  beforeEach(() => {
+    detector = new ArpConflictDetector({ window: 60000, gateways: ['192.168.1.1'] });
+    conflicts = [];
+    detector.on('arpConflict', conflict => conflicts.push(conflict));
+  });
+
+  describe('ordinary addresses', () => {
+    test('should not report an address that was handed to another device once', () => {
+      observe('192.168.1.50', 'AA:BB:CC:00:00:01', 0);
+      observe('192.168.1.50', 'aa-bb-cc-00-00-02', 10);
+      observe('192.168.1.50', 'AA:BB:CC:00:00:02', 20);
+
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should report two MAC addresses answering for one address', () => {
+      observe('192.168.1.50', 'AA:BB:CC:00:00:01', 0);
+      observe('192.168.1.50', 'AA:BB:CC:00:00:02', 10);
+      const reported = observe('192.168.1.50', 'AA:BB:CC:00:00:01', 20);
+
+      expect(reported).toHaveLength(1);
+      expect(conflicts).toEqual(reported);
+      expect(reported[0]).toMatchObject({
+        kind: 'duplicateIp',
+        ipAddress: '192.168.1.50',
+        macAddresses: ['AA:BB:CC:00:00:02', 'AA:BB:CC:00:00:01'],
+        evidence: { changes: 2 },
+        detectedAt: new Date(start + 20000)
+      });
+      expect(reported[0].evidence.claims[1]).toMatchObject({ macAddress: 'AA:BB:CC:00:00:01', count: 2, sources: ['arp-traffic'] });
+    });
+
+    test('should report flapping once the address changed often enough', () => {
+      ['01', '02', '01', '02', '01'].forEach((octet, i) => observe('192.168.1.50', `AA:BB:CC:00:00:${octet}`, i * 5));
+
+      expect(conflicts.map(conflict => conflict.kind)).toEqual(['duplicateIp', 'macFlapping']);
+      expect(conflicts[1].evidence.changes).toBe(4);
+    });
+
+    test('should not repeat a conflict within the window', () => {
+      ['01', '02', '01', '02'].forEach((octet, i) => observe('192.168.1.50', `AA:BB:CC:00:00:${octet}`, i * 5));
+      expect(conflicts).toHaveLength(1);
+
+      // The old observations have expired; a new round of flip-flopping is reported again
+      ['01', '02', '01'].forEach((octet, i) => observe('192.168.1.50', `AA:BB:CC:00:00:${octet}`, 120 + i * 5));
+      expect(conflicts).toHaveLength(2);
+    });
+
+    test('should forget observations that fell out of the window', () => {
+      observe('192.168.1.50', 'AA:BB:CC:00:00:01', 0);
+      observe('192.168.1.50', 'AA:BB:CC:00:00:02', 10);
+      observe('192.168.1.50', 'AA:BB:CC:00:00:01', 100);
+
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should ignore observations without a valid MAC address', () => {
+      expect(observe('192.168.1.50', 'unknown', 0)).toEqual([]);
+      expect(detector.addresses.size).toBe(0);
+    });
+  });
+
+  describe('gateway', () => {
+    test('should report another MAC address claiming the gateway address', () => {
+      observe('192.168.1.1', 'A8:BB:CC:00:00:01', 0);
+      observe('192.168.1.66', 'AA:BB:CC:00:00:66', 5);
+      observe('192.168.1.1', 'AA:BB:CC:00:00:66', 10);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        kind: 'gatewayImpersonation',
+        ipAddress: '192.168.1.1',
+        macAddresses: ['A8:BB:CC:00:00:01', 'AA:BB:CC:00:00:66'],
+        evidence: { expectedMac: 'A8:BB:CC:00:00:01', otherIps: ['192.168.1.66'], changes: 1 }
+      });
+    });
+
+    test('should accept a replaced router once the old one has gone quiet', () => {
+      observe('192.168.1.1', 'A8:BB:CC:00:00:01', 0);
+      observe('192.168.1.1', 'A8:BB:CC:00:00:02', 100);
+      observe('192.168.1.1', 'A8:BB:CC:00:00:02', 110);
+
+      expect(conflicts).toEqual([]);
+      expect(detector.gatewayMacs.get('192.168.1.1')).toBe('A8:BB:CC:00:00:02');
+    });
+  });
+
+  describe('readDefaultGateways', () => {
+    test('should read default routes from the kernel routing table', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'route-'));
+      const routePath = path.join(dir, 'route');
+      await fs.writeFile(routePath, [
+        'Iface\tDestination\tGateway \tFlags\tRefCnt\tUse\tMetric\tMask\t\tMTU\tWindow\tIRTT',
+        'eth0\t00000000\t0101A8C0\t0003\t0\t0\t100\t00000000\t0\t0\t0',
+        'eth0\t0001A8C0\t00000000\t0001\t0\t0\t100\t00FFFFFF\t0\t0\t0',
+        ''
+      ].join('\n'));
+
+      try {
+        expect(await ArpConflictDetector.readDefaultGateways(routePath)).toEqual(['192.168.1.1']);
+        expect(await ArpConflictDetector.readDefaultGateways(path.join(dir, 'missing'))).toEqual([]);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  createBaseline,
+  updateStat,
+  updateBaseline,
+  getExpectation,
+  scoreDeviation,
+  severityFor
+} = require('../../server/utils/baseline');
+
+// Buckets follow server local time, so the dates here are local too
+const at = hour => new Date(2024, 2, 15, hour, 30);
+
+describe('Baselines', () => {
+  test('should track a moving average and variance', () => {
+    let stat = updateStat(null, 10, 0.5);
+    expect(stat).toEqual({ mean: 10, variance: 0, samples: 1 });
+
+    stat = updateStat(stat, 20, 0.5);
+    expect(stat).toEqual({ mean: 15, variance: 25, samples: 2 });
+  });
+
+  test('should learn by hour of the day and fall back to the overall average', () => {
+    let baseline = createBaseline();
+    for (let i = 0; i < 3; i++) {
+      baseline = updateBaseline(baseline, 40, at(20));
+    }
+    baseline = updateBaseline(baseline, 5, at(3));
+
+    expect(getExpectation(baseline, at(20), 3)).toMatchObject({ mean: 40, stdDev: 0, samples: 3, source: 'hour' });
+    // Three in the evening and one at night: the night is not known well enough yet
+    expect(getExpectation(baseline, at(3), 3)).toMatchObject({ samples: 4, source: 'overall' });
+    expect(getExpectation(baseline, at(3), 3).mean).toBeCloseTo(36.5, 10);
+    expect(getExpectation(createBaseline(), at(3), 3)).toBeNull();
+    expect(getExpectation(baseline, at(3), 5)).toBeNull();
+  });
+
+  test('should score deviations with a floor on the spread', () => {
+    // A steady 0.5 ms server: a tenth of a millisecond more is noise, 5 ms is not
+    const steady = { mean: 0.5, stdDev: 0.01, samples: 50, source: 'hour' };
+    expect(scoreDeviation(steady, 0.6, 1)).toBeCloseTo(0.1, 10);
+    expect(scoreDeviation(steady, 5.5, 1)).toBeCloseTo(5, 10);
+
+    // A Wi-Fi camera around 40 ms with 10 ms of spread
+    const camera = { mean: 40, stdDev: 10, samples: 50, source: 'hour' };
+    expect(scoreDeviation(camera, 55, 1)).toBeCloseTo(1.5, 10);
+    expect(scoreDeviation(camera, 100, 1)).toBeCloseTo(6, 10);
+    expect(scoreDeviation(camera, 20, 1)).toBeLessThan(0);
+  });
+
+  test('should name severities by score', () => {
+    expect(severityFor(3)).toBe('minor');
+    expect(severityFor(6)).toBe('major');
+    expect(severityFor(40)).toBe('critical');
+  });
+});
@@ -0,0 +1,147 @@
+const CheckScheduler = require('../../server/components/CheckScheduler');
+const { PriorityQueue } = require('../../server/utils/priorityQueue');
+const { Semaphore } = require('../../server/utils/semaphore');
+
+describe('CheckScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    if (scheduler) {
+      scheduler.stop();
+    }
+    jest.useRealTimers();
+  });
+
+  test('should run checks in order of due time from a single timer', async () => {
+    const runs = [];
+    scheduler = new CheckScheduler({ run: async key => { runs.push([key, Date.now()]); } });
+    const start = Date.now();
+
+    scheduler.schedule('c', 300);
+    scheduler.schedule('a', 100);
+    scheduler.schedule('b', 200);
+    expect(jest.getTimerCount()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(300);
+
+    expect(runs.map(([key, time]) => [key, time - start])).toEqual([['a', 100], ['b', 200], ['c', 300]]);
+    expect(scheduler.getMetrics()).toMatchObject({ queueDepth: 0, checksRun: 3, lag: { last: 0, max: 0 } });
+  });
+
+  test('should replace and cancel pending checks', async () => {
+    const run = jest.fn().mockResolvedValue(undefined);
+    scheduler = new CheckScheduler({ run });
+
+    scheduler.schedule('a', 100);
+    scheduler.schedule('a', 500);
+    scheduler.schedule('b', 200);
+    scheduler.cancel('b');
+    expect(scheduler.has('a')).toBe(true);
+    expect(scheduler.has('b')).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(400);
+    expect(run).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(100);
+    expect(run.mock.calls).toEqual([['a']]);
+  });
+
+  test('should limit concurrency and report the lag of checks that had to wait', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    scheduler = new CheckScheduler({
+      concurrency: 2,
+      run: () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        return new Promise(resolve => setTimeout(() => {
+          running--;
+          resolve();
+        }, 100));
+      }
+    });
+
+    for (const key of ['a', 'b', 'c', 'd', 'e']) {
+      scheduler.schedule(key, 0);
+    }
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(scheduler.getMetrics()).toMatchObject({ queueDepth: 0, waiting: 3, running: 2, concurrency: 2 });
+
+    await jest.advanceTimersByTimeAsync(300);
+
+    expect(maxRunning).toBe(2);
+    expect(scheduler.getMetrics()).toMatchObject({
+      waiting: 0,
+      running: 0,
+      checksRun: 5,
+      lag: { last: 200, average: 80, max: 200 }
+    });
+  });
+
+  test('should skip checks cancelled while waiting for a slot', async () => {
+    const run = jest.fn(() => new Promise(resolve => setTimeout(resolve, 100)));
+    scheduler = new CheckScheduler({ run, concurrency: 1 });
+
+    scheduler.schedule('a', 0);
+    scheduler.schedule('b', 0);
+    await jest.advanceTimersByTimeAsync(0);
+    scheduler.cancel('b');
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(run.mock.calls).toEqual([['a']]);
+  });
+
+  test('should keep running after a failing check', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const run = jest.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValueOnce(undefined);
+    scheduler = new CheckScheduler({ run, concurrency: 1 });
+
+    scheduler.schedule('a', 0);
+    scheduler.schedule('b', 10);
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(consoleError).toHaveBeenCalledWith('Error running check a:', 'boom');
+    consoleError.mockRestore();
+  });
+});
+
+describe('PriorityQueue', () => {
+  test('should pop items smallest first', () => {
+    const queue = new PriorityQueue((a, b) => a - b);
+    for (const n of [5, 1, 4, 1, 3, 9, 2]) {
+      queue.push(n);
+    }
+
+    expect(queue.size).toBe(7);
+    expect(queue.peek()).toBe(1);
+    expect(Array.from({ length: 7 }, () => queue.pop())).toEqual([1, 1, 2, 3, 4, 5, 9]);
+    expect(queue.pop()).toBeUndefined();
+  });
+});
+
+describe('Semaphore', () => {
+  test('should hand permits to waiters in order', async () => {
+    const semaphore = new Semaphore(1);
+    const order = [];
+
+    await semaphore.acquire();
+    const first = semaphore.acquire().then(() => order.push('first'));
+    const second = semaphore.acquire().then(() => order.push('second'));
+    expect(semaphore.waiting).toBe(2);
+
+    semaphore.release();
+    await first;
+    semaphore.release();
+    await second;
+
+    expect(order).toEqual(['first', 'second']);
+    semaphore.release();
+    expect(semaphore.held).toBe(0);
+  });
+});
@@ -109,6 +109,143 @@ describe('DataStore', () => {
       const device = await dataStore.getDevice('192.168.1.999');
       expect(device).toBeNull();
     });
+
+    test('should key devices by MAC-derived ID', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', isActive: true });
+      await dataStore.saveDevice({ ipAddress: '192.168.1.101', macAddress: 'AA:BB:CC:DD:EE:FF', isActive: true });
+
+      const allDevices = await dataStore.getAllDevices();
+      expect(allDevices).toHaveLength(1);
+      expect(allDevices[0].id).toBe('mac-aabbccddeeff');
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).ipAddress).toBe('192.168.1.101');
+      expect((await dataStore.getDevice('192.168.1.101')).id).toBe('mac-aabbccddeeff');
+    });
+
+    test('should replace the IP-based placeholder once the MAC address is known', async () => {
+      await dataStore.saveDevice({ id: 'ip-192.168.1.100', ipAddress: '192.168.1.100', macAddress: 'unknown' });
+      await dataStore.saveDevice({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+
+      const allDevices = await dataStore.getAllDevices();
+      expect(allDevices.map(d => d.id)).toEqual(['mac-aabbccddeeff']);
+    });
+
+    test('should keep user metadata when the scanner saves the device again', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', hostname: 'tv.lan' });
+      const updated = await dataStore.updateDeviceMetadata('192.168.1.100', { name: 'Living room TV', tags: ['media'] });
+
+      expect(updated.metadata).toEqual({ name: 'Living room TV', tags: ['media'], notes: null, owner: null, location: null, type: null });
+
+      // A rescan carrying stale metadata must not overwrite the edit
+      await dataStore.saveDevice({
+        id: 'mac-aabbccddeeff',
+        ipAddress: '192.168.1.100',
+        macAddress: 'AA:BB:CC:DD:EE:FF',
+        hostname: 'tv-2.lan',
+        metadata: { name: null, tags: [], notes: null, owner: null, location: null, type: null }
+      });
+
+      const retrieved = await dataStore.getDevice('mac-aabbccddeeff');
+      expect(retrieved.hostname).toBe('tv-2.lan');
+      expect(retrieved.metadata.name).toBe('Living room TV');
+      expect(await dataStore.updateDeviceMetadata('mac-000000000001', { notes: 'Spare' })).toBeNull();
+    });
+
+    test('should keep the probe configuration when the scanner saves the device again', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+      expect((await dataStore.getDevice('192.168.1.100')).probe).toBeNull();
+
+      const probe = { type: 'tcp', port: 22, timeout: 2000 };
+      expect((await dataStore.updateDeviceProbe('192.168.1.100', probe)).probe).toEqual(probe);
+
+      await dataStore.saveDevice({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', probe: null });
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).probe).toEqual(probe);
+      expect(await dataStore.updateDeviceProbe('mac-000000000001', probe)).toBeNull();
+    });
+
+    test('should keep the parent when the scanner saves the device again', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+      expect((await dataStore.getDevice('192.168.1.100')).parentId).toBeNull();
+
+      expect((await dataStore.updateDeviceParent('192.168.1.100', 'mac-000000000001')).parentId).toBe('mac-000000000001');
+
+      await dataStore.saveDevice({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).parentId).toBe('mac-000000000001');
+      expect(await dataStore.updateDeviceParent('mac-000000000002', null)).toBeNull();
+    });
+
+    test('should keep the assigned profile when the scanner saves the device again', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+      expect((await dataStore.getDevice('192.168.1.100')).profileId).toBeNull();
+
+      expect((await dataStore.updateDeviceProfile('192.168.1.100', 'p1')).profileId).toBe('p1');
+
+      await dataStore.saveDevice({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).profileId).toBe('p1');
+      expect(await dataStore.updateDeviceProfile('mac-000000000002', null)).toBeNull();
+    });
+
+    test('should carry metadata over from the IP-based placeholder', async () => {
+      await dataStore.saveDevice({ id: 'ip-192.168.1.100', ipAddress: '192.168.1.100', macAddress: 'unknown' });
+      await dataStore.updateDeviceMetadata('ip-192.168.1.100', { owner: 'Alex' });
+      await dataStore.saveDevice({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).metadata.owner).toBe('Alex');
+    });
+
+    test('should purge a device with its history', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', ipHistory: [{ ipAddress: '192.168.1.99' }, { ipAddress: '192.168.1.100' }] });
+      await dataStore.saveDevice({ ipAddress: '192.168.1.99', macAddress: 'AA:BB:CC:DD:EE:01' });
+      for (const ipAddress of ['192.168.1.100', '192.168.1.99']) {
+        await dataStore.saveHealthMetrics({ ipAddress, latency: 1, packetLoss: 0, jitter: 0, lastUpdated: new Date() });
+      }
+      await dataStore.saveSecurityEvent({ id: 'event-1', type: 'newDevice', deviceId: 'mac-aabbccddeeff', timestamp: new Date() });
+      await dataStore.saveKnownDevice({ deviceId: 'mac-aabbccddeeff', status: 'approved', updatedAt: new Date() });
+      await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', false, new Date());
+      await dataStore.updateDeviceParent('mac-aabbccddee01', 'mac-aabbccddeeff');
+
+      const purged = await dataStore.purgeDevice('192.168.1.100');
+
+      expect(purged.id).toBe('mac-aabbccddeeff');
+      expect((await dataStore.getAllDevices()).map(d => d.id)).toEqual(['mac-aabbccddee01']);
+      // 192.168.1.99 belongs to another device now, so its metrics stay
+      expect(dataStore.data.healthMetrics.map(m => m.ipAddress)).toEqual(['192.168.1.99']);
+      expect(await dataStore.getSecurityEvents()).toEqual([]);
+      expect(await dataStore.getKnownDevices()).toEqual([]);
+      expect(await dataStore.getOutages('mac-aabbccddeeff')).toEqual([]);
+      expect((await dataStore.getDevice('mac-aabbccddee01')).parentId).toBeNull();
+      expect(await dataStore.purgeDevice('192.168.1.100')).toBeNull();
+    });
+
+    test('should archive devices unseen since a given time until they are seen again', async () => {
+      const now = Date.now();
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', lastSeen: new Date(now - 40 * 86400000), isActive: true });
+      await dataStore.saveDevice({ ipAddress: '192.168.1.101', macAddress: 'AA:BB:CC:DD:EE:01', lastSeen: new Date(now), isActive: true });
+
+      const archived = await dataStore.archiveDevices(new Date(now - 30 * 86400000));
+
+      expect(archived.map(d => d.id)).toEqual(['mac-aabbccddeeff']);
+      expect(archived[0].isActive).toBe(false);
+      expect(await dataStore.archiveDevices(new Date(now - 30 * 86400000))).toEqual([]);
+
+      await dataStore.saveDevice({ id: 'mac-aabbccddeeff', ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', lastSeen: new Date(now) });
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).archivedAt).toBeNull();
+    });
+
+    test('should take a device out of the archive', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF', lastSeen: new Date(0) });
+      await dataStore.archiveDevices(new Date());
+
+      expect((await dataStore.getDevice('mac-aabbccddeeff')).archivedAt).toBeTruthy();
+      expect((await dataStore.unarchiveDevice('mac-aabbccddeeff')).archivedAt).toBeNull();
+      expect(await dataStore.unarchiveDevice('mac-000000000001')).toBeNull();
+    });
+
+    test('should delete a device by ID', async () => {
+      await dataStore.saveDevice({ ipAddress: '192.168.1.100', macAddress: 'AA:BB:CC:DD:EE:FF' });
+
+      await dataStore.deleteDevice('mac-aabbccddeeff');
+      expect(await dataStore.getAllDevices()).toHaveLength(0);
+    });
   });
 
   describe('Traffic Stats Operations', () => {
@@ -240,6 +377,252 @@ describe('DataStore', () => {
     });
   });
 
+  describe('Known Devices Operations', () => {
+    test('should save, update and delete allowlist entries', async () => {
+      await dataStore.saveKnownDevice({ deviceId: 'mac-aabbccddeeff', macAddress: 'AA:BB:CC:DD:EE:FF', status: 'approved', note: null, updatedAt: new Date() });
+      await dataStore.saveKnownDevice({ deviceId: 'mac-aabbccddeeff', macAddress: 'AA:BB:CC:DD:EE:FF', status: 'ignored', note: 'Guest', updatedAt: new Date() });
+
+      let entries = await dataStore.getKnownDevices();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ status: 'ignored', note: 'Guest' });
+      expect(typeof entries[0].updatedAt).toBe('string');
+
+      await dataStore.deleteKnownDevice('mac-aabbccddeeff');
+      entries = await dataStore.getKnownDevices();
+      expect(entries).toHaveLength(0);
+    });
+  });
+
+  describe('Security Events Operations', () => {
+    test('should return events newest first with filters', async () => {
+      await dataStore.saveSecurityEvent({ id: '1', type: 'newDevice', deviceId: 'mac-000000000001', timestamp: new Date('2024-01-15T10:00:00Z') });
+      await dataStore.saveSecurityEvent({ id: '2', type: 'deviceChanged', deviceId: 'mac-000000000001', timestamp: new Date('2024-01-15T11:00:00Z') });
+      await dataStore.saveSecurityEvent({ id: '3', type: 'newDevice', deviceId: 'mac-000000000002', timestamp: new Date('2024-01-15T12:00:00Z') });
+
+      expect((await dataStore.getSecurityEvents()).map(e => e.id)).toEqual(['3', '2', '1']);
+      expect((await dataStore.getSecurityEvents({ type: 'newDevice' })).map(e => e.id)).toEqual(['3', '1']);
+      expect((await dataStore.getSecurityEvents({ deviceId: 'mac-000000000001', limit: 1 })).map(e => e.id)).toEqual(['2']);
+
+      const recent = await dataStore.getSecurityEvents({ since: new Date('2024-01-15T11:00:00Z') });
+      expect(recent.map(e => e.id)).toEqual(['3', '2']);
+      expect(recent[0].timestamp).toBeInstanceOf(Date);
+    });
+
+    test('should persist events across restarts', async () => {
+      await dataStore.saveSecurityEvent({ id: '1', type: 'newDevice', deviceId: 'mac-000000000001', timestamp: new Date() });
+      await dataStore.close();
+
+      dataStore = new DataStore(testDir);
+      await dataStore.initialize();
+
+      expect(await dataStore.getSecurityEvents()).toHaveLength(1);
+    });
+  });
+
+  describe('Outage Operations', () => {
+    test('should open an outage when a device goes offline and close it when it returns', async () => {
+      const opened = await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', false, new Date('2024-01-15T10:00:00Z'));
+      expect(opened).toMatchObject({ deviceId: 'mac-aabbccddeeff', start: '2024-01-15T10:00:00.000Z', end: null });
+
+      // Already offline: the open outage goes on
+      expect(await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', false, new Date('2024-01-15T10:05:00Z'))).toBeNull();
+
+      const closed = await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', true, new Date('2024-01-15T10:30:00Z'));
+      expect(closed).toMatchObject({ start: '2024-01-15T10:00:00.000Z', end: '2024-01-15T10:30:00.000Z' });
+      expect(await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', true, new Date('2024-01-15T10:31:00Z'))).toBeNull();
+
+      const outages = await dataStore.getOutages('mac-aabbccddeeff');
+      expect(outages).toHaveLength(1);
+      expect(outages[0].start).toEqual(new Date('2024-01-15T10:00:00Z'));
+      expect(outages[0].end).toEqual(new Date('2024-01-15T10:30:00Z'));
+    });
+
+    test('should return the outages overlapping a range', async () => {
+      const record = (isOnline, at) => dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', isOnline, new Date(at));
+      await record(false, '2024-01-10T00:00:00Z');
+      await record(true, '2024-01-10T01:00:00Z');
+      await record(false, '2024-01-14T23:00:00Z');
+      await record(true, '2024-01-15T01:00:00Z');
+      await record(false, '2024-01-20T00:00:00Z');
+      await dataStore.recordStatusTransition('mac-000000000001', '192.168.1.101', false, new Date('2024-01-15T00:00:00Z'));
+
+      const outages = await dataStore.getOutages('mac-aabbccddeeff', new Date('2024-01-15T00:00:00Z'), new Date('2024-01-31T00:00:00Z'));
+      expect(outages.map(o => o.start.toISOString())).toEqual(['2024-01-14T23:00:00.000Z', '2024-01-20T00:00:00.000Z']);
+      expect(outages[1].end).toBeNull();
+    });
+
+    test('should remove outages that ended before the retention period but keep open ones', async () => {
+      await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', false, new Date('2023-01-01T00:00:00Z'));
+      await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', true, new Date('2023-01-01T01:00:00Z'));
+      await dataStore.recordStatusTransition('mac-000000000001', '192.168.1.101', false, new Date('2023-01-01T00:00:00Z'));
+
+      await dataStore.cleanupOutages(new Date('2024-01-01T00:00:00Z'));
+
+      expect(await dataStore.getOutages('mac-aabbccddeeff')).toEqual([]);
+      expect(await dataStore.getOutages('mac-000000000001')).toHaveLength(1);
+    });
+
+    test('should persist outages across restarts', async () => {
+      await dataStore.recordStatusTransition('mac-aabbccddeeff', '192.168.1.100', false, new Date());
+      await dataStore.close();
+
+      dataStore = new DataStore(testDir);
+      await dataStore.initialize();
+
+      expect(await dataStore.getOutages('mac-aabbccddeeff')).toHaveLength(1);
+    });
+  });
+
+  describe('Monitoring Snapshot Operations', () => {
+    test('should replace the saved snapshots and keep them across restarts', async () => {
+      await dataStore.saveMonitoringSnapshots([{ ipAddress: '192.168.1.1', isOnline: true }, { ipAddress: '192.168.1.2', isOnline: true }]);
+      await dataStore.saveMonitoringSnapshots([{ ipAddress: '192.168.1.1', isOnline: false, checkInterval: 60000 }]);
+      await dataStore.close();
+
+      dataStore = new DataStore(testDir);
+      await dataStore.initialize();
+
+      expect(await dataStore.getMonitoringSnapshots()).toEqual([{ ipAddress: '192.168.1.1', isOnline: false, checkInterval: 60000 }]);
+    });
+
+    test('should replace the saved health baselines', async () => {
+      const baseline = { overall: { mean: 10, variance: 1, samples: 20 }, buckets: new Array(24).fill(null) };
+      await dataStore.saveHealthBaselines([{ ipAddress: '192.168.1.1', latency: baseline, packetLoss: baseline }]);
+      await dataStore.saveHealthBaselines([{ ipAddress: '192.168.1.2', latency: baseline, packetLoss: baseline }]);
+
+      expect(await dataStore.getHealthBaselines()).toEqual([{ ipAddress: '192.168.1.2', latency: baseline, packetLoss: baseline }]);
+    });
+
+    test('should return the latest health metrics of each device', async () => {
+      await dataStore.saveHealthMetrics({ ipAddress: '192.168.1.1', latency: 10, lastUpdated: new Date('2024-01-15T10:01:00Z') });
+      await dataStore.saveHealthMetrics({ ipAddress: '192.168.1.1', latency: 30, lastUpdated: new Date('2024-01-15T10:00:00Z') });
+      await dataStore.saveHealthMetrics({ ipAddress: '192.168.1.2', latency: 20, lastUpdated: new Date('2024-01-15T10:00:00Z') });
+
+      const latest = await dataStore.getLatestHealthMetrics();
+
+      expect(latest).toEqual([
+        { ipAddress: '192.168.1.1', latency: 10, lastUpdated: new Date('2024-01-15T10:01:00Z') },
+        { ipAddress: '192.168.1.2', latency: 20, lastUpdated: new Date('2024-01-15T10:00:00Z') }
+      ]);
+    });
+  });
+
+  describe('Maintenance Window Operations', () => {
+    const nightly = { id: 'w1', name: 'Lab shutdown', scope: 'tag', tag: 'lab', schedule: '0 22 * * *', duration: 600, start: null, end: null };
+    const upgrade = { id: 'w2', name: 'Upgrade', scope: 'global', schedule: null, duration: null, start: '2023-01-01T00:00:00.000Z', end: '2023-01-01T02:00:00.000Z' };
+
+    test('should save, replace and delete windows and keep them across restarts', async () => {
+      await dataStore.saveMaintenanceWindow(nightly);
+      await dataStore.saveMaintenanceWindow({ ...nightly, duration: 480 });
+      await dataStore.saveMaintenanceWindow(upgrade);
+      await dataStore.close();
+
+      dataStore = new DataStore(testDir);
+      await dataStore.initialize();
+
+      expect(await dataStore.getMaintenanceWindows()).toEqual([{ ...nightly, duration: 480 }, upgrade]);
+
+      await dataStore.deleteMaintenanceWindow('w1');
+      expect((await dataStore.getMaintenanceWindows()).map(window => window.id)).toEqual(['w2']);
+    });
+
+    test('should remove one-off windows that ended before the retention period', async () => {
+      await dataStore.saveMaintenanceWindow(nightly);
+      await dataStore.saveMaintenanceWindow(upgrade);
+
+      const removed = await dataStore.cleanupMaintenanceWindows(new Date('2024-01-01T00:00:00Z'));
+
+      expect(removed.map(window => window.id)).toEqual(['w2']);
+      expect((await dataStore.getMaintenanceWindows()).map(window => window.id)).toEqual(['w1']);
+    });
+  });
+
+  describe('Monitoring Profile Operations', () => {
+    const iot = { id: 'p1', name: 'IoT', tags: ['iot'], status: { enabled: true, checkInterval: 300000 }, health: { enabled: false } };
+    const server = { id: 'p2', name: 'Critical server', tags: [], status: { enabled: true, checkInterval: 10000 }, health: { enabled: true } };
+
+    test('should save, replace and delete profiles and keep them across restarts', async () => {
+      await dataStore.saveMonitoringProfile(iot);
+      await dataStore.saveMonitoringProfile({ ...iot, name: 'Sensors' });
+      await dataStore.saveMonitoringProfile(server);
+      await dataStore.close();
+
+      dataStore = new DataStore(testDir);
+      await dataStore.initialize();
+
+      expect(await dataStore.getMonitoringProfiles()).toEqual([{ ...iot, name: 'Sensors' }, server]);
+
+      await dataStore.deleteMonitoringProfile('p1');
+      expect((await dataStore.getMonitoringProfiles()).map(profile => profile.id)).toEqual(['p2']);
+    });
+  });
+
+  describe('Path Target Operations', () => {
+    test('should save targets with their last trace and keep them across restarts', async () => {
+      await dataStore.savePathTarget({ target: '8.8.8.8', protocol: 'icmp', addedAt: '2024-01-15T10:00:00.000Z', path: null });
+      await dataStore.savePathTarget({ target: 'nas.lan', protocol: 'udp', addedAt: '2024-01-15T11:00:00.000Z', path: null });
+      await dataStore.updatePathTrace('8.8.8.8', { hops: [{ ttl: 1, address: '192.168.1.1' }] });
+      await dataStore.updatePathTrace('1.1.1.1', { hops: [] });
+      await dataStore.close();
+
+      dataStore = new DataStore(testDir);
+      await dataStore.initialize();
+
+      expect(await dataStore.getPathTargets()).toEqual([
+        { target: '8.8.8.8', protocol: 'icmp', addedAt: '2024-01-15T10:00:00.000Z', path: { hops: [{ ttl: 1, address: '192.168.1.1' }] } },
+        { target: 'nas.lan', protocol: 'udp', addedAt: '2024-01-15T11:00:00.000Z', path: null }
+      ]);
+
+      await dataStore.deletePathTarget('8.8.8.8');
+      expect((await dataStore.getPathTargets()).map(entry => entry.target)).toEqual(['nas.lan']);
+    });
+  });
+
+  describe('WAN Outage Operations', () => {
+    test('should record internet outages with their cause and remove old ones', async () => {
+      const opened = await dataStore.recordWanTransition(true, new Date('2023-06-01T10:00:00Z'), 'Gateway not answering');
+      expect(opened).toMatchObject({ start: '2023-06-01T10:00:00.000Z', end: null, cause: 'Gateway not answering' });
+      expect(await dataStore.recordWanTransition(true, new Date('2023-06-01T10:01:00Z'))).toBeNull();
+      await dataStore.recordWanTransition(false, new Date('2023-06-01T10:30:00Z'));
+      await dataStore.recordWanTransition(true, new Date('2024-01-15T10:00:00Z'), 'No external target reachable');
+
+      const outages = await dataStore.getWanOutages(new Date('2024-01-01T00:00:00Z'));
+      expect(outages).toHaveLength(1);
+      expect(outages[0]).toMatchObject({ start: new Date('2024-01-15T10:00:00Z'), end: null, cause: 'No external target reachable' });
+
+      await dataStore.cleanupOutages(new Date('2024-01-01T00:00:00Z'));
+      expect(await dataStore.getWanOutages()).toHaveLength(1);
+    });
+  });
+
+  describe('DNS Monitoring Operations', () => {
+    test('should save DNS query results, filter them and remove old ones', async () => {
+      const result = (resolver, timestamp) => ({
+        name: 'example.com', type: 'A', resolver, timestamp: new Date(timestamp), outcome: 'ok', rcode: 'NOERROR', answers: ['93.184.216.34'], queryTime: 12, error: null
+      });
+      await dataStore.saveDnsResults([result('1.1.1.1', '2024-01-14T10:00:00Z'), result('8.8.8.8', '2024-01-14T10:00:00Z')]);
+      await dataStore.saveDnsResults([result('1.1.1.1', '2024-01-15T10:00:00Z')]);
+
+      const results = await dataStore.getDnsResults({ resolver: '1.1.1.1' });
+      expect(results.map(r => r.timestamp)).toEqual([new Date('2024-01-14T10:00:00Z'), new Date('2024-01-15T10:00:00Z')]);
+      expect(await dataStore.getDnsResults({ start: new Date('2024-01-15T00:00:00Z') })).toHaveLength(1);
+
+      await dataStore.cleanupOldData(new Date('2024-01-15T00:00:00Z'));
+      expect(await dataStore.getDnsResults()).toHaveLength(1);
+    });
+
+    test('should keep DNS alerts, newest first', async () => {
+      await dataStore.saveDnsAlert({ type: 'timeout', name: 'example.com', resolver: '1.1.1.1', timestamp: new Date('2024-01-15T10:00:00Z') });
+      await dataStore.saveDnsAlert({ type: 'answersChanged', name: 'example.com', resolver: '8.8.8.8', timestamp: new Date('2024-01-15T11:00:00Z') });
+
+      const alerts = await dataStore.getDnsAlerts();
+      expect(alerts.map(alert => alert.type)).toEqual(['answersChanged', 'timeout']);
+      expect(alerts[0].timestamp).toEqual(new Date('2024-01-15T11:00:00Z'));
+      expect(await dataStore.getDnsAlerts({ resolver: '1.1.1.1' })).toHaveLength(1);
+      expect(await dataStore.getDnsAlerts({ since: new Date('2024-01-15T10:30:00Z') })).toHaveLength(1);
+    });
+  });
+
   describe('Cleanup Operations', () => {
     test('should remove old traffic stats', async () => {
       const now = new Date('2024-01-15T12:00:00Z');
@@ -340,6 +723,58 @@ describe('DataStore', () => {
     });
   });
 
+  describe('Migration', () => {
+    test('should merge devices stored once per IP address by older versions', async () => {
+      await dataStore.close();
+      await fs.writeFile(path.join(testDir, 'db.json'), JSON.stringify({
+        devices: [
+          {
+            ipAddress: '192.168.1.20',
+            macAddress: 'AA:BB:CC:DD:EE:FF',
+            hostname: 'laptop',
+            firstSeen: '2024-01-01T00:00:00.000Z',
+            lastSeen: '2024-01-05T00:00:00.000Z',
+            isActive: false
+          },
+          {
+            ipAddress: '192.168.1.35',
+            macAddress: 'AA:BB:CC:DD:EE:FF',
+            hostname: 'laptop',
+            firstSeen: '2024-01-06T00:00:00.000Z',
+            lastSeen: '2024-01-09T00:00:00.000Z',
+            isActive: true
+          },
+          {
+            ipAddress: '192.168.1.1',
+            macAddress: 'unknown',
+            firstSeen: '2024-01-01T00:00:00.000Z',
+            lastSeen: '2024-01-09T00:00:00.000Z',
+            isActive: true
+          }
+        ],
+        trafficStats: [],
+        healthMetrics: []
+      }));
+
+      const migrated = new DataStore(testDir);
+      await migrated.initialize();
+
+      const devices = await migrated.getAllDevices();
+      expect(devices).toHaveLength(2);
+
+      const laptop = await migrated.getDevice('mac-aabbccddeeff');
+      expect(laptop).toMatchObject({
+        ipAddress: '192.168.1.35',
+        firstSeen: '2024-01-01T00:00:00.000Z',
+        isActive: true
+      });
+      expect(laptop.ipHistory.map(entry => entry.ipAddress)).toEqual(['192.168.1.20', '192.168.1.35']);
+      expect((await migrated.getDevice('192.168.1.1')).id).toBe('ip-192.168.1.1');
+
+      await migrated.close();
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle corrupted data gracefully', async () => {
       // Write invalid JSON to the database file
@@ -0,0 +1,42 @@
+const { validateParentId, wouldCreateLoop, suggestParents } = require('../../server/utils/dependencies');
+
+describe('Dependencies', () => {
+  const devices = [
+    { id: 'mac-000000000001', ipAddress: '192.168.1.1', parentId: null },
+    { id: 'mac-000000000002', ipAddress: '192.168.1.2', parentId: 'mac-000000000001' },
+    { id: 'mac-000000000003', ipAddress: '192.168.1.3', parentId: 'mac-000000000002' },
+    { id: 'mac-000000000004', ipAddress: '192.168.1.4', parentId: null },
+    { id: 'mac-000000000005', ipAddress: '192.168.1.5', parentId: null, archivedAt: '2024-01-01T00:00:00.000Z' }
+  ];
+
+  test('should validate parent IDs', () => {
+    expect(validateParentId(null)).toBeNull();
+    expect(validateParentId(' mac-000000000001 ')).toBe('mac-000000000001');
+    expect(() => validateParentId(undefined)).toThrow(/parentId must be/);
+    expect(() => validateParentId('')).toThrow(/parentId must be/);
+    expect(() => validateParentId(42)).toThrow(/parentId must be/);
+  });
+
+  test('should detect dependency loops', () => {
+    expect(wouldCreateLoop(devices, 'mac-000000000001', 'mac-000000000003')).toBe(true);
+    expect(wouldCreateLoop(devices, 'mac-000000000001', 'mac-000000000001')).toBe(true);
+    expect(wouldCreateLoop(devices, 'mac-000000000004', 'mac-000000000003')).toBe(false);
+    expect(wouldCreateLoop(devices, 'mac-000000000003', 'mac-000000000001')).toBe(false);
+
+    // An existing loop elsewhere does not hang the walk
+    const looped = [
+      { id: 'a', parentId: 'b' },
+      { id: 'b', parentId: 'a' },
+      { id: 'c', parentId: null }
+    ];
+    expect(wouldCreateLoop(looped, 'c', 'a')).toBe(false);
+  });
+
+  test('should suggest the gateway for devices without a parent', () => {
+    expect(suggestParents(devices, ['192.168.1.1'])).toEqual([
+      { deviceId: 'mac-000000000004', parentId: 'mac-000000000001', reason: 'Default gateway 192.168.1.1' }
+    ]);
+    expect(suggestParents(devices, ['10.0.0.1'])).toEqual([]);
+    expect(suggestParents(devices, [])).toEqual([]);
+  });
+});
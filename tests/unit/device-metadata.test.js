@@ -0,0 +1,58 @@
+const { validateMetadataPatch, matchesSearch, emptyMetadata } = require('../../server/utils/deviceMetadata');
+
+describe('deviceMetadata', () => {
+  describe('validateMetadataPatch', () => {
+    test('should trim text, clear empty fields and de-duplicate tags', () => {
+      expect(validateMetadataPatch({
+        name: '  Office printer ',
+        notes: '   ',
+        owner: null,
+        tags: [' office', 'Office', 'printers', ''],
+        type: 'printer'
+      })).toEqual({
+        name: 'Office printer',
+        notes: null,
+        owner: null,
+        tags: ['office', 'printers'],
+        type: 'printer'
+      });
+
+      expect(validateMetadataPatch({ tags: null })).toEqual({ tags: [] });
+    });
+
+    test('should reject unknown fields and invalid values', () => {
+      expect(() => validateMetadataPatch({})).toThrow(/Nothing to update/);
+      expect(() => validateMetadataPatch([])).toThrow(/must be an object/);
+      expect(() => validateMetadataPatch({ ipAddress: '10.0.0.1' })).toThrow(/Unknown field "ipAddress"/);
+      expect(() => validateMetadataPatch({ name: 42 })).toThrow(/name must be a string/);
+      expect(() => validateMetadataPatch({ location: 'x'.repeat(101) })).toThrow(/at most 100/);
+      expect(() => validateMetadataPatch({ type: 'toaster' })).toThrow(/type must be null or one of/);
+      expect(() => validateMetadataPatch({ tags: 'iot' })).toThrow(/array of strings/);
+      expect(() => validateMetadataPatch({ tags: ['x'.repeat(33)] })).toThrow(/at most 32/);
+      expect(() => validateMetadataPatch({ tags: Array.from({ length: 21 }, (_, i) => `tag${i}`) })).toThrow(/at most 20 tags/);
+    });
+  });
+
+  describe('matchesSearch', () => {
+    const device = {
+      ipAddress: '192.168.1.10',
+      macAddress: 'AA:BB:CC:DD:EE:10',
+      hostname: 'brn001.lan',
+      vendor: 'Brother Industries',
+      metadata: { ...emptyMetadata(), name: 'Office printer', tags: ['Shared'], owner: 'Sam', type: 'printer' }
+    };
+
+    test('should require every word of the query to match somewhere', () => {
+      expect(matchesSearch(device, { query: 'printer brother' })).toBe(true);
+      expect(matchesSearch(device, { query: 'sam 192.168.1.10' })).toBe(true);
+      expect(matchesSearch(device, { query: 'printer canon' })).toBe(false);
+    });
+
+    test('should filter by tag and type', () => {
+      expect(matchesSearch(device, { tag: 'shared', type: 'printer' })).toBe(true);
+      expect(matchesSearch(device, { tag: 'media' })).toBe(false);
+      expect(matchesSearch({ ipAddress: '192.168.1.11' }, { type: 'printer' })).toBe(false);
+      expect(matchesSearch({ ipAddress: '192.168.1.11' }, {})).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,592 @@
+const DeviceScanner = require('../../server/components/DeviceScanner');
+const NameResolver = require('../../server/components/NameResolver');
+
+// Mock network access
+jest.mock('ping', () => ({
+  promise: {
+    probe: jest.fn()
+  }
+}));
+
+jest.mock('node-arp', () => ({
+  getMAC: jest.fn((ip, callback) => callback(null, 'AA:BB:CC:DD:EE:FF'))
+}));
+
+jest.mock('dns', () => ({
+  promises: {
+    reverse: jest.fn().mockRejectedValue(new Error('ENOTFOUND'))
+  }
+}));
+
+const ping = require('ping');
+
+// Keep name resolution off the network: only the (mocked) reverse DNS lookup runs
+const nameResolver = new NameResolver({ resolvers: ['dns'] });
+
+/**
+ * Resolve on the next macrotask so pending probes can settle
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('DeviceScanner', () => {
+  let scanner;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scanner = new DeviceScanner({ concurrency: 4, progressInterval: 0, nameResolver });
+  });
+
+  describe('scanNetwork', () => {
+    test('should probe every host in the range and report devices', async () => {
+      ping.promise.probe.mockImplementation(async (ip) => ({ alive: ip.endsWith('.1') || ip.endsWith('.2') }));
+
+      const discovered = [];
+      scanner.on('deviceDiscovered', device => discovered.push(device.ipAddress));
+
+      const devices = await scanner.scanNetwork('10.0.0.0/29');
+
+      expect(ping.promise.probe).toHaveBeenCalledTimes(6);
+      expect(devices).toHaveLength(2);
+      expect(discovered.sort()).toEqual(['10.0.0.1', '10.0.0.2']);
+    });
+
+    test('should skip excluded hosts', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false });
+
+      await scanner.scanNetwork('10.0.0.0/29', { exclude: '10.0.0.4/30' });
+
+      const probed = ping.promise.probe.mock.calls.map(call => call[0]);
+      expect(probed).toEqual(['10.0.0.1', '10.0.0.2', '10.0.0.3']);
+    });
+
+    test('should only mark devices inside the scanned ranges inactive', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false });
+      scanner.deviceCache.set('10.0.0.1', { ipAddress: '10.0.0.1', isActive: true });
+      scanner.deviceCache.set('10.9.0.1', { ipAddress: '10.9.0.1', isActive: true });
+
+      await scanner.scanNetwork('10.0.0.0/30');
+
+      expect(scanner.deviceCache.get('10.0.0.1').isActive).toBe(false);
+      expect(scanner.deviceCache.get('10.9.0.1').isActive).toBe(true);
+    });
+
+    test('should keep devices that drop ICMP active while they are seen passively', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false });
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.2', macAddress: 'AA:BB:CC:DD:EE:02', source: 'arp-table' });
+      const discovered = [];
+      scanner.on('deviceDiscovered', device => discovered.push(device));
+
+      await scanner.scanNetwork('10.0.0.0/30');
+      const device = await scanner.recordNeighbor({ ipAddress: '10.0.0.2', macAddress: 'AA:BB:CC:DD:EE:02', source: 'arp-table' });
+
+      expect(device.isActive).toBe(true);
+      expect(discovered).toEqual([]);
+
+      // Not seen for a while: the sweep does mark it inactive
+      device.lastSeen = new Date(Date.now() - 3 * scanner.neighborPollInterval);
+      await scanner.scanNetwork('10.0.0.0/30');
+      expect(device.isActive).toBe(false);
+    });
+
+    test('should reject invalid ranges', async () => {
+      await expect(scanner.scanNetwork('10.0.0.0/99')).rejects.toThrow();
+    });
+  });
+
+  describe('recordNeighbor', () => {
+    const neighbor = {
+      ipAddress: '10.0.0.7',
+      macAddress: 'AA:BB:CC:DD:EE:01',
+      source: 'arp-table'
+    };
+
+    test('should add passively discovered devices to the cache', async () => {
+      const discovered = [];
+      scanner.on('deviceDiscovered', device => discovered.push(device));
+
+      const device = await scanner.recordNeighbor(neighbor);
+
+      expect(device.discoveryMethod).toBe('arp-table');
+      expect(device.isActive).toBe(true);
+      expect(scanner.getDevice('10.0.0.7')).toBe(device);
+      expect(scanner.getDevice('mac-aabbccddee01')).toBe(device);
+      expect(discovered).toHaveLength(1);
+    });
+
+    test('should only refresh devices that are already online', async () => {
+      await scanner.recordNeighbor(neighbor);
+      const discovered = [];
+      scanner.on('deviceDiscovered', device => discovered.push(device));
+
+      await scanner.recordNeighbor(neighbor);
+
+      expect(discovered).toHaveLength(0);
+    });
+
+    test('should re-announce devices that were inactive', async () => {
+      const first = await scanner.recordNeighbor(neighbor);
+      first.isActive = false;
+      const discovered = [];
+      scanner.on('deviceDiscovered', device => discovered.push(device));
+
+      const second = await scanner.recordNeighbor({ ...neighbor, source: 'arp-traffic' });
+
+      expect(discovered).toHaveLength(1);
+      expect(second.firstSeen).toBe(first.firstSeen);
+      expect(second.discoveryMethod).toBe('arp-traffic');
+    });
+
+    test('should mark ping sweep results as icmp', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+
+      const device = await scanner.scanDevice('10.0.0.8');
+      expect(device.discoveryMethod).toBe('icmp');
+    });
+  });
+
+  describe('device identity', () => {
+    const arp = require('node-arp');
+
+    test('should keep a device and its history when its IP address changes', async () => {
+      const first = await scanner.recordNeighbor({ ipAddress: '10.0.0.20', macAddress: 'AA:BB:CC:DD:EE:20', source: 'arp-table' });
+      const changes = [];
+      scanner.on('deviceIpChanged', (device, previousIp) => changes.push({ device, previousIp }));
+
+      const moved = await scanner.recordNeighbor({ ipAddress: '10.0.0.21', macAddress: 'AA:BB:CC:DD:EE:20', source: 'arp-table' });
+
+      expect(moved.id).toBe('mac-aabbccddee20');
+      expect(moved.firstSeen).toBe(first.firstSeen);
+      expect(moved.ipHistory.map(entry => entry.ipAddress)).toEqual(['10.0.0.20', '10.0.0.21']);
+      expect(scanner.getCachedDevices()).toHaveLength(1);
+      expect(changes).toEqual([{ device: moved, previousIp: '10.0.0.20' }]);
+    });
+
+    test('should carry user metadata through rescans', async () => {
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.22', macAddress: 'AA:BB:CC:DD:EE:22', source: 'arp-table' });
+      const metadata = { name: 'Kitchen speaker', tags: [], notes: null, owner: null, location: 'Kitchen', type: 'speaker' };
+
+      expect(scanner.setMetadata('mac-aabbccddee22', metadata)).toBe(true);
+      expect(scanner.setMetadata('mac-000000000001', metadata)).toBe(false);
+
+      const rescanned = await scanner.recordNeighbor({ ipAddress: '10.0.0.23', macAddress: 'AA:BB:CC:DD:EE:22', source: 'arp-table' });
+      expect(rescanned.metadata).toEqual(metadata);
+    });
+
+    test('should carry the probe configuration set by users into later scans', async () => {
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.26', macAddress: 'AA:BB:CC:DD:EE:26', source: 'arp-table' });
+      const probe = { type: 'tcp', port: 22, timeout: 2000 };
+
+      expect(scanner.setProbe('mac-aabbccddee26', probe)).toBe(true);
+      expect(scanner.setProbe('mac-000000000001', probe)).toBe(false);
+
+      const rescanned = await scanner.recordNeighbor({ ipAddress: '10.0.0.26', macAddress: 'AA:BB:CC:DD:EE:26', source: 'arp-table' });
+      expect(rescanned.probe).toEqual(probe);
+    });
+
+    test('should keep the parent set for a cached device across rescans', async () => {
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.27', macAddress: 'AA:BB:CC:DD:EE:27', source: 'arp-table' });
+
+      expect(scanner.setParent('mac-aabbccddee27', 'mac-aabbccddee01')).toBe(true);
+      expect(scanner.setParent('mac-000000000001', null)).toBe(false);
+
+      const rescanned = await scanner.recordNeighbor({ ipAddress: '10.0.0.27', macAddress: 'AA:BB:CC:DD:EE:27', source: 'arp-table' });
+      expect(rescanned.parentId).toBe('mac-aabbccddee01');
+    });
+
+    test('should forget removed devices and leave archived ones out of the cache', async () => {
+      scanner.restoreDevices([
+        { id: 'mac-aabbccddee24', ipAddress: '10.0.0.24', macAddress: 'AA:BB:CC:DD:EE:24', archivedAt: null },
+        { id: 'mac-aabbccddee25', ipAddress: '10.0.0.25', macAddress: 'AA:BB:CC:DD:EE:25', archivedAt: '2026-01-01T00:00:00.000Z' }
+      ]);
+      expect(scanner.getCachedDevices().map(device => device.id)).toEqual(['mac-aabbccddee24']);
+
+      const removed = [];
+      scanner.on('deviceRemoved', (device, reason) => removed.push([device.id, reason]));
+
+      expect(scanner.removeDevice('mac-aabbccddee24', 'deleted').ipAddress).toBe('10.0.0.24');
+      expect(scanner.removeDevice('mac-aabbccddee24', 'deleted')).toBeNull();
+      expect(removed).toEqual([['mac-aabbccddee24', 'deleted']]);
+
+      // Seen again after removal: a new device
+      const added = [];
+      scanner.on('deviceAdded', device => added.push(device.id));
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.24', macAddress: 'AA:BB:CC:DD:EE:24', source: 'arp-table' });
+      expect(added).toEqual(['mac-aabbccddee24']);
+    });
+
+    test('should fall back to an IP-based ID while the MAC address is unknown', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      arp.getMAC.mockImplementationOnce((ip, callback) => callback(new Error('no entry')));
+
+      const placeholder = await scanner.scanDevice('10.0.0.30');
+      expect(placeholder.id).toBe('ip-10.0.0.30');
+
+      const device = await scanner.recordNeighbor({ ipAddress: '10.0.0.30', macAddress: 'AA:BB:CC:DD:EE:30', source: 'arp-table' });
+
+      expect(device.id).toBe('mac-aabbccddee30');
+      expect(device.firstSeen).toBe(placeholder.firstSeen);
+      expect(scanner.getCachedDevices()).toEqual([device]);
+    });
+
+    test('should keep attributing an address to its device when an ARP lookup fails', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      const known = await scanner.scanDevice('10.0.0.40');
+      arp.getMAC.mockImplementationOnce((ip, callback) => callback(new Error('no entry')));
+
+      const device = await scanner.scanDevice('10.0.0.40');
+
+      expect(device.id).toBe(known.id);
+      expect(device.macAddress).toBe('AA:BB:CC:DD:EE:FF');
+      expect(scanner.getCachedDevices()).toHaveLength(1);
+    });
+
+    test('should mark the previous holder of a reassigned address inactive', async () => {
+      const previous = await scanner.recordNeighbor({ ipAddress: '10.0.0.50', macAddress: 'AA:BB:CC:DD:EE:50', source: 'arp-table' });
+
+      const current = await scanner.recordNeighbor({ ipAddress: '10.0.0.50', macAddress: 'AA:BB:CC:DD:EE:51', source: 'arp-table' });
+
+      expect(previous.isActive).toBe(false);
+      expect(scanner.getDevice('10.0.0.50')).toBe(current);
+    });
+
+    test('should restore persisted devices by ID', () => {
+      scanner.restoreDevices([
+        { ipAddress: '10.0.0.60', macAddress: 'AA:BB:CC:DD:EE:60', isActive: true },
+        { id: 'ip-10.0.0.61', ipAddress: '10.0.0.61', macAddress: 'unknown', isActive: true }
+      ]);
+
+      expect(scanner.getDevice('mac-aabbccddee60').ipAddress).toBe('10.0.0.60');
+      expect(scanner.getDevice('10.0.0.61').id).toBe('ip-10.0.0.61');
+    });
+  });
+
+  describe('name resolution', () => {
+    test('should store names and services found by the resolvers', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      scanner = new DeviceScanner({
+        nameResolver: {
+          resolve: jest.fn().mockResolvedValue({
+            hostname: 'printer.local',
+            friendlyName: 'Office Printer',
+            model: 'LaserJet M404',
+            manufacturer: null,
+            services: ['_ipp._tcp']
+          })
+        }
+      });
+
+      const device = await scanner.scanDevice('10.0.0.70');
+
+      expect(device).toMatchObject({
+        hostname: 'printer.local',
+        friendlyName: 'Office Printer',
+        model: 'LaserJet M404',
+        advertisedServices: ['_ipp._tcp']
+      });
+    });
+
+    test('should keep known names when a later lookup finds nothing', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      const resolve = jest.fn().mockResolvedValueOnce({
+        hostname: 'tv.local',
+        friendlyName: 'Living Room TV',
+        model: null,
+        manufacturer: null,
+        services: ['_googlecast._tcp']
+      });
+      resolve.mockResolvedValue({ hostname: 'unknown', friendlyName: null, model: null, manufacturer: null, services: [] });
+      scanner = new DeviceScanner({ nameResolver: { resolve } });
+
+      await scanner.scanDevice('10.0.0.71');
+      const device = await scanner.scanDevice('10.0.0.71');
+
+      expect(device.hostname).toBe('tv.local');
+      expect(device.friendlyName).toBe('Living Room TV');
+      expect(device.advertisedServices).toEqual(['_googlecast._tcp']);
+    });
+  });
+
+  describe('service scan', () => {
+    const inventory = {
+      openPorts: [22, 80],
+      services: [
+        { port: 22, protocol: 'tcp', name: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2', product: 'OpenSSH_9.2', title: null },
+        { port: 80, protocol: 'tcp', name: 'http', banner: 'HTTP/1.1 200 OK', product: 'nginx', title: 'Router' }
+      ],
+      scannedAt: new Date()
+    };
+
+    test('should not scan services unless a service scanner is configured', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+
+      const device = await scanner.scanDevice('10.0.0.80');
+
+      expect(scanner.serviceScanner).toBeNull();
+      expect(device.openPorts).toBeUndefined();
+    });
+
+    test('should store open ports and services on the device', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      const serviceScanner = { scan: jest.fn().mockResolvedValue(inventory) };
+      scanner = new DeviceScanner({ nameResolver, serviceScanner });
+
+      const device = await scanner.scanDevice('10.0.0.81');
+
+      expect(serviceScanner.scan).toHaveBeenCalledWith('10.0.0.81');
+      expect(device.openPorts).toEqual([22, 80]);
+      expect(device.services[1]).toMatchObject({ name: 'http', product: 'nginx', title: 'Router' });
+      expect(device.servicesScannedAt).toBe(inventory.scannedAt);
+    });
+
+    test('should not rescan services within the scan interval', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      const serviceScanner = { scan: jest.fn().mockResolvedValue(inventory) };
+      scanner = new DeviceScanner({ nameResolver, serviceScanner, serviceScanInterval: 60000 });
+
+      await scanner.scanDevice('10.0.0.82');
+      const device = await scanner.scanDevice('10.0.0.82');
+
+      expect(serviceScanner.scan).toHaveBeenCalledTimes(1);
+      expect(device.openPorts).toEqual([22, 80]);
+    });
+
+    test('should keep the device when the service scan fails', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      const serviceScanner = { scan: jest.fn().mockRejectedValue(new Error('boom')) };
+      scanner = new DeviceScanner({ nameResolver, serviceScanner });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const device = await scanner.scanDevice('10.0.0.83');
+
+      expect(device.ipAddress).toBe('10.0.0.83');
+      expect(device.openPorts).toBeUndefined();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('change detection', () => {
+    test('should emit deviceAdded only for devices seen for the first time', async () => {
+      const added = [];
+      scanner.on('deviceAdded', device => added.push(device.id));
+
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.90', macAddress: 'AA:BB:CC:DD:EE:90', source: 'arp-table' });
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.91', macAddress: 'AA:BB:CC:DD:EE:90', source: 'arp-table' });
+
+      expect(added).toEqual(['mac-aabbccddee90']);
+    });
+
+    test('should report a different MAC address answering on an address', async () => {
+      const changed = [];
+      scanner.on('deviceChanged', (device, changes) => changed.push({ device, changes }));
+
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.92', macAddress: 'AA:BB:CC:DD:EE:92', source: 'arp-table' });
+      const impostor = await scanner.recordNeighbor({ ipAddress: '10.0.0.92', macAddress: 'AA:BB:CC:DD:EE:93', source: 'arp-traffic' });
+
+      expect(changed).toHaveLength(1);
+      expect(changed[0].device).toBe(impostor);
+      expect(changed[0].changes[0]).toEqual({ field: 'macAddress', previous: 'AA:BB:CC:DD:EE:92', current: 'AA:BB:CC:DD:EE:93' });
+    });
+
+    test('should report hostname and open port changes', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true });
+      const names = { friendlyName: null, model: null, manufacturer: null, services: [] };
+      const resolve = jest.fn()
+        .mockResolvedValueOnce({ ...names, hostname: 'nas.lan' })
+        .mockResolvedValueOnce({ ...names, hostname: 'backup.lan' });
+      const scan = jest.fn()
+        .mockResolvedValueOnce({ openPorts: [22], services: [], scannedAt: new Date() })
+        .mockResolvedValueOnce({ openPorts: [22, 445], services: [], scannedAt: new Date() });
+      scanner = new DeviceScanner({ nameResolver: { resolve }, serviceScanner: { scan }, serviceScanInterval: 0 });
+
+      const changed = [];
+      scanner.on('deviceChanged', (device, changes) => changed.push(changes));
+
+      await scanner.scanDevice('10.0.0.94');
+      await scanner.scanDevice('10.0.0.94');
+
+      expect(changed).toEqual([[
+        { field: 'hostname', previous: 'nas.lan', current: 'backup.lan' },
+        { field: 'openPorts', previous: [22], current: [22, 445] }
+      ]]);
+    });
+
+    test('should emit arpObservation for every IP-to-MAC pair seen', async () => {
+      const observations = [];
+      scanner.on('arpObservation', observation => observations.push(observation));
+
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.95', macAddress: 'AA:BB:CC:DD:EE:95', source: 'arp-traffic' });
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.95', macAddress: 'AA:BB:CC:DD:EE:95', source: 'arp-traffic' });
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.96', macAddress: 'unknown', source: 'arp-table' });
+
+      expect(observations).toHaveLength(2);
+      expect(observations[0]).toMatchObject({ ipAddress: '10.0.0.95', macAddress: 'AA:BB:CC:DD:EE:95', source: 'arp-traffic' });
+      expect(observations[0].timestamp).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('vendors', () => {
+    const vendorLookup = {
+      lookup: jest.fn((mac) => ({
+        vendor: mac.startsWith('DA') ? 'Locally Administered' : 'Old Vendor',
+        isLocallyAdministered: mac.startsWith('DA')
+      }))
+    };
+
+    beforeEach(() => {
+      scanner = new DeviceScanner({ vendorLookup, nameResolver });
+    });
+
+    test('should flag randomized MAC addresses', async () => {
+      const device = await scanner.recordNeighbor({ ipAddress: '10.0.0.9', macAddress: 'DA:A1:19:00:00:01', source: 'arp-table' });
+
+      expect(device.vendor).toBe('Locally Administered');
+      expect(device.isRandomizedMac).toBe(true);
+    });
+
+    test('should report devices whose vendor changed after a registry refresh', async () => {
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.10', macAddress: 'AA:BB:CC:00:00:01', source: 'arp-table' });
+      await scanner.recordNeighbor({ ipAddress: '10.0.0.11', macAddress: 'DA:A1:19:00:00:01', source: 'arp-table' });
+
+      vendorLookup.lookup.mockImplementation((mac) => ({
+        vendor: mac.startsWith('DA') ? 'Locally Administered' : 'New Vendor',
+        isLocallyAdministered: mac.startsWith('DA')
+      }));
+      const changed = scanner.refreshVendors();
+
+      expect(changed.map(device => device.ipAddress)).toEqual(['10.0.0.10']);
+      expect(scanner.getDevice('10.0.0.10').vendor).toBe('New Vendor');
+    });
+  });
+
+  describe('scan jobs', () => {
+    test('should never exceed the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      ping.promise.probe.mockImplementation(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await flush();
+        inFlight--;
+        return { alive: false };
+      });
+
+      await scanner.scanNetwork('10.0.0.0/27');
+
+      expect(ping.promise.probe).toHaveBeenCalledTimes(30);
+      expect(maxInFlight).toBe(4);
+    });
+
+    test('should emit progress through to completion', async () => {
+      ping.promise.probe.mockImplementation(async (ip) => ({ alive: ip === '10.0.0.1' }));
+
+      const progress = [];
+      scanner.on('scanProgress', job => progress.push(job));
+
+      const job = scanner.startScan('10.0.0.0/29');
+      expect(job.status).toBe('queued');
+      expect(job.total).toBe(6);
+
+      await scanner.scanNetwork('10.0.0.5');
+
+      const statuses = progress.filter(p => p.id === job.id).map(p => p.status);
+      expect(statuses[0]).toBe('queued');
+      expect(statuses).toContain('running');
+      expect(statuses[statuses.length - 1]).toBe('completed');
+
+      const finished = scanner.getScanJob(job.id);
+      expect(finished.probed).toBe(6);
+      expect(finished.found).toBe(1);
+      expect(finished.completedAt).toBeInstanceOf(Date);
+    });
+
+    test('should queue overlapping scans and run them in order', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false });
+
+      const first = scanner.startScan('10.0.0.0/29');
+      const second = scanner.startScan('10.0.1.0/29');
+
+      expect(scanner.getActiveScan().id).toBe(first.id);
+      expect(second.status).toBe('queued');
+
+      await scanner.scanNetwork('10.0.2.1');
+      expect(first.status).toBe('completed');
+      expect(second.status).toBe('completed');
+      expect(second.startedAt.getTime()).toBeGreaterThanOrEqual(first.completedAt.getTime());
+    });
+
+    test('should refuse overlapping scans when configured to reject', () => {
+      scanner = new DeviceScanner({ overlapPolicy: 'reject', nameResolver });
+      ping.promise.probe.mockResolvedValue({ alive: false });
+
+      const first = scanner.startScan('10.0.0.0/29');
+
+      expect(() => scanner.startScan('10.0.1.0/29')).toThrow(/already in progress/);
+      try {
+        scanner.startScan('10.0.1.0/29');
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.activeScan.id).toBe(first.id);
+      }
+    });
+
+    test('should stop probing when a running scan is cancelled', async () => {
+      ping.promise.probe.mockImplementation(async () => {
+        await flush();
+        return { alive: false };
+      });
+
+      let completed = false;
+      scanner.on('scanComplete', () => { completed = true; });
+
+      const job = scanner.startScan('10.0.0.0/24');
+      const done = scanner.scanCompletions.get(job.id);
+
+      await flush();
+      await flush();
+      expect(job.status).toBe('running');
+
+      scanner.cancelScan(job.id);
+      await done;
+
+      expect(job.status).toBe('cancelled');
+      expect(job.probed).toBeLessThan(job.total);
+      expect(ping.promise.probe.mock.calls.length).toBeLessThan(254);
+      expect(completed).toBe(false);
+    });
+
+    test('should cancel queued scans before they start', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false });
+
+      scanner.startScan('10.0.0.0/29');
+      const queued = scanner.startScan('10.0.1.0/29');
+      scanner.cancelScan(queued.id);
+
+      await scanner.scanNetwork('10.0.2.1');
+
+      const probed = ping.promise.probe.mock.calls.map(call => call[0]);
+      expect(probed.some(ip => ip.startsWith('10.0.1.'))).toBe(false);
+      expect(queued.startedAt).toBeNull();
+    });
+
+    test('should refuse to cancel finished scans', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false });
+
+      await scanner.scanNetwork('10.0.0.1');
+      const [job] = scanner.getScanJobs();
+
+      expect(() => scanner.cancelScan(job.id)).toThrow(/already completed/);
+      expect(scanner.cancelScan('missing')).toBeNull();
+    });
+
+    test('should keep a bounded scan history', async () => {
+      scanner = new DeviceScanner({ maxScanHistory: 2, nameResolver });
+      ping.promise.probe.mockResolvedValue({ alive: false });
+
+      await scanner.scanNetwork('10.0.0.1');
+      await scanner.scanNetwork('10.0.0.2');
+      await scanner.scanNetwork('10.0.0.3');
+
+      expect(scanner.getScanJobs()).toHaveLength(2);
+    });
+  });
+});
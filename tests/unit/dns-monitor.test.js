@@ -0,0 +1,216 @@
+const dgram = require('dgram');
+const DnsMonitor = require('../../server/components/DnsMonitor');
+const dnsPacket = require('../../server/utils/dnsPacket');
+const {
+  parseDnsName,
+  parseDnsNames,
+  formatAnswer,
+  classifyRcode,
+  answersChanged,
+  summarizeDnsResults
+} = require('../../server/utils/dnsMonitor');
+
+describe('DNS monitoring', () => {
+  describe('parseDnsName', () => {
+    test('should take a name with an optional record type', () => {
+      expect(parseDnsName('Example.COM.')).toEqual({ name: 'example.com', type: 'A' });
+      expect(parseDnsName('example.com:aaaa')).toEqual({ name: 'example.com', type: 'AAAA' });
+      expect(parseDnsName('_sip._tcp.example.com:SRV')).toEqual({ name: '_sip._tcp.example.com', type: 'SRV' });
+    });
+
+    test('should reject invalid names and record types', () => {
+      expect(() => parseDnsName('exa mple.com')).toThrow(/must be a domain name/);
+      expect(() => parseDnsName('example.com:A:B')).toThrow(/must be a domain name/);
+      expect(() => parseDnsName('example.com:SOA')).toThrow(/must be one of/);
+    });
+  });
+
+  test('parseDnsNames should split a comma-separated list', () => {
+    expect(parseDnsNames(' example.com, ,example.org:MX ')).toEqual([
+      { name: 'example.com', type: 'A' },
+      { name: 'example.org', type: 'MX' }
+    ]);
+    expect(parseDnsNames('')).toEqual([]);
+  });
+
+  test('formatAnswer should write the data of each record type as text', () => {
+    expect(formatAnswer({ data: '93.184.216.34' })).toBe('93.184.216.34');
+    expect(formatAnswer({ data: ['v=spf1 ', '-all'] })).toBe('v=spf1 -all');
+    expect(formatAnswer({ data: { preference: 10, exchange: 'mail.example.com' } })).toBe('10 mail.example.com');
+    expect(formatAnswer({ data: { priority: 0, weight: 5, port: 5060, target: 'sip.example.com' } })).toBe('0 5 5060 sip.example.com');
+  });
+
+  test('classifyRcode should tell NOERROR and NXDOMAIN from other errors', () => {
+    expect(classifyRcode('NOERROR')).toBe('ok');
+    expect(classifyRcode('NXDOMAIN')).toBe('nxdomain');
+    expect(classifyRcode('SERVFAIL')).toBe('error');
+  });
+
+  test('answersChanged should only be true when none of the answers is among the old ones', () => {
+    expect(answersChanged(['1.1.1.1', '2.2.2.2'], ['3.3.3.3'])).toBe(true);
+    expect(answersChanged(['1.1.1.1', '2.2.2.2'], ['2.2.2.2', '3.3.3.3'])).toBe(false);
+    expect(answersChanged([], ['3.3.3.3'])).toBe(false);
+    expect(answersChanged(['1.1.1.1'], [])).toBe(false);
+  });
+
+  test('summarizeDnsResults should count failures and summarize query times of each pair', () => {
+    const result = (resolver, outcome, queryTime) => ({ name: 'example.com', type: 'A', resolver, outcome, queryTime });
+
+    expect(summarizeDnsResults([
+      result('1.1.1.1', 'ok', 10),
+      result('1.1.1.1', 'timeout', -1),
+      result('8.8.8.8', 'timeout', -1),
+      result('1.1.1.1', 'nxdomain', 30),
+      result('1.1.1.1', 'ok', 20)
+    ])).toEqual([
+      {
+        name: 'example.com',
+        type: 'A',
+        resolver: '1.1.1.1',
+        queries: 4,
+        failures: 2,
+        timeouts: 1,
+        queryTime: 20,
+        minQueryTime: 10,
+        maxQueryTime: 30,
+        medianQueryTime: 20,
+        p95QueryTime: 30
+      },
+      expect.objectContaining({ resolver: '8.8.8.8', queries: 1, failures: 1, timeouts: 1, queryTime: -1 })
+    ]);
+  });
+});
+
+describe('DnsMonitor', () => {
+  // Local stand-in for a DNS resolver, serving the records in `zone`
+  let dnsServer;
+  let dnsPort;
+  let zone;
+  let silent;
+  let monitor;
+  let alerts;
+
+  beforeEach(async () => {
+    zone = {
+      'example.com': { A: ['93.184.216.34'] },
+      'example.org': { MX: [{ preference: 10, exchange: 'mail.example.org' }] }
+    };
+    silent = false;
+
+    dnsServer = dgram.createSocket('udp4');
+    dnsServer.on('message', (message, rinfo) => {
+      if (silent) {
+        return;
+      }
+      const query = dnsPacket.decode(message);
+      const { name, type } = query.questions[0];
+      const records = zone[name];
+      const answers = records && records[type]
+        ? records[type].map(data => ({ name, type, ttl: 60, data }))
+        : [];
+      const rcode = records ? 'NOERROR' : 'NXDOMAIN';
+      dnsServer.send(dnsPacket.encode({ id: query.id, isResponse: true, rcode, questions: query.questions, answers }), rinfo.port, rinfo.address);
+    });
+    dnsPort = await new Promise(resolve => dnsServer.bind(0, '127.0.0.1', () => resolve(dnsServer.address().port)));
+
+    monitor = new DnsMonitor({
+      names: 'example.com,example.org:MX',
+      resolvers: [`127.0.0.1:${dnsPort}`],
+      timeout: 300
+    });
+    alerts = [];
+    monitor.onAlert(alert => alerts.push(alert));
+  });
+
+  afterEach(async () => {
+    monitor.stop();
+    await new Promise(resolve => dnsServer.close(() => resolve()));
+  });
+
+  test('should resolve each name against each resolver', async () => {
+    const resolver = `127.0.0.1:${dnsPort}`;
+
+    const results = await monitor.checkNow();
+
+    expect(results).toEqual([
+      expect.objectContaining({ name: 'example.com', type: 'A', resolver, outcome: 'ok', rcode: 'NOERROR', answers: ['93.184.216.34'], error: null }),
+      expect.objectContaining({ name: 'example.org', type: 'MX', resolver, outcome: 'ok', answers: ['10 mail.example.org'] })
+    ]);
+    expect(results[0].queryTime).toBeGreaterThanOrEqual(0);
+    expect(results[0].timestamp).toBeInstanceOf(Date);
+    expect(monitor.getResults()[0]).toEqual({ name: 'example.com', type: 'A', resolver, last: results[0], problem: null });
+    expect(alerts).toEqual([]);
+  });
+
+  test('should alert once on NXDOMAIN until the name resolves again', async () => {
+    await monitor.checkNow();
+    delete zone['example.org'];
+
+    const [, result] = await monitor.checkNow();
+    await monitor.checkNow();
+
+    expect(result).toMatchObject({ outcome: 'nxdomain', rcode: 'NXDOMAIN', answers: [] });
+    expect(alerts).toEqual([expect.objectContaining({
+      type: 'nxdomain',
+      name: 'example.org',
+      recordType: 'MX',
+      resolver: `127.0.0.1:${dnsPort}`,
+      rcode: 'NXDOMAIN',
+      message: `example.org MX query to 127.0.0.1:${dnsPort} failed with NXDOMAIN`
+    })]);
+    expect(monitor.getResults()[1].problem).toBe('nxdomain');
+
+    zone['example.org'] = { MX: [{ preference: 10, exchange: 'mail.example.org' }] };
+    await monitor.checkNow();
+    expect(monitor.getResults()[1].problem).toBeNull();
+  });
+
+  test('should alert on timeouts', async () => {
+    silent = true;
+
+    const results = await monitor.checkNow();
+
+    expect(results[0]).toMatchObject({ outcome: 'timeout', rcode: null, queryTime: -1, error: 'DNS query timed out' });
+    expect(alerts.map(alert => [alert.type, alert.name])).toEqual([['timeout', 'example.com'], ['timeout', 'example.org']]);
+  });
+
+  test('should alert when a resolver answers with none of the addresses it gave before', async () => {
+    await monitor.checkNow();
+
+    // Another address of the same pool is not a change
+    zone['example.com'].A = ['93.184.216.34', '93.184.216.35'];
+    await monitor.checkNow();
+    zone['example.com'].A = ['93.184.216.35'];
+    await monitor.checkNow();
+    expect(alerts).toEqual([]);
+
+    zone['example.com'].A = ['203.0.113.66'];
+    await monitor.checkNow();
+
+    expect(alerts).toEqual([expect.objectContaining({
+      type: 'answersChanged',
+      name: 'example.com',
+      recordType: 'A',
+      previousAnswers: ['93.184.216.35'],
+      answers: ['203.0.113.66']
+    })]);
+  });
+
+  test('should compare the first answers with those saved before a restart', async () => {
+    const resolver = `127.0.0.1:${dnsPort}`;
+    const emitted = new Promise(resolve => monitor.onResults(resolve));
+
+    monitor.start([
+      { name: 'example.com', type: 'A', resolver, outcome: 'ok', answers: ['198.51.100.1'] },
+      { name: 'example.com', type: 'A', resolver, outcome: 'timeout', answers: [] }
+    ]);
+    await emitted;
+
+    expect(alerts).toEqual([expect.objectContaining({ type: 'answersChanged', previousAnswers: ['198.51.100.1'], answers: ['93.184.216.34'] })]);
+  });
+
+  test('should reject invalid names and resolvers', () => {
+    expect(() => new DnsMonitor({ names: 'example.com:SOA' })).toThrow(/must be one of/);
+    expect(() => new DnsMonitor({ resolvers: ['dns.example.com'] })).toThrow(/IPv4 address/);
+  });
+});
@@ -0,0 +1,62 @@
+const dnsPacket = require('../../server/utils/dnsPacket');
+
+describe('dnsPacket', () => {
+  test('should round-trip queries', () => {
+    const buffer = dnsPacket.encodeQuery({
+      id: 0x1234,
+      recursionDesired: true,
+      questions: [{ name: 'example.com', type: 'A' }, { name: '_services._dns-sd._udp.local', type: 'PTR' }]
+    });
+
+    const message = dnsPacket.decode(buffer);
+    expect(message.id).toBe(0x1234);
+    expect(message.isResponse).toBe(false);
+    expect(message.questions).toEqual([
+      { name: 'example.com', type: 'A' },
+      { name: '_services._dns-sd._udp.local', type: 'PTR' }
+    ]);
+  });
+
+  test('should round-trip responses with common record types', () => {
+    const answers = [
+      { name: 'example.com', type: 'A', ttl: 60, data: '93.184.216.34' },
+      { name: 'example.com', type: 'AAAA', ttl: 60, data: '2606:2800:220:1:248:1893:25c8:1946' },
+      { name: '4.3.2.1.in-addr.arpa', type: 'PTR', ttl: 120, data: 'printer.local' },
+      { name: 'printer._ipp._tcp.local', type: 'TXT', ttl: 120, data: ['ty=LaserJet', 'note=Office'] },
+      { name: 'printer._ipp._tcp.local', type: 'SRV', ttl: 120, data: { priority: 0, weight: 0, port: 631, target: 'printer.local' } },
+      { name: 'example.com', type: 'MX', ttl: 300, data: { preference: 10, exchange: 'mail.example.com' } }
+    ];
+
+    const message = dnsPacket.decode(dnsPacket.encode({ id: 7, isResponse: true, rcode: 'NXDOMAIN', answers }));
+
+    expect(message.isResponse).toBe(true);
+    expect(message.rcode).toBe('NXDOMAIN');
+    expect(message.answers).toEqual(answers);
+  });
+
+  test('should follow compression pointers', () => {
+    // Answer owner name is a pointer to the question name at offset 12
+    const question = dnsPacket.encodeQuery({ questions: [{ name: 'host.local', type: 'A' }] });
+    const answer = Buffer.from([0xC0, 12, 0, 1, 0, 1, 0, 0, 0, 10, 0, 4, 10, 0, 0, 5]);
+    const buffer = Buffer.concat([question, answer]);
+    buffer.writeUInt16BE(0x8400, 2);
+    buffer.writeUInt16BE(1, 6);
+
+    const message = dnsPacket.decode(buffer);
+    expect(message.answers).toEqual([{ name: 'host.local', type: 'A', ttl: 10, data: '10.0.0.5' }]);
+  });
+
+  test('should reject truncated messages', () => {
+    const buffer = dnsPacket.encode({
+      isResponse: true,
+      answers: [{ name: 'example.com', type: 'A', ttl: 60, data: '10.0.0.1' }]
+    });
+
+    expect(() => dnsPacket.decode(buffer.subarray(0, buffer.length - 2))).toThrow();
+    expect(() => dnsPacket.decode(Buffer.alloc(4))).toThrow(/too short/);
+  });
+
+  test('should build reverse lookup names', () => {
+    expect(dnsPacket.reverseName('192.168.1.20')).toBe('20.1.168.192.in-addr.arpa');
+  });
+});
@@ -0,0 +1,79 @@
+const { parseResolution, parseHistoryQuery, downsampleHealth } = require('../../server/utils/healthHistory');
+
+describe('Health history', () => {
+  const now = new Date('2024-01-15T12:00:00Z');
+
+  describe('parseHistoryQuery', () => {
+    test('should default to the last 24 hours at an automatic resolution', () => {
+      expect(parseHistoryQuery({}, now)).toEqual({
+        start: new Date('2024-01-14T12:00:00Z'),
+        end: now,
+        resolution: 10 * 60 * 1000
+      });
+      expect(parseHistoryQuery({ start: '2024-01-15T11:00:00Z', resolution: 'auto' }, now).resolution).toBe(60 * 1000);
+      expect(parseHistoryQuery({ start: '2023-01-15T00:00:00Z' }, now).resolution).toBe(24 * 60 * 60 * 1000);
+    });
+
+    test('should accept a range and resolution', () => {
+      expect(parseHistoryQuery({ start: '2024-01-15T00:00:00Z', end: '2024-01-15T06:00:00Z', resolution: '30s' }, now)).toEqual({
+        start: new Date('2024-01-15T00:00:00Z'),
+        end: new Date('2024-01-15T06:00:00Z'),
+        resolution: 30000
+      });
+      expect(parseResolution('2h')).toBe(2 * 60 * 60 * 1000);
+    });
+
+    test('should reject invalid queries', () => {
+      expect(() => parseHistoryQuery({ start: 'yesterday' }, now)).toThrow(/ISO 8601/);
+      expect(() => parseHistoryQuery({ start: '2024-01-15T13:00:00Z' }, now)).toThrow(/before end/);
+      expect(() => parseHistoryQuery({ start: ['a', 'b'] }, now)).toThrow(/once/);
+      expect(() => parseHistoryQuery({ resolution: '5 minutes' }, now)).toThrow(/resolution must be/);
+      expect(() => parseHistoryQuery({ resolution: '0m' }, now)).toThrow(/resolution must be/);
+      expect(() => parseHistoryQuery({ resolution: '10s' }, now)).toThrow(/too fine/);
+      expect(() => parseHistoryQuery({ start: '2020-01-01T00:00:00Z' }, now)).toThrow(/400 days/);
+    });
+  });
+
+  describe('downsampleHealth', () => {
+    const query = { start: new Date('2024-01-15T10:00:00Z'), end: new Date('2024-01-15T11:00:00Z'), resolution: 5 * 60 * 1000 };
+    const metric = (time, latency, jitter, packetLoss) => ({ lastUpdated: new Date(`2024-01-15T${time}Z`), latency, jitter, packetLoss });
+
+    test('should give the minimum, average and maximum of each bucket', () => {
+      const points = downsampleHealth([
+        metric('10:06:00', 20, 4, 0),
+        metric('10:01:00', 10, 1, 0),
+        metric('10:04:59', 30, 3, 50),
+        metric('10:02:00', -1, 0, 100),
+        metric('09:59:00', 500, 50, 0)
+      ], query);
+
+      expect(points).toEqual([
+        {
+          timestamp: '2024-01-15T10:00:00.000Z',
+          samples: 3,
+          latency: { min: 10, avg: 20, max: 30 },
+          jitter: { min: 1, avg: 2, max: 3 },
+          packetLoss: { min: 0, avg: 50, max: 100 }
+        },
+        {
+          timestamp: '2024-01-15T10:05:00.000Z',
+          samples: 1,
+          latency: { min: 20, avg: 20, max: 20 },
+          jitter: { min: 4, avg: 4, max: 4 },
+          packetLoss: { min: 0, avg: 0, max: 0 }
+        }
+      ]);
+    });
+
+    test('should leave latency out of buckets without replies', () => {
+      expect(downsampleHealth([metric('10:30:00', -1, 0, 100)], query)).toEqual([{
+        timestamp: '2024-01-15T10:30:00.000Z',
+        samples: 1,
+        latency: null,
+        jitter: null,
+        packetLoss: { min: 100, avg: 100, max: 100 }
+      }]);
+      expect(downsampleHealth([], query)).toEqual([]);
+    });
+  });
+});
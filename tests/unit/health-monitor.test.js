@@ -0,0 +1,291 @@
+const HealthMonitor = require('../../server/components/HealthMonitor');
+
+// Mock the ping module
+jest.mock('ping', () => ({
+  promise: {
+    probe: jest.fn()
+  }
+}));
+
+const ping = require('ping');
+
+describe('HealthMonitor', () => {
+  let monitor;
+  let maintenance;
+  let profile;
+  let updates;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    ping.promise.probe.mockResolvedValue({ alive: true, time: '150.0' });
+
+    maintenance = null;
+    profile = null;
+    monitor = new HealthMonitor({ updateInterval: 1000, pingCount: 2, pingSpacing: 0, getMaintenance: () => maintenance, getProfile: () => profile });
+    updates = [];
+    monitor.onHealthUpdate((ip, metrics) => updates.push(metrics));
+  });
+
+  afterEach(() => {
+    monitor.stopAll();
+    jest.useRealTimers();
+  });
+
+  test('should measure latency and flag degraded devices', async () => {
+    monitor.startMonitoring('192.168.1.1');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(ping.promise.probe).toHaveBeenCalledTimes(2);
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toMatchObject({ latency: 150, packetLoss: 0, isDegraded: true, inMaintenance: false });
+  });
+
+  test('should send a burst without waiting for replies and report latency percentiles and jitter', async () => {
+    const spaced = new HealthMonitor({ updateInterval: 1000, pingCount: 4, pingSpacing: 100 });
+    const times = ['10.0', '30.0', '20.0', '60.0'];
+    let pending = [];
+    ping.promise.probe.mockImplementation(() => new Promise(resolve => {
+      const time = times.shift();
+      pending.push(() => resolve({ alive: true, time }));
+    }));
+    const spacedUpdates = [];
+    spaced.onHealthUpdate((ip, metrics) => spacedUpdates.push(metrics));
+
+    spaced.startMonitoring('192.168.1.1');
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+    // The rest of the burst goes out before the first reply
+    await jest.advanceTimersByTimeAsync(300);
+    expect(ping.promise.probe).toHaveBeenCalledTimes(4);
+    expect(spacedUpdates).toEqual([]);
+
+    pending.reverse().forEach(reply => reply());
+    pending = [];
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(spacedUpdates).toHaveLength(1);
+    expect(spacedUpdates[0]).toMatchObject({
+      latency: 30,
+      minLatency: 10,
+      maxLatency: 60,
+      medianLatency: 25,
+      p95Latency: 60,
+      p99Latency: 60,
+      packetLoss: 0
+    });
+    // Consecutive replies in send order differ by 20, 10 and 40 ms
+    expect(spacedUpdates[0].jitter).toBeCloseTo(70 / 3, 5);
+    expect(spacedUpdates[0].latencyStdDev).toBeCloseTo(Math.sqrt(350), 5);
+    spaced.stopAll();
+  });
+
+  test('should not measure devices in a maintenance window that pauses checks', async () => {
+    maintenance = { mode: 'pause', windowIds: ['w1'] };
+    monitor.startMonitoring('192.168.1.1');
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(ping.promise.probe).not.toHaveBeenCalled();
+    expect(updates).toEqual([]);
+    expect(monitor.getHealthMetrics('192.168.1.1').inMaintenance).toBe(true);
+
+    maintenance = null;
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].inMaintenance).toBe(false);
+  });
+
+  test('should flag metrics measured in a maintenance window', async () => {
+    maintenance = { mode: 'flag', windowIds: ['w1'] };
+    monitor.startMonitoring('192.168.1.1');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toMatchObject({ isDegraded: true, inMaintenance: true });
+  });
+
+  test('should report the last metrics until the next measurement is due', async () => {
+    const lastUpdated = new Date(Date.now() - 400);
+    monitor.startMonitoring('192.168.1.1', { ipAddress: '192.168.1.1', latency: 20, minLatency: 10, maxLatency: 30, packetLoss: 0, jitter: 5, lastUpdated: lastUpdated.toISOString(), isDegraded: false });
+
+    expect(monitor.getHealthMetrics('192.168.1.1')).toMatchObject({ latency: 20, lastUpdated, inMaintenance: false });
+
+    await jest.advanceTimersByTimeAsync(599);
+    expect(ping.promise.probe).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    expect(updates).toHaveLength(1);
+  });
+
+  test('should measure with the settings of the device profile and apply changes right away', async () => {
+    profile = { health: { enabled: true, updateInterval: 5000, pingCount: 4, latencyThreshold: 200, packetLossThreshold: null } };
+    monitor.startMonitoring('192.168.1.1');
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(ping.promise.probe).toHaveBeenCalledTimes(4);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].isDegraded).toBe(false);
+
+    // Turned off: no more measurements
+    profile = { health: { ...profile.health, enabled: false } };
+    monitor.refreshProfiles();
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(updates).toHaveLength(1);
+
+    // Back to the defaults: the last measurement is long past, so the next one comes right away
+    profile = null;
+    monitor.refreshProfiles();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(updates).toHaveLength(2);
+    expect(ping.promise.probe).toHaveBeenCalledTimes(6);
+    expect(updates[1].isDegraded).toBe(true);
+  });
+
+  describe('baselines', () => {
+    let learning;
+    let anomalies;
+
+    beforeEach(() => {
+      learning = new HealthMonitor({ updateInterval: 1000, pingCount: 1, baselineMinSamples: 3, getMaintenance: () => maintenance });
+      anomalies = [];
+      learning.onAnomaly((ip, anomaly) => anomalies.push(anomaly));
+    });
+
+    afterEach(() => {
+      learning.stopAll();
+    });
+
+    test('should flag measurements far above the learned baseline', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '10.0' });
+      learning.startMonitoring('192.168.1.1');
+      await jest.advanceTimersByTimeAsync(3000);
+
+      expect(learning.getBaseline('192.168.1.1')).toMatchObject({ latency: { mean: 10, stdDev: 0, samples: 3 }, packetLoss: { mean: 0 } });
+      expect(anomalies).toEqual([]);
+
+      // 100 ms against a steady 10 ms is a critical anomaly; reported once while it lasts
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '100.0' });
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(anomalies).toHaveLength(1);
+      expect(anomalies[0]).toMatchObject({ metric: 'latency', value: 100, expected: 10, severity: 'critical' });
+      expect(learning.getHealthMetrics('192.168.1.1').anomalies).toEqual([expect.objectContaining({ metric: 'latency' })]);
+
+      // Back to normal
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '10.0' });
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(learning.getHealthMetrics('192.168.1.1').anomalies).toEqual([]);
+    });
+
+    test('should neither learn nor flag measurements in maintenance', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '10.0' });
+      learning.startMonitoring('192.168.1.1');
+      await jest.advanceTimersByTimeAsync(3000);
+
+      maintenance = { mode: 'flag', windowIds: ['w1'] };
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(anomalies).toEqual([]);
+      expect(learning.getBaseline('192.168.1.1').packetLoss).toMatchObject({ mean: 0, samples: 3 });
+    });
+
+    test('should resume from a saved baseline', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '10.0' });
+      learning.startMonitoring('192.168.1.1');
+      await jest.advanceTimersByTimeAsync(3000);
+      const [saved] = JSON.parse(JSON.stringify(learning.getBaselines()));
+      learning.stopAll();
+
+      expect(saved.ipAddress).toBe('192.168.1.1');
+      learning.startMonitoring('192.168.1.1', null, saved);
+      expect(learning.getBaseline('192.168.1.1').latency).toMatchObject({ mean: 10, samples: 3 });
+    });
+  });
+
+  describe('path monitoring', () => {
+    const hop = (ttl, address, loss = 0) => ({
+      ttl,
+      address,
+      addresses: address ? [address] : [],
+      sent: 3,
+      received: address ? 3 : 0,
+      loss,
+      latency: address ? ttl * 5 : -1,
+      minLatency: address ? ttl * 5 : -1,
+      maxLatency: address ? ttl * 5 : -1
+    });
+    let traces;
+    let tracer;
+    let changed;
+
+    beforeEach(() => {
+      traces = [];
+      tracer = new HealthMonitor({
+        pathInterval: 60000,
+        traceroute: jest.fn(async () => ({ destination: '8.8.8.8', hops: traces.shift() }))
+      });
+      changed = [];
+      tracer.onPathChanged((target, path, previous, changes) => changed.push(changes));
+    });
+
+    afterEach(() => {
+      tracer.stopAll();
+    });
+
+    test('should trace targets periodically and report route changes', async () => {
+      traces.push(
+        [hop(1, '192.168.1.1'), hop(2, '10.0.0.1'), hop(3, '8.8.8.8')],
+        [hop(1, '192.168.1.1'), hop(2, null, 100), hop(3, '8.8.8.8')],
+        [hop(1, '192.168.1.1'), hop(2, '10.0.0.9'), hop(3, '8.8.8.8')]
+      );
+
+      tracer.startPathMonitoring('8.8.8.8', 'icmp');
+      expect(tracer.getPath('8.8.8.8')).toBeNull();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(tracer.traceroute).toHaveBeenCalledWith('8.8.8.8', 'icmp');
+      expect(tracer.getPath('8.8.8.8')).toMatchObject({ target: '8.8.8.8', protocol: 'icmp', reachedTarget: true, lastChange: null });
+
+      // A hop that dropped every probe is not a new route
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(changed).toEqual([]);
+      expect(tracer.getPath('8.8.8.8').hops[1]).toMatchObject({ address: null, loss: 100 });
+
+      await jest.advanceTimersByTimeAsync(60000);
+      // Compared with the router last seen at the hop
+      expect(changed).toEqual([[{ ttl: 2, from: '10.0.0.1', to: '10.0.0.9' }]]);
+      expect(tracer.getPath('8.8.8.8').lastChange).toMatchObject({ changes: [{ ttl: 2, to: '10.0.0.9' }] });
+    });
+
+    test('should compare the first trace after a restart with the saved one', async () => {
+      const saved = {
+        target: '8.8.8.8',
+        protocol: 'udp',
+        destination: '8.8.8.8',
+        hops: [hop(1, '192.168.1.1'), hop(2, '10.0.0.1'), hop(3, '8.8.8.8')],
+        reachedTarget: true,
+        lastUpdated: new Date(Date.now() - 50000).toISOString(),
+        lastChange: null
+      };
+      traces.push([hop(1, '192.168.1.1'), hop(2, '10.0.0.5'), hop(3, '8.8.8.8')]);
+
+      tracer.startPathMonitoring('8.8.8.8', 'udp', saved);
+      await jest.advanceTimersByTimeAsync(9000);
+      expect(tracer.traceroute).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(changed).toEqual([[{ ttl: 2, from: '10.0.0.1', to: '10.0.0.5' }]]);
+      expect(tracer.getPaths()).toEqual([{ target: '8.8.8.8', protocol: 'udp', path: expect.objectContaining({ reachedTarget: true }) }]);
+    });
+
+    test('should stop tracing a removed target', async () => {
+      traces.push([hop(1, '192.168.1.1')]);
+      tracer.startPathMonitoring('8.8.8.8');
+      tracer.stopPathMonitoring('8.8.8.8');
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(tracer.traceroute).not.toHaveBeenCalled();
+      expect(tracer.getPath('8.8.8.8')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for IPv4 range helpers
+ */
+
+const {
+  ipToInt,
+  intToIp,
+  parseRange,
+  normalizeRangeList,
+  expandRanges,
+  isInRanges
+} = require('../../server/utils/ipRange');
+
+describe('ipRange', () => {
+  describe('ipToInt / intToIp', () => {
+    test('should round-trip addresses', () => {
+      expect(ipToInt('10.0.0.1')).toBe(167772161);
+      expect(intToIp(167772161)).toBe('10.0.0.1');
+      expect(intToIp(ipToInt('255.255.255.255'))).toBe('255.255.255.255');
+    });
+
+    test('should reject invalid addresses', () => {
+      expect(ipToInt('256.0.0.1')).toBeNull();
+      expect(ipToInt('10.0.0')).toBeNull();
+      expect(ipToInt('a.b.c.d')).toBeNull();
+    });
+  });
+
+  describe('parseRange', () => {
+    test('should treat legacy three-octet prefix as /24', () => {
+      const range = parseRange('192.168.1');
+      expect(range.cidr).toBe('192.168.1.0/24');
+      expect(intToIp(range.firstHost)).toBe('192.168.1.1');
+      expect(intToIp(range.lastHost)).toBe('192.168.1.254');
+    });
+
+    test('should normalize host bits in CIDR ranges', () => {
+      const range = parseRange('10.0.3.17/22');
+      expect(range.cidr).toBe('10.0.0.0/22');
+      expect(intToIp(range.lastHost)).toBe('10.0.3.254');
+    });
+
+    test('should treat a bare address as a single host', () => {
+      const range = parseRange('10.0.0.5');
+      expect(range.firstHost).toBe(range.lastHost);
+    });
+
+    test('should include both addresses of a /31', () => {
+      const range = parseRange('10.0.0.0/31');
+      expect(range.lastHost - range.firstHost).toBe(1);
+    });
+
+    test('should reject malformed ranges', () => {
+      expect(() => parseRange('10.0.0.0/33')).toThrow();
+      expect(() => parseRange('10.0.0.0/abc')).toThrow();
+      expect(() => parseRange('not-a-range')).toThrow();
+      expect(() => parseRange('')).toThrow();
+    });
+  });
+
+  describe('normalizeRangeList', () => {
+    test('should split comma-separated strings and flatten arrays', () => {
+      expect(normalizeRangeList('10.0.0.0/24, 10.0.1.0/24')).toEqual(['10.0.0.0/24', '10.0.1.0/24']);
+      expect(normalizeRangeList(['10.0.0.0/24', '10.0.1.5'])).toEqual(['10.0.0.0/24', '10.0.1.5']);
+      expect(normalizeRangeList(undefined)).toEqual([]);
+    });
+
+    test('should reject non-string entries', () => {
+      expect(() => normalizeRangeList([42])).toThrow();
+    });
+  });
+
+  describe('expandRanges', () => {
+    test('should expand a /22 to 1022 hosts', () => {
+      const hosts = expandRanges('10.0.0.0/22');
+      expect(hosts).toHaveLength(1022);
+      expect(hosts[0]).toBe('10.0.0.1');
+      expect(hosts[hosts.length - 1]).toBe('10.0.3.254');
+    });
+
+    test('should merge multiple ranges without duplicates', () => {
+      const hosts = expandRanges(['10.0.0.0/30', '10.0.0.1', '10.1.0.0/30']);
+      expect(hosts).toEqual(['10.0.0.1', '10.0.0.2', '10.1.0.1', '10.1.0.2']);
+    });
+
+    test('should apply exclusion ranges', () => {
+      const hosts = expandRanges('192.168.1', ['192.168.1.0/25', '192.168.1.200']);
+      expect(hosts).toHaveLength(126);
+      expect(hosts).not.toContain('192.168.1.200');
+      expect(hosts[0]).toBe('192.168.1.128');
+    });
+
+    test('should refuse scans above the host limit', () => {
+      expect(() => expandRanges('10.0.0.0/8')).toThrow(/exceeds the limit/);
+      expect(() => expandRanges('10.0.0.0/24', [], 100)).toThrow(/exceeds the limit/);
+    });
+
+    test('should require at least one range', () => {
+      expect(() => expandRanges([])).toThrow();
+    });
+  });
+
+  describe('isInRanges', () => {
+    test('should match addresses inside included ranges', () => {
+      expect(isInRanges('10.0.2.5', '10.0.0.0/22')).toBe(true);
+      expect(isInRanges('10.0.4.5', '10.0.0.0/22')).toBe(false);
+      expect(isInRanges('192.168.1.7', ['10.0.0.0/22', '192.168.1'])).toBe(true);
+    });
+
+    test('should honour exclusions', () => {
+      expect(isInRanges('10.0.1.3', '10.0.0.0/22', '10.0.1.0/24')).toBe(false);
+    });
+
+    test('should reject invalid addresses', () => {
+      expect(isInRanges('not-an-ip', '10.0.0.0/8')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { percentile, summarizeLatencies } = require('../../server/utils/latencyStats');
+
+describe('Latency statistics', () => {
+  test('should pick percentiles by nearest rank', () => {
+    const sorted = Array.from({ length: 20 }, (_, i) => i + 1);
+
+    expect(percentile(sorted, 50)).toBe(10);
+    expect(percentile(sorted, 95)).toBe(19);
+    expect(percentile(sorted, 99)).toBe(20);
+    expect(percentile(sorted, 0)).toBe(1);
+    expect(percentile([7], 99)).toBe(7);
+  });
+
+  test('should summarize a burst, taking jitter from consecutive replies', () => {
+    const stats = summarizeLatencies([12, 10, 14, 10, 12]);
+
+    expect(stats).toMatchObject({
+      latency: 11.6,
+      minLatency: 10,
+      maxLatency: 14,
+      medianLatency: 12,
+      p95Latency: 14,
+      p99Latency: 14,
+      jitter: 3
+    });
+    expect(stats.latencyStdDev).toBeCloseTo(Math.sqrt(2.24), 10);
+  });
+
+  test('should report a single reply without variation and no replies as unreachable', () => {
+    expect(summarizeLatencies([5])).toMatchObject({ latency: 5, medianLatency: 5, jitter: 0, latencyStdDev: 0 });
+    expect(summarizeLatencies([])).toEqual({
+      latency: -1,
+      minLatency: -1,
+      maxLatency: -1,
+      medianLatency: -1,
+      p95Latency: -1,
+      p99Latency: -1,
+      jitter: 0,
+      latencyStdDev: 0
+    });
+  });
+});
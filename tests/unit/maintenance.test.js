@@ -0,0 +1,208 @@
+const {
+  parseCron,
+  nextRun,
+  validateMaintenanceWindow,
+  appliesTo,
+  getOccurrences,
+  isActive,
+  mergePeriods
+} = require('../../server/utils/maintenance');
+const MaintenanceCalendar = require('../../server/components/MaintenanceCalendar');
+
+// Schedules run in server local time, so the dates here are local too
+const local = (day, hour = 0, minute = 0) => new Date(2024, 2, day, hour, minute);
+
+describe('Maintenance windows', () => {
+  describe('parseCron', () => {
+    test('should parse lists, ranges, steps and names', () => {
+      const cron = parseCron('*/15 22,23 * jan-mar mon-fri');
+
+      expect(Array.from(cron.minutes)).toEqual([0, 15, 30, 45]);
+      expect(Array.from(cron.hours)).toEqual([22, 23]);
+      expect(Array.from(cron.months)).toEqual([1, 2, 3]);
+      expect(Array.from(cron.weekdays)).toEqual([1, 2, 3, 4, 5]);
+      expect(cron.anyDay).toBe(true);
+      expect(cron.anyWeekday).toBe(false);
+    });
+
+    test('should treat 7 as Sunday and start steps at a value', () => {
+      expect(Array.from(parseCron('0 0 * * 7').weekdays)).toEqual([0]);
+      expect(Array.from(parseCron('50/5 * * * *').minutes)).toEqual([50, 55]);
+    });
+
+    test('should reject invalid schedules', () => {
+      expect(() => parseCron('0 22 * *')).toThrow(/five fields/);
+      expect(() => parseCron('60 * * * *')).toThrow(/minute must be between 0 and 59/);
+      expect(() => parseCron('0 5-2 * * *')).toThrow(/Invalid hour range/);
+      expect(() => parseCron('*/0 * * * *')).toThrow(/Invalid minute/);
+      expect(() => parseCron('0 0 * * funday')).toThrow(/day of week/);
+    });
+  });
+
+  describe('nextRun', () => {
+    test('should find the next run, skipping days that do not match', () => {
+      // 2024-03-15 is a Friday
+      const cron = parseCron('30 22 * * mon-fri');
+
+      expect(nextRun(cron, local(15, 12), local(31))).toEqual(local(15, 22, 30));
+      expect(nextRun(cron, local(15, 22, 31), local(31))).toEqual(local(18, 22, 30));
+      expect(nextRun(cron, local(15, 22, 31), local(17))).toBeNull();
+    });
+
+    test('should match either day field when both are restricted', () => {
+      const cron = parseCron('0 0 1 * sun');
+
+      expect(nextRun(cron, local(2), local(31))).toEqual(local(3));
+      expect(nextRun(cron, local(25, 0, 1), new Date(2024, 4, 1))).toEqual(local(31));
+    });
+  });
+
+  describe('validateMaintenanceWindow', () => {
+    test('should normalize one-off and recurring windows', () => {
+      expect(validateMaintenanceWindow({
+        name: ' Firmware upgrade ',
+        scope: 'device',
+        deviceId: 'mac-000000000001',
+        start: '2024-03-15T22:00:00Z',
+        end: '2024-03-15T23:00:00Z'
+      })).toEqual({
+        name: 'Firmware upgrade',
+        scope: 'device',
+        deviceId: 'mac-000000000001',
+        tag: null,
+        mode: 'flag',
+        start: '2024-03-15T22:00:00.000Z',
+        end: '2024-03-15T23:00:00.000Z',
+        schedule: null,
+        duration: null
+      });
+
+      expect(validateMaintenanceWindow({
+        name: 'Lab shutdown',
+        scope: 'tag',
+        tag: 'lab',
+        mode: 'pause',
+        schedule: '0  22 * * mon-fri',
+        duration: 600
+      })).toMatchObject({ scope: 'tag', tag: 'lab', mode: 'pause', schedule: '0 22 * * mon-fri', duration: 600, start: null });
+    });
+
+    test('should reject invalid windows', () => {
+      const base = { name: 'Backups', scope: 'global', schedule: '0 2 * * *', duration: 60 };
+
+      expect(() => validateMaintenanceWindow(null)).toThrow(/must be an object/);
+      expect(() => validateMaintenanceWindow({ ...base, name: '' })).toThrow(/name must be/);
+      expect(() => validateMaintenanceWindow({ ...base, scope: 'site' })).toThrow(/scope must be one of/);
+      expect(() => validateMaintenanceWindow({ ...base, scope: 'device' })).toThrow(/deviceId must be given/);
+      expect(() => validateMaintenanceWindow({ ...base, tag: 'lab' })).toThrow(/tag must be given/);
+      expect(() => validateMaintenanceWindow({ ...base, mode: 'ignore' })).toThrow(/mode must be one of/);
+      expect(() => validateMaintenanceWindow({ ...base, start: '2024-03-15T22:00:00Z' })).toThrow(/either start and end/);
+      expect(() => validateMaintenanceWindow({ name: 'Backups', scope: 'global' })).toThrow(/either start and end/);
+      expect(() => validateMaintenanceWindow({ ...base, duration: 0 })).toThrow(/duration must be/);
+      expect(() => validateMaintenanceWindow({ ...base, duration: 7 * 24 * 60 + 1 })).toThrow(/duration must be/);
+      expect(() => validateMaintenanceWindow({ ...base, schedule: 'nightly' })).toThrow(/five fields/);
+      expect(() => validateMaintenanceWindow({ name: 'x', scope: 'global', start: 'now', end: '2024-03-15T23:00:00Z' }))
+        .toThrow(/ISO 8601/);
+      expect(() => validateMaintenanceWindow({ name: 'x', scope: 'global', start: '2024-03-16T00:00:00Z', end: '2024-03-15T23:00:00Z' }))
+        .toThrow(/before end/);
+    });
+  });
+
+  describe('appliesTo', () => {
+    const device = { id: 'mac-000000000001', metadata: { tags: ['Lab'] } };
+
+    test('should match devices by ID, tag or globally', () => {
+      expect(appliesTo({ scope: 'global' }, device)).toBe(true);
+      expect(appliesTo({ scope: 'device', deviceId: 'mac-000000000001' }, device)).toBe(true);
+      expect(appliesTo({ scope: 'device', deviceId: 'mac-000000000002' }, device)).toBe(false);
+      expect(appliesTo({ scope: 'tag', tag: 'lab' }, device)).toBe(true);
+      expect(appliesTo({ scope: 'tag', tag: 'office' }, device)).toBe(false);
+    });
+  });
+
+  describe('getOccurrences and isActive', () => {
+    const oneOff = { schedule: null, start: local(15, 22).toISOString(), end: local(15, 23).toISOString() };
+    const nightly = { schedule: '0 22 * * *', duration: 600, start: null, end: null };
+
+    test('should cover one-off windows', () => {
+      expect(getOccurrences(oneOff, local(15), local(16))).toEqual([{ start: local(15, 22), end: local(15, 23) }]);
+      expect(getOccurrences(oneOff, local(16), local(17))).toEqual([]);
+      expect(isActive(oneOff, local(15, 22, 30))).toBe(true);
+      expect(isActive(oneOff, local(15, 23))).toBe(false);
+    });
+
+    test('should list recurring occurrences, including one that began before the range', () => {
+      expect(getOccurrences(nightly, local(15, 6), local(17))).toEqual([
+        { start: local(14, 22), end: local(15, 8) },
+        { start: local(15, 22), end: local(16, 8) },
+        { start: local(16, 22), end: local(17, 8) }
+      ]);
+      expect(isActive(nightly, local(16, 3))).toBe(true);
+      expect(isActive(nightly, local(16, 12))).toBe(false);
+    });
+
+    test('should merge overlapping occurrences', () => {
+      const hourly = { schedule: '0 * * * *', duration: 90, start: null, end: null };
+      expect(getOccurrences(hourly, local(15, 10), local(15, 12))).toEqual([{ start: local(15, 9), end: local(15, 12, 30) }]);
+    });
+
+    test('should merge periods of several windows', () => {
+      expect(mergePeriods([
+        { start: local(15, 4), end: local(15, 6) },
+        { start: local(15, 1), end: local(15, 3) },
+        { start: local(15, 2), end: local(15, 4) }
+      ])).toEqual([{ start: local(15, 1), end: local(15, 6) }]);
+    });
+  });
+
+  describe('MaintenanceCalendar', () => {
+    const devices = {
+      '192.168.1.10': { id: 'mac-000000000010', ipAddress: '192.168.1.10', metadata: { tags: ['lab'] } },
+      '192.168.1.20': { id: 'mac-000000000020', ipAddress: '192.168.1.20', metadata: { tags: [] } }
+    };
+    let calendar;
+
+    beforeEach(() => {
+      calendar = new MaintenanceCalendar({ resolveDevice: ip => devices[ip] || null });
+    });
+
+    test('should add, replace and remove windows', () => {
+      const window = calendar.addWindow({ name: 'Backups', scope: 'global', schedule: '0 2 * * *', duration: 60 });
+
+      expect(window.id).toEqual(expect.any(String));
+      expect(calendar.getWindows()).toEqual([window]);
+      expect(() => calendar.addWindow({ name: 'Backups' })).toThrow(/scope/);
+
+      const updated = calendar.updateWindow(window.id, { name: 'Backups', scope: 'global', mode: 'pause', schedule: '0 3 * * *', duration: 30 });
+      expect(updated).toMatchObject({ id: window.id, createdAt: window.createdAt, schedule: '0 3 * * *', mode: 'pause' });
+      expect(calendar.updateWindow('missing', { name: 'x', scope: 'global', schedule: '0 3 * * *', duration: 30 })).toBeNull();
+
+      expect(calendar.removeWindow(window.id)).toEqual(updated);
+      expect(calendar.removeWindow(window.id)).toBeNull();
+      expect(calendar.getWindows()).toEqual([]);
+    });
+
+    test('should tell which devices are in maintenance, pause winning over flag', () => {
+      const lab = calendar.addWindow({ name: 'Lab shutdown', scope: 'tag', tag: 'lab', mode: 'pause', schedule: '0 22 * * *', duration: 600 });
+      const backups = calendar.addWindow({ name: 'Backups', scope: 'global', schedule: '0 2 * * *', duration: 60 });
+
+      expect(calendar.getMaintenance('192.168.1.10', local(15, 23))).toEqual({ mode: 'pause', windowIds: [lab.id] });
+      expect(calendar.getMaintenance('192.168.1.20', local(15, 23))).toBeNull();
+      expect(calendar.getMaintenance('192.168.1.10', local(16, 2, 30))).toEqual({ mode: 'pause', windowIds: [lab.id, backups.id] });
+      expect(calendar.getMaintenance('192.168.1.20', local(16, 2, 30))).toEqual({ mode: 'flag', windowIds: [backups.id] });
+      // Unknown addresses are only covered by global windows
+      expect(calendar.getMaintenance('192.168.1.99', local(16, 2, 30))).toEqual({ mode: 'flag', windowIds: [backups.id] });
+    });
+
+    test('should list the maintenance periods of a device clipped to a range', () => {
+      calendar.addWindow({ name: 'Lab shutdown', scope: 'tag', tag: 'lab', schedule: '0 22 * * *', duration: 600 });
+      calendar.addWindow({ name: 'Upgrade', scope: 'device', deviceId: 'mac-000000000010', start: local(16, 7).toISOString(), end: local(16, 9).toISOString() });
+
+      expect(calendar.getMaintenancePeriods(devices['192.168.1.10'], local(16), local(17))).toEqual([
+        { start: local(16), end: local(16, 9) },
+        { start: local(16, 22), end: local(17) }
+      ]);
+      expect(calendar.getMaintenancePeriods(devices['192.168.1.20'], local(16), local(17))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { validateProfile, validateProfileId, findProfile } = require('../../server/utils/monitoringProfiles');
+const MonitoringProfiles = require('../../server/components/MonitoringProfiles');
+
+describe('Monitoring profiles', () => {
+  describe('validateProfile', () => {
+    test('should normalize a profile, leaving missing settings to the defaults', () => {
+      expect(validateProfile({
+        name: ' Critical server ',
+        tags: ['server', ' Server', 'db '],
+        status: { checkInterval: 10000 },
+        health: { latencyThreshold: 50, packetLossThreshold: 0 }
+      })).toEqual({
+        name: 'Critical server',
+        tags: ['server', 'db'],
+        status: { enabled: true, checkInterval: 10000, failureThreshold: null, recoveryThreshold: null },
+        health: { enabled: true, updateInterval: null, pingCount: null, latencyThreshold: 50, packetLossThreshold: 0 }
+      });
+
+      expect(validateProfile({ name: 'IoT', health: { enabled: false } })).toMatchObject({
+        tags: [],
+        status: { enabled: true, checkInterval: null },
+        health: { enabled: false }
+      });
+    });
+
+    test('should reject invalid profiles', () => {
+      expect(() => validateProfile(null)).toThrow(/must be an object/);
+      expect(() => validateProfile({ name: '' })).toThrow(/name must be/);
+      expect(() => validateProfile({ name: 'x', color: 'red' })).toThrow(/Unknown field "color"/);
+      expect(() => validateProfile({ name: 'x', tags: 'iot' })).toThrow(/tags must be/);
+      expect(() => validateProfile({ name: 'x', status: [] })).toThrow(/status must be an object/);
+      expect(() => validateProfile({ name: 'x', status: { interval: 5000 } })).toThrow(/Unknown field "interval" in status/);
+      expect(() => validateProfile({ name: 'x', status: { enabled: 'no' } })).toThrow(/status.enabled must be/);
+      expect(() => validateProfile({ name: 'x', status: { checkInterval: 500 } })).toThrow(/status.checkInterval must be a whole number between 1000/);
+      expect(() => validateProfile({ name: 'x', health: { pingCount: 2.5 } })).toThrow(/health.pingCount/);
+      expect(() => validateProfile({ name: 'x', health: { packetLossThreshold: 101 } })).toThrow(/health.packetLossThreshold/);
+    });
+  });
+
+  describe('validateProfileId', () => {
+    test('should accept a profile ID or null', () => {
+      expect(validateProfileId(' p1 ')).toBe('p1');
+      expect(validateProfileId(null)).toBeNull();
+      expect(() => validateProfileId(undefined)).toThrow(/profileId must be/);
+      expect(() => validateProfileId('')).toThrow(/profileId must be/);
+    });
+  });
+
+  describe('findProfile', () => {
+    const profiles = [
+      { id: 'p1', tags: ['iot'] },
+      { id: 'p2', tags: ['server', 'IoT'] },
+      { id: 'p3', tags: [] }
+    ];
+
+    test('should prefer the assigned profile over the oldest profile of a tag', () => {
+      expect(findProfile(profiles, { metadata: { tags: ['IOT'] } }).id).toBe('p1');
+      expect(findProfile(profiles, { metadata: { tags: ['server'] } }).id).toBe('p2');
+      expect(findProfile(profiles, { profileId: 'p3', metadata: { tags: ['iot'] } }).id).toBe('p3');
+      // A profile that no longer exists falls back to the tags
+      expect(findProfile(profiles, { profileId: 'gone', metadata: { tags: ['iot'] } }).id).toBe('p1');
+      expect(findProfile(profiles, { metadata: { tags: ['lab'] } })).toBeNull();
+      expect(findProfile(profiles, {})).toBeNull();
+    });
+  });
+
+  describe('MonitoringProfiles', () => {
+    const devices = {
+      '192.168.1.10': { id: 'mac-000000000010', ipAddress: '192.168.1.10', metadata: { tags: ['iot'] } },
+      '192.168.1.20': { id: 'mac-000000000020', ipAddress: '192.168.1.20', metadata: { tags: [] } }
+    };
+    let profiles;
+
+    beforeEach(() => {
+      profiles = new MonitoringProfiles({ resolveDevice: ip => devices[ip] || null });
+    });
+
+    test('should add, replace and remove profiles', () => {
+      const profile = profiles.addProfile({ name: 'IoT', tags: ['iot'], health: { enabled: false } });
+
+      expect(profile.id).toEqual(expect.any(String));
+      expect(profiles.getProfiles()).toEqual([profile]);
+      expect(() => profiles.addProfile({ tags: ['iot'] })).toThrow(/name/);
+
+      const updated = profiles.updateProfile(profile.id, { name: 'IoT', tags: ['iot'], status: { checkInterval: 300000 } });
+      expect(updated).toMatchObject({ id: profile.id, createdAt: profile.createdAt, status: { checkInterval: 300000 }, health: { enabled: true } });
+      expect(profiles.updateProfile('missing', { name: 'x' })).toBeNull();
+
+      expect(profiles.removeProfile(profile.id)).toEqual(updated);
+      expect(profiles.removeProfile(profile.id)).toBeNull();
+      expect(profiles.getProfiles()).toEqual([]);
+    });
+
+    test('should find the profile of the device using an address', () => {
+      const iot = profiles.addProfile({ name: 'IoT', tags: ['iot'] });
+      profiles.restoreProfiles([{ ...iot, id: 'restored', name: 'Restored', tags: ['iot'] }]);
+
+      expect(profiles.resolveProfile('192.168.1.10')).toEqual(iot);
+      expect(profiles.resolveProfile('192.168.1.20')).toBeNull();
+      expect(profiles.resolveProfile('192.168.1.99')).toBeNull();
+    });
+  });
+});
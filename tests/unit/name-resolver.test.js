@@ -0,0 +1,234 @@
+const dgram = require('dgram');
+const http = require('http');
+const NameResolver = require('../../server/components/NameResolver');
+const MdnsResolver = require('../../server/components/resolvers/MdnsResolver');
+const NetbiosResolver = require('../../server/components/resolvers/NetbiosResolver');
+const SsdpResolver = require('../../server/components/resolvers/SsdpResolver');
+const dnsPacket = require('../../server/utils/dnsPacket');
+
+/**
+ * Start a UDP server on 127.0.0.1 that answers each datagram with handler(message)
+ * @param {(message: Buffer) => Buffer|Buffer[]|null} handler - Builds the replies
+ * @returns {Promise<dgram.Socket>} Bound socket
+ */
+function startUdpServer(handler) {
+  return new Promise(resolve => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, rinfo) => {
+      const replies = handler(message);
+      for (const reply of [].concat(replies || [])) {
+        socket.send(reply, rinfo.port, rinfo.address);
+      }
+    });
+    socket.bind(0, '127.0.0.1', () => resolve(socket));
+  });
+}
+
+describe('NameResolver', () => {
+  let servers;
+
+  beforeEach(() => {
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  });
+
+  describe('merging', () => {
+    test('should prefer earlier resolvers and combine services', async () => {
+      const resolver = new NameResolver({
+        resolvers: [
+          { name: 'first', resolve: async () => ({ hostname: 'nas.lan', services: ['_smb._tcp'] }) },
+          { name: 'broken', resolve: async () => { throw new Error('boom'); } },
+          { name: 'second', resolve: async () => ({ hostname: 'NAS', friendlyName: 'Storage', model: 'DS220+', services: ['_http._tcp', '_smb._tcp'] }) },
+          { name: 'silent', resolve: async () => null }
+        ]
+      });
+
+      await expect(resolver.resolve('10.0.0.2')).resolves.toEqual({
+        hostname: 'nas.lan',
+        friendlyName: 'Storage',
+        model: 'DS220+',
+        manufacturer: null,
+        services: ['_http._tcp', '_smb._tcp']
+      });
+    });
+
+    test('should report unknown when nothing was found', async () => {
+      const resolver = new NameResolver({ resolvers: [{ name: 'silent', resolve: async () => null }] });
+
+      const names = await resolver.resolve('10.0.0.2');
+      expect(names.hostname).toBe('unknown');
+      expect(names.services).toEqual([]);
+    });
+
+    test('should reject unknown resolver names', () => {
+      expect(() => new NameResolver({ resolvers: ['dns', 'carrier-pigeon'] })).toThrow(/Unknown name resolver/);
+    });
+  });
+
+  describe('MdnsResolver', () => {
+    test('should read the host name, services, friendly name and model', async () => {
+      const server = await startUdpServer((message) => {
+        const query = dnsPacket.decode(message);
+        const answers = [];
+        const additionals = [];
+
+        for (const question of query.questions) {
+          if (question.name === '1.0.0.127.in-addr.arpa') {
+            answers.push({ name: question.name, type: 'PTR', ttl: 120, data: 'living-room.local' });
+          } else if (question.name === '_services._dns-sd._udp.local') {
+            answers.push({ name: question.name, type: 'PTR', ttl: 120, data: '_googlecast._tcp.local' });
+          } else if (question.name === '_googlecast._tcp.local') {
+            answers.push({ name: question.name, type: 'PTR', ttl: 120, data: 'Chromecast-abc123._googlecast._tcp.local' });
+            additionals.push({
+              name: 'Chromecast-abc123._googlecast._tcp.local',
+              type: 'TXT',
+              ttl: 120,
+              data: ['id=abc123', 'md=Chromecast Ultra', 'fn=Living Room TV']
+            });
+          }
+        }
+
+        return dnsPacket.encode({ isResponse: true, questions: query.questions, answers, additionals });
+      });
+      servers.push(server);
+
+      const resolver = new MdnsResolver({ port: server.address().port, timeout: 500 });
+
+      await expect(resolver.resolve('127.0.0.1')).resolves.toEqual({
+        hostname: 'living-room.local',
+        friendlyName: 'Living Room TV',
+        model: 'Chromecast Ultra',
+        manufacturer: undefined,
+        services: ['_googlecast._tcp']
+      });
+    });
+
+    test('should return null when nothing answers', async () => {
+      const server = await startUdpServer(() => null);
+      servers.push(server);
+
+      const resolver = new MdnsResolver({ port: server.address().port, timeout: 100 });
+      await expect(resolver.resolve('127.0.0.1')).resolves.toBeNull();
+    });
+  });
+
+  describe('NetbiosResolver', () => {
+    /**
+     * Build a node status response listing the given names
+     * @param {Buffer} request - Node status request
+     * @param {Array<[string, number, boolean]>} names - Name, suffix, group flag
+     */
+    const nodeStatusResponse = (request, names) => {
+      const header = Buffer.from(request.subarray(0, 12));
+      header.writeUInt16BE(0x8400, 2);
+      header.writeUInt16BE(0, 4);
+      header.writeUInt16BE(1, 6);
+      const questionName = request.subarray(12, 12 + 34);
+
+      const table = Buffer.alloc(1 + names.length * 18 + 6);
+      table[0] = names.length;
+      names.forEach(([name, suffix, isGroup], i) => {
+        const offset = 1 + i * 18;
+        table.write(name.padEnd(15, ' '), offset, 'latin1');
+        table[offset + 15] = suffix;
+        table.writeUInt16BE(isGroup ? 0x8400 : 0x0400, offset + 16);
+      });
+
+      const fields = Buffer.alloc(10);
+      fields.writeUInt16BE(0x21, 0);
+      fields.writeUInt16BE(1, 2);
+      fields.writeUInt16BE(table.length, 8);
+
+      return Buffer.concat([header, questionName, fields, table]);
+    };
+
+    test('should report the machine name', async () => {
+      const server = await startUdpServer(request => nodeStatusResponse(request, [
+        ['WORKGROUP', 0x00, true],
+        ['DESKTOP-7QK2M', 0x00, false],
+        ['DESKTOP-7QK2M', 0x20, false]
+      ]));
+      servers.push(server);
+
+      const resolver = new NetbiosResolver({ port: server.address().port, timeout: 500 });
+      await expect(resolver.resolve('127.0.0.1')).resolves.toEqual({ hostname: 'DESKTOP-7QK2M' });
+    });
+
+    test('should encode the wildcard node status query', () => {
+      const request = NetbiosResolver.encodeNodeStatusRequest(0xABCD);
+
+      expect(request.readUInt16BE(0)).toBe(0xABCD);
+      expect(request.toString('ascii', 13, 15)).toBe('CK');
+      expect(request.toString('ascii', 15, 45)).toBe('A'.repeat(30));
+      expect(request.readUInt16BE(46)).toBe(0x21);
+    });
+
+    test('should ignore malformed responses', () => {
+      expect(NetbiosResolver.parseNodeStatusResponse(Buffer.alloc(8))).toEqual([]);
+    });
+  });
+
+  describe('SsdpResolver', () => {
+    let httpServer;
+
+    afterEach(async () => {
+      if (httpServer) {
+        await new Promise(resolve => httpServer.close(resolve));
+        httpServer = null;
+      }
+    });
+
+    test('should read the device description the device points to', async () => {
+      httpServer = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(`<?xml version="1.0"?>
+          <root xmlns="urn:schemas-upnp-org:device-1-0">
+            <device>
+              <deviceType>urn:schemas-upnp-org:device:MediaRenderer:1</deviceType>
+              <friendlyName>Bedroom Speaker</friendlyName>
+              <manufacturer>Sonos, Inc.</manufacturer>
+              <modelName>Sonos One</modelName>
+              <modelNumber>S18</modelNumber>
+            </device>
+          </root>`);
+      });
+      await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+      const location = `http://127.0.0.1:${httpServer.address().port}/description.xml`;
+
+      const server = await startUdpServer(() => [
+        Buffer.from(`HTTP/1.1 200 OK\r\nLOCATION: ${location}\r\nST: urn:schemas-upnp-org:device:MediaRenderer:1\r\nUSN: uuid:1\r\n\r\n`),
+        Buffer.from(`HTTP/1.1 200 OK\r\nLOCATION: ${location}\r\nST: upnp:rootdevice\r\nUSN: uuid:1\r\n\r\n`)
+      ]);
+      servers.push(server);
+
+      const resolver = new SsdpResolver({ port: server.address().port, timeout: 500 });
+
+      await expect(resolver.resolve('127.0.0.1')).resolves.toEqual({
+        friendlyName: 'Bedroom Speaker',
+        model: 'Sonos One S18',
+        manufacturer: 'Sonos, Inc.',
+        services: ['urn:schemas-upnp-org:device:MediaRenderer:1']
+      });
+    });
+
+    test('should not follow descriptions hosted elsewhere', async () => {
+      const server = await startUdpServer(() => Buffer.from(
+        'HTTP/1.1 200 OK\r\nLOCATION: http://203.0.113.9/description.xml\r\nST: upnp:rootdevice\r\n\r\n'
+      ));
+      servers.push(server);
+
+      const resolver = new SsdpResolver({ port: server.address().port, timeout: 300 });
+      await expect(resolver.resolve('127.0.0.1')).resolves.toEqual({ services: [] });
+    });
+
+    test('should decode entities in descriptions', () => {
+      expect(SsdpResolver.parseDescription('<friendlyName>Tom &amp; Jerry&#39;s TV</friendlyName>'))
+        .toMatchObject({ friendlyName: "Tom & Jerry's TV" });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const NeighborDiscovery = require('../../server/components/NeighborDiscovery');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '../fixtures/neighbor');
+
+describe('NeighborDiscovery', () => {
+  describe('parseProcNetArp', () => {
+    test('should return resolved entries with normalized MACs', () => {
+      const content = fs.readFileSync(path.join(FIXTURES, 'proc-net-arp.txt'), 'utf8');
+      const entries = NeighborDiscovery.parseProcNetArp(content);
+
+      expect(entries.map(e => e.ipAddress)).toEqual([
+        '192.168.1.1',
+        '192.168.1.23',
+        '192.168.1.57',
+        '172.17.0.2',
+        '192.168.1.99'
+      ]);
+      expect(entries[1]).toEqual({
+        ipAddress: '192.168.1.23',
+        macAddress: 'DC:A6:32:AB:CD:EF',
+        interface: 'eth0',
+        source: 'arp-table'
+      });
+    });
+
+    test('should skip incomplete entries', () => {
+      const content = fs.readFileSync(path.join(FIXTURES, 'proc-net-arp.txt'), 'utf8');
+      const entries = NeighborDiscovery.parseProcNetArp(content);
+
+      expect(entries.find(e => e.ipAddress === '192.168.1.80')).toBeUndefined();
+    });
+  });
+
+  describe('parseIpNeigh', () => {
+    test('should return IPv4 entries with a link-layer address', () => {
+      const output = fs.readFileSync(path.join(FIXTURES, 'ip-neigh.txt'), 'utf8');
+      const entries = NeighborDiscovery.parseIpNeigh(output);
+
+      expect(entries.map(e => e.ipAddress)).toEqual([
+        '192.168.1.1',
+        '192.168.1.23',
+        '192.168.1.57',
+        '192.168.1.90'
+      ]);
+      expect(entries[2]).toEqual({
+        ipAddress: '192.168.1.57',
+        macAddress: '24:0A:C4:11:22:33',
+        interface: 'wlan0',
+        source: 'arp-table'
+      });
+    });
+  });
+
+  describe('parseTcpdumpArpLine', () => {
+    test('should parse ARP replies', () => {
+      const entry = NeighborDiscovery.parseTcpdumpArpLine(
+        '12:00:00.000000 a0:40:a0:12:34:56 > dc:a6:32:ab:cd:ef, ethertype ARP (0x0806), length 60: Reply 192.168.1.1 is-at a0:40:a0:12:34:56, length 46'
+      );
+
+      expect(entry).toEqual({
+        ipAddress: '192.168.1.1',
+        macAddress: 'A0:40:A0:12:34:56',
+        interface: null,
+        source: 'arp-traffic'
+      });
+    });
+
+    test('should parse requests and gratuitous announcements from the sender', () => {
+      const request = NeighborDiscovery.parseTcpdumpArpLine(
+        '12:00:00.000000 24:0a:c4:11:22:33 > ff:ff:ff:ff:ff:ff, ethertype ARP (0x0806), length 42: Request who-has 192.168.1.1 tell 192.168.1.57, length 28'
+      );
+      const announcement = NeighborDiscovery.parseTcpdumpArpLine(
+        '12:00:00.000000 3c:22:fb:99:88:77 > ff:ff:ff:ff:ff:ff, ethertype ARP (0x0806), length 42: Request who-has 192.168.1.90 (ff:ff:ff:ff:ff:ff) tell 192.168.1.90, length 28'
+      );
+
+      expect(request.ipAddress).toBe('192.168.1.57');
+      expect(request.macAddress).toBe('24:0A:C4:11:22:33');
+      expect(announcement.ipAddress).toBe('192.168.1.90');
+    });
+
+    test('should ignore probes and unrelated lines', () => {
+      expect(NeighborDiscovery.parseTcpdumpArpLine(
+        '12:00:00.000000 24:0a:c4:11:22:33 > ff:ff:ff:ff:ff:ff, ethertype ARP (0x0806), length 42: Request who-has 192.168.1.57 tell 0.0.0.0, length 28'
+      )).toBeNull();
+      expect(NeighborDiscovery.parseTcpdumpArpLine('listening on eth0, link-type EN10MB')).toBeNull();
+    });
+  });
+
+  describe('readNeighborTable', () => {
+    test('should read the configured ARP table file', async () => {
+      const discovery = new NeighborDiscovery({
+        arpTablePath: path.join(FIXTURES, 'proc-net-arp.txt')
+      });
+
+      const entries = await discovery.readNeighborTable();
+      expect(entries).toHaveLength(5);
+    });
+
+    test('should fall back to ip neigh when the ARP table is missing', async () => {
+      const discovery = new NeighborDiscovery({
+        arpTablePath: path.join(FIXTURES, 'does-not-exist'),
+        ipCommand: 'cat'
+      });
+      // `cat neigh show` fails, proving the fallback ran
+      await expect(discovery.readNeighborTable()).rejects.toThrow();
+    });
+
+    test('should emit a neighbor event per entry when polled', async () => {
+      const discovery = new NeighborDiscovery({
+        tableSource: 'proc',
+        arpTablePath: path.join(FIXTURES, 'proc-net-arp.txt')
+      });
+
+      const seen = [];
+      discovery.on('neighbor', entry => seen.push(entry.ipAddress));
+
+      await discovery.poll();
+      expect(seen).toContain('192.168.1.57');
+      expect(seen).toHaveLength(5);
+    });
+
+    test('should not throw when the table cannot be read', async () => {
+      const discovery = new NeighborDiscovery({
+        tableSource: 'proc',
+        arpTablePath: path.join(FIXTURES, 'does-not-exist')
+      });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(discovery.poll()).resolves.toEqual([]);
+      consoleSpy.mockRestore();
+    });
+  });
+});
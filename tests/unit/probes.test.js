@@ -0,0 +1,240 @@
+const dgram = require('dgram');
+const http = require('http');
+const net = require('net');
+const IcmpProbe = require('../../server/components/probes/IcmpProbe');
+const TcpProbe = require('../../server/components/probes/TcpProbe');
+const HttpProbe = require('../../server/components/probes/HttpProbe');
+const DnsProbe = require('../../server/components/probes/DnsProbe');
+const dnsPacket = require('../../server/utils/dnsPacket');
+const { validateProbeConfig } = require('../../server/utils/probeConfig');
+
+jest.mock('ping', () => ({
+  promise: {
+    probe: jest.fn()
+  }
+}));
+
+const ping = require('ping');
+
+/**
+ * Start a server listening on a free port of 127.0.0.1
+ * @param {net.Server|dgram.Socket} server - Server to start
+ * @returns {Promise<number>} Port
+ */
+function listen(server) {
+  return new Promise(resolve => {
+    if (server instanceof dgram.Socket) {
+      server.bind(0, '127.0.0.1', () => resolve(server.address().port));
+    } else {
+      server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    }
+  });
+}
+
+/**
+ * Find a port nothing listens on
+ * @returns {Promise<number>} Port
+ */
+async function closedPort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+describe('Probes', () => {
+  let servers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  });
+
+  describe('IcmpProbe', () => {
+    test('should report the ping round-trip time', async () => {
+      ping.promise.probe.mockResolvedValueOnce({ alive: true, time: '3.25' });
+
+      await expect(new IcmpProbe().check('192.168.1.10')).resolves.toEqual({ isOnline: true, responseTime: 3.25, detail: null });
+      expect(ping.promise.probe).toHaveBeenCalledWith('192.168.1.10', { timeout: 2, min_reply: 1 });
+    });
+
+    test('should report offline without a reply', async () => {
+      ping.promise.probe.mockResolvedValueOnce({ alive: false, time: 'unknown' });
+
+      const result = await new IcmpProbe({ timeout: 5000 }).check('192.168.1.10');
+      expect(result).toMatchObject({ isOnline: false, responseTime: -1 });
+      expect(ping.promise.probe).toHaveBeenCalledWith('192.168.1.10', { timeout: 5, min_reply: 1 });
+    });
+  });
+
+  describe('TcpProbe', () => {
+    test('should report online when the port accepts connections', async () => {
+      const server = net.createServer(socket => socket.destroy());
+      servers.push(server);
+      const port = await listen(server);
+
+      const result = await new TcpProbe({ port, timeout: 1000 }).check('127.0.0.1');
+      expect(result.isOnline).toBe(true);
+      expect(result.responseTime).toBeGreaterThanOrEqual(0);
+      expect(result.detail).toBe(`Port ${port} open`);
+    });
+
+    test('should report offline when the connection is refused', async () => {
+      const port = await closedPort();
+
+      await expect(new TcpProbe({ port, timeout: 1000 }).check('127.0.0.1')).resolves.toEqual({
+        isOnline: false,
+        responseTime: -1,
+        detail: `Port ${port} refused`
+      });
+    });
+  });
+
+  describe('HttpProbe', () => {
+    let port;
+
+    beforeEach(async () => {
+      const server = http.createServer((req, res) => {
+        if (req.url === '/health') {
+          res.end('status: ok');
+        } else if (req.url === '/broken') {
+          res.statusCode = 503;
+          res.end('maintenance');
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+      servers.push(server);
+      port = await listen(server);
+    });
+
+    test('should report online for a successful response', async () => {
+      const result = await new HttpProbe({ port, path: '/health', timeout: 1000 }).check('127.0.0.1');
+      expect(result.isOnline).toBe(true);
+      expect(result.responseTime).toBeGreaterThanOrEqual(0);
+      expect(result.detail).toBe('HTTP 200');
+    });
+
+    test('should report offline for an error status', async () => {
+      await expect(new HttpProbe({ port, path: '/broken', timeout: 1000 }).check('127.0.0.1')).resolves.toEqual({
+        isOnline: false,
+        responseTime: -1,
+        detail: 'HTTP 503'
+      });
+    });
+
+    test('should accept the configured status codes only', async () => {
+      const probe = new HttpProbe({ port, path: '/missing', expectedStatus: [404], timeout: 1000 });
+      expect((await probe.check('127.0.0.1')).isOnline).toBe(true);
+
+      const strict = new HttpProbe({ port, path: '/health', expectedStatus: [204], timeout: 1000 });
+      expect((await strict.check('127.0.0.1')).isOnline).toBe(false);
+    });
+
+    test('should require the keyword in the body', async () => {
+      const found = await new HttpProbe({ port, path: '/health', keyword: 'ok', timeout: 1000 }).check('127.0.0.1');
+      expect(found).toMatchObject({ isOnline: true, detail: 'HTTP 200, keyword found' });
+
+      const missing = await new HttpProbe({ port, path: '/health', keyword: 'ready', timeout: 1000 }).check('127.0.0.1');
+      expect(missing).toEqual({ isOnline: false, responseTime: -1, detail: 'HTTP 200, keyword not found' });
+    });
+
+    test('should report offline when nothing listens', async () => {
+      const closed = await closedPort();
+
+      const result = await new HttpProbe({ port: closed, timeout: 1000 }).check('127.0.0.1');
+      expect(result).toEqual({ isOnline: false, responseTime: -1, detail: `Port ${closed} refused` });
+    });
+  });
+
+  describe('DnsProbe', () => {
+    /**
+     * Start a DNS server answering every query with the given response code
+     * @param {string} rcode - Response code
+     * @returns {Promise<number>} Port
+     */
+    async function startDnsServer(rcode) {
+      const server = dgram.createSocket('udp4');
+      server.on('message', (message, rinfo) => {
+        const query = dnsPacket.decode(message);
+        const answers = rcode === 'NOERROR'
+          ? [{ name: query.questions[0].name, type: 'A', ttl: 60, data: '192.168.1.50' }]
+          : [];
+        server.send(dnsPacket.encode({ id: query.id, isResponse: true, rcode, questions: query.questions, answers }), rinfo.port, rinfo.address);
+      });
+      servers.push(server);
+      return listen(server);
+    }
+
+    test('should report online when the name resolves', async () => {
+      const port = await startDnsServer('NOERROR');
+
+      const result = await new DnsProbe({ name: 'nas.lan', port, timeout: 1000 }).check('127.0.0.1');
+      expect(result.isOnline).toBe(true);
+      expect(result.responseTime).toBeGreaterThanOrEqual(0);
+      expect(result.detail).toBe('NOERROR, 1 answer');
+    });
+
+    test('should report offline when the server fails the query', async () => {
+      const port = await startDnsServer('SERVFAIL');
+
+      await expect(new DnsProbe({ name: 'nas.lan', port, timeout: 1000 }).check('127.0.0.1')).resolves.toEqual({
+        isOnline: false,
+        responseTime: -1,
+        detail: 'SERVFAIL'
+      });
+    });
+
+    test('should report offline when nothing answers', async () => {
+      const server = dgram.createSocket('udp4');
+      servers.push(server);
+      const port = await listen(server);
+
+      const result = await new DnsProbe({ name: 'nas.lan', port, timeout: 200 }).check('127.0.0.1');
+      expect(result).toEqual({ isOnline: false, responseTime: -1, detail: 'DNS query timed out' });
+    });
+  });
+
+  describe('validateProbeConfig', () => {
+    test('should fill in defaults', () => {
+      expect(validateProbeConfig({ type: 'icmp' })).toEqual({ type: 'icmp', timeout: 2000 });
+      expect(validateProbeConfig({ type: 'http', https: true })).toEqual({
+        type: 'http',
+        timeout: 2000,
+        https: true,
+        port: 443,
+        path: '/',
+        expectedStatus: [],
+        keyword: null
+      });
+      expect(validateProbeConfig({ type: 'dns', name: ' nas.lan ', timeout: 500 })).toEqual({
+        type: 'dns',
+        timeout: 500,
+        name: 'nas.lan',
+        recordType: 'A',
+        port: 53
+      });
+      expect(validateProbeConfig({ type: 'http', expectedStatus: 204 }).expectedStatus).toEqual([204]);
+    });
+
+    test('should reject invalid configurations', () => {
+      expect(() => validateProbeConfig(null)).toThrow(/must be an object/);
+      expect(() => validateProbeConfig({ type: 'smtp' })).toThrow(/type must be one of icmp, tcp, http, dns/);
+      expect(() => validateProbeConfig({ type: 'tcp' })).toThrow(/port must be a number/);
+      expect(() => validateProbeConfig({ type: 'tcp', port: 70000 })).toThrow(/port must be a number/);
+      expect(() => validateProbeConfig({ type: 'icmp', port: 22 })).toThrow(/Unknown field "port" for icmp probes/);
+      expect(() => validateProbeConfig({ type: 'icmp', timeout: 10 })).toThrow(/timeout must be/);
+      expect(() => validateProbeConfig({ type: 'http', path: 'health' })).toThrow(/path must start with/);
+      expect(() => validateProbeConfig({ type: 'http', expectedStatus: [200, 'ok'] })).toThrow(/expectedStatus/);
+      expect(() => validateProbeConfig({ type: 'dns' })).toThrow(/name must be/);
+      expect(() => validateProbeConfig({ type: 'dns', name: 'nas.lan', recordType: 'SOA' })).toThrow(/recordType/);
+    });
+  });
+});
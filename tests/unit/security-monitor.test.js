@@ -0,0 +1,157 @@
+const SecurityMonitor = require('../../server/components/SecurityMonitor');
+
+describe('SecurityMonitor', () => {
+  let monitor;
+
+  const device = {
+    id: 'mac-aabbccddeeff',
+    ipAddress: '192.168.1.100',
+    macAddress: 'AA:BB:CC:DD:EE:FF',
+    hostname: 'laptop.lan',
+    vendor: 'Apple, Inc.',
+    discoveryMethod: 'arp-table'
+  };
+
+  beforeEach(() => {
+    monitor = new SecurityMonitor();
+  });
+
+  describe('allowlist', () => {
+    test('should report devices as pending until reviewed', () => {
+      expect(monitor.getApproval(device.id)).toBe('pending');
+
+      const entry = monitor.setApproval(device, 'approved', 'Work laptop');
+
+      expect(entry).toMatchObject({ deviceId: device.id, macAddress: device.macAddress, status: 'approved', note: 'Work laptop' });
+      expect(monitor.getApproval(device.id)).toBe('approved');
+      expect(monitor.getKnownDevices()).toEqual([entry]);
+    });
+
+    test('should refuse devices without a MAC address', () => {
+      expect(() => monitor.setApproval({ id: 'ip-192.168.1.5', ipAddress: '192.168.1.5' }, 'approved'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('should restore persisted entries and forget them', () => {
+      monitor.restoreKnownDevices([
+        { deviceId: device.id, macAddress: device.macAddress, status: 'ignored', note: null, updatedAt: '2024-01-15T10:00:00.000Z' }
+      ]);
+
+      expect(monitor.getApproval(device.id)).toBe('ignored');
+      expect(monitor.getKnownDevices()[0].updatedAt).toBeInstanceOf(Date);
+
+      expect(monitor.forget(device.id)).toMatchObject({ status: 'ignored' });
+      expect(monitor.forget(device.id)).toBeNull();
+      expect(monitor.getApproval(device.id)).toBe('pending');
+    });
+  });
+
+  describe('newDevice', () => {
+    test('should raise an event for unreviewed devices', () => {
+      const listener = jest.fn();
+      const securityListener = jest.fn();
+      monitor.on('newDevice', listener);
+      monitor.on('securityEvent', securityListener);
+
+      const event = monitor.handleDeviceAdded(device);
+
+      expect(event).toMatchObject({
+        type: 'newDevice',
+        severity: 'warning',
+        deviceId: device.id,
+        ipAddress: '192.168.1.100',
+        message: 'New Apple, Inc. device AA:BB:CC:DD:EE:FF at 192.168.1.100 (laptop.lan)',
+        details: { vendor: 'Apple, Inc.', hostname: 'laptop.lan', discoveryMethod: 'arp-table' }
+      });
+      expect(listener).toHaveBeenCalledWith(event);
+      expect(securityListener).toHaveBeenCalledWith(event);
+    });
+
+    test('should stay quiet for approved and ignored devices', () => {
+      const listener = jest.fn();
+      monitor.on('securityEvent', listener);
+
+      monitor.setApproval(device, 'approved');
+      monitor.handleDeviceAdded(device);
+      monitor.setApproval(device, 'ignored');
+      monitor.handleDeviceAdded(device);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deviceChanged', () => {
+    test('should raise a warning when the MAC address or open ports change', () => {
+      monitor.setApproval(device, 'approved');
+
+      const event = monitor.handleDeviceChanged(device, [
+        { field: 'openPorts', previous: [22], current: [22, 23] }
+      ]);
+
+      expect(event).toMatchObject({
+        type: 'deviceChanged',
+        severity: 'warning',
+        message: 'Device at 192.168.1.100 changed: openPorts [22] → [22, 23]'
+      });
+      expect(event.details.changes).toHaveLength(1);
+    });
+
+    test('should report hostname changes as informational', () => {
+      const event = monitor.handleDeviceChanged(device, [
+        { field: 'hostname', previous: 'old.lan', current: 'laptop.lan' }
+      ]);
+
+      expect(event.severity).toBe('info');
+    });
+
+    test('should stay quiet for ignored devices', () => {
+      monitor.setApproval(device, 'ignored');
+
+      expect(monitor.handleDeviceChanged(device, [{ field: 'hostname', previous: 'a', current: 'b' }])).toBeNull();
+    });
+  });
+
+  describe('arpConflict', () => {
+    const evidence = { claims: [], changes: 2 };
+
+    test('should raise a critical event when the gateway is impersonated', () => {
+      const event = monitor.handleArpConflict({
+        kind: 'gatewayImpersonation',
+        ipAddress: '192.168.1.1',
+        macAddresses: ['A8:BB:CC:00:00:01', 'AA:BB:CC:DD:EE:FF'],
+        evidence: { ...evidence, expectedMac: 'A8:BB:CC:00:00:01', otherIps: ['192.168.1.100'] },
+        detectedAt: new Date()
+      });
+
+      expect(event).toMatchObject({
+        type: 'arpConflict',
+        severity: 'critical',
+        deviceId: 'mac-aabbccddeeff',
+        macAddress: 'AA:BB:CC:DD:EE:FF',
+        message: 'Gateway 192.168.1.1 (A8:BB:CC:00:00:01) claimed by AA:BB:CC:DD:EE:FF (also answering for 192.168.1.100)'
+      });
+      expect(event.details.kind).toBe('gatewayImpersonation');
+      expect(event.details.evidence.otherIps).toEqual(['192.168.1.100']);
+    });
+
+    test('should report duplicate addresses even for ignored devices', () => {
+      monitor.setApproval(device, 'ignored');
+      const events = [];
+      monitor.on('securityEvent', event => events.push(event));
+
+      monitor.handleArpConflict({
+        kind: 'duplicateIp',
+        ipAddress: '192.168.1.100',
+        macAddresses: ['A8:BB:CC:00:00:02', 'AA:BB:CC:DD:EE:FF'],
+        evidence,
+        detectedAt: new Date()
+      });
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        severity: 'warning',
+        message: 'Duplicate IP address 192.168.1.100 claimed by A8:BB:CC:00:00:02, AA:BB:CC:DD:EE:FF'
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const net = require('net');
+const ServiceScanner = require('../../server/components/ServiceScanner');
+
+/**
+ * Start a TCP server on 127.0.0.1 that calls onConnection for each client
+ * @param {(socket: net.Socket) => void} onConnection - Connection handler
+ * @returns {Promise<net.Server>} Listening server
+ */
+function startTcpServer(onConnection) {
+  return new Promise(resolve => {
+    const server = net.createServer(onConnection);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Find a local port that nothing listens on
+ * @returns {Promise<number>} Closed port
+ */
+async function closedPort() {
+  const server = await startTcpServer(() => {});
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+describe('ServiceScanner', () => {
+  let servers;
+
+  beforeEach(() => {
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  });
+
+  describe('scan', () => {
+    test('should report open ports with their banners', async () => {
+      const ssh = await startTcpServer(socket => socket.end('SSH-2.0-OpenSSH_9.2p1 Debian-2\r\n'));
+      const silent = await startTcpServer(() => {});
+      servers.push(ssh, silent);
+      const closed = await closedPort();
+
+      const scanner = new ServiceScanner({
+        ports: [ssh.address().port, silent.address().port, closed],
+        timeout: 500,
+        bannerTimeout: 200,
+        rateLimit: 1000
+      });
+      const inventory = await scanner.scan('127.0.0.1');
+
+      expect(inventory.openPorts).toEqual([ssh.address().port, silent.address().port].sort((a, b) => a - b));
+      expect(inventory.scannedAt).toBeInstanceOf(Date);
+
+      const sshService = inventory.services.find(service => service.port === ssh.address().port);
+      expect(sshService).toMatchObject({
+        protocol: 'tcp',
+        name: 'ssh',
+        product: 'OpenSSH_9.2p1 Debian-2',
+        banner: 'SSH-2.0-OpenSSH_9.2p1 Debian-2'
+      });
+
+      const silentService = inventory.services.find(service => service.port === silent.address().port);
+      expect(silentService.banner).toBeNull();
+    });
+
+    test('should space connection attempts by the rate limit', async () => {
+      const server = await startTcpServer(socket => socket.end());
+      servers.push(server);
+      const { port } = server.address();
+
+      const scanner = new ServiceScanner({ ports: [port, port, port, port], bannerTimeout: 100, rateLimit: 20 });
+      const started = Date.now();
+      await scanner.scan('127.0.0.1');
+
+      // Four attempts at 20 per second: the last one starts 150 ms after the first
+      expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+    });
+
+    test('should not open more connections than the concurrency limit', async () => {
+      const server = await startTcpServer(() => {});
+      servers.push(server);
+      const { port } = server.address();
+
+      const scanner = new ServiceScanner({ ports: new Array(6).fill(port), bannerTimeout: 30, rateLimit: 1000, concurrency: 2 });
+      const exchange = scanner._exchange.bind(scanner);
+      let open = 0;
+      let maxOpen = 0;
+      jest.spyOn(scanner, '_exchange').mockImplementation(async (...args) => {
+        open++;
+        maxOpen = Math.max(maxOpen, open);
+        try {
+          return await exchange(...args);
+        } finally {
+          open--;
+        }
+      });
+
+      await scanner.scan('127.0.0.1');
+
+      expect(scanner._exchange).toHaveBeenCalledTimes(6);
+      expect(maxOpen).toBe(2);
+    });
+  });
+
+  describe('identifyService', () => {
+    test('should read the Server header and title of HTTP services', () => {
+      const response = 'HTTP/1.1 200 OK\r\nServer: lighttpd/1.4.59\r\nContent-Type: text/html\r\n\r\n' +
+        '<html><head><title>\n  Router Login </title></head></html>';
+
+      expect(ServiceScanner.identifyService(8080, response)).toEqual({
+        port: 8080,
+        protocol: 'tcp',
+        name: 'http',
+        banner: 'HTTP/1.1 200 OK',
+        product: 'lighttpd/1.4.59',
+        title: 'Router Login'
+      });
+    });
+
+    test('should recognise common greetings', () => {
+      expect(ServiceScanner.identifyService(2121, '220 ProFTPD Server ready\r\n').name).toBe('ftp');
+      expect(ServiceScanner.identifyService(2525, '220 mail.example.com ESMTP Postfix\r\n').name).toBe('smtp');
+      expect(ServiceScanner.identifyService(1110, '+OK Dovecot ready.\r\n').name).toBe('pop3');
+      expect(ServiceScanner.identifyService(1143, '* OK IMAP4rev1 ready\r\n').name).toBe('imap');
+      expect(ServiceScanner.identifyService(5901, 'RFB 003.008\n').name).toBe('vnc');
+    });
+
+    test('should fall back to the well-known port name', () => {
+      expect(ServiceScanner.identifyService(9100, '')).toMatchObject({ name: 'jetdirect', banner: null });
+      expect(ServiceScanner.identifyService(40000, '').name).toBe('unknown');
+    });
+  });
+
+  describe('parsePortList', () => {
+    test('should expand ranges and remove duplicates', () => {
+      expect(ServiceScanner.parsePortList('80, 22,8000-8002,22')).toEqual([22, 80, 8000, 8001, 8002]);
+      expect(ServiceScanner.parsePortList([443, 80])).toEqual([80, 443]);
+    });
+
+    test('should reject invalid ports and ranges', () => {
+      expect(() => ServiceScanner.parsePortList('0')).toThrow(/Invalid port/);
+      expect(() => ServiceScanner.parsePortList('70000')).toThrow(/Invalid port/);
+      expect(() => ServiceScanner.parsePortList('90-80')).toThrow(/Invalid port/);
+      expect(() => ServiceScanner.parsePortList('http')).toThrow(/Invalid port/);
+      expect(() => ServiceScanner.parsePortList('')).toThrow(/empty/);
+    });
+  });
+});
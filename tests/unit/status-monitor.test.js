@@ -1,4 +1,6 @@
 const StatusMonitor = require('../../server/components/StatusMonitor');
+const TcpProbe = require('../../server/components/probes/TcpProbe');
+const HttpProbe = require('../../server/components/probes/HttpProbe');
 
 // Mock the ping module
 jest.mock('ping', () => ({
@@ -511,4 +513,560 @@ describe('StatusMonitor', () => {
       }
     });
   });
+
+  describe('probes', () => {
+    const device = {
+      ipAddress: '192.168.1.100',
+      macAddress: 'AA:BB:CC:DD:EE:FF',
+      hostname: 'web-server',
+      isActive: true
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should check devices with their configured probe', async () => {
+      const check = jest.spyOn(TcpProbe.prototype, 'check')
+        .mockResolvedValueOnce({ isOnline: true, responseTime: 1.5, detail: 'Port 22 open' });
+
+      monitor.startMonitoring({ ...device, probe: { type: 'tcp', port: 22, timeout: 2000 } });
+      expect(monitor.getDeviceStatuses().get('192.168.1.100').probeType).toBe('tcp');
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(check).toHaveBeenCalledWith('192.168.1.100');
+      expect(ping.promise.probe).not.toHaveBeenCalled();
+      expect(monitor.getDeviceStatuses().get('192.168.1.100')).toMatchObject({
+        isOnline: true,
+        responseTime: 1.5,
+        probeType: 'tcp',
+        detail: 'Port 22 open'
+      });
+    });
+
+    test('should switch probes at runtime and check right away', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      jest.spyOn(HttpProbe.prototype, 'check')
+        .mockResolvedValueOnce({ isOnline: true, responseTime: 12, detail: 'HTTP 200' });
+
+      const statusChanges = [];
+      monitor.onStatusChange((ip, status) => statusChanges.push(status));
+
+      monitor.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(statusChanges).toHaveLength(1);
+      expect(monitor.monitoringStates.get('192.168.1.100').checkInterval).toBe(1000);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(monitor.monitoringStates.get('192.168.1.100').checkInterval).toBe(2000);
+
+      // The server blocks ping but its web app is fine
+      expect(monitor.setProbe('192.168.1.100', { type: 'http', port: 80, path: '/', timeout: 2000 })).toBe(true);
+      expect(monitor.monitoringStates.get('192.168.1.100').checkInterval).toBe(1000);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(statusChanges).toHaveLength(2);
+      expect(statusChanges[1]).toMatchObject({ isOnline: true, responseTime: 12, probeType: 'http', detail: 'HTTP 200' });
+      expect(monitor.setProbe('192.168.1.200', null)).toBe(false);
+    });
+
+    test('should reject unknown probe types', () => {
+      expect(() => StatusMonitor.createProbe({ type: 'smtp' })).toThrow(/Unknown probe type/);
+      expect(StatusMonitor.createProbe(null).type).toBe('icmp');
+    });
+  });
+
+  describe('scheduling', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should spread the first checks of devices started together', async () => {
+      const jittered = new StatusMonitor({ checkInterval: 1000, jitter: 0.5 });
+      jest.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.8);
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '1.0' });
+
+      jittered.startMonitoring({ ipAddress: '192.168.1.100', isActive: true });
+      jittered.startMonitoring({ ipAddress: '192.168.1.101', isActive: true });
+
+      await jest.advanceTimersByTimeAsync(600);
+      expect(ping.promise.probe.mock.calls.map(([ip]) => ip)).toEqual(['192.168.1.101']);
+
+      await jest.advanceTimersByTimeAsync(400);
+      expect(ping.promise.probe.mock.calls.map(([ip]) => ip)).toEqual(['192.168.1.101', '192.168.1.100']);
+
+      expect(jittered.getSchedulerMetrics()).toMatchObject({ devices: 2, queueDepth: 2, running: 0, checksRun: 2 });
+      jittered.stopAll();
+      expect(jittered.getSchedulerMetrics()).toMatchObject({ devices: 0, queueDepth: 0 });
+    });
+  });
+
+  describe('confirmation and flapping', () => {
+    const device = { ipAddress: '192.168.1.100', isActive: true };
+
+    test('should only go offline after enough failures and re-check quickly in between', async () => {
+      const confirming = new StatusMonitor({ checkInterval: 10000, failureThreshold: 3, recoveryThreshold: 2, recheckDelay: 1000, jitter: 0 });
+      const statusChanges = [];
+      confirming.onStatusChange((ip, status) => statusChanges.push(status.isOnline));
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+
+      confirming.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(10000);
+
+      // One dropped ping: still online, checked again soon
+      expect(confirming.getDeviceStatuses().get('192.168.1.100').isOnline).toBe(true);
+      expect(confirming.monitoringStates.get('192.168.1.100').checkInterval).toBe(1000);
+      expect(statusChanges).toEqual([]);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(3);
+      expect(statusChanges).toEqual([false]);
+      expect(confirming.monitoringStates.get('192.168.1.100').checkInterval).toBe(10000);
+
+      // Coming back needs two successes
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '5.0' });
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(statusChanges).toEqual([false]);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(statusChanges).toEqual([false, true]);
+
+      confirming.stopAll();
+    });
+
+    test('should not go offline when a single failure is followed by a success', async () => {
+      const confirming = new StatusMonitor({ checkInterval: 10000, failureThreshold: 2, recheckDelay: 1000, jitter: 0 });
+      const statusChanges = [];
+      confirming.onStatusChange((ip, status) => statusChanges.push(status.isOnline));
+      ping.promise.probe
+        .mockResolvedValueOnce({ alive: false, time: 'unknown' })
+        .mockResolvedValueOnce({ alive: true, time: '5.0' });
+
+      confirming.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(11000);
+
+      expect(statusChanges).toEqual([]);
+      expect(confirming.monitoringStates.get('192.168.1.100').checkInterval).toBe(10000);
+      confirming.stopAll();
+    });
+
+    test('should date transitions from the first check of the run that confirmed them', async () => {
+      const confirming = new StatusMonitor({ checkInterval: 10000, failureThreshold: 3, recheckDelay: 1000, jitter: 0 });
+      const transitions = [];
+      confirming.onTransition((ip, status, since) => transitions.push({ isOnline: status.isOnline, since: since.getTime(), at: Date.now() }));
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      const startedAt = Date.now();
+
+      confirming.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(12000);
+
+      expect(transitions).toEqual([{ isOnline: false, since: startedAt + 10000, at: startedAt + 12000 }]);
+      confirming.stopAll();
+    });
+
+    test('should mark a device as flapping and hold back its status changes until it settles', async () => {
+      const flappy = new StatusMonitor({ checkInterval: 1000, flapThreshold: 4, flapWindow: 10000, jitter: 0 });
+      const statusChanges = [];
+      const flapping = [];
+      flappy.onStatusChange((ip, status) => statusChanges.push(status.isOnline));
+      flappy.onFlapping((ip, status) => flapping.push(status.isFlapping));
+      let transitionCount = 0;
+      flappy.onTransition(() => transitionCount++);
+
+      let alive = true;
+      ping.promise.probe.mockImplementation(async () => {
+        alive = !alive;
+        return { alive, time: alive ? '5.0' : 'unknown' };
+      });
+
+      flappy.startMonitoring(device);
+      // Each check changes state; offline checks back off to 2 s
+      await jest.advanceTimersByTimeAsync(6000);
+
+      expect(flapping).toEqual([true]);
+      expect(statusChanges).toEqual([false, true, false]);
+      expect(flappy.getDeviceStatuses().get('192.168.1.100').isFlapping).toBe(true);
+
+      const changesWhileFlapping = statusChanges.length;
+      const transitionsWhileFlapping = transitionCount;
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(statusChanges).toHaveLength(changesWhileFlapping);
+      // Transitions are still emitted, so outages are recorded
+      expect(transitionCount).toBeGreaterThan(transitionsWhileFlapping);
+
+      // Stable again: once the old changes leave the window, the device settles and its state is reported
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '5.0' });
+      await jest.advanceTimersByTimeAsync(12000);
+
+      expect(flapping).toEqual([true, false]);
+      expect(statusChanges[statusChanges.length - 1]).toBe(true);
+      expect(flappy.getDeviceStatuses().get('192.168.1.100')).toMatchObject({ isOnline: true, isFlapping: false });
+      flappy.stopAll();
+    });
+  });
+  describe('dependencies', () => {
+    const parent = { id: 'mac-000000000001', ipAddress: '192.168.1.1', isActive: true };
+    const child = { id: 'mac-000000000002', ipAddress: '192.168.1.2', parentId: 'mac-000000000001', isActive: true };
+    let alive;
+    let statusChanges;
+    let unreachable;
+    let dependent;
+
+    beforeEach(() => {
+      alive = new Map([['192.168.1.1', true], ['192.168.1.2', true]]);
+      ping.promise.probe.mockImplementation(async (ip) => (alive.get(ip)
+        ? { alive: true, time: '5.0' }
+        : { alive: false, time: 'unknown' }));
+
+      dependent = new StatusMonitor({ checkInterval: 1000, jitter: 0 });
+      statusChanges = [];
+      unreachable = [];
+      dependent.onStatusChange((ip, status) => statusChanges.push([ip, status.isOnline]));
+      dependent.onUnreachable((ip, status) => unreachable.push([ip, status.isUnreachable]));
+    });
+
+    afterEach(() => {
+      dependent.stopAll();
+    });
+
+    test('should mark a device unreachable while its parent is down and hold back its status changes', async () => {
+      dependent.startMonitoring(parent);
+      dependent.startMonitoring(child);
+      alive.set('192.168.1.1', false);
+      alive.set('192.168.1.2', false);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(statusChanges).toEqual([['192.168.1.1', false]]);
+      expect(unreachable).toEqual([['192.168.1.2', true]]);
+      expect(dependent.getDeviceStatuses().get('192.168.1.2')).toMatchObject({ isOnline: false, isUnreachable: true });
+
+      // Both come back: the child was never reported offline, so nothing is reported for it
+      alive.set('192.168.1.1', true);
+      alive.set('192.168.1.2', true);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(statusChanges).toEqual([['192.168.1.1', false], ['192.168.1.1', true]]);
+      expect(unreachable).toEqual([['192.168.1.2', true], ['192.168.1.2', false]]);
+    });
+
+    test('should report a device offline once its parent has recovered without it', async () => {
+      dependent.startMonitoring(parent);
+      dependent.startMonitoring(child);
+      alive.set('192.168.1.1', false);
+      alive.set('192.168.1.2', false);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      alive.set('192.168.1.1', true);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(statusChanges).toEqual([['192.168.1.1', false], ['192.168.1.1', true], ['192.168.1.2', false]]);
+      expect(dependent.getDeviceStatuses().get('192.168.1.2')).toMatchObject({ isOnline: false, isUnreachable: false });
+    });
+
+    test('should check the parent before confirming a device offline', async () => {
+      dependent.startMonitoring(child);
+      await jest.advanceTimersByTimeAsync(500);
+      dependent.startMonitoring(parent);
+      alive.set('192.168.1.1', false);
+      alive.set('192.168.1.2', false);
+
+      // The child fails first; its parent is checked right away instead of at 1.5 s
+      await jest.advanceTimersByTimeAsync(600);
+      expect(ping.promise.probe).toHaveBeenCalledWith('192.168.1.1', expect.anything());
+      expect(dependent.getDeviceStatuses().get('192.168.1.1').isOnline).toBe(false);
+      expect(dependent.getDeviceStatuses().get('192.168.1.2').isOnline).toBe(true);
+
+      await jest.advanceTimersByTimeAsync(900);
+      expect(statusChanges).toEqual([['192.168.1.1', false]]);
+      expect(dependent.getDeviceStatuses().get('192.168.1.2').isUnreachable).toBe(true);
+    });
+
+    test('should confirm a device offline when its parent answers', async () => {
+      dependent.startMonitoring(child);
+      await jest.advanceTimersByTimeAsync(500);
+      dependent.startMonitoring(parent);
+      alive.set('192.168.1.2', false);
+
+      await jest.advanceTimersByTimeAsync(1500);
+
+      expect(statusChanges).toEqual([['192.168.1.2', false]]);
+      expect(unreachable).toEqual([]);
+    });
+
+    test('should apply a new parent to a device that is down', async () => {
+      dependent.startMonitoring(parent);
+      dependent.startMonitoring({ ...child, parentId: null });
+      alive.set('192.168.1.1', false);
+      alive.set('192.168.1.2', false);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(statusChanges).toEqual([['192.168.1.1', false], ['192.168.1.2', false]]);
+
+      expect(dependent.setParent('192.168.1.2', 'mac-000000000001')).toBe(true);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(dependent.getDeviceStatuses().get('192.168.1.2').isUnreachable).toBe(true);
+      expect(dependent.setParent('192.168.1.99', null)).toBe(false);
+    });
+
+    test('should check a device with a new parent after the check already running', async () => {
+      dependent.startMonitoring(parent);
+      dependent.startMonitoring({ ...child, parentId: null });
+      alive.set('192.168.1.1', false);
+      alive.set('192.168.1.2', false);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      // Checks of the child take 200 ms from now on
+      let running = 0;
+      let mostRunning = 0;
+      const childChecks = [];
+      ping.promise.probe.mockImplementation(async (ip) => {
+        if (ip !== '192.168.1.2') {
+          return { alive: false, time: 'unknown' };
+        }
+        childChecks.push(Date.now());
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        running--;
+        return { alive: false, time: 'unknown' };
+      });
+      await jest.advanceTimersByTimeAsync(1100);
+      expect(childChecks).toHaveLength(1);
+      const started = childChecks[0];
+
+      dependent.setParent('192.168.1.2', 'mac-000000000001');
+      await jest.advanceTimersByTimeAsync(50);
+      expect(running).toBe(1);
+      expect(dependent.getDeviceStatuses().get('192.168.1.2').isUnreachable).toBe(false);
+
+      // Checked again once the running check finished, not a check interval later
+      await jest.advanceTimersByTimeAsync(400);
+      expect(mostRunning).toBe(1);
+      expect(childChecks).toHaveLength(2);
+      expect(childChecks[1] - started).toBeLessThan(300);
+      expect(dependent.getDeviceStatuses().get('192.168.1.2').isUnreachable).toBe(true);
+    });
+  });
+
+  describe('maintenance', () => {
+    const device = { id: 'mac-000000000001', ipAddress: '192.168.1.1', isActive: true };
+    let maintenance;
+    let statusChanges;
+    let maintenanceEvents;
+    let maintained;
+
+    beforeEach(() => {
+      maintenance = null;
+      maintained = new StatusMonitor({ checkInterval: 1000, jitter: 0, getMaintenance: () => maintenance });
+      statusChanges = [];
+      maintenanceEvents = [];
+      maintained.onStatusChange((ip, status) => statusChanges.push(status.isOnline));
+      maintained.onMaintenance((ip, status) => maintenanceEvents.push(status.inMaintenance));
+    });
+
+    afterEach(() => {
+      maintained.stopAll();
+    });
+
+    test('should not check a paused device and report its state once the window ends', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      maintenance = { mode: 'pause', windowIds: ['w1'] };
+
+      maintained.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(3000);
+
+      expect(ping.promise.probe).not.toHaveBeenCalled();
+      expect(maintained.getDeviceStatuses().get('192.168.1.1')).toMatchObject({ isOnline: true, inMaintenance: true });
+      expect(maintenanceEvents).toEqual([true]);
+
+      maintenance = null;
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+      expect(maintenanceEvents).toEqual([true, false]);
+      expect(statusChanges).toEqual([false]);
+    });
+
+    test('should flag results and hold back status changes while checking in maintenance', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      maintenance = { mode: 'flag', windowIds: ['w1'] };
+      const transitions = [];
+      maintained.onTransition((ip, status) => transitions.push(status.isOnline));
+
+      maintained.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+      expect(maintained.getDeviceStatuses().get('192.168.1.1')).toMatchObject({ isOnline: false, inMaintenance: true });
+      expect(statusChanges).toEqual([]);
+      // Outages are still recorded; reports leave maintenance time out
+      expect(transitions).toEqual([false]);
+
+      // Back before the window ends: nothing is reported
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '5.0' });
+      await jest.advanceTimersByTimeAsync(2000);
+      maintenance = null;
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(maintenanceEvents).toEqual([true, false]);
+      expect(statusChanges).toEqual([]);
+      expect(maintained.getDeviceStatuses().get('192.168.1.1')).toMatchObject({ isOnline: true, inMaintenance: false });
+    });
+
+    test('should not hold back a failing device behind a paused parent', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      const child = { id: 'mac-000000000002', ipAddress: '192.168.1.2', parentId: device.id, isActive: true };
+      const pausedParent = new StatusMonitor({
+        checkInterval: 1000,
+        jitter: 0,
+        getMaintenance: ip => (ip === device.ipAddress ? { mode: 'pause', windowIds: ['w1'] } : null)
+      });
+      const changes = [];
+      pausedParent.onStatusChange((ip, status) => changes.push([ip, status.isOnline]));
+
+      pausedParent.startMonitoring(device);
+      pausedParent.startMonitoring(child);
+      await jest.advanceTimersByTimeAsync(3000);
+      const status = pausedParent.getDeviceStatuses().get('192.168.1.2');
+      pausedParent.stopAll();
+
+      expect(ping.promise.probe).not.toHaveBeenCalledWith('192.168.1.1', expect.anything());
+      expect(changes).toEqual([['192.168.1.2', false]]);
+      expect(status).toMatchObject({ isOnline: false, isUnreachable: false });
+    });
+  });
+
+  describe('profiles', () => {
+    const device = { id: 'mac-000000000001', ipAddress: '192.168.1.1', isActive: true };
+    let profile;
+    let profiled;
+
+    beforeEach(() => {
+      profile = null;
+      profiled = new StatusMonitor({ checkInterval: 1000, recheckDelay: 500, jitter: 0, getProfile: () => profile });
+    });
+
+    afterEach(() => {
+      profiled.stopAll();
+    });
+
+    test('should check a device with the interval and thresholds of its profile', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      profile = { status: { enabled: true, checkInterval: 5000, failureThreshold: 2, recoveryThreshold: null } };
+      const statusChanges = [];
+      profiled.onStatusChange((ip, status) => statusChanges.push(status.isOnline));
+
+      profiled.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(ping.promise.probe).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+      expect(statusChanges).toEqual([]);
+
+      await jest.advanceTimersByTimeAsync(500);
+      expect(statusChanges).toEqual([false]);
+      // Backoff starts from the profile's interval
+      expect(profiled.monitoringStates.get('192.168.1.1').checkInterval).toBe(5000);
+    });
+
+    test('should apply a changed profile without restarting monitoring', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: true, time: '5.0' });
+      profiled.startMonitoring(device);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+
+      // Next check one new interval after the last one
+      profile = { status: { enabled: true, checkInterval: 10000, failureThreshold: null, recoveryThreshold: null } };
+      profiled.refreshProfiles();
+      await jest.advanceTimersByTimeAsync(9999);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(2);
+
+      // Turned off: the device keeps its status but is not checked
+      profile = { status: { ...profile.status, enabled: false } };
+      profiled.refreshProfiles();
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(2);
+      expect(profiled.getDeviceStatuses().get('192.168.1.1').isOnline).toBe(true);
+
+      // Back to the defaults: the last check is long past, so the next one comes right away
+      profile = null;
+      profiled.refreshProfiles();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not hold back a failing device behind a parent whose checks are turned off', async () => {
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      const child = { id: 'mac-000000000002', ipAddress: '192.168.1.2', parentId: device.id, isActive: true };
+      const disabledParent = new StatusMonitor({
+        checkInterval: 1000,
+        jitter: 0,
+        getProfile: ip => (ip === device.ipAddress
+          ? { status: { enabled: false, checkInterval: null, failureThreshold: null, recoveryThreshold: null } }
+          : null)
+      });
+      const changes = [];
+      disabledParent.onStatusChange((ip, status) => changes.push([ip, status.isOnline]));
+
+      disabledParent.startMonitoring(device);
+      disabledParent.startMonitoring(child);
+      await jest.advanceTimersByTimeAsync(3000);
+      const status = disabledParent.getDeviceStatuses().get('192.168.1.2');
+      disabledParent.stopAll();
+
+      expect(ping.promise.probe).not.toHaveBeenCalledWith('192.168.1.1', expect.anything());
+      expect(changes).toEqual([['192.168.1.2', false]]);
+      expect(status).toMatchObject({ isOnline: false, isUnreachable: false });
+    });
+  });
+
+  describe('snapshots', () => {
+    const device = { id: 'mac-000000000001', ipAddress: '192.168.1.1', isActive: true };
+
+    test('should resume an offline device with its backoff and without reporting it again', async () => {
+      const first = new StatusMonitor({ checkInterval: 1000, jitter: 0 });
+      ping.promise.probe.mockResolvedValue({ alive: false, time: 'unknown' });
+      first.startMonitoring(device);
+      // Offline at 1 s, then checked at 2 s and 4 s, backing off to 4 s
+      await jest.advanceTimersByTimeAsync(4000);
+
+      const [snapshot] = first.getSnapshots();
+      first.stopAll();
+      expect(snapshot).toMatchObject({ ipAddress: '192.168.1.1', deviceId: 'mac-000000000001', isOnline: false, reportedOnline: false, checkInterval: 4000 });
+
+      // Stored as JSON, restarted a second later with the device still down
+      await jest.advanceTimersByTimeAsync(1000);
+      const resumed = new StatusMonitor({ checkInterval: 1000, jitter: 0 });
+      const statusChanges = [];
+      resumed.onStatusChange((ip, status) => statusChanges.push(status.isOnline));
+      resumed.startMonitoring({ ...device, isActive: true }, JSON.parse(JSON.stringify(snapshot)));
+
+      expect(resumed.getDeviceStatuses().get('192.168.1.1')).toMatchObject({ isOnline: false, lastChecked: new Date(snapshot.lastChecked) });
+      ping.promise.probe.mockClear();
+      await jest.advanceTimersByTimeAsync(2999);
+      expect(ping.promise.probe).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1);
+      expect(ping.promise.probe).toHaveBeenCalledTimes(1);
+      expect(statusChanges).toEqual([]);
+      expect(resumed.monitoringStates.get('192.168.1.1').checkInterval).toBe(8000);
+
+      resumed.stopAll();
+    });
+
+    test('should ignore the snapshot of another device at the address', () => {
+      const snapshot = {
+        ipAddress: '192.168.1.1', deviceId: 'mac-000000000099', isOnline: false, lastChecked: new Date().toISOString(),
+        responseTime: -1, detail: null, isFlapping: false, isUnreachable: false, checkInterval: 8000,
+        consecutiveFailures: 4, consecutiveSuccesses: 0, streakStartedAt: null, backoffMultiplier: 8, transitions: [], reportedOnline: false
+      };
+
+      monitor.startMonitoring(device, snapshot);
+
+      expect(monitor.getDeviceStatuses().get('192.168.1.1').isOnline).toBe(true);
+      expect(monitor.monitoringStates.get('192.168.1.1')).toMatchObject({ consecutiveFailures: 0, checkInterval: 1000 });
+    });
+  });
 });
@@ -0,0 +1,87 @@
+const { validatePathTarget, parseTraceroute, comparePaths, mergeRoute } = require('../../server/utils/traceroute');
+
+describe('Traceroute', () => {
+  describe('validatePathTarget', () => {
+    test('should accept addresses and host names', () => {
+      expect(validatePathTarget({ target: ' 8.8.8.8 ' })).toEqual({ target: '8.8.8.8', protocol: 'udp' });
+      expect(validatePathTarget({ target: 'NAS.lan', protocol: 'icmp' })).toEqual({ target: 'nas.lan', protocol: 'icmp' });
+    });
+
+    test('should reject invalid targets', () => {
+      expect(() => validatePathTarget(null)).toThrow(/must be an object/);
+      expect(() => validatePathTarget({ target: '8.8.8.8', ttl: 5 })).toThrow(/Unknown field "ttl"/);
+      expect(() => validatePathTarget({ target: '-I' })).toThrow(/target must be/);
+      expect(() => validatePathTarget({ target: '999.1.1.1' })).toThrow(/target must be/);
+      expect(() => validatePathTarget({ target: 'a b' })).toThrow(/target must be/);
+      expect(() => validatePathTarget({ target: '8.8.8.8', protocol: 'tcp' })).toThrow(/protocol must be/);
+    });
+  });
+
+  describe('parseTraceroute', () => {
+    test('should give each hop its routers, loss and latency', () => {
+      const trace = parseTraceroute([
+        'traceroute to dns.google (8.8.8.8), 30 hops max, 60 byte packets',
+        ' 1  192.168.1.1  0.500 ms  0.300 ms  *',
+        ' 2  * * *',
+        ' 3  10.0.0.1  9.000 ms 10.0.0.2  10.000 ms  11.000 ms',
+        ' 4  8.8.8.8  12.000 ms !H  12.000 ms  12.000 ms',
+        ''
+      ].join('\n'));
+
+      expect(trace.destination).toBe('8.8.8.8');
+      expect(trace.hops).toHaveLength(4);
+      expect(trace.hops[0]).toEqual({
+        ttl: 1,
+        address: '192.168.1.1',
+        addresses: ['192.168.1.1'],
+        sent: 3,
+        received: 2,
+        loss: (1 / 3) * 100,
+        latency: 0.4,
+        minLatency: 0.3,
+        maxLatency: 0.5
+      });
+      expect(trace.hops[1]).toMatchObject({ ttl: 2, address: null, addresses: [], sent: 3, received: 0, loss: 100, latency: -1 });
+      expect(trace.hops[2]).toMatchObject({ address: '10.0.0.1', addresses: ['10.0.0.1', '10.0.0.2'], loss: 0, latency: 10 });
+      expect(trace.hops[3]).toMatchObject({ address: '8.8.8.8', received: 3 });
+    });
+  });
+
+  describe('comparePaths', () => {
+    const hop = (ttl, ...addresses) => ({ ttl, address: addresses[0] || null, addresses });
+
+    test('should find hops answered by other routers', () => {
+      const before = [hop(1, '192.168.1.1'), hop(2, '10.0.0.1', '10.0.0.2'), hop(3, '8.8.8.8')];
+
+      expect(comparePaths(before, [hop(1, '192.168.1.1'), hop(2, '10.0.0.2'), hop(3, '8.8.8.8')])).toEqual([]);
+      expect(comparePaths(before, [hop(1, '192.168.1.1'), hop(2), hop(3, '8.8.8.8')])).toEqual([]);
+      expect(comparePaths(before, [hop(1, '192.168.1.1'), hop(2, '10.0.0.9'), hop(3, '8.8.8.8')]))
+        .toEqual([{ ttl: 2, from: '10.0.0.1', to: '10.0.0.9' }]);
+    });
+
+    test('should find paths that got longer or shorter', () => {
+      const before = [hop(1, '192.168.1.1'), hop(2, '8.8.8.8')];
+
+      expect(comparePaths(before, [hop(1, '192.168.1.1'), hop(2, '10.0.0.1'), hop(3, '8.8.8.8')])).toEqual([
+        { ttl: 2, from: '8.8.8.8', to: '10.0.0.1' },
+        { ttl: 3, from: null, to: '8.8.8.8' }
+      ]);
+      expect(comparePaths(before, [hop(1, '8.8.8.8')])).toEqual([
+        { ttl: 1, from: '192.168.1.1', to: '8.8.8.8' },
+        { ttl: 2, from: '8.8.8.8', to: null }
+      ]);
+      expect(comparePaths(before, [...before, hop(3)])).toEqual([]);
+    });
+  });
+
+  describe('mergeRoute', () => {
+    const hop = (ttl, ...addresses) => ({ ttl, address: addresses[0] || null, addresses });
+
+    test('should keep the routers last seen at hops that did not answer', () => {
+      const route = [hop(1, '192.168.1.1'), hop(2, '10.0.0.1'), hop(3, '8.8.8.8')];
+
+      expect(mergeRoute(route, [hop(1, '192.168.1.1'), hop(2)])).toEqual([hop(1, '192.168.1.1'), hop(2, '10.0.0.1')]);
+      expect(mergeRoute([], [hop(1)])).toEqual([hop(1)]);
+    });
+  });
+});
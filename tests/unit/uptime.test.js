@@ -0,0 +1,121 @@
+const { parseReportRange, computeUptime } = require('../../server/utils/uptime');
+
+describe('Uptime', () => {
+  const now = new Date('2024-03-15T12:00:00Z');
+
+  describe('parseReportRange', () => {
+    test('should default to the last 30 days', () => {
+      expect(parseReportRange({}, now)).toEqual({ start: new Date('2024-02-14T12:00:00Z'), end: now });
+    });
+
+    test('should accept hours, days and weeks', () => {
+      expect(parseReportRange({ range: '24h' }, now).start).toEqual(new Date('2024-03-14T12:00:00Z'));
+      expect(parseReportRange({ range: '7d' }, now).start).toEqual(new Date('2024-03-08T12:00:00Z'));
+      expect(parseReportRange({ range: '2w' }, now).start).toEqual(new Date('2024-03-01T12:00:00Z'));
+    });
+
+    test('should cover calendar months in UTC, up to now for the current month', () => {
+      expect(parseReportRange({ month: '2024-02' }, now)).toEqual({
+        start: new Date('2024-02-01T00:00:00Z'),
+        end: new Date('2024-03-01T00:00:00Z')
+      });
+      expect(parseReportRange({ month: '2024-03' }, now)).toEqual({ start: new Date('2024-03-01T00:00:00Z'), end: now });
+    });
+
+    test('should accept explicit start and end', () => {
+      expect(parseReportRange({ start: '2024-03-01T00:00:00Z', end: '2024-03-02T00:00:00Z' }, now)).toEqual({
+        start: new Date('2024-03-01T00:00:00Z'),
+        end: new Date('2024-03-02T00:00:00Z')
+      });
+      expect(parseReportRange({ start: '2024-03-01T00:00:00Z' }, now).end).toBe(now);
+    });
+
+    test('should reject invalid periods', () => {
+      expect(() => parseReportRange({ range: '0d' }, now)).toThrow(/range must be/);
+      expect(() => parseReportRange({ range: '30y' }, now)).toThrow(/range must be/);
+      expect(() => parseReportRange({ range: '500d' }, now)).toThrow(/range must be/);
+      expect(() => parseReportRange({ range: ['7d', '30d'] }, now)).toThrow(/given once/);
+      expect(() => parseReportRange({ range: '7d', month: '2024-01' }, now)).toThrow(/only one/);
+      expect(() => parseReportRange({ month: '2024-13' }, now)).toThrow(/YYYY-MM/);
+      expect(() => parseReportRange({ month: '2024-04' }, now)).toThrow(/future/);
+      expect(() => parseReportRange({ end: '2024-03-01T00:00:00Z' }, now)).toThrow(/end needs a start/);
+      expect(() => parseReportRange({ start: 'yesterday' }, now)).toThrow(/ISO 8601/);
+      expect(() => parseReportRange({ start: '2024-03-02T00:00:00Z', end: '2024-03-01T00:00:00Z' }, now)).toThrow(/before end/);
+    });
+  });
+
+  describe('computeUptime', () => {
+    const period = { start: new Date('2024-03-01T00:00:00Z'), end: new Date('2024-03-11T00:00:00Z') };
+    const day = 24 * 60 * 60 * 1000;
+
+    test('should report full uptime without outages', () => {
+      expect(computeUptime([], period)).toEqual({
+        start: period.start,
+        end: period.end,
+        monitoredTime: 10 * day,
+        uptimePercent: 100,
+        downtime: 0,
+        outageCount: 0,
+        mttr: null,
+        mtbf: null,
+        isDown: false
+      });
+    });
+
+    test('should compute downtime, MTTR and MTBF', () => {
+      const report = computeUptime([
+        { start: new Date('2024-03-02T00:00:00Z'), end: new Date('2024-03-02T02:00:00Z') },
+        { start: new Date('2024-03-05T00:00:00Z'), end: new Date('2024-03-05T04:00:00Z') }
+      ], period);
+
+      expect(report.downtime).toBe(6 * 60 * 60 * 1000);
+      expect(report.outageCount).toBe(2);
+      expect(report.uptimePercent).toBe(97.5);
+      expect(report.mttr).toBe(3 * 60 * 60 * 1000);
+      expect(report.mtbf).toBe((10 * day - 6 * 60 * 60 * 1000) / 2);
+    });
+
+    test('should clip outages to the period and count open ones until its end', () => {
+      const report = computeUptime([
+        { start: new Date('2024-02-28T00:00:00Z'), end: new Date('2024-03-01T12:00:00Z') },
+        { start: new Date('2024-03-10T00:00:00Z'), end: null }
+      ], period);
+
+      expect(report.downtime).toBe(1.5 * day);
+      expect(report.outageCount).toBe(2);
+      expect(report.isDown).toBe(true);
+    });
+
+    test('should only count the time since the device was first seen', () => {
+      const report = computeUptime([
+        { start: new Date('2024-03-10T00:00:00Z'), end: new Date('2024-03-10T12:00:00Z') }
+      ], { ...period, monitoredSince: '2024-03-09T00:00:00.000Z' });
+
+      expect(report.start).toEqual(new Date('2024-03-09T00:00:00Z'));
+      expect(report.monitoredTime).toBe(2 * day);
+      expect(report.uptimePercent).toBe(75);
+
+      const unknown = computeUptime([], { ...period, monitoredSince: '2024-04-01T00:00:00.000Z' });
+      expect(unknown.monitoredTime).toBe(0);
+      expect(unknown.uptimePercent).toBeNull();
+    });
+
+    test('should leave excluded time out of monitored time and downtime', () => {
+      const report = computeUptime([
+        { start: new Date('2024-03-02T00:00:00Z'), end: new Date('2024-03-02T12:00:00Z') },
+        { start: new Date('2024-03-05T01:00:00Z'), end: new Date('2024-03-05T02:00:00Z') }
+      ], {
+        ...period,
+        excluded: [
+          { start: new Date('2024-03-02T06:00:00Z'), end: new Date('2024-03-02T18:00:00Z') },
+          { start: new Date('2024-03-05T00:00:00Z'), end: new Date('2024-03-05T03:00:00Z') }
+        ]
+      });
+
+      expect(report.monitoredTime).toBe(10 * day - 15 * 60 * 60 * 1000);
+      expect(report.downtime).toBe(6 * 60 * 60 * 1000);
+      // The outage entirely within maintenance does not count
+      expect(report.outageCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VendorLookup = require('../../server/components/VendorLookup');
+
+describe('VendorLookup', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vendor-lookup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('bundled registry', () => {
+    let lookup;
+
+    beforeAll(() => {
+      lookup = new VendorLookup({ dataDir: path.join(os.tmpdir(), 'vendor-lookup-none') });
+    });
+
+    test('should resolve common vendors', () => {
+      expect(lookup.lookup('B8:27:EB:12:34:56').vendor).toBe('Raspberry Pi Foundation');
+      expect(lookup.lookup('24:0A:C4:00:00:01').vendor).toBe('Espressif Inc.');
+      expect(lookup.lookup('b8-27-eb-12-34-56').registry).toBe('MA-L');
+    });
+
+    test('should accept octets without leading zeros', () => {
+      expect(lookup.lookup('b8:27:eb:1:2:3').vendor).toBe('Raspberry Pi Foundation');
+    });
+
+    test('should load all three registries', () => {
+      const { entries } = lookup.getStats();
+      expect(entries['MA-L']).toBeGreaterThan(30000);
+      expect(entries['MA-M']).toBeGreaterThan(1000);
+      expect(entries['MA-S']).toBeGreaterThan(1000);
+    });
+
+    test('should flag locally administered addresses', () => {
+      const result = lookup.lookup('DA:A1:19:00:00:01');
+      expect(result.isLocallyAdministered).toBe(true);
+      expect(result.vendor).toBe('Locally Administered');
+      expect(lookup.lookup('52:54:00:12:34:56').vendor).toBe('QEMU/KVM');
+      expect(lookup.lookup('02:42:AC:11:00:02').vendor).toBe('Docker');
+    });
+
+    test('should report unknown for invalid addresses', () => {
+      expect(lookup.lookup('unknown').vendor).toBe('Unknown');
+      expect(lookup.lookup('').prefix).toBeNull();
+    });
+  });
+
+  describe('longest prefix match', () => {
+    test('should prefer MA-S over MA-M over MA-L', () => {
+      const bundledPath = path.join(tempDir, 'bundled.tsv');
+      fs.writeFileSync(bundledPath, [
+        '# test registry',
+        '001122\tLarge Block Inc.',
+        '0011223\tMedium Block Inc.',
+        '001122334\tSmall Block Inc.'
+      ].join('\n'));
+
+      const lookup = new VendorLookup({ dataDir: tempDir, bundledPath });
+
+      expect(lookup.lookup('00:11:22:33:44:55')).toMatchObject({ vendor: 'Small Block Inc.', registry: 'MA-S' });
+      expect(lookup.lookup('00:11:22:3F:00:00')).toMatchObject({ vendor: 'Medium Block Inc.', registry: 'MA-M' });
+      expect(lookup.lookup('00:11:22:FF:00:00')).toMatchObject({ vendor: 'Large Block Inc.', registry: 'MA-L' });
+    });
+  });
+
+  describe('parseRegistry', () => {
+    test('should parse IEEE CSV exports with quoted fields', () => {
+      const csv = [
+        'Registry,Assignment,Organization Name,Organization Address',
+        'MA-L,B827EB,Raspberry Pi Foundation,Mitchell Wood House Caldecote Cambridgeshire US CB23 7NU',
+        'MA-L,ABCDEF,"Example, Inc.","1 Main St, Springfield"',
+        'MA-S,70B3D5001,"Quoted ""Name"" Ltd",Somewhere',
+        'MA-L,XYZ,Broken Entry,Nowhere'
+      ].join('\r\n');
+
+      expect(VendorLookup.parseRegistry(csv)).toEqual([
+        { prefix: 'B827EB', vendor: 'Raspberry Pi Foundation' },
+        { prefix: 'ABCDEF', vendor: 'Example, Inc.' },
+        { prefix: '70B3D5001', vendor: 'Quoted "Name" Ltd' }
+      ]);
+    });
+  });
+
+  describe('importRegistry', () => {
+    test('should merge entries and persist them to the data directory', async () => {
+      const bundledPath = path.join(tempDir, 'bundled.tsv');
+      fs.writeFileSync(bundledPath, '001122\tOld Name\n');
+
+      const lookup = new VendorLookup({ dataDir: tempDir, bundledPath });
+      const summary = await lookup.importRegistry([
+        'Registry,Assignment,Organization Name,Organization Address\nMA-L,001122,New Name,Addr\n',
+        'Registry,Assignment,Organization Name,Organization Address\nMA-M,A8BBCC1,Added Name,Addr\n'
+      ]);
+
+      expect(summary).toEqual({ imported: 2, total: 2 });
+      expect(lookup.lookup('00:11:22:00:00:00').vendor).toBe('New Name');
+
+      // A fresh instance picks up the refreshed registry
+      const reloaded = new VendorLookup({ dataDir: tempDir, bundledPath });
+      expect(reloaded.lookup('A8:BB:CC:10:00:00').vendor).toBe('Added Name');
+      expect(reloaded.getStats().source).toBe(path.join(tempDir, 'oui.tsv'));
+    });
+
+    test('should reject data without assignments', async () => {
+      const lookup = new VendorLookup({ dataDir: tempDir, bundledPath: path.join(tempDir, 'missing.tsv') });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(lookup.importRegistry('not a registry')).rejects.toThrow(/No MAC address assignments/);
+      expect(fs.existsSync(path.join(tempDir, 'oui.tsv'))).toBe(false);
+
+      console.warn.mockRestore();
+    });
+  });
+});
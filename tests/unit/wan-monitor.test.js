@@ -0,0 +1,139 @@
+const dgram = require('dgram');
+const http = require('http');
+const WanMonitor = require('../../server/components/WanMonitor');
+const dnsPacket = require('../../server/utils/dnsPacket');
+
+jest.mock('ping', () => ({
+  promise: {
+    probe: jest.fn()
+  }
+}));
+
+const ping = require('ping');
+
+/**
+ * Start a server listening on a free port of 127.0.0.1
+ * @param {http.Server|dgram.Socket} server - Server to start
+ * @returns {Promise<number>} Port
+ */
+function listen(server) {
+  return new Promise(resolve => {
+    if (server instanceof dgram.Socket) {
+      server.bind(0, '127.0.0.1', () => resolve(server.address().port));
+    } else {
+      server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    }
+  });
+}
+
+describe('WanMonitor', () => {
+  // Local stand-ins for a DNS resolver and an external web server
+  let dnsServer;
+  let webServer;
+  let dnsPort;
+  let webPort;
+  let rcode;
+  let webStatus;
+  let monitor;
+  let changes;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    ping.promise.probe.mockResolvedValue({ alive: true, time: '1.5' });
+    rcode = 'NOERROR';
+    webStatus = 200;
+
+    dnsServer = dgram.createSocket('udp4');
+    dnsServer.on('message', (message, rinfo) => {
+      const query = dnsPacket.decode(message);
+      const answers = rcode === 'NOERROR'
+        ? [{ name: query.questions[0].name, type: 'A', ttl: 60, data: '93.184.216.34' }]
+        : [];
+      dnsServer.send(dnsPacket.encode({ id: query.id, isResponse: true, rcode, questions: query.questions, answers }), rinfo.port, rinfo.address);
+    });
+    dnsPort = await listen(dnsServer);
+
+    webServer = http.createServer((req, res) => {
+      res.writeHead(webStatus);
+      res.end();
+    });
+    webPort = await listen(webServer);
+
+    monitor = new WanMonitor({
+      gateways: ['192.168.1.1'],
+      resolvers: [`127.0.0.1:${dnsPort}`],
+      targets: `http://127.0.0.1:${webPort}/`,
+      timeout: 500
+    });
+    changes = [];
+    monitor.onStatusChange((wan, previous) => changes.push([previous, wan.status]));
+  });
+
+  afterEach(async () => {
+    monitor.stop();
+    await new Promise(resolve => dnsServer.close(() => resolve()));
+    await new Promise(resolve => webServer.close(() => resolve()));
+  });
+
+  test('should check the gateway, the resolvers and the targets', async () => {
+    expect(monitor.getStatus()).toMatchObject({ status: 'unknown', lastChecked: null });
+
+    const wan = await monitor.checkNow();
+
+    expect(ping.promise.probe).toHaveBeenCalledWith('192.168.1.1', expect.any(Object));
+    expect(wan).toMatchObject({ status: 'up', reason: null, outageStart: null });
+    expect(wan.checks).toEqual([
+      expect.objectContaining({ kind: 'gateway', target: '192.168.1.1', type: 'icmp', isOnline: true, responseTime: 1.5 }),
+      expect.objectContaining({ kind: 'dns', target: `127.0.0.1:${dnsPort}`, type: 'dns', isOnline: true, detail: 'NOERROR, 1 answer' }),
+      expect.objectContaining({ kind: 'target', target: `http://127.0.0.1:${webPort}/`, type: 'http', isOnline: true, detail: 'HTTP 200' })
+    ]);
+    expect(wan.checks[1].responseTime).toBeGreaterThanOrEqual(0);
+    expect(changes).toEqual([['unknown', 'up']]);
+  });
+
+  test('should report a failing resolver as degraded', async () => {
+    rcode = 'NXDOMAIN';
+
+    const wan = await monitor.checkNow();
+
+    expect(wan.status).toBe('degraded');
+    expect(wan.reason).toBe(`DNS resolver 127.0.0.1:${dnsPort} failing (NXDOMAIN)`);
+  });
+
+  test('should start an outage after enough failed rounds and end it on recovery', async () => {
+    await monitor.checkNow();
+    webStatus = 503;
+
+    // One failed round is not an outage yet
+    const first = await monitor.checkNow();
+    expect(first.status).toBe('up');
+    expect(first.checks[2]).toMatchObject({ isOnline: false, detail: 'HTTP 503' });
+
+    const second = await monitor.checkNow();
+    expect(second).toMatchObject({ status: 'down', reason: 'No external target reachable' });
+    // Dated from the first failed round
+    expect(second.outageStart).toEqual(first.lastChecked);
+    expect(second.since).toEqual(first.lastChecked);
+
+    webStatus = 200;
+    const recovered = await monitor.checkNow();
+    expect(recovered).toMatchObject({ status: 'up', outageStart: null });
+    expect(changes).toEqual([['unknown', 'up'], ['up', 'down'], ['down', 'up']]);
+  });
+
+  test('should go on with an outage restored at start while the internet is still down', async () => {
+    webStatus = 503;
+    const outageStart = new Date(Date.now() - 60000);
+    const updated = new Promise(resolve => monitor.onUpdate(resolve));
+
+    monitor.start(outageStart);
+    const wan = await updated;
+
+    expect(wan).toMatchObject({ status: 'down', outageStart, since: outageStart });
+  });
+
+  test('should reject invalid targets and resolvers', () => {
+    expect(() => new WanMonitor({ targets: 'ftp://example.com' })).toThrow(/must start with one of/);
+    expect(() => new WanMonitor({ resolvers: ['dns.example.com'] })).toThrow(/IPv4 address/);
+  });
+});
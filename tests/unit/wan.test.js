@@ -0,0 +1,85 @@
+const { parseWanTarget, parseWanTargets, parseResolver, computeWanStatus } = require('../../server/utils/wan');
+
+describe('WAN', () => {
+  describe('parseWanTarget', () => {
+    test('should pick the probe from the scheme', () => {
+      expect(parseWanTarget('1.1.1.1')).toEqual({ target: '1.1.1.1', host: '1.1.1.1', probe: { type: 'icmp', timeout: 2000 } });
+      expect(parseWanTarget('tcp://One.One.One.One:443')).toMatchObject({
+        host: 'one.one.one.one',
+        probe: { type: 'tcp', port: 443 }
+      });
+      expect(parseWanTarget('https://www.example.com/health?full=1')).toMatchObject({
+        target: 'https://www.example.com/health?full=1',
+        host: 'www.example.com',
+        probe: { type: 'http', https: true, port: 443, path: '/health?full=1' }
+      });
+      expect(parseWanTarget('http://127.0.0.1:8080').probe).toMatchObject({ https: false, port: 8080, path: '/' });
+    });
+
+    test('should reject invalid targets', () => {
+      expect(() => parseWanTarget('ftp://example.com')).toThrow(/must start with one of/);
+      expect(() => parseWanTarget('tcp://1.1.1.1')).toThrow(/needs a port/);
+      expect(() => parseWanTarget('icmp://')).toThrow(/has no host/);
+      expect(() => parseWanTarget('a b')).toThrow(/Invalid WAN target/);
+    });
+  });
+
+  test('parseWanTargets should split a comma-separated list', () => {
+    expect(parseWanTargets(' 1.1.1.1, ,tcp://8.8.8.8:53 ').map(target => target.target)).toEqual(['1.1.1.1', 'tcp://8.8.8.8:53']);
+    expect(parseWanTargets('')).toEqual([]);
+  });
+
+  test('parseResolver should take an IPv4 address with an optional port', () => {
+    expect(parseResolver('1.1.1.1')).toEqual({ address: '1.1.1.1', port: 53 });
+    expect(parseResolver('127.0.0.1:5353')).toEqual({ address: '127.0.0.1', port: 5353 });
+    expect(() => parseResolver('::1')).toThrow(/IPv4 address/);
+    expect(() => parseResolver('1.1.1.1:0')).toThrow(/IPv4 address/);
+  });
+
+  describe('computeWanStatus', () => {
+    const check = (kind, target, isOnline, detail = null) => ({ kind, target, isOnline, detail });
+
+    test('should be unknown before the first check', () => {
+      expect(computeWanStatus([check('target', '1.1.1.1', null)])).toEqual({ status: 'unknown', reason: null });
+    });
+
+    test('should be up when every check succeeds', () => {
+      expect(computeWanStatus([
+        check('gateway', '192.168.1.1', true),
+        check('dns', '1.1.1.1', true),
+        check('target', '8.8.8.8', true)
+      ])).toEqual({ status: 'up', reason: null });
+    });
+
+    test('should be down when no external target answers, blaming the gateway if it is silent too', () => {
+      expect(computeWanStatus([
+        check('gateway', '192.168.1.1', true),
+        check('dns', '1.1.1.1', true),
+        check('target', '8.8.8.8', false),
+        check('target', '9.9.9.9', false)
+      ])).toEqual({ status: 'down', reason: 'No external target reachable' });
+
+      expect(computeWanStatus([
+        check('gateway', '192.168.1.1', false),
+        check('target', '8.8.8.8', false)
+      ])).toEqual({ status: 'down', reason: 'Gateway not answering' });
+    });
+
+    test('should let the resolvers decide without targets', () => {
+      expect(computeWanStatus([check('dns', '1.1.1.1', false, 'DNS query timed out')]))
+        .toEqual({ status: 'down', reason: 'No DNS resolver answering' });
+    });
+
+    test('should be degraded when the internet is reachable but checks fail', () => {
+      expect(computeWanStatus([
+        check('gateway', '192.168.1.1', false),
+        check('dns', '1.1.1.1', false, 'SERVFAIL'),
+        check('target', '8.8.8.8', true),
+        check('target', '9.9.9.9', false)
+      ])).toEqual({
+        status: 'degraded',
+        reason: 'Gateway 192.168.1.1 not answering; DNS resolver 1.1.1.1 failing (SERVFAIL); 1 of 2 external targets unreachable'
+      });
+    });
+  });
+});